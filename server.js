@@ -1,8 +1,9 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
+import path from 'path';
 import { fetchYahooFinanceFutures, fetchCurrencyFutures, fetchInternationalIndices, fetchSectorETFs, fetchMag7Stocks, fetchTreasuryYields, fetchCryptoPrices, calculateExpectationMeters, fetchAsiaInstruments, fetchLondonInstruments, fetchUSInstruments, getGoldSilverRatio } from './services/yahooFinance.js';
-import { fetchEconomicCalendar, fetchEarningsCalendar } from './services/alphaVantage.js';
+import { fetchEconomicCalendar } from './services/alphaVantage.js';
 import { fetchFredData, fetchComprehensiveEconomicData, getEconomicSummaryForAgent, analyzeEconomicSignals, getAvailableSeries, FRED_SERIES } from './services/fred.js';
 import { fetchPolygonData } from './services/polygon.js';
 import { fetchFinnhubNews, fetchMag7News } from './services/finnhubNews.js';
@@ -39,14 +40,21 @@ import {
   getOrderFlowScannerData,
   getScannerData,
   getScannerSummary,
+  getScannerHistory,
   clearScannerData
 } from './services/scannerWebhook.js';
+import { WEBHOOK_SCHEMAS } from './services/webhookSchemas.js';
+import { getWebhookAuthStatus } from './services/webhookAuth.js';
 import {
   getCurrentSession,
   getNextSession,
   updateSessionLevels,
   getSessionHandoff,
-  getSessionSummary
+  getSessionSummary,
+  getSessionLevelMap,
+  getSessionHistory,
+  startSessionScheduler,
+  TRACKED_SESSIONS
 } from './services/sessionEngine.js';
 import {
   calculateTicks,
@@ -63,6 +71,7 @@ import {
   getSweepSummary,
   getReclaimedLevels,
   clearSweepHistory,
+  getSweepsByDate,
   addSweep
 } from './services/sweepTracker.js';
 import {
@@ -99,10 +108,128 @@ import {
 } from './services/newsAnalysis.js';
 import {
   generateFinalAnalysis,
+  fetchFinalAnalysisMarketData,
   generateAISynthesis,
   clearFinalAnalysisCache,
-  getFinalAnalysisCacheStatus
+  getFinalAnalysisCacheStatus,
+  getMarketDataCacheStatus
 } from './services/finalAnalysis.js';
+import { getCollection, flushAll, getPersistenceStatus } from './services/persistence.js';
+import { subscribe, getSubscriberCount, getEventStreamStatus } from './services/eventStream.js';
+import {
+  startAlertEngine,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  hasRulesForTopic,
+  getAlertHistory,
+  OPERATORS,
+  RULE_TOPICS
+} from './services/alertEngine.js';
+import {
+  startNotifier,
+  sendBrief,
+  checkHighImpactNews,
+  listChannels,
+  saveChannel,
+  deleteChannel,
+  describeChannel,
+  testChannel,
+  getDeadLetters,
+  retryDeadLetter,
+  clearDeadLetters,
+  TRANSPORTS,
+  NOTIFICATION_KINDS
+} from './services/notifier.js';
+import {
+  loadBars,
+  backfillSeries,
+  syncAll,
+  findGaps,
+  repairGaps,
+  getBarStoreStatus,
+  startBarStoreScheduler,
+  BAR_INTERVALS
+} from './services/barStore.js';
+import {
+  startBacktestJob,
+  getBacktestJob,
+  getBacktestRun,
+  listBacktestRuns,
+  backtestToCSV,
+  BACKTEST_ENGINES
+} from './services/backtest.js';
+import {
+  recordFinalAnalysis,
+  recordESCommandCenter,
+  recordAIAnalysis,
+  gradePredictions,
+  startPredictionGrader,
+  getTrackRecord,
+  getPredictions,
+  LEDGER_ENGINES
+} from './services/predictionLedger.js';
+import { getCOTData, getAllCOTData } from './services/cftcCot.js';
+import {
+  importCOTFile,
+  importCOTDirectory,
+  refreshCOTData,
+  getCOTImportStatus,
+  startCOTImporter,
+  COT_CONTRACTS,
+  COT_REPORTS
+} from './services/cotImporter.js';
+import { getPutCallRatio, getHistoricalContext } from './services/cboePutCall.js';
+import { fetchAllEnergyData } from './services/eiaApi.js';
+import {
+  getEIASurprises,
+  setEIAConsensus,
+  importEIAConsensusCSV,
+  listEIAConsensus,
+  getUpcomingWeek,
+  SURPRISE_SERIES
+} from './services/eiaSurprise.js';
+import {
+  importPutCallFile,
+  importPutCallDirectory,
+  downloadPutCallCSV,
+  recordPutCallDay,
+  getPutCallSeries,
+  getPutCallImportStatus,
+  startPutCallImporter,
+  PUT_CALL_TYPES
+} from './services/putCallHistory.js';
+import {
+  setEconomicConsensus,
+  importEconomicConsensusCSV,
+  listEconomicReleases,
+  getUpcomingPeriod,
+  refreshEconomicReleases,
+  getEconomicSurpriseIndex,
+  startEconomicSurpriseTracker,
+  RELEASE_SERIES
+} from './services/economicSurprise.js';
+import {
+  refreshEarningsCalendar,
+  getEarningsCalendar,
+  summarizeEarningsByDay,
+  getEarningsHistory,
+  setImpliedMove,
+  getEarningsStatus,
+  startEarningsTracker
+} from './services/earningsCalendar.js';
+import { getEconomicCalendar, getCalendarRules } from './services/economicCalendar.js';
+import { getMarketDay, getMarketHolidays } from './services/marketCalendar.js';
+import { getRollStatus, listContracts, CONTRACT_SPECS } from './services/contractCalendar.js';
+import { getOptionsLevels, getOptionsLevelMap, setOptionsChain, OPTIONS_SYMBOLS } from './services/optionsAnalytics.js';
+import { getNewsSourceStatus } from './services/newsSources.js';
+import { searchNews, getNewsTimeline, getNewsArchiveStatus, IMPACTS } from './services/newsArchive.js';
+import { collapseStories, getStories, getStoryStatus } from './services/newsStories.js';
+import { updateNewsReactions, startNewsReactionTracker, getNewsReactionStats } from './services/newsReaction.js';
+import { classifyHeadline } from './services/newsClassifier.js';
+import { getVolumeProfiles, getProfileLevelMap, summarizeProfiles, PROFILE_INTERVALS } from './services/volumeProfile.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -111,14 +238,15 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(express.json());
 
-// Cache to store data and reduce API calls
-let cachedData = null;
-let lastFetchTime = null;
+// Cache to store data and reduce API calls (persisted so a restart can serve it right away)
+const dashboardStore = getCollection('dashboard_cache');
+let cachedData = dashboardStore.get('latest')?.data || null;
+let lastFetchTime = dashboardStore.get('latest')?.fetchedAt || null;
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', persistence: getPersistenceStatus(), timestamp: new Date().toISOString() });
 });
 
 // Main dashboard endpoint
@@ -190,15 +318,8 @@ app.get('/api/dashboard', async (req, res) => {
       console.warn('Could not fetch analyzed news, using raw news:', err.message);
     }
 
-    // Merge raw news as fallback (for display in news feed)
-    const seenHeadlines = new Set();
-    const allNews = [...finnhubNews, ...newsApiNews]
-      .filter(item => {
-        const normalizedHeadline = (item.headline || item.title || '').toLowerCase().slice(0, 50);
-        if (seenHeadlines.has(normalizedHeadline)) return false;
-        seenHeadlines.add(normalizedHeadline);
-        return true;
-      })
+    // Merge raw news as fallback (for display in news feed), one item per story
+    const allNews = collapseStories([...finnhubNews, ...newsApiNews])
       .sort((a, b) => {
         const timeA = new Date(a.timestamp || 0).getTime();
         const timeB = new Date(b.timestamp || 0).getTime();
@@ -227,6 +348,7 @@ app.get('/api/dashboard', async (req, res) => {
     // Cache the result
     cachedData = dashboard;
     lastFetchTime = now;
+    dashboardStore.set('latest', { data: dashboard, fetchedAt: now });
 
     res.json(dashboard);
   } catch (error) {
@@ -242,6 +364,7 @@ app.get('/api/dashboard', async (req, res) => {
 app.post('/api/dashboard/refresh', async (req, res) => {
   cachedData = null;
   lastFetchTime = null;
+  dashboardStore.delete('latest');
   res.json({ message: 'Cache cleared. Next request will fetch fresh data.' });
 });
 
@@ -357,6 +480,71 @@ app.get('/api/reports/centralbanks', (req, res) => {
   }
 });
 
+// ============================================================================
+// EIA SURPRISE ENDPOINTS (actual vs consensus vs 5-year average)
+// ============================================================================
+
+// Latest scored week per series: ?refresh=true fetches from EIA first
+app.get('/api/eia/surprise', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      await fetchAllEnergyData(process.env.EIA_API_KEY);
+    }
+    res.json({ ...getEIASurprises(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('EIA surprise error:', error);
+    res.status(500).json({ error: 'Failed to score EIA surprises', message: error.message });
+  }
+});
+
+// Stored consensus estimates and the week each series' next report covers
+app.get('/api/eia/consensus', (req, res) => {
+  const upcoming = {};
+  for (const key of Object.keys(SURPRISE_SERIES)) {
+    upcoming[key] = { weekEnding: getUpcomingWeek(key), unit: SURPRISE_SERIES[key].consensusUnit };
+  }
+  res.json({ upcoming, consensus: listEIAConsensus() });
+});
+
+// Enter consensus: { series, consensus, weekEnding?, source? }, { entries: [...] }
+// or { csv: "week_ending,series,consensus,source\n..." }
+app.post('/api/eia/consensus', (req, res) => {
+  try {
+    const body = req.body || {};
+    let results;
+
+    if (typeof body.csv === 'string') {
+      results = importEIAConsensusCSV(body.csv, 'upload');
+    } else {
+      const entries = Array.isArray(body.entries) ? body.entries : [body];
+      results = entries.map(entry => {
+        try {
+          return setEIAConsensus(entry);
+        } catch (error) {
+          return { series: entry.series, error: error.message };
+        }
+      });
+    }
+
+    const failed = results.filter(r => r.error);
+    if (failed.length === results.length) {
+      return res.status(400).json({
+        error: 'Invalid consensus',
+        details: failed.length > 0
+          ? failed.map(r => ({ field: 'line' in r ? 'csv' : 'series', message: r.error }))
+          : [{ field: 'csv', message: 'No consensus rows found' }]
+      });
+    }
+
+    // Calendar entries show the consensus - rebuild on next request
+    reportsCache = null;
+    res.json({ saved: results.length - failed.length, results });
+  } catch (error) {
+    console.error('EIA consensus error:', error);
+    res.status(500).json({ error: 'Failed to save consensus', message: error.message });
+  }
+});
+
 // ============================================================================
 // WEATHER DATA ENDPOINTS
 // ============================================================================
@@ -448,6 +636,108 @@ app.get('/api/economic', async (req, res) => {
   }
 });
 
+// Economic surprise index (overall and per category) with recent and upcoming releases
+app.get('/api/economic/surprise', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      await refreshEconomicReleases();
+    }
+    res.json(getEconomicSurpriseIndex());
+  } catch (error) {
+    console.error('Economic surprise error:', error);
+    res.status(500).json({ error: 'Failed to build economic surprise index', message: error.message });
+  }
+});
+
+// Consensus forecasts, newest period first, plus the period each release covers next
+app.get('/api/economic/consensus', (req, res) => {
+  try {
+    const upcoming = {};
+    for (const [seriesId, { consensusUnit }] of Object.entries(RELEASE_SERIES)) {
+      upcoming[seriesId] = { period: getUpcomingPeriod(seriesId), unit: consensusUnit };
+    }
+    res.json({ upcoming, releases: listEconomicReleases() });
+  } catch (error) {
+    console.error('Economic consensus error:', error);
+    res.status(500).json({ error: 'Failed to load consensus', message: error.message });
+  }
+});
+
+// Enter consensus: { series, consensus, period?, source? }, { entries: [...] }
+// or { csv: "period,series,consensus,source\n..." }
+app.post('/api/economic/consensus', (req, res) => {
+  try {
+    const body = req.body || {};
+    let results;
+
+    if (typeof body.csv === 'string') {
+      results = importEconomicConsensusCSV(body.csv, 'upload');
+    } else {
+      const entries = Array.isArray(body.entries) ? body.entries : [body];
+      results = entries.map(entry => {
+        try {
+          return setEconomicConsensus(entry);
+        } catch (error) {
+          return { series: entry.series, error: error.message };
+        }
+      });
+    }
+
+    const failed = results.filter(r => r.error);
+    if (failed.length === results.length) {
+      return res.status(400).json({
+        error: 'Invalid consensus',
+        details: failed.length > 0
+          ? failed.map(r => ({ field: 'line' in r ? 'csv' : 'series', message: r.error }))
+          : [{ field: 'csv', message: 'No consensus rows found' }]
+      });
+    }
+
+    res.json({ saved: results.length - failed.length, results });
+  } catch (error) {
+    console.error('Economic consensus error:', error);
+    res.status(500).json({ error: 'Failed to save consensus', message: error.message });
+  }
+});
+
+// Scheduled releases (NFP, CPI, EIA, WASDE, auctions, FOMC...) from the calendar engine
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (or &days=N), &instruments=ES,CL, &importance=HIGH,
+// &category=economic,energy, &events=CPI,NFP
+app.get('/api/economic/calendar', (req, res) => {
+  try {
+    const { from, to, days, instruments, importance, category, events } = req.query;
+    let calendar;
+
+    try {
+      calendar = getEconomicCalendar({ from, to, days, instruments, importance, categories: category, events });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid calendar query',
+        details: [{ field: error.message.split(' ')[0], message: error.message }]
+      });
+    }
+
+    res.json({
+      count: calendar.length,
+      events: calendar,
+      lastUpdate: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Economic calendar error:', error);
+    res.status(500).json({ error: 'Failed to build economic calendar', message: error.message });
+  }
+});
+
+// Calendar rules, loaded override files and override rows that failed to import
+app.get('/api/economic/calendar/rules', (req, res) => {
+  try {
+    res.json(getCalendarRules());
+  } catch (error) {
+    console.error('Economic calendar rules error:', error);
+    res.status(500).json({ error: 'Failed to load calendar rules', message: error.message });
+  }
+});
+
 // Get specific economic indicator
 app.get('/api/economic/:indicator', async (req, res) => {
   try {
@@ -515,6 +805,164 @@ app.get('/api/economic-indicators', (req, res) => {
   });
 });
 
+// ============================================================================
+// COT POSITIONING ENDPOINTS (CFTC Commitments of Traders)
+// ============================================================================
+
+// Latest positioning for every tracked contract, ranked against history
+app.get('/api/cot', (req, res) => {
+  try {
+    res.json(getAllCOTData());
+  } catch (error) {
+    console.error('COT error:', error);
+    res.status(500).json({ error: 'Failed to build COT data', message: error.message });
+  }
+});
+
+// Imported weeks per contract/report and recent imports
+app.get('/api/cot/status', (req, res) => {
+  res.json(getCOTImportStatus());
+});
+
+// Import report files: { files: [names in COT_DATA_DIR] } (default: the whole
+// directory), or { download: true, reports, force } to pull from cftc.gov
+app.post('/api/cot/import', async (req, res) => {
+  try {
+    const { files, download, reports = Object.keys(COT_REPORTS), force } = req.body || {};
+
+    const invalid = [
+      ...reports.filter(r => !COT_REPORTS[r]).map(r => ({ field: 'reports', message: `Unknown report ${r}` })),
+      ...(files || []).filter(f => typeof f !== 'string' || f !== path.basename(f))
+        .map(f => ({ field: 'files', message: `Invalid file name ${f}` }))
+    ];
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid COT import request', details: invalid });
+    }
+
+    let results;
+    if (download) {
+      results = await refreshCOTData({ reports, force: !!force });
+    } else if (files?.length) {
+      const dir = getCOTImportStatus().dataDir;
+      results = files.flatMap(name => {
+        try {
+          return importCOTFile(path.join(dir, name));
+        } catch (error) {
+          return [{ source: name, error: error.message }];
+        }
+      });
+    } else {
+      results = importCOTDirectory();
+    }
+
+    res.json({ results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('COT import error:', error);
+    res.status(500).json({ error: 'Failed to import COT reports', message: error.message });
+  }
+});
+
+// Positioning for one contract: ?history=52 adds weekly net positions
+app.get('/api/cot/:symbol', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!COT_CONTRACTS[symbol]) {
+    return res.status(404).json({ error: `No COT contract for ${symbol}`, available: Object.keys(COT_CONTRACTS) });
+  }
+
+  const data = getCOTData(symbol, { history: parseInt(req.query.history) || 0 });
+  if (data.error) {
+    return res.status(404).json(data);
+  }
+  res.json(data);
+});
+
+// ============================================================================
+// PUT/CALL SENTIMENT ENDPOINTS (CBOE daily ratios)
+// ============================================================================
+
+// Latest ratios with rolling means, z-scores and percentiles
+app.get('/api/putcall', (req, res) => {
+  try {
+    res.json({ ...getPutCallRatio(), context: getHistoricalContext() });
+  } catch (error) {
+    console.error('Put/Call error:', error);
+    res.status(500).json({ error: 'Failed to build put/call data', message: error.message });
+  }
+});
+
+// Stored days per ratio type
+app.get('/api/putcall/status', (req, res) => {
+  res.json(getPutCallImportStatus());
+});
+
+// Daily series: ?type=equity&days=250
+app.get('/api/putcall/history', (req, res) => {
+  const type = req.query.type || 'equity';
+  if (!PUT_CALL_TYPES[type]) {
+    return res.status(400).json({
+      error: 'Invalid put/call type',
+      details: [{ field: 'type', message: `Use one of ${Object.keys(PUT_CALL_TYPES).join(', ')}` }]
+    });
+  }
+
+  const days = parseInt(req.query.days) || 250;
+  const rows = getPutCallSeries(type);
+  res.json({ type, count: Math.min(days, rows.length), series: rows.slice(-days) });
+});
+
+// Import CBOE CSVs: { files: [names in PUTCALL_DATA_DIR] } (default: the whole
+// directory), or { download: true, types } to pull the CBOE CSV files
+app.post('/api/putcall/import', async (req, res) => {
+  try {
+    const { files, download, types = Object.keys(PUT_CALL_TYPES) } = req.body || {};
+
+    const invalid = [
+      ...types.filter(t => !PUT_CALL_TYPES[t]).map(t => ({ field: 'types', message: `Unknown type ${t}` })),
+      ...(files || []).filter(f => typeof f !== 'string' || f !== path.basename(f))
+        .map(f => ({ field: 'files', message: `Invalid file name ${f}` }))
+    ];
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid put/call import request', details: invalid });
+    }
+
+    let results;
+    if (download) {
+      results = [];
+      for (const type of types) {
+        results.push(await downloadPutCallCSV(type).catch(error => ({ type, error: error.message })));
+      }
+    } else if (files?.length) {
+      const dir = getPutCallImportStatus().dataDir;
+      // A single `types` entry names the ratio for files that don't say it
+      const type = req.body?.types?.length === 1 ? types[0] : undefined;
+      results = files.map(name => importPutCallFile(path.join(dir, name), type));
+    } else {
+      results = importPutCallDirectory();
+    }
+
+    res.json({ results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Put/Call import error:', error);
+    res.status(500).json({ error: 'Failed to import put/call data', message: error.message });
+  }
+});
+
+// Record one day: { date, total, equity, index, vix } (ratio or { ratio, puts, calls })
+app.post('/api/putcall/daily', (req, res) => {
+  try {
+    const results = recordPutCallDay(req.body || {});
+    if (results.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid put/call day',
+        details: [{ field: 'ratios', message: `Provide at least one of ${Object.keys(PUT_CALL_TYPES).join(', ')}` }]
+      });
+    }
+    res.json({ results });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid put/call day', details: [{ field: 'date', message: error.message }] });
+  }
+});
+
 // ============================================================================
 // ENHANCED INSTRUMENT ANALYSIS ENDPOINTS
 // ============================================================================
@@ -555,15 +1003,18 @@ app.get('/api/technicals', async (req, res) => {
 });
 
 // Get chart data (OHLC + EMAs) for an instrument
-// Supports interval query param: 5m, 15m, 1h, 1d (default)
+// Supports interval query param: 1m, 5m, 15m, 1h, 1d (default), ?days= lookback
+// and ?continuous=false for the raw front-month series (no roll back-adjustment)
 app.get('/api/chart/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const { interval = '1d' } = req.query;
+    const { interval = '1d', days, continuous } = req.query;
     const upperSymbol = symbol.toUpperCase();
 
     console.log(`Fetching chart data for ${upperSymbol} (${interval})...`);
-    const chartData = await getChartData(upperSymbol, interval);
+    const chartData = await getChartData(upperSymbol, interval, days ? parseInt(days) : null, {
+      continuous: continuous !== 'false'
+    });
 
     if (chartData.error) {
       return res.status(400).json({
@@ -582,6 +1033,215 @@ app.get('/api/chart/:symbol', async (req, res) => {
   }
 });
 
+// ============================================================================
+// BAR STORE ENDPOINTS (local OHLCV history)
+// ============================================================================
+
+// Parse unix seconds or an ISO date from a query/body value
+function parseBarTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+// Stored series with bar counts and sync times
+app.get('/api/bars/status', (req, res) => {
+  res.json(getBarStoreStatus());
+});
+
+// Backfill or sync series: { symbols, intervals, from, to, repairGaps }
+app.post('/api/bars/backfill', async (req, res) => {
+  try {
+    const symbols = (req.body?.symbols || Object.keys(YAHOO_SYMBOLS)).map(s => String(s).toUpperCase());
+    const intervals = req.body?.intervals || ['1d'];
+
+    const invalid = [
+      ...symbols.filter(s => !YAHOO_SYMBOLS[s]).map(s => ({ field: 'symbols', message: `Unknown symbol ${s}` })),
+      ...intervals.filter(i => !BAR_INTERVALS[i]).map(i => ({ field: 'intervals', message: `Unsupported interval ${i}` }))
+    ];
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid backfill request', details: invalid });
+    }
+
+    const from = parseBarTime(req.body?.from);
+    const to = parseBarTime(req.body?.to);
+    let results;
+
+    if (from || to) {
+      results = [];
+      for (const symbol of symbols) {
+        for (const interval of intervals) {
+          results.push(await backfillSeries(symbol, interval, { from, to }).catch(error => ({ symbol, interval, error: error.message })));
+        }
+      }
+    } else {
+      results = await syncAll({ symbols, intervals });
+    }
+
+    if (req.body?.repairGaps) {
+      for (const symbol of symbols) {
+        for (const interval of intervals) {
+          results.push(await repairGaps(symbol, interval).catch(error => ({ symbol, interval, error: error.message })));
+        }
+      }
+    }
+
+    res.json({ results, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Bar backfill error:', error);
+    res.status(500).json({ error: 'Failed to backfill bars', message: error.message });
+  }
+});
+
+// Missing bars in a stored series
+app.get('/api/bars/:symbol/gaps', (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { interval = '1d' } = req.query;
+
+    if (!YAHOO_SYMBOLS[symbol] || !BAR_INTERVALS[interval]) {
+      return res.status(400).json({ error: 'Invalid series', symbols: Object.keys(YAHOO_SYMBOLS), intervals: Object.keys(BAR_INTERVALS) });
+    }
+
+    const gaps = findGaps(symbol, interval, { from: parseBarTime(req.query.from), to: parseBarTime(req.query.to) });
+    res.json({
+      symbol,
+      interval,
+      count: gaps.length,
+      missingBars: gaps.reduce((sum, g) => sum + g.missingBars, 0),
+      gaps: gaps.map(g => ({ ...g, fromISO: new Date(g.from * 1000).toISOString(), toISO: new Date(g.to * 1000).toISOString() }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to find gaps', message: error.message });
+  }
+});
+
+// OHLCV bars: ?interval=1d&from=&to=&limit=&refresh=false
+app.get('/api/bars/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { interval = '1d', limit, refresh } = req.query;
+
+    if (!YAHOO_SYMBOLS[symbol] || !BAR_INTERVALS[interval]) {
+      return res.status(400).json({ error: 'Invalid series', symbols: Object.keys(YAHOO_SYMBOLS), intervals: Object.keys(BAR_INTERVALS) });
+    }
+
+    const bars = await loadBars(symbol, interval, {
+      from: parseBarTime(req.query.from),
+      to: parseBarTime(req.query.to),
+      limit: limit ? parseInt(limit) : null,
+      refresh: refresh !== 'false'
+    });
+
+    res.json({ symbol, interval, count: bars.length, bars });
+  } catch (error) {
+    console.error(`Bars error for ${req.params.symbol}:`, error);
+    res.status(500).json({ error: 'Failed to get bars', message: error.message });
+  }
+});
+
+// Front contract and roll status for every futures product
+app.get('/api/contracts', (req, res) => {
+  try {
+    const contracts = Object.keys(CONTRACT_SPECS).map(symbol => getRollStatus(symbol));
+    res.json({
+      contracts,
+      rolling: contracts.filter(contract => contract.isRollWeek).map(contract => contract.symbol),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Contract calendar error:', error);
+    res.status(500).json({ error: 'Failed to get contract calendar', message: error.message });
+  }
+});
+
+// Upcoming contracts with last trade / first notice / roll dates (?count=4)
+app.get('/api/contracts/:symbol', (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+
+    if (!CONTRACT_SPECS[symbol]) {
+      return res.status(400).json({ error: 'Invalid symbol', symbols: Object.keys(CONTRACT_SPECS) });
+    }
+
+    const count = Math.min(Math.max(parseInt(req.query.count) || 4, 1), 24);
+    res.json({
+      ...getRollStatus(symbol),
+      months: CONTRACT_SPECS[symbol].months.split(''),
+      contracts: listContracts(symbol, { count }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Contract calendar error for ${req.params.symbol}:`, error);
+    res.status(500).json({ error: 'Failed to get contract calendar', message: error.message });
+  }
+});
+
+// ============================================================================
+// OPTIONS ENDPOINTS (expected move, gamma levels)
+// ============================================================================
+
+// Expected move, call/put walls, zero gamma and dealer gamma for ES / NQ
+app.get('/api/options/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+
+    if (!OPTIONS_SYMBOLS[symbol]) {
+      return res.status(400).json({ error: 'Invalid symbol', symbols: Object.keys(OPTIONS_SYMBOLS) });
+    }
+
+    // Futures price for the index basis
+    let price = cachedData?.instruments?.[symbol]?.price;
+    if (!price) {
+      const futures = await fetchYahooFinanceFutures();
+      price = futures[symbol]?.price || null;
+    }
+
+    const analysis = await getOptionsLevels(symbol, { price, refresh: req.query.refresh === 'true' });
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'No options chain',
+        message: `No ${symbol} chain available - upload one to /api/options/chain or set OPTIONS_PROVIDER`
+      });
+    }
+
+    res.json({
+      ...analysis,
+      price,
+      levels: getOptionsLevelMap(analysis),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Options error for ${req.params.symbol}:`, error);
+    res.status(500).json({ error: 'Failed to analyze options', message: error.message });
+  }
+});
+
+// Upload a chain snapshot: { symbol, underlyingPrice, asOf, options: [...] } or { ..., csv }
+app.post('/api/options/chain', (req, res) => {
+  try {
+    const chain = setOptionsChain(req.body || {});
+    res.json({
+      symbol: chain.symbol,
+      underlyingSymbol: chain.underlyingSymbol,
+      asOf: chain.asOf,
+      anchorPrice: chain.anchorPrice,
+      anchorSource: chain.anchorSource,
+      options: chain.options.length,
+      expirations: [...new Set(chain.options.map(option => option.expiration))].sort(),
+      rejected: chain.rejected,
+      rejectedCount: chain.rejectedCount
+    });
+  } catch (error) {
+    // Validation messages lead with the offending field
+    res.status(400).json({
+      error: 'Invalid options chain',
+      details: [{ field: error.message.split(' ')[0], message: error.message }]
+    });
+  }
+});
+
 // Get technical analysis for a specific instrument
 app.get('/api/technicals/:symbol', async (req, res) => {
   try {
@@ -932,18 +1592,166 @@ app.post('/api/news/refresh', async (req, res) => {
   }
 });
 
-// Get news analysis cache status
-app.get('/api/news/status', (req, res) => {
-  res.json({
-    sheets: getGoogleSheetsCacheStatus(),
-    analysis: getAnalysisCacheStatus(),
-    unified: getUnifiedAnalysisCacheStatus(),
-    lastUpdate: new Date().toISOString()
-  });
-});
-
-// Get news sentiment summary (for final analysis)
-app.get('/api/news/sentiment', async (req, res) => {
+// Story clusters: headlines about one event across sources (?symbol=&developing=true&lastHours=&limit=&refresh=true)
+app.get('/api/news/stories', async (req, res) => {
+  try {
+    const { symbol, developing, lastHours, refresh } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    if (!(limit >= 1 && limit <= 200)) {
+      return res.status(400).json({ error: 'Invalid stories query', details: [{ field: 'limit', message: 'Use 1-200' }] });
+    }
+
+    // Pull and score the latest headlines into their stories (served from cache when fresh)
+    await analyzeAllSourcesNews({ forceRefresh: refresh === 'true' });
+
+    const stories = getStories({
+      symbol,
+      developing: developing === 'true',
+      lastHours: lastHours ? parseInt(lastHours) : null,
+      limit
+    });
+
+    res.json({
+      count: stories.length,
+      stories,
+      status: getStoryStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('News stories error:', error);
+    res.status(500).json({ error: 'Failed to get news stories', message: error.message });
+  }
+});
+
+// Search the news archive (?q=&symbol=&impact=HIGH,MEDIUM&source=&bias=&from=&to=&limit=&offset=)
+app.get('/api/news/search', (req, res) => {
+  try {
+    const { q = '', symbol, impact, source, bias, from, to } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+    const details = [];
+    // Repeated params (?symbol=ES&symbol=NQ) arrive as arrays
+    for (const field of ['q', 'symbol', 'impact', 'source', 'bias', 'from', 'to', 'limit', 'offset']) {
+      if (req.query[field] !== undefined && typeof req.query[field] !== 'string') {
+        details.push({ field, message: 'Pass this parameter once, as a single value' });
+      }
+    }
+    if (details.length) {
+      return res.status(400).json({ error: 'Invalid news search', details });
+    }
+
+    if (impact && !String(impact).toUpperCase().split(',').every(i => IMPACTS.includes(i.trim()))) {
+      details.push({ field: 'impact', message: `Use one or more of ${IMPACTS.join(', ')}` });
+    }
+    if (bias && !['bullish', 'bearish', 'neutral'].includes(String(bias).toLowerCase())) {
+      details.push({ field: 'bias', message: 'Use bullish, bearish or neutral' });
+    }
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) details.push({ field, message: 'Use an ISO date or time' });
+    }
+    if (!(limit >= 1 && limit <= 200)) details.push({ field: 'limit', message: 'Use 1-200' });
+    if (!(offset >= 0)) details.push({ field: 'offset', message: 'Use 0 or more' });
+    if (details.length) {
+      return res.status(400).json({ error: 'Invalid news search', details });
+    }
+
+    res.json({
+      query: { q, symbol: symbol || null, impact: impact || null, source: source || null, bias: bias || null, from: from || null, to: to || null },
+      ...searchNews({ q, symbol, impact, source, bias, from, to, limit, offset }),
+      offset,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('News search error:', error);
+    res.status(500).json({ error: 'Failed to search news', message: error.message });
+  }
+});
+
+// One instrument's archived news, newest first (?before=<nextCursor>&limit=20)
+app.get('/api/news/timeline/:symbol', (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+    if (!(limit >= 1 && limit <= 200)) {
+      return res.status(400).json({ error: 'Invalid timeline query', details: [{ field: 'limit', message: 'Use 1-200' }] });
+    }
+
+    res.json({
+      ...getNewsTimeline(req.params.symbol, { before: req.query.before || null, limit }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`News timeline error for ${req.params.symbol}:`, error);
+    res.status(500).json({ error: 'Failed to get news timeline', message: error.message });
+  }
+});
+
+// Rule-based analysis of headlines (body: { headlines: ["...", { headline, summary }] } or { headline })
+app.post('/api/news/classify', (req, res) => {
+  try {
+    const { headline, headlines = headline ? [headline] : [] } = req.body || {};
+    if (!Array.isArray(headlines) || headlines.length === 0 || headlines.length > 200) {
+      return res.status(400).json({ error: 'Invalid classify request', details: [{ field: 'headlines', message: 'Send 1-200 headlines' }] });
+    }
+    const invalid = headlines.findIndex(h => !(typeof h === 'string' ? h.trim() : h?.headline));
+    if (invalid !== -1) {
+      return res.status(400).json({ error: 'Invalid classify request', details: [{ field: `headlines[${invalid}]`, message: 'Use a headline string or { headline, summary }' }] });
+    }
+
+    res.json({
+      count: headlines.length,
+      results: headlines.map(h => classifyHeadline(h)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('News classify error:', error);
+    res.status(500).json({ error: 'Failed to classify headlines', message: error.message });
+  }
+});
+
+// How much archived headlines moved their symbols, by category and source (?symbol=ES&days=90)
+app.get('/api/news/reactions', (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+    if (!(days >= 1 && days <= 365)) {
+      return res.status(400).json({ error: 'Invalid reactions query', details: [{ field: 'days', message: 'Use 1-365' }] });
+    }
+
+    res.json({
+      ...getNewsReactionStats({ symbol: req.query.symbol, days }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('News reactions error:', error);
+    res.status(500).json({ error: 'Failed to get news reactions', message: error.message });
+  }
+});
+
+// Measure open headline reactions now instead of waiting for the tracker
+app.post('/api/news/reactions/update', async (req, res) => {
+  try {
+    res.json(await updateNewsReactions());
+  } catch (error) {
+    console.error('Update news reactions error:', error);
+    res.status(500).json({ error: 'Failed to update news reactions', message: error.message });
+  }
+});
+
+// Get news analysis cache status
+app.get('/api/news/status', (req, res) => {
+  res.json({
+    sheets: getGoogleSheetsCacheStatus(),
+    analysis: getAnalysisCacheStatus(),
+    unified: getUnifiedAnalysisCacheStatus(),
+    sources: getNewsSourceStatus(),
+    archive: getNewsArchiveStatus(),
+    stories: getStoryStatus(),
+    lastUpdate: new Date().toISOString()
+  });
+});
+
+// Get news sentiment summary (for final analysis)
+app.get('/api/news/sentiment', async (req, res) => {
   try {
     const { lastHours = 1 } = req.query;
     const sentiment = await getNewsSentimentSummary({ lastHours: parseInt(lastHours) });
@@ -965,47 +1773,11 @@ app.get('/api/news/sentiment', async (req, res) => {
 // FINAL ANALYSIS ENDPOINT (Comprehensive Bias for 6 Instruments)
 // ============================================================================
 
-// Cache for market data (used by final analysis)
-let marketDataCache = null;
-let marketDataCacheTime = null;
-const MARKET_DATA_CACHE_DURATION = 2 * 60 * 1000; // 2 minutes
-
 // Get comprehensive final analysis with bias for ES, NQ, YM, RTY, GC, CL
 app.get('/api/final-analysis', async (req, res) => {
   try {
-    const now = Date.now();
-
-    // Get market data (use cache if available, otherwise fetch)
-    let marketData;
-    if (marketDataCache && marketDataCacheTime && (now - marketDataCacheTime) < MARKET_DATA_CACHE_DURATION) {
-      marketData = marketDataCache;
-    } else {
-      // Fetch fresh market data in parallel
-      const [futuresResult, currencyResult, sectorResult, mag7Result] = await Promise.allSettled([
-        fetchYahooFinanceFutures(),
-        fetchCurrencyFutures(),
-        fetchSectorETFs(),
-        fetchMag7Stocks()
-      ]);
-
-      const futures = futuresResult.status === 'fulfilled' ? futuresResult.value : {};
-      const currencies = currencyResult.status === 'fulfilled' ? currencyResult.value : {};
-      const sectors = sectorResult.status === 'fulfilled' ? sectorResult.value : {};
-      const mag7 = mag7Result.status === 'fulfilled' ? mag7Result.value : {};
-
-      marketData = {
-        vix: futures?.VIX?.price || 16,
-        vixChange: futures?.VIX?.changePercent || 0,
-        znChange: futures?.ZN?.changePercent || 0,
-        dxyChange: currencies?.DX?.changePercent || 0,
-        sectors,
-        mag7
-      };
-
-      // Cache market data
-      marketDataCache = marketData;
-      marketDataCacheTime = now;
-    }
+    // Get market data (cached for 2 minutes)
+    const marketData = await fetchFinalAnalysisMarketData();
 
     // Generate final analysis
     const analysis = await generateFinalAnalysis(marketData);
@@ -1017,6 +1789,7 @@ app.get('/api/final-analysis', async (req, res) => {
     }
 
     res.json(analysis);
+    recordFinalAnalysis(analysis);
   } catch (error) {
     console.error('Final analysis error:', error);
     res.status(500).json({
@@ -1031,34 +1804,9 @@ app.post('/api/final-analysis/refresh', async (req, res) => {
   try {
     // Clear all caches
     clearFinalAnalysisCache();
-    marketDataCache = null;
-    marketDataCacheTime = null;
 
     // Fetch fresh market data
-    const [futuresResult, currencyResult, sectorResult, mag7Result] = await Promise.allSettled([
-      fetchYahooFinanceFutures(),
-      fetchCurrencyFutures(),
-      fetchSectorETFs(),
-      fetchMag7Stocks()
-    ]);
-
-    const futures = futuresResult.status === 'fulfilled' ? futuresResult.value : {};
-    const currencies = currencyResult.status === 'fulfilled' ? currencyResult.value : {};
-    const sectors = sectorResult.status === 'fulfilled' ? sectorResult.value : {};
-    const mag7 = mag7Result.status === 'fulfilled' ? mag7Result.value : {};
-
-    const marketData = {
-      vix: futures?.VIX?.price || 16,
-      vixChange: futures?.VIX?.changePercent || 0,
-      znChange: futures?.ZN?.changePercent || 0,
-      dxyChange: currencies?.DX?.changePercent || 0,
-      sectors,
-      mag7
-    };
-
-    // Cache market data
-    marketDataCache = marketData;
-    marketDataCacheTime = Date.now();
+    const marketData = await fetchFinalAnalysisMarketData({ forceRefresh: true });
 
     // Generate fresh analysis
     const analysis = await generateFinalAnalysis(marketData, { forceRefresh: true });
@@ -1081,11 +1829,7 @@ app.post('/api/final-analysis/refresh', async (req, res) => {
 app.get('/api/final-analysis/status', (req, res) => {
   res.json({
     analysis: getFinalAnalysisCacheStatus(),
-    marketData: {
-      isCached: !!marketDataCache,
-      cacheAge: marketDataCacheTime ? Date.now() - marketDataCacheTime : null,
-      maxAge: MARKET_DATA_CACHE_DURATION
-    },
+    marketData: getMarketDataCacheStatus(),
     lastUpdate: new Date().toISOString()
   });
 });
@@ -1094,14 +1838,35 @@ app.get('/api/final-analysis/status', (req, res) => {
 // EARNINGS CALENDAR ENDPOINT
 // ============================================================================
 
-// Get today's earnings calendar
+// Upcoming earnings with timing, estimates, expected move and ES/NQ impact
+// ?days=14&symbols=AAPL,MSFT&all=true&refresh=true
 app.get('/api/earnings', async (req, res) => {
   try {
-    const earnings = await fetchEarningsCalendar();
+    // days: 0 = today only, up to 90
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 14;
+    const details = [];
+    if ((req.query.days !== undefined && !/^\d+$/.test(req.query.days)) || !(days >= 0 && days <= 90)) {
+      details.push({ field: 'days', message: 'Use a whole number 0-90' });
+    }
+    if (req.query.symbols !== undefined && typeof req.query.symbols !== 'string') {
+      details.push({ field: 'symbols', message: 'Pass a single comma list' });
+    }
+    if (details.length) {
+      return res.status(400).json({ error: 'Invalid earnings query', details });
+    }
+
+    if (req.query.refresh === 'true') {
+      await refreshEarningsCalendar();
+    }
+
+    const symbols = req.query.symbols ? String(req.query.symbols).split(',').map(s => s.trim()).filter(Boolean) : null;
+    const earnings = getEarningsCalendar({ days, symbols, all: req.query.all === 'true' });
 
     res.json({
       count: earnings.length,
       earnings,
+      byDay: summarizeEarningsByDay(earnings),
+      status: getEarningsStatus(),
       lastUpdate: new Date().toISOString()
     });
   } catch (error) {
@@ -1113,6 +1878,29 @@ app.get('/api/earnings', async (req, res) => {
   }
 });
 
+// Past reports for a ticker: estimates, actuals, implied vs actual move
+app.get('/api/earnings/history/:symbol', (req, res) => {
+  try {
+    res.json(getEarningsHistory(req.params.symbol));
+  } catch (error) {
+    console.error('Earnings history error:', error);
+    res.status(500).json({ error: 'Failed to load earnings history', message: error.message });
+  }
+});
+
+// Record the options-implied move for a report: { symbol, date, impliedMove (percent) }
+app.post('/api/earnings/implied-move', (req, res) => {
+  try {
+    res.json(setImpliedMove(req.body || {}));
+  } catch (error) {
+    // Validation messages lead with the offending field
+    res.status(400).json({
+      error: 'Invalid implied move',
+      details: [{ field: error.message.split(' ')[0], message: error.message }]
+    });
+  }
+});
+
 // ============================================================================
 // REAL-TIME SCANNER ENDPOINTS (TradingView Webhooks)
 // ============================================================================
@@ -1129,10 +1917,11 @@ app.post('/api/scanner/webhook', (req, res) => {
       });
     }
 
-    const result = processWebhook(payload);
+    const result = processWebhook(payload, req.headers);
 
     if (result.error) {
-      return res.status(400).json(result);
+      const { statusCode = 400, ...body } = result;
+      return res.status(statusCode).json(body);
     }
 
     // Handle different response types
@@ -1218,6 +2007,43 @@ app.get('/api/scanner/orderflow', (req, res) => {
   }
 });
 
+// Get the JSON schemas each scanner payload is validated against
+app.get('/api/scanner/schemas', (req, res) => {
+  res.json({
+    schemas: WEBHOOK_SCHEMAS,
+    authRequired: getWebhookAuthStatus(),
+    auth: {
+      secret: 'body "secret" or X-Webhook-Secret header',
+      timestamp: 'body "timestamp"/"ts" or X-Webhook-Timestamp header (unix s/ms or ISO)',
+      nonce: 'optional body "nonce" or X-Webhook-Nonce header'
+    }
+  });
+});
+
+// Get scanner entries from past trading days
+// Supports query params: ?date=2026-10-19&symbol=ES (omit date to list available days)
+app.get('/api/scanner/history', (req, res) => {
+  try {
+    const { date, symbol } = req.query;
+    const history = getScannerHistory(date, symbol);
+
+    if (!history) {
+      return res.status(404).json({
+        error: 'No history',
+        message: `No scanner data recorded for ${date}`
+      });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Scanner history error:', error);
+    res.status(500).json({
+      error: 'Failed to get scanner history',
+      message: error.message
+    });
+  }
+});
+
 // Get scanner data for specific symbol
 app.get('/api/scanner/:symbol', (req, res) => {
   try {
@@ -1274,32 +2100,104 @@ app.get('/api/session/current', (req, res) => {
   }
 });
 
-// Get all session levels (for handoff between sessions)
+// Exchange holidays and early closes (CME Globex / NYSE)
+// Supports ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the next 12 months)
+app.get('/api/session/holidays', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const details = ['from', 'to']
+      .filter(field => req.query[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[field]))
+      .map(field => ({ field, message: `${field} must be YYYY-MM-DD` }));
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid holiday query', details });
+    }
+
+    const holidays = getMarketHolidays({ from, to });
+    res.json({
+      today: { globex: getMarketDay(), nyse: getMarketDay(new Date(), 'NYSE') },
+      count: holidays.length,
+      holidays,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Market holidays error:', error);
+    res.status(500).json({ error: 'Failed to get market holidays', message: error.message });
+  }
+});
+
+// Get session levels (for handoff between sessions)
+// Supports symbol query param: ?symbol=ES (omit for all tracked symbols)
 app.get('/api/session/levels', (req, res) => {
   try {
-    const handoff = getSessionHandoff();
+    const { symbol } = req.query;
+    const handoff = getSessionHandoff(symbol);
     res.json(handoff);
   } catch (error) {
     res.status(500).json({ error: 'Failed to get session levels' });
   }
 });
 
-// Get session summary for a specific session (for AI analysis)
+// Get archived sessions (filled by the session clock at each session end)
+// Supports query params: ?symbol=ES&date=2026-10-19 (both optional)
+app.get('/api/session/history', (req, res) => {
+  try {
+    const { symbol, date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date', message: 'Use YYYY-MM-DD' });
+    }
+
+    const history = getSessionHistory({ symbol, date });
+    res.json({
+      count: history.length,
+      history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Session history error:', error);
+    res.status(500).json({ error: 'Failed to get session history' });
+  }
+});
+
+// Get session summary for a specific session and symbol (for AI analysis)
 app.get('/api/session/summary/:session', (req, res) => {
   try {
-    const summary = getSessionSummary(req.params.session.toUpperCase());
+    const { symbol } = req.query;
+
+    if (!symbol) {
+      return res.status(400).json({ error: 'Missing symbol', message: 'Use ?symbol=ES' });
+    }
+
+    const summary = getSessionSummary(symbol, req.params.session.toUpperCase());
     res.json(summary || { error: 'Session not found' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get session summary' });
   }
 });
 
-// Update session data (from TradingView webhook or other sources)
+// Update session data for a symbol (from TradingView webhook or other sources)
 app.post('/api/session/update', (req, res) => {
   try {
-    const { session, priceData } = req.body;
-    updateSessionLevels(session, priceData);
-    res.json({ success: true });
+    const { symbol, session, priceData } = req.body;
+
+    if (!symbol || !session) {
+      return res.status(400).json({
+        error: 'Missing symbol or session',
+        message: 'Body must include symbol, session and priceData'
+      });
+    }
+
+    const levels = updateSessionLevels(symbol, session.toUpperCase(), priceData);
+
+    if (!levels) {
+      return res.status(400).json({
+        error: 'Invalid session',
+        message: `Session ${session} is not tracked. Use: ${TRACKED_SESSIONS.join(', ')}`
+      });
+    }
+
+    res.json({ success: true, symbol: symbol.toUpperCase(), session: session.toUpperCase(), levels });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update session' });
   }
@@ -1399,23 +2297,11 @@ app.get('/api/levels/:symbol', async (req, res) => {
       return res.status(404).json({ error: `Price not found for ${symbol}` });
     }
 
-    // Get session levels
-    const sessionData = getSessionHandoff();
-
-    // Build levels object
+    // Build levels object (prior day + this symbol's session/IB levels)
     const levels = {
       'PDH': cachedData?.instruments?.[symbol]?.high || currentPrice * 1.005,
       'PDL': cachedData?.instruments?.[symbol]?.low || currentPrice * 0.995,
-      'Asia High': sessionData.sessions.ASIA?.high,
-      'Asia Low': sessionData.sessions.ASIA?.low,
-      'Asia IB High': sessionData.initialBalances.ASIA?.high,
-      'Asia IB Low': sessionData.initialBalances.ASIA?.low,
-      'London High': sessionData.sessions.LONDON?.high,
-      'London Low': sessionData.sessions.LONDON?.low,
-      'London IB High': sessionData.initialBalances.LONDON?.high,
-      'London IB Low': sessionData.initialBalances.LONDON?.low,
-      'US IB High': sessionData.initialBalances.US_RTH?.high,
-      'US IB Low': sessionData.initialBalances.US_RTH?.low
+      ...getSessionLevelMap(symbol)
     };
 
     // Calculate pivots if we have PDH/PDL
@@ -1432,6 +2318,24 @@ app.get('/api/levels/:symbol', async (req, res) => {
       levels['S2'] = pivots.s2;
     }
 
+    // Options levels (ES / NQ): walls, zero gamma, expected move
+    if (OPTIONS_SYMBOLS[symbol]) {
+      try {
+        Object.assign(levels, getOptionsLevelMap(await getOptionsLevels(symbol, { price: currentPrice })));
+      } catch (error) {
+        console.error(`Options levels error for ${symbol}:`, error.message);
+      }
+    }
+
+    // Volume profile: POC / value area, prior day, naked POCs
+    if (YAHOO_SYMBOLS[symbol]) {
+      try {
+        Object.assign(levels, getProfileLevelMap(await getVolumeProfiles(symbol)));
+      } catch (error) {
+        console.error(`Volume profile error for ${symbol}:`, error.message);
+      }
+    }
+
     const result = getNearestLevels(symbol, currentPrice, levels);
 
     res.json({
@@ -1444,6 +2348,37 @@ app.get('/api/levels/:symbol', async (req, res) => {
   }
 });
 
+// Volume and TPO profiles per session (?interval=5m|1m&days=10&rows=true)
+app.get('/api/profile/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const interval = req.query.interval || '5m';
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 10;
+
+    const details = [];
+    if (!YAHOO_SYMBOLS[symbol]) details.push({ field: 'symbol', message: `Use one of ${Object.keys(YAHOO_SYMBOLS).join(', ')}` });
+    if (!PROFILE_INTERVALS.includes(interval)) details.push({ field: 'interval', message: `Use one of ${PROFILE_INTERVALS.join(', ')}` });
+    if (!(days >= 1 && days <= 40)) details.push({ field: 'days', message: 'Use 1-40' });
+    if (details.length) {
+      return res.status(400).json({ error: 'Invalid profile query', details });
+    }
+
+    const profiles = await getVolumeProfiles(symbol, { interval, days });
+    if (!profiles) {
+      return res.status(404).json({ error: `No ${interval} bars for ${symbol}` });
+    }
+
+    res.json({
+      ...(req.query.rows === 'true' ? profiles : summarizeProfiles(profiles)),
+      levels: getProfileLevelMap(profiles),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Volume profile error for ${req.params.symbol}:`, error);
+    res.status(500).json({ error: 'Failed to build volume profile', message: error.message });
+  }
+});
+
 // Get tick info for a symbol
 app.get('/api/ticks/:symbol', (req, res) => {
   try {
@@ -1550,6 +2485,28 @@ app.get('/api/sweeps', (req, res) => {
   }
 });
 
+// Get all sweeps from a past trading day
+// Supports query params: ?date=2026-10-19&symbol=ES
+app.get('/api/sweeps/history', (req, res) => {
+  try {
+    const { date, symbol } = req.query;
+
+    if (!date) {
+      return res.status(400).json({ error: 'Missing date', message: 'Use ?date=YYYY-MM-DD' });
+    }
+
+    const sweeps = getSweepsByDate(date, symbol);
+    res.json({
+      date,
+      count: sweeps.length,
+      sweeps,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get sweep history' });
+  }
+});
+
 // Get sweeps for a specific symbol
 app.get('/api/sweeps/:symbol', (req, res) => {
   try {
@@ -1621,8 +2578,14 @@ app.get('/api/analysis/full', async (req, res) => {
       console.warn('Could not fetch news for AI analysis:', e.message);
     }
 
-    // Get levels
+    // Get levels (session highs/lows plus ES/NQ volume profiles)
     const levels = getSessionHandoff();
+    try {
+      const [es, nq] = await Promise.all([getVolumeProfiles('ES'), getVolumeProfiles('NQ')]);
+      levels.volumeProfile = { ES: summarizeProfiles(es), NQ: summarizeProfiles(nq) };
+    } catch (e) {
+      console.warn('Could not build volume profiles for AI analysis:', e.message);
+    }
 
     // Get sweeps
     const sweeps = getRecentSweeps(null, 10);
@@ -1658,6 +2621,7 @@ app.get('/api/analysis/full', async (req, res) => {
     });
 
     res.json(analysis);
+    recordAIAnalysis(analysis);
   } catch (error) {
     console.error('Full analysis error:', error);
     res.status(500).json({ error: 'Analysis failed', message: error.message });
@@ -1820,6 +2784,7 @@ app.get('/api/es/live', async (req, res) => {
   try {
     const data = await getESCommandCenter();
     res.json(data);
+    recordESCommandCenter(data);
   } catch (error) {
     console.error('ES Command Center error:', error);
     res.status(500).json({
@@ -1843,8 +2808,369 @@ app.get('/api/es/bias-breakdown', async (req, res) => {
   }
 });
 
+// ============================================================================
+// REAL-TIME STREAM (Server-Sent Events)
+// ============================================================================
+
+// Subscribe to pushed events
+// Query params: ?topics=scanner,sweeps,session,es-bias&symbols=ES,NQ&since=<eventId>
+// Reconnecting EventSource clients resume automatically via Last-Event-ID
+app.get('/api/stream', (req, res) => {
+  subscribe(req, res);
+});
+
+// Get stream status (subscribers, buffered events, latest cursor)
+app.get('/api/stream/status', (req, res) => {
+  res.json({
+    ...getEventStreamStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ALERT RULE ENDPOINTS
+// ============================================================================
+
+// List alert rules
+app.get('/api/alerts/rules', (req, res) => {
+  const rules = listRules();
+  res.json({
+    count: rules.length,
+    rules,
+    topics: RULE_TOPICS,
+    operators: OPERATORS
+  });
+});
+
+// Get a single alert rule
+app.get('/api/alerts/rules/:id', (req, res) => {
+  const rule = getRule(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found', message: `No rule with id ${req.params.id}` });
+  }
+
+  res.json(rule);
+});
+
+// Create an alert rule
+app.post('/api/alerts/rules', (req, res) => {
+  try {
+    const result = createRule(req.body);
+
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid rule', details: result.errors });
+    }
+
+    res.status(201).json(result.rule);
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({ error: 'Failed to create rule', message: error.message });
+  }
+});
+
+// Replace an alert rule
+app.put('/api/alerts/rules/:id', (req, res) => {
+  try {
+    const result = updateRule(req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Rule not found', message: `No rule with id ${req.params.id}` });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid rule', details: result.errors });
+    }
+
+    res.json(result.rule);
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({ error: 'Failed to update rule', message: error.message });
+  }
+});
+
+// Delete an alert rule
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  if (!deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Rule not found', message: `No rule with id ${req.params.id}` });
+  }
+
+  res.json({ success: true, message: 'Rule deleted' });
+});
+
+// Get fired alerts (optionally filtered by rule or symbol)
+app.get('/api/alerts/history', (req, res) => {
+  try {
+    const { ruleId, symbol, limit } = req.query;
+    const alerts = getAlertHistory({ ruleId, symbol, limit: limit ? parseInt(limit) : 50 });
+
+    res.json({
+      count: alerts.length,
+      alerts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get alert history' });
+  }
+});
+
+// ============================================================================
+// TRACK RECORD (prediction ledger)
+// ============================================================================
+
+// Rolling accuracy per engine, symbol and session (?engine=&symbol=&session=)
+app.get('/api/track-record', (req, res) => {
+  try {
+    const { engine, symbol, session } = req.query;
+    res.json({ ...getTrackRecord({ engine, symbol, session }), engines: LEDGER_ENGINES });
+  } catch (error) {
+    console.error('Track record error:', error);
+    res.status(500).json({ error: 'Failed to get track record', message: error.message });
+  }
+});
+
+// Individual ledger entries (?engine=&symbol=&status=open|graded|superseded|unresolved&limit=)
+app.get('/api/track-record/calls', (req, res) => {
+  const { engine, symbol, status, limit } = req.query;
+  const calls = getPredictions({ engine, symbol, status, limit: limit ? parseInt(limit) : 100 });
+  res.json({ count: calls.length, calls });
+});
+
+// Grade any calls whose session has closed now instead of waiting for the grader
+app.post('/api/track-record/grade', async (req, res) => {
+  try {
+    res.json(await gradePredictions());
+  } catch (error) {
+    console.error('Grade predictions error:', error);
+    res.status(500).json({ error: 'Failed to grade predictions', message: error.message });
+  }
+});
+
+// ============================================================================
+// BACKTEST ENDPOINTS
+// ============================================================================
+
+// Send a backtest run as JSON, or CSV with ?format=csv&view=predictions|summary|calibration|factors
+function sendBacktestResult(req, res, result) {
+  const view = req.query.view || 'predictions';
+  const wantsPredictions = req.query.predictions === 'true' || (req.query.format === 'csv' && view === 'predictions');
+  if (wantsPredictions && result.predictions === null) {
+    return res.status(404).json({
+      error: 'Predictions not available',
+      message: `Only summaries are stored - predictions for run ${result.id} are gone, rerun it to export them`
+    });
+  }
+
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="backtest-${result.id}-${view}.csv"`);
+    return res.send(backtestToCSV(result, view));
+  }
+
+  // Predictions are large - only included on request
+  if (req.query.predictions === 'true') {
+    return res.json(result);
+  }
+  const { predictions, ...rest } = result;
+  res.json({ ...rest, predictionsAvailable: predictions !== null });
+}
+
+// Start a backtest job: { from, to (YYYY-MM-DD), engines, symbols } -> 202 with the job to poll
+app.post('/api/backtest/run', (req, res) => {
+  try {
+    const { from, to, engines, symbols } = req.body || {};
+    const job = startBacktestJob({ from, to, engines, symbols });
+
+    if (job.errors) {
+      return res.status(400).json({ error: 'Invalid backtest request', details: job.errors, engines: BACKTEST_ENGINES });
+    }
+    if (job.busy) {
+      return res.status(409).json({ error: 'Backtest already running', message: `Job ${job.busy.id} is still running`, job: job.busy });
+    }
+
+    res.status(202).json({ ...job, statusUrl: `/api/backtest/jobs/${job.id}`, resultUrl: `/api/backtest/runs/${job.id}` });
+  } catch (error) {
+    console.error('Backtest error:', error);
+    res.status(500).json({ error: 'Backtest failed', message: error.message });
+  }
+});
+
+// Backtest job status (the run is under /api/backtest/runs/:id once complete)
+app.get('/api/backtest/jobs/:id', (req, res) => {
+  const job = getBacktestJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: `No backtest job with id ${req.params.id}` });
+  }
+
+  res.json(job);
+});
+
+// Recent backtest runs
+app.get('/api/backtest/runs', (req, res) => {
+  res.json({ runs: listBacktestRuns(), engines: BACKTEST_ENGINES });
+});
+
+// A stored backtest run
+app.get('/api/backtest/runs/:id', (req, res) => {
+  const result = getBacktestRun(req.params.id);
+
+  if (!result) {
+    return res.status(404).json({ error: 'Run not found', message: `No backtest run with id ${req.params.id}` });
+  }
+
+  sendBacktestResult(req, res, result);
+});
+
+// ============================================================================
+// NOTIFIER ENDPOINTS
+// ============================================================================
+
+// List notification channels (secrets masked)
+app.get('/api/notify/channels', (req, res) => {
+  const channels = listChannels();
+  res.json({
+    count: channels.length,
+    channels: channels.map(describeChannel),
+    transports: TRANSPORTS,
+    events: NOTIFICATION_KINDS
+  });
+});
+
+// Create a notification channel
+app.post('/api/notify/channels', (req, res) => {
+  try {
+    const result = saveChannel(req.body);
+
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid channel', details: result.errors });
+    }
+
+    res.status(201).json(describeChannel(result.channel));
+  } catch (error) {
+    console.error('Create channel error:', error);
+    res.status(500).json({ error: 'Failed to create channel', message: error.message });
+  }
+});
+
+// Replace a notification channel
+app.put('/api/notify/channels/:id', (req, res) => {
+  try {
+    if (!listChannels().some(c => c.id === req.params.id)) {
+      return res.status(404).json({ error: 'Channel not found', message: `No channel with id ${req.params.id}` });
+    }
+
+    const result = saveChannel(req.body, req.params.id);
+
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid channel', details: result.errors });
+    }
+
+    res.json(describeChannel(result.channel));
+  } catch (error) {
+    console.error('Update channel error:', error);
+    res.status(500).json({ error: 'Failed to update channel', message: error.message });
+  }
+});
+
+// Delete a notification channel
+app.delete('/api/notify/channels/:id', (req, res) => {
+  if (!deleteChannel(req.params.id)) {
+    return res.status(404).json({ error: 'Channel not found', message: `No channel with id ${req.params.id}` });
+  }
+
+  res.json({ success: true, message: 'Channel deleted' });
+});
+
+// Send a test message through a channel (single attempt)
+app.post('/api/notify/channels/:id/test', async (req, res) => {
+  try {
+    const result = await testChannel(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Channel not found', message: `No channel with id ${req.params.id}` });
+    }
+
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Test channel error:', error);
+    res.status(500).json({ error: 'Failed to test channel', message: error.message });
+  }
+});
+
+// Push a brief now (?type=market|daily, optional channelId in body)
+app.post('/api/notify/brief', async (req, res) => {
+  try {
+    const type = req.query.type === 'daily' ? 'daily' : 'market';
+    const result = await sendBrief(type, req.body?.channelId || null);
+    res.json(result);
+  } catch (error) {
+    console.error('Send brief error:', error);
+    res.status(500).json({ error: 'Failed to send brief', message: error.message });
+  }
+});
+
+// Push any high-impact headlines not yet sent
+app.post('/api/notify/news', async (req, res) => {
+  try {
+    res.json(await checkHighImpactNews());
+  } catch (error) {
+    console.error('Send news error:', error);
+    res.status(500).json({ error: 'Failed to send news', message: error.message });
+  }
+});
+
+// Deliveries that failed after every retry
+app.get('/api/notify/dead-letters', (req, res) => {
+  const entries = getDeadLetters(req.query.limit ? parseInt(req.query.limit) : 50);
+  res.json({ count: entries.length, deadLetters: entries });
+});
+
+// Retry a dead letter
+app.post('/api/notify/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const result = await retryDeadLetter(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found', message: `No dead letter with id ${req.params.id}` });
+    }
+
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (error) {
+    console.error('Retry dead letter error:', error);
+    res.status(500).json({ error: 'Failed to retry dead letter', message: error.message });
+  }
+});
+
+// Clear the dead-letter log
+app.delete('/api/notify/dead-letters', (req, res) => {
+  clearDeadLetters();
+  res.json({ success: true, message: 'Dead letters cleared' });
+});
+
+// Recompute ES bias while stream clients or alert rules listen for es-bias changes
+const ES_STREAM_POLL_INTERVAL = 30 * 1000; // matches the ES Command Center cache TTL
+
+function pollESBiasForStream() {
+  if (getSubscriberCount('es-bias') === 0 && !hasRulesForTopic('es-bias')) return;
+
+  getESCommandCenter().catch(error => {
+    console.error('ES stream poll error:', error.message);
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`Jinah Dashboard API running on port ${PORT}`);
+  startSessionScheduler();
+  startAlertEngine();
+  startNotifier();
+  startBarStoreScheduler();
+  startPredictionGrader();
+  startCOTImporter();
+  startPutCallImporter();
+  startEconomicSurpriseTracker();
+  startEarningsTracker();
+  startNewsReactionTracker();
+  setInterval(pollESBiasForStream, ES_STREAM_POLL_INTERVAL);
   console.log(`Dashboard endpoint: http://localhost:${PORT}/api/dashboard`);
   console.log(`Final Analysis: http://localhost:${PORT}/api/final-analysis`);
   console.log(`News Analysis (All Sources): http://localhost:${PORT}/api/news/analyzed`);
@@ -1854,4 +3180,13 @@ app.listen(PORT, () => {
   console.log(`Session Info: http://localhost:${PORT}/api/session/current`);
   console.log(`Chatbot: http://localhost:${PORT}/api/chat`);
   console.log(`ES Command Center: http://localhost:${PORT}/api/es/live`);
+  console.log(`Event stream: http://localhost:${PORT}/api/stream`);
+});
+
+// Write pending state to disk before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    flushAll();
+    process.exit(0);
+  });
 });
@@ -23,6 +23,8 @@ import {
   buildReportsCalendar
 } from './fundamentalReports.js';
 import { fetchComprehensiveEconomicData, getEconomicSummaryForAgent, analyzeEconomicSignals } from './fred.js';
+import { getEconomicSurpriseIndex, getEconomicSurpriseSummaryForAgent } from './economicSurprise.js';
+import { detectSymbols, NEWS_KEYWORD_MAP, KEYWORD_GROUP_TO_SYMBOLS } from './newsClassifier.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
@@ -113,232 +115,9 @@ function getInstrumentReportsToday(symbol) {
 }
 
 // ============================================================================
-// NEWS KEYWORD DICTIONARY - Maps keywords to affected instruments
-// From INSTRUMENT_DRIVERS_REFERENCE.md
+// NEWS KEYWORD TAGGING - Dictionary lives in newsClassifier.js
 // ============================================================================
 
-const NEWS_KEYWORD_MAP = {
-
-  // === US INDICES ===
-  ES_NQ_YM_RTY: [
-    'Fed', 'FOMC', 'Powell', 'rate cut', 'rate hike', 'interest rate',
-    'CPI', 'inflation', 'PCE', 'NFP', 'payroll', 'jobs report',
-    'GDP', 'recession', 'ISM', 'manufacturing PMI', 'services PMI',
-    'consumer confidence', 'retail sales', 'unemployment'
-  ],
-  NQ_SPECIFIC: [
-    'NVDA', 'Nvidia', 'AAPL', 'Apple', 'MSFT', 'Microsoft',
-    'GOOGL', 'Google', 'Alphabet', 'META', 'Facebook',
-    'AMZN', 'Amazon', 'TSLA', 'Tesla',
-    'semiconductor', 'AI chip', 'artificial intelligence',
-    'antitrust', 'tech regulation', 'cloud spending',
-    'SOX', 'chip stocks', 'Magnificent Seven', 'Mag7'
-  ],
-  YM_SPECIFIC: [
-    'UnitedHealth', 'UNH', 'Goldman Sachs', 'JPMorgan',
-    'Boeing', 'Caterpillar', 'Dow Jones',
-    'infrastructure bill', 'defense spending',
-    'dividend', 'blue chip', 'industrial production',
-    'durable goods', 'trade tariff'
-  ],
-  RTY_SPECIFIC: [
-    'small cap', 'Russell 2000', 'IWM',
-    'regional bank', 'KRE', 'community bank',
-    'small business', 'NFIB', 'credit tightening',
-    'junk bond', 'high yield', 'IPO', 'M&A',
-    'biotech', 'FDA approval', 'PDUFA'
-  ],
-
-  // === METALS ===
-  GC_GOLD: [
-    'gold', 'bullion', 'gold reserve', 'GLD',
-    'PBOC gold', 'central bank buying',
-    'safe haven', 'real yield', 'COMEX gold',
-    'London fix', 'India gold', 'China gold',
-    'gold mine', 'Newmont', 'Barrick'
-  ],
-  SI_SILVER: [
-    'silver', 'SLV', 'silver mine',
-    'solar panel', 'photovoltaic',
-    'gold silver ratio', 'industrial metal',
-    'COMEX silver'
-  ],
-  HG_COPPER: [
-    'copper', 'Dr. Copper', 'LME copper',
-    'copper mine', 'Chile copper', 'Peru copper',
-    'Freeport', 'copper inventory',
-    'EV copper', 'electric vehicle copper',
-    'data center copper', 'power grid'
-  ],
-
-  // === ENERGY ===
-  CL_CRUDE: [
-    'crude oil', 'WTI', 'Brent', 'OPEC',
-    'oil inventory', 'EIA petroleum', 'API inventory',
-    'Baker Hughes', 'rig count', 'oil production',
-    'SPR', 'strategic petroleum', 'refinery',
-    'Iran', 'Saudi', 'OPEC+', 'production cut',
-    'Houthi', 'Red Sea', 'Strait of Hormuz',
-    'oil tanker', 'pipeline', 'Cushing'
-  ],
-  NG_NATGAS: [
-    'natural gas', 'Henry Hub', 'LNG',
-    'EIA storage', 'gas storage', 'gas injection',
-    'polar vortex', 'heating degree', 'cooling degree',
-    'Freeport LNG', 'gas pipeline', 'gas production',
-    'TTF', 'European gas'
-  ],
-  RB_GASOLINE: [
-    'gasoline', 'RBOB', 'gas prices',
-    'crack spread', 'refinery utilization',
-    'driving season', 'summer blend',
-    'ethanol', 'RIN credit', 'fuel demand'
-  ],
-
-  // === AGRICULTURE ===
-  ZC_CORN: [
-    'corn', 'USDA corn', 'ethanol', 'corn belt',
-    'Iowa', 'Illinois', 'planting', 'corn harvest',
-    'WASDE corn', 'corn export', 'feed grain',
-    'crop condition', 'corn drought'
-  ],
-  ZS_SOYBEANS: [
-    'soybean', 'USDA soy', 'soy crush',
-    'China soybean', 'Brazil soybean', 'Argentina soy',
-    'soy export', 'WASDE soy', 'bean harvest'
-  ],
-  ZW_WHEAT: [
-    'wheat', 'Black Sea grain', 'Russia wheat',
-    'Ukraine grain', 'wheat export', 'WASDE wheat',
-    'India wheat ban', 'Kansas wheat',
-    'spring wheat', 'winter wheat'
-  ],
-  ZM_SOYMEAL: [
-    'soybean meal', 'NOPA crush', 'feed demand',
-    'livestock feed', 'meal export', 'Argentina meal'
-  ],
-  ZL_SOYOIL: [
-    'soybean oil', 'renewable diesel', 'biodiesel',
-    'RIN', 'EPA renewable', 'palm oil',
-    'canola', 'rapeseed', 'cooking oil'
-  ],
-  LE_CATTLE: [
-    'cattle', 'beef', 'cattle on feed',
-    'beef cutout', 'packer margin', 'cattle herd',
-    'beef export', 'drought pasture', 'feeder cattle'
-  ],
-  HE_HOGS: [
-    'lean hog', 'pork', 'hogs and pigs',
-    'pork cutout', 'hog slaughter', 'African swine fever',
-    'ASF', 'pork export', 'China pork'
-  ],
-
-  // === CURRENCIES ===
-  DX_DOLLAR: [
-    'dollar index', 'DXY', 'US dollar',
-    'dollar strength', 'greenback',
-    'reserve currency', 'de-dollarization'
-  ],
-  E6_EURO: [
-    'ECB', 'Lagarde', 'euro', 'eurozone',
-    'German economy', 'IFO', 'ZEW',
-    'EU PMI', 'European growth', 'Italian debt',
-    'French election', 'EU fiscal'
-  ],
-  J6_YEN: [
-    'BOJ', 'Bank of Japan', 'yen', 'Ueda',
-    'yield curve control', 'YCC', 'Japan intervention',
-    'MOF intervention', 'carry trade', 'yen unwind',
-    'Japan CPI', 'Tokyo CPI', 'Nikkei'
-  ],
-  B6_POUND: [
-    'BOE', 'Bank of England', 'pound', 'sterling',
-    'UK CPI', 'UK GDP', 'UK employment', 'UK wages',
-    'gilt', 'UK housing', 'UK PMI'
-  ],
-  A6_AUD: [
-    'RBA', 'Australian dollar', 'Aussie',
-    'iron ore', 'Australia employment',
-    'Australia CPI', 'China stimulus'
-  ],
-  C6_CAD: [
-    'Bank of Canada', 'BOC', 'Canadian dollar', 'loonie',
-    'Canada jobs', 'Canada employment',
-    'USMCA', 'Canada housing', 'Canadian oil'
-  ],
-  S6_CHF: [
-    'SNB', 'Swiss National Bank', 'Swiss franc',
-    'Switzerland', 'SNB intervention',
-    'Swiss CPI', 'safe haven franc'
-  ],
-
-  // === CRYPTO ===
-  BTC_BITCOIN: [
-    'Bitcoin', 'BTC', 'IBIT', 'FBTC',
-    'Bitcoin ETF', 'spot ETF', 'crypto regulation',
-    'SEC crypto', 'MicroStrategy', 'MSTR', 'Saylor',
-    'halving', 'mining hash rate', 'Coinbase',
-    'Bitcoin reserve', 'crypto executive order'
-  ],
-  ETH_ETHEREUM: [
-    'Ethereum', 'ETH', 'Ether',
-    'ETH ETF', 'DeFi', 'smart contract',
-    'layer 2', 'Arbitrum', 'staking',
-    'gas fee', 'Vitalik', 'NFT'
-  ],
-
-  // === INTERNATIONAL ===
-  DAX_GERMAN: [
-    'DAX', 'German', 'Germany', 'Bundesbank',
-    'VW', 'BMW', 'Siemens', 'SAP',
-    'German PMI', 'German industry', 'Scholz',
-    'German auto', 'EU tariff'
-  ],
-  FTSE_UK: [
-    'FTSE', 'London Stock Exchange', 'UK market',
-    'BP', 'Shell', 'Rio Tinto', 'Glencore',
-    'AstraZeneca', 'HSBC', 'UK economy'
-  ],
-  STOXX_EU: [
-    'Euro Stoxx', 'European stocks', 'EU market',
-    'ASML', 'LVMH', 'TotalEnergies',
-    'European bank', 'Eurozone', 'EU growth'
-  ]
-};
-
-// Map keyword groups to actual trading symbols
-const KEYWORD_GROUP_TO_SYMBOLS = {
-  ES_NQ_YM_RTY: ['ES', 'NQ', 'YM', 'RTY'],
-  NQ_SPECIFIC: ['NQ'],
-  YM_SPECIFIC: ['YM'],
-  RTY_SPECIFIC: ['RTY'],
-  GC_GOLD: ['GC'],
-  SI_SILVER: ['SI'],
-  HG_COPPER: ['HG'],
-  CL_CRUDE: ['CL'],
-  NG_NATGAS: ['NG'],
-  RB_GASOLINE: ['RB'],
-  ZC_CORN: ['ZC'],
-  ZS_SOYBEANS: ['ZS'],
-  ZW_WHEAT: ['ZW'],
-  ZM_SOYMEAL: ['ZM'],
-  ZL_SOYOIL: ['ZL'],
-  LE_CATTLE: ['LE'],
-  HE_HOGS: ['HE'],
-  DX_DOLLAR: ['DX'],
-  E6_EURO: ['6E'],
-  J6_YEN: ['6J'],
-  B6_POUND: ['6B'],
-  A6_AUD: ['6A'],
-  C6_CAD: ['6C'],
-  S6_CHF: ['6S'],
-  BTC_BITCOIN: ['BTC'],
-  ETH_ETHEREUM: ['ETH'],
-  DAX_GERMAN: ['DAX'],
-  FTSE_UK: ['FTSE'],
-  STOXX_EU: ['STOXX']
-};
-
 /**
  * Tag a headline with affected symbols based on keyword matching
  * @param {string} headline - The news headline text
@@ -347,20 +126,7 @@ const KEYWORD_GROUP_TO_SYMBOLS = {
 function tagHeadlineWithSymbols(headline) {
   if (!headline) return [];
 
-  const headlineLower = headline.toLowerCase();
-  const affectedSymbols = new Set();
-
-  for (const [group, keywords] of Object.entries(NEWS_KEYWORD_MAP)) {
-    for (const keyword of keywords) {
-      if (headlineLower.includes(keyword.toLowerCase())) {
-        const symbols = KEYWORD_GROUP_TO_SYMBOLS[group] || [];
-        symbols.forEach(s => affectedSymbols.add(s));
-        break; // Found a match in this group, move to next group
-      }
-    }
-  }
-
-  return Array.from(affectedSymbols);
+  return detectSymbols(headline);
 }
 
 /**
@@ -520,18 +286,19 @@ async function macroAgent(macroData, priceData = null) {
     }
   }
 
-  // Fetch fundamental data (EIA, USDA, COT, Put/Call, Economic Indicators)
+  // Fetch fundamental data (EIA, USDA, COT, Put/Call, Economic Indicators, Surprise Index)
   let fundamentalData = {};
   try {
-    const [eiaData, usdaData, cotData, putCallData, economicData] = await Promise.all([
+    const [eiaData, usdaData, cotData, putCallData, economicData, economicSurprise] = await Promise.all([
       fetchAllEnergyData(process.env.EIA_API_KEY).catch(() => null),
       fetchAllAgricultureData(process.env.USDA_API_KEY).catch(() => null),
       Promise.resolve(getAllCOTData()),
       Promise.resolve(getPutCallRatio()),
-      fetchComprehensiveEconomicData(process.env.FRED_API_KEY).catch(() => null)
+      fetchComprehensiveEconomicData(process.env.FRED_API_KEY).catch(() => null),
+      Promise.resolve().then(() => getEconomicSurpriseIndex()).catch(() => null)
     ]);
 
-    fundamentalData = { eiaData, usdaData, cotData, putCallData, economicData };
+    fundamentalData = { eiaData, usdaData, cotData, putCallData, economicData, economicSurprise };
   } catch (err) {
     console.log('Could not fetch fundamental data:', err.message);
   }
@@ -606,6 +373,14 @@ ${fundamentalData.economicData.signals.map(s => `- ${s.indicator}: ${s.signal} [
     }
   }
 
+  // Releases vs consensus, rolled into the surprise index
+  if (fundamentalData.economicSurprise) {
+    fundamentalSection += `
+ECONOMIC SURPRISE INDEX (last ${fundamentalData.economicSurprise.windowDays} days, +100 = beating consensus by 1 std dev):
+${getEconomicSurpriseSummaryForAgent(fundamentalData.economicSurprise)}
+`;
+  }
+
   // Add reports calendar with scenarios
   if (reportsData.summary) {
     fundamentalSection += `
@@ -632,6 +407,7 @@ IMPORTANT: Use the CALCULATED METRICS and FUNDAMENTAL DATA above as your primary
 - EIA data for CL/NG direction (draws = bullish, builds = bearish)
 - COT positioning extremes (crowded long = contrarian bearish, crowded short = contrarian bullish)
 - Put/Call ratio for sentiment (high = contrarian bullish, low = contrarian bearish)
+- Economic surprise index (positive growth/employment = data beating expectations; positive inflation = hotter than expected, hawkish for ZN/GC)
 - SCHEDULED REPORTS: If a report is TODAY, warn about volatility for affected instruments and provide the bullish/bearish scenarios
 
 Respond in JSON format ONLY (no markdown, no explanation):
@@ -644,6 +420,7 @@ Respond in JSON format ONLY (no markdown, no explanation):
   "yieldSignals": {"realYield": "", "carryTrade": ""},
   "energySignals": {"crude": "", "natgas": ""},
   "positioningSignals": {"cotExtreme": "", "putCallSignal": ""},
+  "economicSurprise": {"trend": "beating/missing/in-line", "implication": ""},
   "eventRisk": {"level": "HIGH/MEDIUM/LOW", "reports": [], "warning": ""},
   "correlationAlerts": [],
   "overallBias": "bullish/bearish/neutral"
@@ -853,6 +630,7 @@ export {
   // Keyword tagging utilities
   tagHeadlineWithSymbols,
   preprocessNewsWithTags,
+  // Re-export keyword dictionary
   NEWS_KEYWORD_MAP,
   KEYWORD_GROUP_TO_SYMBOLS,
   // Re-export calculated metrics
@@ -0,0 +1,414 @@
+/**
+ * Alert Engine - Rule-based alerts over scanner, sweep, level and bias events
+ *
+ * Rules are JSON and are evaluated whenever an event on one of their topics
+ * is published (see eventStream.js). Example:
+ *
+ * {
+ *   "name": "ES swept Asia Low and reclaimed during London IB",
+ *   "on": ["sweeps"],
+ *   "symbols": ["ES"],
+ *   "when": { "all": [
+ *     { "fact": "sweep.levelName", "op": "eq", "value": "Asia Low" },
+ *     { "fact": "sweep.reclaimed", "op": "eq", "value": true },
+ *     { "fact": "session.key", "op": "eq", "value": "LONDON" },
+ *     { "fact": "session.isIB", "op": "eq", "value": true }
+ *   ]},
+ *   "cooldownMinutes": 30,
+ *   "severity": "high",
+ *   "message": "{{symbol}} swept {{sweep.levelName}} at {{sweep.sweepPrice}}"
+ * }
+ *
+ * Facts available to conditions:
+ * - sweep:     The sweep that triggered the event (sweeps topic)
+ * - ict:       Latest ICT scanner entry for the symbol
+ * - orderflow: Latest Order Flow scanner entry for the symbol
+ * - session:   getCurrentSession() for the symbol (key, isIB, levels...)
+ * - levels:    getLevelsWithDistance() output - levels.nearest, levels.byName['Asia Low']
+ * - esBias:    Latest ES net bias (direction, confidence...)
+ * - event:     The raw event (topic, symbol, data)
+ *
+ * Operators: eq, neq, gt, gte, lt, lte, in, contains, exists,
+ *            changed (optional from/to - compares with the value this rule saw last time)
+ * Groups: { all: [...] }, { any: [...] }, { not: {...} }
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+import { onEvent, publishEvent, EVENT_TOPICS } from './eventStream.js';
+import { getScannerData } from './scannerWebhook.js';
+import { getCurrentSession, getSessionLevelMap } from './sessionEngine.js';
+import { getLevelsWithDistance } from './levelCalculator.js';
+import { resolvePath, renderTemplate } from './templates.js';
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists', 'changed'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const RULE_TOPICS = EVENT_TOPICS.filter(t => t !== 'alerts');
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const MAX_ALERT_HISTORY = 500;
+
+const alertRules = getCollection('alert_rules');
+const alertStore = getCollection('alert_history');
+let alertHistory = alertStore.get('recent') || [];
+
+// Per rule+symbol state: last fired time and last seen fact values (for 'changed')
+const ruleState = new Map();
+let latestESBias = null;
+let unsubscribe = null;
+
+// ============================================================================
+// RULE VALIDATION
+// ============================================================================
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push({ field: path, message: 'must be a condition object' });
+    return;
+  }
+
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      errors.push({ field: `${path}.${key}`, message: 'must be a non-empty array' });
+      return;
+    }
+    condition[key].forEach((c, i) => validateCondition(c, `${path}.${key}[${i}]`, errors));
+    return;
+  }
+
+  if (condition.not) {
+    validateCondition(condition.not, `${path}.not`, errors);
+    return;
+  }
+
+  if (typeof condition.fact !== 'string' || !condition.fact) {
+    errors.push({ field: `${path}.fact`, message: 'is required' });
+  }
+  if (!OPERATORS.includes(condition.op)) {
+    errors.push({ field: `${path}.op`, message: `must be one of ${OPERATORS.join(', ')}` });
+  }
+  if (!['exists', 'changed'].includes(condition.op) && condition.value === undefined) {
+    errors.push({ field: `${path}.value`, message: 'is required' });
+  }
+  if (condition.op === 'in' && !Array.isArray(condition.value)) {
+    errors.push({ field: `${path}.value`, message: 'must be an array for op "in"' });
+  }
+}
+
+/**
+ * Validate a rule definition
+ * @returns {Array} - List of { field, message } errors (empty when valid)
+ */
+function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return [{ field: '', message: 'rule must be an object' }];
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+  if (!Array.isArray(rule.on) || rule.on.length === 0) {
+    errors.push({ field: 'on', message: `must list at least one topic (${RULE_TOPICS.join(', ')})` });
+  } else {
+    rule.on.filter(t => !RULE_TOPICS.includes(t))
+      .forEach(t => errors.push({ field: 'on', message: `unknown topic ${t}` }));
+  }
+  if (rule.symbols !== undefined && rule.symbols !== null &&
+      !(Array.isArray(rule.symbols) && rule.symbols.every(s => typeof s === 'string' && s.trim()))) {
+    errors.push({ field: 'symbols', message: 'must be an array of symbols' });
+  }
+  if (rule.cooldownMinutes !== undefined && !(rule.cooldownMinutes >= 0)) {
+    errors.push({ field: 'cooldownMinutes', message: 'must be a number >= 0' });
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    errors.push({ field: 'severity', message: `must be one of ${SEVERITIES.join(', ')}` });
+  }
+
+  validateCondition(rule.when, 'when', errors);
+  return errors;
+}
+
+// ============================================================================
+// RULE CRUD
+// ============================================================================
+
+function normalizeRule(input, existing = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: existing.id || input.id || crypto.randomUUID(),
+    name: input.name.trim(),
+    enabled: input.enabled ?? true,
+    on: input.on,
+    symbols: input.symbols ? input.symbols.map(s => s.toUpperCase()) : null,
+    when: input.when,
+    cooldownMinutes: input.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+    severity: input.severity || 'medium',
+    message: input.message || input.name,
+    createdAt: existing.createdAt || now,
+    updatedAt: now
+  };
+}
+
+function listRules() {
+  return Array.from(alertRules.values());
+}
+
+function getRule(id) {
+  return alertRules.get(id) || null;
+}
+
+/**
+ * Create a rule
+ * @returns {Object} - { rule } or { errors }
+ */
+function createRule(input) {
+  const errors = validateRule(input);
+  if (errors.length > 0) return { errors };
+
+  if (input.id && alertRules.has(input.id)) {
+    return { errors: [{ field: 'id', message: `rule ${input.id} already exists` }] };
+  }
+
+  const rule = normalizeRule(input);
+  alertRules.set(rule.id, rule);
+  return { rule };
+}
+
+/**
+ * Replace a rule (PUT semantics)
+ * @returns {Object|null} - { rule } or { errors }, null when the rule doesn't exist
+ */
+function updateRule(id, input) {
+  const existing = alertRules.get(id);
+  if (!existing) return null;
+
+  const errors = validateRule(input);
+  if (errors.length > 0) return { errors };
+
+  const rule = normalizeRule(input, existing);
+  alertRules.set(id, rule);
+  clearRuleState(id);
+  return { rule };
+}
+
+function deleteRule(id) {
+  clearRuleState(id);
+  return alertRules.delete(id);
+}
+
+function clearRuleState(ruleId) {
+  for (const key of ruleState.keys()) {
+    if (key.startsWith(`${ruleId}:`)) ruleState.delete(key);
+  }
+}
+
+/**
+ * Check whether any enabled rule listens on a topic
+ */
+function hasRulesForTopic(topic) {
+  return listRules().some(rule => rule.enabled && rule.on.includes(topic));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    case 'gt': return typeof actual === 'number' && actual > expected;
+    case 'gte': return typeof actual === 'number' && actual >= expected;
+    case 'lt': return typeof actual === 'number' && actual < expected;
+    case 'lte': return typeof actual === 'number' && actual <= expected;
+    case 'in': return expected.includes(actual);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.toUpperCase().includes(String(expected).toUpperCase());
+    case 'exists': return actual !== undefined && actual !== null;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a condition tree. Every leaf is evaluated (no short-circuit) so
+ * 'changed' conditions always record the latest value.
+ */
+function evaluateCondition(condition, facts, memory) {
+  if (condition.all) {
+    return condition.all.map(c => evaluateCondition(c, facts, memory)).every(Boolean);
+  }
+  if (condition.any) {
+    return condition.any.map(c => evaluateCondition(c, facts, memory)).some(Boolean);
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts, memory);
+  }
+
+  const actual = resolvePath(facts, condition.fact);
+
+  if (condition.op === 'changed') {
+    const hasPrevious = memory.has(condition.fact);
+    const previous = memory.get(condition.fact);
+    memory.set(condition.fact, actual);
+
+    if (!hasPrevious || previous === actual || actual === undefined) return false;
+    if (condition.from !== undefined && previous !== condition.from) return false;
+    if (condition.to !== undefined && actual !== condition.to) return false;
+    return true;
+  }
+
+  return compare(condition.op, actual, condition.value);
+}
+
+/**
+ * Build the fact set a rule is evaluated against
+ */
+function buildFacts(event, symbol) {
+  const scanner = symbol ? getScannerData(symbol) : null;
+  const session = getCurrentSession(new Date(), symbol);
+
+  const price = event.topic === 'sweeps'
+    ? event.data.closePrice
+    : scanner?.ict?.price || scanner?.orderflow?.price;
+
+  let levels = null;
+  if (symbol && price) {
+    const list = getLevelsWithDistance(symbol, price, getSessionLevelMap(symbol));
+    levels = {
+      price,
+      nearest: list[0] || null,
+      list,
+      byName: Object.fromEntries(list.map(level => [level.name, level]))
+    };
+  }
+
+  return {
+    symbol,
+    event,
+    sweep: event.topic === 'sweeps' ? event.data : null,
+    ict: scanner?.ict || null,
+    orderflow: scanner?.orderflow || null,
+    session,
+    levels,
+    esBias: latestESBias
+  };
+}
+
+function recordAlert(alert) {
+  alertHistory.unshift(alert);
+  if (alertHistory.length > MAX_ALERT_HISTORY) {
+    alertHistory = alertHistory.slice(0, MAX_ALERT_HISTORY);
+  }
+  alertStore.set('recent', alertHistory);
+}
+
+/**
+ * Evaluate every enabled rule listening on the event's topic
+ * @returns {Array} - Alerts fired
+ */
+function evaluateEvent(event) {
+  if (event.topic === 'alerts') return [];
+
+  if (event.topic === 'es-bias') {
+    latestESBias = event.data.current;
+  }
+
+  const fired = [];
+  const now = Date.now();
+
+  for (const rule of listRules()) {
+    if (!rule.enabled || !rule.on.includes(event.topic)) continue;
+
+    const symbol = event.symbol || (rule.symbols?.length === 1 ? rule.symbols[0] : null);
+    if (rule.symbols && (!symbol || !rule.symbols.includes(symbol))) continue;
+
+    const stateKey = `${rule.id}:${symbol || '*'}`;
+    if (!ruleState.has(stateKey)) {
+      ruleState.set(stateKey, { lastFiredAt: 0, suppressed: 0, memory: new Map() });
+    }
+    const state = ruleState.get(stateKey);
+
+    const facts = buildFacts(event, symbol);
+    if (!evaluateCondition(rule.when, facts, state.memory)) continue;
+
+    // Cooldown / dedup per rule and symbol
+    if (now - state.lastFiredAt < rule.cooldownMinutes * 60 * 1000) {
+      state.suppressed++;
+      continue;
+    }
+
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      symbol,
+      severity: rule.severity,
+      message: renderTemplate(rule.message, facts),
+      topic: event.topic,
+      eventId: event.id,
+      suppressedSinceLast: state.suppressed,
+      timestamp: new Date(now).toISOString()
+    };
+
+    state.lastFiredAt = now;
+    state.suppressed = 0;
+    recordAlert(alert);
+    fired.push(alert);
+
+    console.log(`[Alert] ${alert.severity.toUpperCase()} ${alert.ruleName}: ${alert.message}`);
+    publishEvent('alerts', symbol, alert);
+  }
+
+  return fired;
+}
+
+/**
+ * Get fired alerts, newest first
+ * @param {Object} options - { ruleId, symbol, limit }
+ */
+function getAlertHistory({ ruleId = null, symbol = null, limit = 50 } = {}) {
+  let filtered = alertHistory;
+
+  if (ruleId) {
+    filtered = filtered.filter(a => a.ruleId === ruleId);
+  }
+  if (symbol) {
+    filtered = filtered.filter(a => a.symbol === symbol.toUpperCase());
+  }
+
+  return filtered.slice(0, limit);
+}
+
+/**
+ * Start evaluating rules against published events
+ */
+function startAlertEngine() {
+  if (unsubscribe) return;
+  unsubscribe = onEvent(evaluateEvent);
+  console.log(`[Alert] Engine started with ${alertRules.size} rule(s)`);
+}
+
+function stopAlertEngine() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
+
+export {
+  startAlertEngine,
+  stopAlertEngine,
+  evaluateEvent,
+  validateRule,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  hasRulesForTopic,
+  getAlertHistory,
+  OPERATORS,
+  RULE_TOPICS
+};
@@ -2,50 +2,91 @@
 // Free tier: 25 requests/day
 // Get API key: https://www.alphavantage.co/support/#api-key
 
+import { getEconomicCalendar } from './economicCalendar.js';
+
 const API_KEY = process.env.ALPHA_VANTAGE_API_KEY || 'demo';
 
-// Fetch economic calendar - uses our built-in calendar with real dates
-// Alpha Vantage doesn't provide a proper economic calendar API
-export async function fetchEconomicCalendar() {
-  // Always return our curated economic calendar with proper dates
-  // This includes NFP, CPI, FOMC, and other scheduled high-impact events
-  return getDefaultEconomicEvents();
+// Fetch economic calendar - US data releases from the rule-driven calendar
+// engine (economicCalendar.js). Alpha Vantage doesn't provide an economic calendar API
+export async function fetchEconomicCalendar({ days = 14 } = {}) {
+  return getEconomicCalendar({ days, categories: 'economic' }).map(release => ({
+    date: release.date,
+    time: release.timeLabel,
+    event: release.name,
+    importance: release.importance,
+    previous: formatReleaseValue(release.expectations?.previous, release.expectations?.unit),
+    forecast: formatReleaseValue(release.expectations?.consensus, release.expectations?.unit),
+    actual: null,
+    affectedInstruments: release.affectedInstruments,
+    source: release.source
+  }));
+}
+
+// 256 (K) -> "256K", 0.3 (% MoM) -> "0.3%", 214000 (claims) -> "214K"
+function formatReleaseValue(value, unit) {
+  if (value === null || value === undefined) return null;
+  if (unit === 'claims') return `${Math.round(value / 1000)}K`;
+  if (unit === 'K') return `${Math.round(value)}K`;
+  if (unit?.startsWith('%')) return `${value}%`;
+  return String(value);
+}
+
+// Alpha Vantage reports timing as pre-market / post-market
+const AV_TIMING = { 'pre-market': 'BMO', 'post-market': 'AMC' };
+
+// Split one CSV line (company names can be quoted and contain commas)
+function splitCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else current += char;
+  }
+  fields.push(current.trim());
+  return fields;
 }
 
-// Fetch earnings calendar
-export async function fetchEarningsCalendar() {
+// Fetch earnings calendar (one request covers the whole horizon: 3month, 6month or 12month)
+// Returns [{ symbol, company, date, fiscalDateEnding, epsEstimate, currency, timing }]
+export async function fetchEarningsCalendar({ horizon = '3month' } = {}) {
   try {
-    const url = `https://www.alphavantage.co/query?function=EARNINGS_CALENDAR&horizon=1day&apikey=${API_KEY}`;
+    const url = `https://www.alphavantage.co/query?function=EARNINGS_CALENDAR&horizon=${horizon}&apikey=${API_KEY}`;
 
     const response = await fetch(url);
     const text = await response.text();
 
-    // Parse CSV response
+    // Parse CSV response (rate-limit notices come back as JSON instead)
     const lines = text.split('\n').filter(line => line.trim());
-    const headers = lines[0]?.split(',') || [];
-    const earnings = [];
-
-    for (let i = 1; i < Math.min(lines.length, 10); i++) {
-      const values = lines[i].split(',');
-      if (values.length >= 3) {
-        const symbol = values[0]?.replace(/"/g, '');
-        const reportDate = values[2]?.replace(/"/g, '');
+    const headers = splitCSVLine(lines[0] || '').map(h => h.toLowerCase());
+    if (!headers.includes('symbol') || !headers.includes('reportdate')) {
+      console.warn('Earnings calendar: unexpected Alpha Vantage response');
+      return [];
+    }
 
-        // Determine affected instruments based on sector
-        let affected = ['ES'];
-        if (['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'TSLA'].includes(symbol)) {
-          affected = ['NQ', 'ES'];
-        }
-        if (['JPM', 'BAC', 'WFC', 'GS'].includes(symbol)) {
-          affected = ['ES', 'YM'];
-        }
+    const col = (name) => headers.indexOf(name.toLowerCase());
+    const earnings = [];
 
-        earnings.push({
-          company: symbol,
-          time: 'TBD',
-          affectedInstruments: affected
-        });
-      }
+    for (const line of lines.slice(1)) {
+      const values = splitCSVLine(line);
+      const symbol = values[col('symbol')];
+      const date = values[col('reportDate')];
+      if (!symbol || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) continue;
+
+      const estimate = parseFloat(values[col('estimate')]);
+      earnings.push({
+        symbol,
+        company: values[col('name')] || symbol,
+        date,
+        fiscalDateEnding: values[col('fiscalDateEnding')] || null,
+        epsEstimate: Number.isFinite(estimate) ? estimate : null,
+        currency: values[col('currency')] || 'USD',
+        timing: AV_TIMING[values[col('timeOfTheDay')]] || 'TBD'
+      });
     }
 
     return earnings;
@@ -54,159 +95,3 @@ export async function fetchEarningsCalendar() {
     return [];
   }
 }
-
-// Default events when API fails or rate limited
-function getDefaultEconomicEvents() {
-  const now = new Date();
-
-  // Get upcoming economic events with actual dates
-  const upcomingEvents = getUpcomingEconomicCalendar(now);
-
-  // Filter to events within next 14 days
-  const twoWeeksFromNow = new Date(now);
-  twoWeeksFromNow.setDate(twoWeeksFromNow.getDate() + 14);
-
-  return upcomingEvents.filter(event => {
-    const eventDate = new Date(event.date);
-    return eventDate >= now && eventDate <= twoWeeksFromNow;
-  });
-}
-
-// Generate upcoming economic calendar with real dates
-function getUpcomingEconomicCalendar(fromDate) {
-  const events = [];
-  const year = fromDate.getFullYear();
-  const month = fromDate.getMonth();
-
-  // Helper: Find nth weekday of month (0=Sun, 1=Mon, ..., 5=Fri)
-  function getNthWeekdayOfMonth(year, month, weekday, n) {
-    const firstDay = new Date(year, month, 1);
-    const firstWeekday = firstDay.getDay();
-    let dayOffset = weekday - firstWeekday;
-    if (dayOffset < 0) dayOffset += 7;
-    const date = 1 + dayOffset + (n - 1) * 7;
-    return new Date(year, month, date);
-  }
-
-  // Helper: Get last weekday of month
-  function getLastWeekdayOfMonth(year, month, weekday) {
-    const lastDay = new Date(year, month + 1, 0);
-    const lastDayWeekday = lastDay.getDay();
-    let dayOffset = lastDayWeekday - weekday;
-    if (dayOffset < 0) dayOffset += 7;
-    return new Date(year, month + 1, -dayOffset);
-  }
-
-  // Generate events for current and next month
-  for (let m = 0; m <= 1; m++) {
-    const targetMonth = month + m;
-    const targetYear = targetMonth > 11 ? year + 1 : year;
-    const adjustedMonth = targetMonth % 12;
-
-    // Non-Farm Payrolls - First Friday of month
-    const nfpDate = getNthWeekdayOfMonth(targetYear, adjustedMonth, 5, 1);
-    events.push({
-      date: nfpDate.toISOString().split('T')[0],
-      time: '8:30 AM ET',
-      event: 'Non-Farm Payrolls',
-      importance: 'HIGH',
-      previous: '256K',
-      forecast: '170K',
-      actual: null
-    });
-
-    // Unemployment Rate - Same day as NFP
-    events.push({
-      date: nfpDate.toISOString().split('T')[0],
-      time: '8:30 AM ET',
-      event: 'Unemployment Rate',
-      importance: 'HIGH',
-      previous: '4.1%',
-      forecast: '4.1%',
-      actual: null
-    });
-
-    // CPI - Usually around 12th-14th of month
-    const cpiDate = new Date(targetYear, adjustedMonth, 12);
-    // Adjust to nearest Wednesday
-    while (cpiDate.getDay() !== 3) {
-      cpiDate.setDate(cpiDate.getDate() + 1);
-    }
-    events.push({
-      date: cpiDate.toISOString().split('T')[0],
-      time: '8:30 AM ET',
-      event: 'CPI (Consumer Price Index)',
-      importance: 'HIGH',
-      previous: '2.9%',
-      forecast: '2.8%',
-      actual: null
-    });
-
-    // Core CPI - Same day as CPI
-    events.push({
-      date: cpiDate.toISOString().split('T')[0],
-      time: '8:30 AM ET',
-      event: 'Core CPI (ex Food & Energy)',
-      importance: 'HIGH',
-      previous: '3.2%',
-      forecast: '3.1%',
-      actual: null
-    });
-
-    // Retail Sales - Around 15th of month
-    const retailDate = new Date(targetYear, adjustedMonth, 15);
-    // Adjust to nearest Thursday
-    while (retailDate.getDay() !== 4) {
-      retailDate.setDate(retailDate.getDate() + 1);
-    }
-    events.push({
-      date: retailDate.toISOString().split('T')[0],
-      time: '8:30 AM ET',
-      event: 'Retail Sales',
-      importance: 'HIGH',
-      previous: '0.4%',
-      forecast: '0.3%',
-      actual: null
-    });
-
-    // ISM Manufacturing PMI - First business day of month
-    const ismDate = new Date(targetYear, adjustedMonth, 1);
-    while (ismDate.getDay() === 0 || ismDate.getDay() === 6) {
-      ismDate.setDate(ismDate.getDate() + 1);
-    }
-    events.push({
-      date: ismDate.toISOString().split('T')[0],
-      time: '10:00 AM ET',
-      event: 'ISM Manufacturing PMI',
-      importance: 'HIGH',
-      previous: '49.3',
-      forecast: '49.5',
-      actual: null
-    });
-
-    // Initial Jobless Claims - Every Thursday
-    let thursday = new Date(targetYear, adjustedMonth, 1);
-    while (thursday.getDay() !== 4) {
-      thursday.setDate(thursday.getDate() + 1);
-    }
-    // Add all Thursdays of the month
-    while (thursday.getMonth() === adjustedMonth) {
-      events.push({
-        date: thursday.toISOString().split('T')[0],
-        time: '8:30 AM ET',
-        event: 'Initial Jobless Claims',
-        importance: 'MEDIUM',
-        previous: '214K',
-        forecast: '212K',
-        actual: null
-      });
-      thursday.setDate(thursday.getDate() + 7);
-    }
-  }
-
-  // Sort by date
-  events.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  // Filter out past events
-  return events.filter(e => new Date(e.date) >= new Date(fromDate.toISOString().split('T')[0]));
-}
@@ -0,0 +1,631 @@
+/**
+ * Backtest Runner - Scores the bias engines against what happened next
+ *
+ * Engines replayed:
+ * - finalAnalysis:     calculateInstrumentBiases (calculateESBias / calculateFinalBias...) for ES, NQ, YM, RTY, GC, CL
+ * - esCommandCenter:   detectDrivers + calculateNetBias for ES
+ * - expectationMeters: calculateExpectationMeters for ES, GC, CL
+ *
+ * For every trading day the runner sets the replay clock to that day's close,
+ * asks the data source for a market snapshot (nothing after the clock), runs
+ * each engine, and scores the predicted direction against the next session's
+ * close-to-close return.
+ *
+ * Data sources are injectable: { name, getDates({ from, to }), getSnapshot(date, clock),
+ * getForwardReturn(symbol, date) }. The default replays the local bar store;
+ * createSnapshotDataSource replays recorded snapshots (news, sectors, Mag7...).
+ *
+ * The API runs backtests as background jobs (startBacktestJob): days are
+ * replayed in chunks between event-loop turns so requests keep being served.
+ * Only run summaries are persisted; per-day predictions stay in memory for
+ * the most recent runs of this process.
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+import { getStoredBars } from './barStore.js';
+import { calculateInstrumentBiases } from './finalAnalysis.js';
+import { detectDrivers, calculateNetBias } from './esCommandCenter.js';
+import { calculateExpectationMeters } from './yahooFinance.js';
+
+const MAX_STORED_RUNS = 20;
+const MAX_PREDICTION_RUNS = 3;   // Runs whose predictions are kept in memory
+const MAX_JOBS = 20;
+const DAYS_PER_CHUNK = 25;       // Days replayed per event-loop turn
+const CONFIDENCE_BUCKETS = [[0, 39], [40, 49], [50, 59], [60, 69], [70, 79], [80, 89], [90, 100]];
+
+// Quotes a bar-store snapshot carries (DX = dollar index, ZN = 10Y note)
+const SNAPSHOT_SYMBOLS = ['ES', 'NQ', 'YM', 'RTY', 'GC', 'CL', 'VIX', 'ZN', 'DX'];
+
+const runs = getCollection('backtest_runs');
+const recentPredictions = new Map(); // run id -> predictions
+const jobs = new Map();
+
+// Runs stored before summaries-only kept every prediction - drop them
+for (const [id, run] of runs) {
+  if (Array.isArray(run.predictions)) {
+    const { predictions, ...summary } = run;
+    runs.set(id, { ...summary, predictionCount: predictions.length });
+  }
+}
+
+// ============================================================================
+// CLOCK & DATA SOURCES
+// ============================================================================
+
+/**
+ * Replay clock - the data source may only return what was known at now()
+ */
+function createReplayClock(start = new Date()) {
+  let current = new Date(start);
+
+  return {
+    now: () => new Date(current),
+    set(date) {
+      current = new Date(date);
+    }
+  };
+}
+
+/**
+ * Close of a trading date (YYYY-MM-DD). Daily bars are stamped 00:00 UTC of
+ * their trading date, so the end of that UTC day covers the whole bar.
+ */
+function endOfTradingDate(date) {
+  return new Date(`${date}T23:59:59Z`);
+}
+
+function toDateString(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Replay daily bars from the bar store. Snapshots hold quotes only
+ * (news, sectors and Mag7 are not stored historically, so those factors read neutral).
+ */
+function createBarStoreDataSource({ calendarSymbol = 'ES' } = {}) {
+  const series = new Map();
+
+  // Bars + date index per symbol, loaded once per run
+  const getSeries = (symbol) => {
+    if (!series.has(symbol)) {
+      const bars = getStoredBars(symbol, '1d');
+      series.set(symbol, { bars, index: new Map(bars.map((bar, i) => [toDateString(bar.time), i])) });
+    }
+    return series.get(symbol);
+  };
+
+  const quoteAsOf = (symbol, cutoff) => {
+    const { bars } = getSeries(symbol);
+
+    // Last bar at or before the cutoff (binary search - runs span decades)
+    let low = 0;
+    let high = bars.length - 1;
+    let i = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (bars[mid].time <= cutoff) {
+        i = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    if (i < 1) return null;
+
+    const bar = bars[i];
+    const previous = bars[i - 1];
+    return {
+      price: bar.close,
+      previousClose: previous.close,
+      change: bar.close - previous.close,
+      changePercent: ((bar.close - previous.close) / previous.close) * 100,
+      date: toDateString(bar.time)
+    };
+  };
+
+  return {
+    name: 'bar-store',
+
+    getDates({ from = null, to = null } = {}) {
+      return getSeries(calendarSymbol).bars
+        .map(bar => toDateString(bar.time))
+        .filter(date => (!from || date >= from) && (!to || date <= to));
+    },
+
+    getSnapshot(date, clock) {
+      const cutoff = Math.floor(clock.now().getTime() / 1000);
+      const quotes = {};
+
+      for (const symbol of SNAPSHOT_SYMBOLS) {
+        const quote = quoteAsOf(symbol, cutoff);
+        if (quote) quotes[symbol] = quote;
+      }
+
+      return { date, quotes, sectors: {}, mag7: {}, news: [], newsSentiment: null };
+    },
+
+    getForwardReturn(symbol, date) {
+      const { bars, index } = getSeries(symbol);
+      const i = index.get(date);
+      if (i === undefined || i + 1 >= bars.length) return null;
+      return ((bars[i + 1].close - bars[i].close) / bars[i].close) * 100;
+    }
+  };
+}
+
+/**
+ * Replay recorded snapshots: [{ date, quotes, sectors, mag7, news, newsSentiment,
+ * esData?, forwardReturns: { ES: 0.42, ... } }]
+ */
+function createSnapshotDataSource(snapshots) {
+  const byDate = new Map(snapshots.map(snapshot => [snapshot.date, snapshot]));
+  const dates = Array.from(byDate.keys()).sort();
+
+  return {
+    name: 'snapshots',
+    getDates: ({ from = null, to = null } = {}) =>
+      dates.filter(date => (!from || date >= from) && (!to || date <= to)),
+    getSnapshot: (date) => byDate.get(date),
+    getForwardReturn: (symbol, date) => byDate.get(date)?.forwardReturns?.[symbol] ?? null
+  };
+}
+
+// ============================================================================
+// ENGINE ADAPTERS - snapshot in, normalized predictions out
+// ============================================================================
+
+function directionFromLabel(label = '') {
+  const upper = String(label).toUpperCase();
+  if (upper.includes('BULLISH')) return 1;
+  if (upper.includes('BEARISH')) return -1;
+  return 0;
+}
+
+const ENGINES = {
+  finalAnalysis: {
+    symbols: ['ES', 'NQ', 'YM', 'RTY', 'GC', 'CL'],
+    run(snapshot, asOf) {
+      const { quotes } = snapshot;
+      const marketData = {
+        vix: quotes.VIX?.price || 16,
+        vixChange: quotes.VIX?.changePercent || 0,
+        znChange: quotes.ZN?.changePercent || 0,
+        dxyChange: quotes.DX?.changePercent || 0,
+        sectors: snapshot.sectors || {},
+        mag7: snapshot.mag7 || {}
+      };
+
+      // Reaction weights as of the replayed day - live weights were learned from later outcomes
+      const newsSentiment = snapshot.newsSentiment ? { ...snapshot.newsSentiment, asOf } : null;
+      const results = calculateInstrumentBiases(marketData, newsSentiment);
+      return Object.values(results).map(result => ({
+        symbol: result.instrument,
+        bias: result.bias,
+        direction: directionFromLabel(result.bias),
+        confidence: result.confidence,
+        factors: Object.fromEntries(Object.entries(result.factors).map(([name, f]) => [name, f.score]))
+      }));
+    }
+  },
+
+  esCommandCenter: {
+    symbols: ['ES'],
+    run(snapshot) {
+      const { quotes } = snapshot;
+      const data = snapshot.esData || {
+        es: quotes.ES,
+        correlations: { VIX: quotes.VIX, DXY: quotes.DX, NQ: quotes.NQ, RTY: quotes.RTY },
+        news: snapshot.news || []
+      };
+      if (!data.es) return [];
+
+      const drivers = detectDrivers(data);
+      const bias = calculateNetBias(drivers);
+
+      // Factor = signed driver impact, summed per driver type
+      const factors = {};
+      for (const driver of drivers) {
+        const sign = directionFromLabel(driver.direction);
+        factors[driver.type] = (factors[driver.type] || 0) + sign * driver.impact;
+      }
+
+      return [{
+        symbol: 'ES',
+        bias: bias.direction,
+        direction: directionFromLabel(bias.direction),
+        confidence: bias.confidence,
+        factors
+      }];
+    }
+  },
+
+  expectationMeters: {
+    symbols: ['ES', 'GC', 'CL'],
+    run(snapshot) {
+      const { quotes } = snapshot;
+      const meters = calculateExpectationMeters(
+        { VIX: quotes.VIX, ZN: quotes.ZN },
+        { DX: quotes.DX },
+        snapshot.news || []
+      );
+
+      return Object.entries(meters).map(([symbol, meter]) => ({
+        symbol,
+        bias: meter.label,
+        direction: directionFromLabel(meter.label),
+        confidence: meter.confidence * 10, // 1-10 scale
+        factors: Object.fromEntries(Object.entries(meter.factors).map(([name, f]) => [name, f.score]))
+      }));
+    }
+  }
+};
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+const round = (value, digits = 2) => (value === null || Number.isNaN(value) ? null : parseFloat(value.toFixed(digits)));
+
+function bucketLabel(confidence) {
+  const [min, max] = CONFIDENCE_BUCKETS.find(([, upper]) => Math.round(confidence) <= upper) || CONFIDENCE_BUCKETS[CONFIDENCE_BUCKETS.length - 1];
+  return `${min}-${max}`;
+}
+
+/**
+ * Hit rate by confidence bucket. calibrationError = count-weighted gap
+ * between average confidence and hit rate (0 = confidence means what it says).
+ */
+function calculateCalibration(calls) {
+  const buckets = new Map();
+
+  for (const call of calls) {
+    const label = bucketLabel(call.confidence);
+    if (!buckets.has(label)) buckets.set(label, { bucket: label, count: 0, hits: 0, confidenceSum: 0 });
+    const bucket = buckets.get(label);
+    bucket.count++;
+    bucket.hits += call.hit ? 1 : 0;
+    bucket.confidenceSum += call.confidence;
+  }
+
+  const rows = Array.from(buckets.values())
+    .sort((a, b) => parseInt(a.bucket) - parseInt(b.bucket))
+    .map(b => ({
+      bucket: b.bucket,
+      count: b.count,
+      hitRate: round((b.hits / b.count) * 100, 1),
+      avgConfidence: round(b.confidenceSum / b.count, 1)
+    }));
+
+  const total = rows.reduce((sum, r) => sum + r.count, 0);
+  const calibrationError = total > 0
+    ? rows.reduce((sum, r) => sum + Math.abs(r.hitRate - r.avgConfidence) * r.count, 0) / total
+    : null;
+
+  return { buckets: rows, calibrationError: round(calibrationError, 1) };
+}
+
+/**
+ * Per-factor attribution: how often each factor was active, how often its own
+ * sign matched the next-session move, and its average score signed by the outcome
+ * (positive = the factor leaned the right way on average).
+ */
+function calculateFactorAttribution(predictions) {
+  const factors = new Map();
+
+  for (const prediction of predictions) {
+    const outcome = Math.sign(prediction.forwardReturn);
+    if (outcome === 0) continue;
+
+    for (const [name, score] of Object.entries(prediction.factors)) {
+      if (!factors.has(name)) factors.set(name, { factor: name, active: 0, hits: 0, signedScoreSum: 0, agreeWithCall: 0 });
+      const stats = factors.get(name);
+      if (!score) continue;
+
+      stats.active++;
+      stats.hits += Math.sign(score) === outcome ? 1 : 0;
+      stats.signedScoreSum += score * outcome;
+      stats.agreeWithCall += prediction.direction !== 0 && Math.sign(score) === prediction.direction ? 1 : 0;
+    }
+  }
+
+  return Array.from(factors.values())
+    .map(stats => ({
+      factor: stats.factor,
+      active: stats.active,
+      hitRate: stats.active > 0 ? round((stats.hits / stats.active) * 100, 1) : null,
+      edge: stats.active > 0 ? round(stats.signedScoreSum / stats.active, 3) : null,
+      agreedWithCall: stats.agreeWithCall
+    }))
+    .sort((a, b) => (b.edge ?? -Infinity) - (a.edge ?? -Infinity));
+}
+
+function summarize(engine, symbol, predictions) {
+  const scored = predictions.filter(p => p.forwardReturn !== null);
+  const calls = scored.filter(p => p.direction !== 0);
+  const hits = calls.filter(p => p.hit).length;
+
+  // Return from trading every call in its predicted direction
+  const directionalReturns = calls.map(p => p.direction * p.forwardReturn);
+  const calibration = calculateCalibration(calls);
+
+  return {
+    engine,
+    symbol,
+    predictions: scored.length,
+    calls: calls.length,
+    neutral: scored.length - calls.length,
+    hits,
+    hitRate: calls.length > 0 ? round((hits / calls.length) * 100, 1) : null,
+    avgDirectionalReturn: calls.length > 0 ? round(directionalReturns.reduce((a, b) => a + b, 0) / calls.length, 3) : null,
+    cumulativeReturn: round(directionalReturns.reduce((a, b) => a + b, 0), 2),
+    calibrationError: calibration.calibrationError,
+    calibration: calibration.buckets,
+    factors: calculateFactorAttribution(scored)
+  };
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Validate run options
+ * @returns {Object[]} - [{ field, message }]
+ */
+function validateBacktestOptions({ from, to, engines, symbols } = {}) {
+  const errors = [];
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  if (from && !isDate(from)) errors.push({ field: 'from', message: 'must be YYYY-MM-DD' });
+  if (to && !isDate(to)) errors.push({ field: 'to', message: 'must be YYYY-MM-DD' });
+  if (engines && (!Array.isArray(engines) || engines.some(e => !ENGINES[e]))) {
+    errors.push({ field: 'engines', message: `must be an array of ${Object.keys(ENGINES).join(', ')}` });
+  }
+  if (symbols && !Array.isArray(symbols)) {
+    errors.push({ field: 'symbols', message: 'must be an array' });
+  }
+
+  return errors;
+}
+
+/**
+ * Replay snapshots through the bias engines and score them
+ * @param {Object} options - { from, to (YYYY-MM-DD), engines, symbols, dataSource, clock, save, onProgress }
+ * @returns {Promise<Object>} - { id, summary, predictions, ... } or { errors }
+ */
+async function runBacktest(options = {}) {
+  const errors = validateBacktestOptions(options);
+  if (errors.length > 0) return { errors };
+
+  const {
+    id = crypto.randomUUID(),
+    from = null,
+    to = null,
+    engines = Object.keys(ENGINES),
+    symbols = null,
+    dataSource = createBarStoreDataSource(),
+    clock = createReplayClock(),
+    save = true,
+    onProgress = null
+  } = options;
+
+  const wanted = symbols ? symbols.map(s => String(s).toUpperCase()) : null;
+  const predictions = [];
+  const dates = dataSource.getDates({ from, to });
+
+  for (let i = 0; i < dates.length; i++) {
+    // Let the event loop serve requests between chunks
+    if (i > 0 && i % DAYS_PER_CHUNK === 0) {
+      onProgress?.({ days: i, totalDays: dates.length, predictions: predictions.length });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const date = dates[i];
+    clock.set(endOfTradingDate(date));
+    const snapshot = dataSource.getSnapshot(date, clock);
+    if (!snapshot) continue;
+
+    for (const engine of engines) {
+      for (const prediction of ENGINES[engine].run(snapshot, clock.now())) {
+        if (wanted && !wanted.includes(prediction.symbol)) continue;
+
+        const forwardReturn = dataSource.getForwardReturn(prediction.symbol, date);
+        predictions.push({
+          date,
+          engine,
+          ...prediction,
+          forwardReturn: forwardReturn === null ? null : round(forwardReturn, 4),
+          hit: forwardReturn === null || prediction.direction === 0
+            ? null
+            : Math.sign(forwardReturn) === prediction.direction
+        });
+      }
+    }
+  }
+  onProgress?.({ days: dates.length, totalDays: dates.length, predictions: predictions.length });
+
+  // Group by engine + symbol
+  const groups = new Map();
+  for (const prediction of predictions) {
+    const key = `${prediction.engine}:${prediction.symbol}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(prediction);
+  }
+
+  const result = {
+    id,
+    dataSource: dataSource.name,
+    from: dates[0] || from,
+    to: dates[dates.length - 1] || to,
+    days: dates.length,
+    engines,
+    symbols: wanted,
+    reactionWeights: 'point-in-time',
+    summary: Array.from(groups.entries()).map(([key, group]) => {
+      const [engine, symbol] = key.split(':');
+      return summarize(engine, symbol, group);
+    }),
+    predictions,
+    generatedAt: new Date().toISOString()
+  };
+
+  if (save) saveRun(result);
+  console.log(`[Backtest] ${dates.length} days, ${predictions.length} predictions (${dataSource.name})`);
+
+  return result;
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+function trimJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => job.status !== 'running')
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  finished.slice(0, Math.max(0, jobs.size - MAX_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Start a backtest in the background (one at a time)
+ * @param {Object} options - runBacktest options
+ * @returns {Object} - job, { errors } or { busy: job already running }
+ */
+function startBacktestJob(options = {}) {
+  const errors = validateBacktestOptions(options);
+  if (errors.length > 0) return { errors };
+
+  const running = Array.from(jobs.values()).find(job => job.status === 'running');
+  if (running) return { busy: running };
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    options: { from: options.from || null, to: options.to || null, engines: options.engines || null, symbols: options.symbols || null },
+    progress: { days: 0, totalDays: null, predictions: 0 },
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  trimJobs();
+
+  // Start on the next turn so the request that queued it is answered first
+  setImmediate(() => {
+    runBacktest({ ...options, id: job.id, onProgress: progress => { job.progress = progress; } })
+      .then(() => {
+        job.status = 'complete';
+      })
+      .catch(error => {
+        console.error('[Backtest] Job failed:', error.message);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+  });
+
+  return job;
+}
+
+function getBacktestJob(id) {
+  return jobs.get(id) || null;
+}
+
+// ============================================================================
+// STORED RUNS & CSV
+// ============================================================================
+
+/**
+ * Persist the run summary; predictions are kept in memory for the latest runs only
+ */
+function saveRun(result) {
+  const { predictions, ...summary } = result;
+  runs.set(result.id, { ...summary, predictionCount: predictions.length });
+
+  recentPredictions.set(result.id, predictions);
+  const keys = Array.from(recentPredictions.keys());
+  keys.slice(0, Math.max(0, keys.length - MAX_PREDICTION_RUNS)).forEach(id => recentPredictions.delete(id));
+
+  const ordered = Array.from(runs.values()).sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+  ordered.slice(0, Math.max(0, ordered.length - MAX_STORED_RUNS)).forEach(run => runs.delete(run.id));
+}
+
+/**
+ * A stored run; predictions is null once they are no longer in memory
+ */
+function getBacktestRun(id) {
+  const run = runs.get(id);
+  return run ? { ...run, predictions: recentPredictions.get(id) || null } : null;
+}
+
+function listBacktestRuns() {
+  return Array.from(runs.values())
+    .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt))
+    .map(({ summary, ...run }) => ({
+      ...run,
+      predictionsAvailable: recentPredictions.has(run.id),
+      hitRates: summary.map(s => ({ engine: s.engine, symbol: s.symbol, hitRate: s.hitRate }))
+    }));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVRows(header, rows) {
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+}
+
+/**
+ * Render a run as CSV
+ * @param {Object} result - runBacktest result
+ * @param {string} view - predictions, summary, calibration or factors
+ */
+function backtestToCSV(result, view = 'predictions') {
+  switch (view) {
+    case 'summary':
+      return toCSVRows(
+        ['engine', 'symbol', 'predictions', 'calls', 'neutral', 'hits', 'hitRate', 'avgDirectionalReturn', 'cumulativeReturn', 'calibrationError'],
+        result.summary.map(s => [s.engine, s.symbol, s.predictions, s.calls, s.neutral, s.hits, s.hitRate, s.avgDirectionalReturn, s.cumulativeReturn, s.calibrationError])
+      );
+    case 'calibration':
+      return toCSVRows(
+        ['engine', 'symbol', 'bucket', 'count', 'hitRate', 'avgConfidence'],
+        result.summary.flatMap(s => s.calibration.map(b => [s.engine, s.symbol, b.bucket, b.count, b.hitRate, b.avgConfidence]))
+      );
+    case 'factors':
+      return toCSVRows(
+        ['engine', 'symbol', 'factor', 'active', 'hitRate', 'edge', 'agreedWithCall'],
+        result.summary.flatMap(s => s.factors.map(f => [s.engine, s.symbol, f.factor, f.active, f.hitRate, f.edge, f.agreedWithCall]))
+      );
+    default:
+      return toCSVRows(
+        ['date', 'engine', 'symbol', 'bias', 'direction', 'confidence', 'forwardReturn', 'hit', 'factors'],
+        result.predictions.map(p => [
+          p.date, p.engine, p.symbol, p.bias, p.direction, p.confidence, p.forwardReturn, p.hit,
+          Object.entries(p.factors).map(([name, score]) => `${name}:${round(score, 2)}`).join(';')
+        ])
+      );
+  }
+}
+
+const BACKTEST_ENGINES = Object.fromEntries(Object.entries(ENGINES).map(([name, engine]) => [name, engine.symbols]));
+
+export {
+  runBacktest,
+  startBacktestJob,
+  getBacktestJob,
+  validateBacktestOptions,
+  createReplayClock,
+  createBarStoreDataSource,
+  createSnapshotDataSource,
+  getBacktestRun,
+  listBacktestRuns,
+  backtestToCSV,
+  BACKTEST_ENGINES
+};
@@ -0,0 +1,551 @@
+/**
+ * Bar Store - Local OHLCV history for every YAHOO_SYMBOLS instrument
+ *
+ * Each series (symbol + interval) lives in its own persisted collection, so
+ * technicals, charts, ATR and seasonality read from disk instead of
+ * re-downloading Yahoo data on every request. Yahoo only serves intraday
+ * bars for a short window; the store syncs incrementally and keeps bars
+ * long after Yahoo stops serving them (see retentionDays).
+ *
+ * - syncSeries:     Fetch everything after the last stored bar (or the default depth)
+ * - backfillSeries: Fetch an explicit range, chunked to Yahoo's per-request limits
+ * - findGaps:       Missing bars outside normal market closures
+ * - loadBars:       Read bars, syncing first when stale; serves stored bars when offline
+ */
+
+import { getCollection } from './persistence.js';
+import { getMarketDay, isTradingDay, EARLY_CLOSE_TIME } from './marketCalendar.js';
+
+// Yahoo Finance symbol mapping
+const YAHOO_SYMBOLS = {
+  // Equity Indices
+  'ES': 'ES=F',
+  'NQ': 'NQ=F',
+  'YM': 'YM=F',
+  'RTY': 'RTY=F',
+  // Bonds
+  'ZT': 'ZT=F',
+  'ZF': 'ZF=F',
+  'ZN': 'ZN=F',
+  'TN': 'TN=F',
+  'ZB': 'ZB=F',
+  // Metals
+  'GC': 'GC=F',
+  'SI': 'SI=F',
+  'HG': 'HG=F',
+  // Energy
+  'CL': 'CL=F',
+  'NG': 'NG=F',
+  'RB': 'RB=F',
+  // Agriculture
+  'ZS': 'ZS=F',
+  'ZC': 'ZC=F',
+  'ZW': 'ZW=F',
+  'ZM': 'ZM=F',
+  'ZL': 'ZL=F',
+  'LE': 'LE=F',
+  'HE': 'HE=F',
+  // Crypto
+  'BTC': 'BTC-USD',
+  'ETH': 'ETH-USD',
+  // Volatility
+  'VIX': '^VIX',
+  // Currencies
+  'DX': 'DX-Y.NYB',
+  '6E': '6E=F',
+  '6J': '6J=F',
+  '6B': '6B=F',
+  '6A': '6A=F'
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// maxLookbackDays: how far back Yahoo serves the interval (null = no limit)
+// chunkDays:       widest range Yahoo accepts in one request
+// retentionDays:   how long the store keeps bars (null = forever)
+const BAR_INTERVALS = {
+  '1m': { seconds: 60, yahoo: '1m', maxLookbackDays: 29, chunkDays: 7, defaultDepthDays: 7, retentionDays: 30 },
+  '5m': { seconds: 300, yahoo: '5m', maxLookbackDays: 59, chunkDays: 59, defaultDepthDays: 59, retentionDays: 365 },
+  '15m': { seconds: 900, yahoo: '15m', maxLookbackDays: 59, chunkDays: 59, defaultDepthDays: 59, retentionDays: 730 },
+  '1h': { seconds: 3600, yahoo: '60m', maxLookbackDays: 729, chunkDays: 180, defaultDepthDays: 729, retentionDays: 1825 },
+  '1d': { seconds: DAY_SECONDS, yahoo: '1d', maxLookbackDays: null, chunkDays: 3650, defaultDepthDays: 7300, retentionDays: null }
+};
+
+// Trading hours used by gap detection
+const CRYPTO_SYMBOLS = ['BTC', 'ETH'];
+const RTH_ONLY_SYMBOLS = ['VIX'];
+
+const DAILY_SYNC_INTERVAL = 6 * 60 * 60 * 1000;
+const MIN_REFRESH_SECONDS = 60;
+
+const seriesCollections = new Map();
+// Per-series metadata ({ symbol, interval, count, firstBar, lastBar, lastSync }) keyed
+// SYMBOL_interval, kept apart from the bars so status reads never load a series
+const seriesIndex = getCollection('bar_series');
+const syncsInFlight = new Map();
+let schedulerTimer = null;
+
+// ============================================================================
+// SERIES STORAGE
+// ============================================================================
+
+function normalizeSymbol(symbol) {
+  return String(symbol || '').toUpperCase();
+}
+
+function assertSeries(symbol, interval) {
+  if (!YAHOO_SYMBOLS[symbol]) {
+    throw new Error(`Unknown symbol ${symbol}`);
+  }
+  if (!BAR_INTERVALS[interval]) {
+    throw new Error(`Unsupported interval ${interval} (use ${Object.keys(BAR_INTERVALS).join(', ')})`);
+  }
+}
+
+/**
+ * Collection holding one series' 'bars' (sorted by time)
+ */
+function getSeries(symbol, interval) {
+  const name = `bars_${symbol}_${interval}`;
+  if (!seriesCollections.has(name)) {
+    const series = getCollection(name);
+    // Series written before the index kept their metadata alongside the bars
+    const legacyMeta = series.get('meta');
+    if (legacyMeta) {
+      if (!seriesIndex.has(`${symbol}_${interval}`)) seriesIndex.set(`${symbol}_${interval}`, legacyMeta);
+      series.delete('meta');
+    }
+    seriesCollections.set(name, series);
+  }
+  return seriesCollections.get(name);
+}
+
+function readBars(symbol, interval) {
+  return getSeries(symbol, interval).get('bars') || [];
+}
+
+function getSeriesMeta(symbol, interval) {
+  return seriesIndex.get(`${symbol}_${interval}`) || null;
+}
+
+function updateSeriesMeta(symbol, interval, changes) {
+  seriesIndex.set(`${symbol}_${interval}`, {
+    ...getSeriesMeta(symbol, interval),
+    symbol,
+    interval,
+    ...changes
+  });
+}
+
+/**
+ * Merge fetched bars into a series (newer data replaces bars with the same time)
+ * @returns {number} - Bars added (excluding replaced ones)
+ */
+function mergeBars(symbol, interval, incoming) {
+  const series = getSeries(symbol, interval);
+  const byTime = new Map(readBars(symbol, interval).map(bar => [bar.time, bar]));
+  const before = byTime.size;
+
+  incoming.forEach(bar => byTime.set(bar.time, bar));
+
+  let bars = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+
+  const { retentionDays } = BAR_INTERVALS[interval];
+  if (retentionDays) {
+    const cutoff = Math.floor(Date.now() / 1000) - retentionDays * DAY_SECONDS;
+    bars = bars.filter(bar => bar.time >= cutoff);
+  }
+
+  series.set('bars', bars);
+  updateSeriesMeta(symbol, interval, {
+    count: bars.length,
+    firstBar: bars[0]?.time || null,
+    lastBar: bars[bars.length - 1]?.time || null
+  });
+
+  return Math.max(0, byTime.size - before);
+}
+
+// ============================================================================
+// YAHOO FETCH
+// ============================================================================
+
+/**
+ * Date (YYYY-MM-DD) of a unix timestamp in New York
+ */
+function getETDate(unixSeconds) {
+  return new Date(unixSeconds * 1000).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Daily bars are keyed by trading date at 00:00 UTC - Yahoo stamps the
+ * current day's bar with the last trade time, which would otherwise
+ * create a second bar for the same day on every sync.
+ */
+function normalizeBarTime(unixSeconds, interval) {
+  if (interval !== '1d') return unixSeconds;
+  return Date.parse(`${getETDate(unixSeconds)}T00:00:00Z`) / 1000;
+}
+
+/**
+ * Fetch bars from Yahoo for [period1, period2] (unix seconds)
+ */
+async function fetchYahooBars(symbol, interval, period1, period2) {
+  const yahooSymbol = YAHOO_SYMBOLS[symbol];
+  const config = BAR_INTERVALS[interval];
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(yahooSymbol)}?interval=${config.yahoo}&period1=${period1}&period2=${period2}&includePrePost=false`;
+
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Yahoo ${symbol} ${interval} fetch failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const result = data.chart?.result?.[0];
+  const timestamps = result?.timestamp || [];
+  const quote = result?.indicators?.quote?.[0] || {};
+
+  const bars = [];
+  for (let i = 0; i < timestamps.length; i++) {
+    const open = quote.open?.[i];
+    const high = quote.high?.[i];
+    const low = quote.low?.[i];
+    const close = quote.close?.[i];
+
+    if ([open, high, low, close].some(v => v === null || v === undefined)) continue;
+
+    bars.push({
+      time: normalizeBarTime(timestamps[i], interval),
+      open,
+      high,
+      low,
+      close,
+      volume: quote.volume?.[i] ?? 0
+    });
+  }
+
+  return bars;
+}
+
+// ============================================================================
+// BACKFILL & SYNC
+// ============================================================================
+
+/**
+ * Fetch and store bars for a time range, split into Yahoo-sized chunks
+ * @param {string} symbol - Dashboard symbol (ES, NQ, ...)
+ * @param {string} interval - 1m, 5m, 15m, 1h or 1d
+ * @param {Object} range - { from, to } unix seconds (from defaults to the interval's default depth)
+ * @returns {Object} - { symbol, interval, fetched, added, from, to }
+ */
+async function backfillSeries(symbol, interval, { from = null, to = null } = {}) {
+  symbol = normalizeSymbol(symbol);
+  assertSeries(symbol, interval);
+
+  const config = BAR_INTERVALS[interval];
+  const now = Math.floor(Date.now() / 1000);
+  const end = Math.min(to || now, now);
+  let start = from || end - config.defaultDepthDays * DAY_SECONDS;
+
+  // Yahoo returns nothing (or an error) for intraday ranges past its window
+  if (config.maxLookbackDays) {
+    start = Math.max(start, now - config.maxLookbackDays * DAY_SECONDS);
+  }
+
+  let fetched = 0;
+  let added = 0;
+  const chunkSeconds = config.chunkDays * DAY_SECONDS;
+
+  for (let chunkStart = start; chunkStart < end; chunkStart += chunkSeconds) {
+    const chunkEnd = Math.min(chunkStart + chunkSeconds, end);
+    const bars = await fetchYahooBars(symbol, interval, chunkStart, chunkEnd);
+    fetched += bars.length;
+    added += mergeBars(symbol, interval, bars);
+  }
+
+  updateSeriesMeta(symbol, interval, { lastSync: new Date().toISOString() });
+
+  return { symbol, interval, fetched, added, from: start, to: end };
+}
+
+/**
+ * Incremental sync - refetch from the last stored bar (which may have been
+ * partial) up to now. Empty series get the interval's default depth.
+ */
+async function syncSeries(symbol, interval) {
+  symbol = normalizeSymbol(symbol);
+  assertSeries(symbol, interval);
+
+  const key = `${symbol}_${interval}`;
+  if (syncsInFlight.has(key)) {
+    return syncsInFlight.get(key);
+  }
+
+  const bars = readBars(symbol, interval);
+  const from = bars.length > 0 ? bars[bars.length - 1].time : null;
+
+  const sync = backfillSeries(symbol, interval, { from }).finally(() => syncsInFlight.delete(key));
+  syncsInFlight.set(key, sync);
+  return sync;
+}
+
+/**
+ * Sync several series one after another (keeps Yahoo request rate low)
+ * @param {Object} options - { symbols, intervals }
+ */
+async function syncAll({ symbols = Object.keys(YAHOO_SYMBOLS), intervals = ['1d'] } = {}) {
+  const results = [];
+
+  for (const symbol of symbols) {
+    for (const interval of intervals) {
+      try {
+        results.push(await syncSeries(symbol, interval));
+      } catch (error) {
+        console.error(`[Bar Store] Sync failed for ${symbol} ${interval}:`, error.message);
+        results.push({ symbol: normalizeSymbol(symbol), interval, error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+function isStale(symbol, interval) {
+  const lastSync = getSeriesMeta(symbol, interval)?.lastSync;
+  if (!lastSync) return true;
+
+  const maxAge = Math.max(BAR_INTERVALS[interval].seconds, MIN_REFRESH_SECONDS) * 1000;
+  return Date.now() - Date.parse(lastSync) > maxAge;
+}
+
+/**
+ * Read bars for a series, syncing first when the data is stale.
+ * If Yahoo is unreachable the stored bars are returned as-is.
+ * @param {string} symbol - Dashboard symbol (ES, NQ, ...)
+ * @param {string} interval - 1m, 5m, 15m, 1h or 1d
+ * @param {Object} options - { from, to (unix seconds), limit (most recent N), refresh }
+ * @returns {Object[]} - [{ time, open, high, low, close, volume }] oldest to newest
+ */
+async function loadBars(symbol, interval = '1d', { from = null, to = null, limit = null, refresh = true } = {}) {
+  symbol = normalizeSymbol(symbol);
+  assertSeries(symbol, interval);
+
+  if (refresh && isStale(symbol, interval)) {
+    try {
+      await syncSeries(symbol, interval);
+    } catch (error) {
+      console.warn(`[Bar Store] Using stored ${symbol} ${interval} bars: ${error.message}`);
+    }
+  }
+
+  return getStoredBars(symbol, interval, { from, to, limit });
+}
+
+/**
+ * Read stored bars without touching the network
+ */
+function getStoredBars(symbol, interval = '1d', { from = null, to = null, limit = null } = {}) {
+  symbol = normalizeSymbol(symbol);
+  assertSeries(symbol, interval);
+
+  let bars = readBars(symbol, interval);
+  if (from) bars = bars.filter(bar => bar.time >= from);
+  if (to) bars = bars.filter(bar => bar.time <= to);
+  if (limit) bars = bars.slice(-limit);
+
+  return bars;
+}
+
+// ============================================================================
+// GAP DETECTION
+// ============================================================================
+
+/**
+ * Whether the market is normally closed at a time (weekend, daily CME break,
+ * outside RTH for cash-only instruments, exchange holidays and the 13:00 ET
+ * halt on early-close days - see marketCalendar.js)
+ */
+function isMarketClosed(symbol, unixSeconds) {
+  if (CRYPTO_SYMBOLS.includes(symbol)) return false;
+
+  const et = new Date(new Date(unixSeconds * 1000).toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const day = et.getDay();
+  const minutes = et.getHours() * 60 + et.getMinutes();
+  const [closeHour, closeMinute] = EARLY_CLOSE_TIME.split(':').map(Number);
+  const earlyClose = closeHour * 60 + closeMinute;
+
+  if (RTH_ONLY_SYMBOLS.includes(symbol)) {
+    if (day === 0 || day === 6 || minutes < 9 * 60 + 30 || minutes >= 16 * 60 + 15) return true;
+    const marketDay = getMarketDay(new Date(unixSeconds * 1000), 'NYSE');
+    return marketDay.status === 'CLOSED' || (marketDay.status === 'EARLY_CLOSE' && minutes >= earlyClose);
+  }
+
+  // CME Globex: Sunday 18:00 to Friday 17:00 ET with a 17:00-18:00 daily break
+  if (day === 6) return true;
+  if (day === 5 && minutes >= 17 * 60) return true;
+  if (day === 0 && minutes < 18 * 60) return true;
+  if (minutes >= 17 * 60 && minutes < 18 * 60) return true;
+
+  // Holidays: the 18:00 open trades toward the next calendar day
+  const tradingDate = new Date((unixSeconds + (minutes >= 18 * 60 ? DAY_SECONDS : 0)) * 1000);
+  const marketDay = getMarketDay(tradingDate);
+  return marketDay.status === 'CLOSED' ||
+    (marketDay.status === 'EARLY_CLOSE' && minutes >= earlyClose && minutes < 18 * 60);
+}
+
+/**
+ * Count bars that should exist strictly between two bar times
+ */
+function countExpectedBars(symbol, interval, fromTime, toTime) {
+  const step = BAR_INTERVALS[interval].seconds;
+  let expected = 0;
+
+  for (let t = fromTime + step; t < toTime; t += step) {
+    if (interval === '1d') {
+      // Daily bars follow the NYSE calendar (Globex holiday sessions settle into the next day)
+      const date = new Date(t * 1000).toISOString().split('T')[0];
+      if (CRYPTO_SYMBOLS.includes(symbol) || isTradingDay(date, 'NYSE')) expected++;
+    } else if (!isMarketClosed(symbol, t)) {
+      expected++;
+    }
+  }
+
+  return expected;
+}
+
+/**
+ * Find missing bars in a stored series
+ * @returns {Object[]} - [{ from, to, missingBars, repairable }] (times of the bars either side)
+ */
+function findGaps(symbol, interval = '1d', { from = null, to = null } = {}) {
+  symbol = normalizeSymbol(symbol);
+  assertSeries(symbol, interval);
+
+  const bars = getStoredBars(symbol, interval, { from, to });
+  const config = BAR_INTERVALS[interval];
+  const oldestFetchable = config.maxLookbackDays
+    ? Math.floor(Date.now() / 1000) - config.maxLookbackDays * DAY_SECONDS
+    : 0;
+
+  const gaps = [];
+  for (let i = 1; i < bars.length; i++) {
+    const previous = bars[i - 1].time;
+    const current = bars[i].time;
+    if (current - previous <= config.seconds) continue;
+
+    const missingBars = countExpectedBars(symbol, interval, previous, current);
+    if (missingBars > 0) {
+      gaps.push({ from: previous, to: current, missingBars, repairable: previous >= oldestFetchable });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Refetch every gap Yahoo can still serve
+ */
+async function repairGaps(symbol, interval = '1d') {
+  const gaps = findGaps(symbol, interval).filter(gap => gap.repairable);
+  let added = 0;
+
+  for (const gap of gaps) {
+    const result = await backfillSeries(symbol, interval, { from: gap.from, to: gap.to });
+    added += result.added;
+  }
+
+  return {
+    symbol: normalizeSymbol(symbol),
+    interval,
+    gapsAttempted: gaps.length,
+    added,
+    remainingGaps: findGaps(symbol, interval).length
+  };
+}
+
+// ============================================================================
+// STATUS & SCHEDULER
+// ============================================================================
+
+/**
+ * Summary of every stored series (from the series index - bars are not loaded)
+ */
+function getBarStoreStatus() {
+  const series = [];
+
+  for (const symbol of Object.keys(YAHOO_SYMBOLS)) {
+    for (const interval of Object.keys(BAR_INTERVALS)) {
+      const meta = getSeriesMeta(symbol, interval);
+      if (!meta) continue;
+
+      series.push({
+        symbol,
+        interval,
+        count: meta.count,
+        firstBar: meta.firstBar ? new Date(meta.firstBar * 1000).toISOString() : null,
+        lastBar: meta.lastBar ? new Date(meta.lastBar * 1000).toISOString() : null,
+        lastSync: meta.lastSync || null
+      });
+    }
+  }
+
+  return {
+    intervals: Object.keys(BAR_INTERVALS),
+    symbols: Object.keys(YAHOO_SYMBOLS),
+    series,
+    schedulerRunning: !!schedulerTimer
+  };
+}
+
+/**
+ * Keep daily bars for every symbol current (intraday series sync on read)
+ */
+function startBarStoreScheduler(intervalMs = DAILY_SYNC_INTERVAL) {
+  if (schedulerTimer) return;
+
+  const run = () => syncAll({ intervals: ['1d'] })
+    .then(results => {
+      const added = results.reduce((sum, r) => sum + (r.added || 0), 0);
+      console.log(`[Bar Store] Daily sync complete (${added} new bars)`);
+    })
+    .catch(error => console.error('[Bar Store] Daily sync failed:', error.message));
+
+  run();
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref?.();
+}
+
+function stopBarStoreScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Map a Yahoo symbol (ES=F) back to the dashboard symbol (ES)
+ */
+function fromYahooSymbol(yahooSymbol) {
+  return Object.keys(YAHOO_SYMBOLS).find(symbol => YAHOO_SYMBOLS[symbol] === yahooSymbol) || null;
+}
+
+export {
+  loadBars,
+  getStoredBars,
+  syncSeries,
+  syncAll,
+  backfillSeries,
+  findGaps,
+  repairGaps,
+  getBarStoreStatus,
+  startBarStoreScheduler,
+  stopBarStoreScheduler,
+  fromYahooSymbol,
+  YAHOO_SYMBOLS,
+  BAR_INTERVALS
+};
@@ -10,92 +10,132 @@
  * - Index Put/Call Ratio
  *
  * Interpretation:
- * - High ratio (>1.0) = Bearish sentiment, potential bottom (contrarian bullish)
- * - Low ratio (<0.7) = Bullish sentiment, potential top (contrarian bearish)
- * - Normal range: 0.7-1.0
+ * - High ratio = Bearish sentiment, potential bottom (contrarian bullish)
+ * - Low ratio = Bullish sentiment, potential top (contrarian bearish)
+ * - "High" and "low" are z-scores against the ratio's own rolling
+ *   20/50/250-day history (daily series kept by putCallHistory.js)
  */
 
-// Since CBOE data requires scraping, we use mock data
-// In production, you would scrape from CBOE or use a data provider
-
-const MOCK_PUT_CALL_DATA = {
-  date: new Date().toISOString().split('T')[0],
-  total: {
-    ratio: 0.92,
-    puts: 2450000,
-    calls: 2663000
-  },
-  equity: {
-    ratio: 0.78,
-    puts: 1850000,
-    calls: 2372000
-  },
-  index: {
-    ratio: 1.15,
-    puts: 600000,
-    calls: 522000
-  },
-  vix: {
-    ratio: 0.85,
-    puts: 125000,
-    calls: 147000
-  }
-};
+import { getPutCallSeries, PUT_CALL_TYPES } from './putCallHistory.js';
 
-// Historical averages for context
-const HISTORICAL_AVERAGES = {
-  total: { mean: 0.95, low: 0.65, high: 1.25 },
-  equity: { mean: 0.72, low: 0.50, high: 1.10 },
-  index: { mean: 1.20, low: 0.80, high: 1.60 }
+// Rolling windows (trading days) and the fewest days each needs to be trusted
+const ROLLING_WINDOWS = {
+  '20d': { days: 20, minDays: 15 },
+  '50d': { days: 50, minDays: 35 },
+  '250d': { days: 250, minDays: 150 }
 };
+const SMOOTHING_DAYS = 5;
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
 
 /**
- * Get current put/call ratio data
+ * Rolling mean, standard deviation, z-score and percentile of the latest
+ * ratio for each window, plus the smoothed 5-day ratio
+ */
+function calculateRollingStats(rows) {
+  const ratios = rows.map(r => r.ratio);
+  const latest = ratios[ratios.length - 1];
+  const recent = ratios.slice(-SMOOTHING_DAYS);
+  const smoothed = recent.length >= 3 ? average(recent) : null;
+
+  const rolling = {};
+  for (const [window, { days, minDays }] of Object.entries(ROLLING_WINDOWS)) {
+    const values = ratios.slice(-days);
+    if (values.length < minDays) {
+      rolling[window] = { days: values.length, mean: null, stdDev: null, zScore: null, smoothedZScore: null, percentile: null };
+      continue;
+    }
+
+    const mean = average(values);
+    const stdDev = Math.sqrt(average(values.map(v => (v - mean) ** 2)));
+    rolling[window] = {
+      days: values.length,
+      mean: round(mean, 3),
+      stdDev: round(stdDev, 3),
+      zScore: stdDev > 0 ? round((latest - mean) / stdDev) : 0,
+      smoothedZScore: stdDev > 0 && smoothed !== null ? round((smoothed - mean) / stdDev) : null,
+      percentile: Math.round(values.filter(v => v <= latest).length / values.length * 100)
+    };
+  }
+
+  // Signals read against the longest window with enough history
+  const referenceWindow = ['250d', '50d', '20d'].find(w => rolling[w].mean !== null) || null;
+
+  return { latest, smoothed, rolling, referenceWindow };
+}
+
+/**
+ * Get current put/call ratio data, ranked against the stored daily series
  */
 function getPutCallRatio() {
-  const data = MOCK_PUT_CALL_DATA;
+  const analyses = {};
+  const history = {};
+
+  for (const type of Object.keys(PUT_CALL_TYPES)) {
+    const rows = getPutCallSeries(type);
+    analyses[type] = rows.length ? analyzePutCallRatio(rows, type) : null;
+    history[type] = rows.length
+      ? { days: rows.length, from: rows[0].date, to: rows[rows.length - 1].date }
+      : { days: 0 };
+  }
+
+  const dates = Object.values(analyses).filter(Boolean).map(a => a.date).sort();
+  if (dates.length === 0) {
+    return { date: null, error: 'No put/call history imported', history };
+  }
 
   return {
-    date: data.date,
-    total: analyzePutCallRatio(data.total, 'total'),
-    equity: analyzePutCallRatio(data.equity, 'equity'),
-    index: analyzePutCallRatio(data.index, 'index'),
-    vix: analyzePutCallRatio(data.vix, 'vix'),
-    summary: generateSummary(data),
-    isMock: true
+    date: dates[dates.length - 1],
+    ...analyses,
+    summary: generateSummary(analyses),
+    history
   };
 }
 
 /**
- * Analyze a specific put/call ratio
+ * Analyze a specific put/call ratio against its own history
+ * Signals use the smoothed 5-day ratio's z-score so one noisy session
+ * does not flip the read.
  */
-function analyzePutCallRatio(data, type) {
-  const ratio = data.ratio;
-  const avg = HISTORICAL_AVERAGES[type] || { mean: 1.0, low: 0.7, high: 1.3 };
+function analyzePutCallRatio(rows, type) {
+  const latestRow = rows[rows.length - 1];
+  const { latest, smoothed, rolling, referenceWindow } = calculateRollingStats(rows);
+  const reference = referenceWindow ? rolling[referenceWindow] : null;
+  const z = reference ? (reference.smoothedZScore ?? reference.zScore) : null;
 
-  // Determine level relative to historical
+  // Determine level relative to history
   let level;
-  if (ratio < avg.low) level = 'EXTREME_LOW';
-  else if (ratio < avg.mean - 0.1) level = 'LOW';
-  else if (ratio > avg.high) level = 'EXTREME_HIGH';
-  else if (ratio > avg.mean + 0.1) level = 'HIGH';
+  if (z === null) level = 'UNRANKED';
+  else if (z <= -2) level = 'EXTREME_LOW';
+  else if (z <= -1) level = 'LOW';
+  else if (z >= 2) level = 'EXTREME_HIGH';
+  else if (z >= 1) level = 'HIGH';
   else level = 'NORMAL';
 
   // Interpretation
   let interpretation, signal;
 
-  if (type === 'equity') {
+  if (z === null) {
+    interpretation = 'INSUFFICIENT_HISTORY — Not enough daily ratios to rank sentiment';
+    signal = 'NEUTRAL';
+  } else if (type === 'equity') {
     // Equity P/C is most watched for sentiment
-    if (ratio > 1.0) {
+    if (z >= 2) {
       interpretation = 'HIGH_FEAR — Extreme put buying, contrarian bullish';
       signal = 'CONTRARIAN_BULLISH';
-    } else if (ratio > 0.85) {
+    } else if (z >= 1) {
       interpretation = 'ELEVATED — Above average put buying, cautiously bullish';
       signal = 'CAUTIOUS_BULLISH';
-    } else if (ratio < 0.55) {
+    } else if (z <= -2) {
       interpretation = 'EXTREME_COMPLACENCY — Heavy call buying, contrarian bearish';
       signal = 'CONTRARIAN_BEARISH';
-    } else if (ratio < 0.65) {
+    } else if (z <= -1) {
       interpretation = 'COMPLACENCY — Low put buying, caution warranted';
       signal = 'CAUTIOUS';
     } else {
@@ -104,10 +144,10 @@ function analyzePutCallRatio(data, type) {
     }
   } else if (type === 'index') {
     // Index P/C typically higher (hedging)
-    if (ratio > 1.5) {
+    if (z >= 1.5) {
       interpretation = 'HEAVY_HEDGING — Institutions buying protection';
       signal = 'RISK_OFF';
-    } else if (ratio < 0.9) {
+    } else if (z <= -1.5) {
       interpretation = 'LOW_HEDGING — Institutions complacent';
       signal = 'RISK_ON';
     } else {
@@ -116,10 +156,10 @@ function analyzePutCallRatio(data, type) {
     }
   } else {
     // Total or VIX
-    if (ratio > 1.1) {
+    if (z >= 1.5) {
       interpretation = 'BEARISH_SENTIMENT — Elevated put activity';
       signal = 'CONTRARIAN_BULLISH';
-    } else if (ratio < 0.75) {
+    } else if (z <= -1.5) {
       interpretation = 'BULLISH_SENTIMENT — Elevated call activity';
       signal = 'CONTRARIAN_BEARISH';
     } else {
@@ -129,37 +169,48 @@ function analyzePutCallRatio(data, type) {
   }
 
   return {
-    ratio: parseFloat(ratio.toFixed(2)),
-    puts: data.puts,
-    calls: data.calls,
+    date: latestRow.date,
+    ratio: round(latest),
+    puts: latestRow.puts,
+    calls: latestRow.calls,
+    smoothed5d: round(smoothed, 3),
     level,
-    vsAverage: parseFloat((ratio - avg.mean).toFixed(2)),
+    vsAverage: reference ? round(latest - reference.mean) : null,
+    zScore: z,
+    percentile: reference ? reference.percentile : null,
+    referenceWindow,
+    rolling,
     interpretation,
     signal
   };
 }
 
 /**
- * Generate overall summary
+ * Generate overall summary (equity z-score leads, index confirms extremes)
  */
-function generateSummary(data) {
-  const equityRatio = data.equity.ratio;
-  const indexRatio = data.index.ratio;
+function generateSummary(analyses) {
+  const equity = analyses.equity;
+  const index = analyses.index;
+  const equityZ = equity?.zScore ?? null;
+  const indexZ = index?.zScore ?? null;
 
   let overallSentiment;
   let tradingImplication;
 
   // Equity ratio is most important for sentiment
-  if (equityRatio > 0.95 && indexRatio > 1.3) {
+  if (equityZ === null) {
+    overallSentiment = 'UNKNOWN';
+    tradingImplication = 'NO_DATA — Not enough equity put/call history';
+  } else if (equityZ >= 2 && (indexZ ?? 0) >= 1.5) {
     overallSentiment = 'EXTREME_FEAR';
     tradingImplication = 'CONTRARIAN_BUY — High fear often marks bottoms';
-  } else if (equityRatio > 0.85) {
+  } else if (equityZ >= 1) {
     overallSentiment = 'ELEVATED_FEAR';
     tradingImplication = 'CAUTIOUSLY_BULLISH — Sentiment favors bulls';
-  } else if (equityRatio < 0.55) {
+  } else if (equityZ <= -2) {
     overallSentiment = 'EXTREME_GREED';
     tradingImplication = 'CONTRARIAN_SELL — Complacency often marks tops';
-  } else if (equityRatio < 0.65) {
+  } else if (equityZ <= -1) {
     overallSentiment = 'ELEVATED_GREED';
     tradingImplication = 'CAUTIOUS — Sentiment stretched bullish';
   } else {
@@ -170,53 +221,53 @@ function generateSummary(data) {
   return {
     overallSentiment,
     tradingImplication,
-    equityRatio: parseFloat(equityRatio.toFixed(2)),
-    indexRatio: parseFloat(indexRatio.toFixed(2))
+    equityRatio: equity?.ratio ?? null,
+    indexRatio: index?.ratio ?? null,
+    totalRatio: analyses.total?.ratio ?? null,
+    equityZScore: equityZ,
+    indexZScore: indexZ
   };
 }
 
 /**
- * Get historical context (mock - would need historical data)
+ * Get historical context from the stored series
  */
 function getHistoricalContext() {
-  return {
-    '5dayAvg': {
-      equity: 0.75,
-      index: 1.18,
-      total: 0.94
-    },
-    '20dayAvg': {
-      equity: 0.73,
-      index: 1.22,
-      total: 0.96
-    },
-    '52weekHigh': {
-      equity: 1.25,
-      index: 1.85,
-      total: 1.35
-    },
-    '52weekLow': {
-      equity: 0.48,
-      index: 0.75,
-      total: 0.58
-    }
-  };
+  const context = { '5dayAvg': {}, '20dayAvg': {}, '52weekHigh': {}, '52weekLow': {} };
+
+  for (const type of ['equity', 'index', 'total']) {
+    const ratios = getPutCallSeries(type).map(r => r.ratio);
+    const year = ratios.slice(-252);
+
+    context['5dayAvg'][type] = ratios.length ? round(average(ratios.slice(-5))) : null;
+    context['20dayAvg'][type] = ratios.length ? round(average(ratios.slice(-20))) : null;
+    context['52weekHigh'][type] = year.length ? round(Math.max(...year)) : null;
+    context['52weekLow'][type] = year.length ? round(Math.min(...year)) : null;
+  }
+
+  return context;
 }
 
 /**
  * Get put/call summary for AI agents
  */
 function getPutCallSummaryForAgent(pcData) {
-  if (!pcData) return 'Put/Call ratio data not available';
+  if (!pcData || pcData.error) return 'Put/Call ratio data not available';
 
   const lines = [];
+  const describe = (data) => {
+    const context = data.zScore !== null
+      ? `5d ${data.smoothed5d}, z ${data.zScore >= 0 ? '+' : ''}${data.zScore} vs ${data.referenceWindow}`
+      : 'unranked';
+    return `${data.ratio} [${context}] (${data.interpretation})`;
+  };
 
   if (pcData.equity) {
-    lines.push(`Equity P/C: ${pcData.equity.ratio} (${pcData.equity.interpretation})`);
+    lines.push(`Equity P/C: ${describe(pcData.equity)}`);
   }
 
   if (pcData.index) {
-    lines.push(`Index P/C: ${pcData.index.ratio} (${pcData.index.interpretation})`);
+    lines.push(`Index P/C: ${describe(pcData.index)}`);
   }
 
   if (pcData.summary) {
@@ -229,34 +280,41 @@ function getPutCallSummaryForAgent(pcData) {
 
 /**
  * Check if put/call is at extreme (for alerts)
+ * Extreme = smoothed equity ratio 2+ standard deviations from its rolling mean
  */
 function isAtExtreme(pcData) {
-  if (!pcData) return { isExtreme: false };
+  const z = pcData?.equity?.zScore;
+  if (z === null || z === undefined) return { isExtreme: false };
 
-  const equity = pcData.equity?.ratio || 0;
+  const where = `${pcData.equity.ratio}, z ${z} vs ${pcData.equity.referenceWindow}, ${pcData.equity.percentile}th percentile`;
 
-  if (equity > 1.0) {
+  if (z >= 2) {
     return {
       isExtreme: true,
       type: 'HIGH',
-      message: 'Put/Call ratio extremely high - potential bottom signal'
+      zScore: z,
+      message: `Put/Call ratio extremely high (${where}) - potential bottom signal`
     };
   }
 
-  if (equity < 0.55) {
+  if (z <= -2) {
     return {
       isExtreme: true,
       type: 'LOW',
-      message: 'Put/Call ratio extremely low - potential top signal'
+      zScore: z,
+      message: `Put/Call ratio extremely low (${where}) - potential top signal`
     };
   }
 
-  return { isExtreme: false };
+  return { isExtreme: false, zScore: z };
 }
 
 export {
   getPutCallRatio,
+  analyzePutCallRatio,
+  calculateRollingStats,
   getHistoricalContext,
   getPutCallSummaryForAgent,
-  isAtExtreme
+  isAtExtreme,
+  ROLLING_WINDOWS
 };
@@ -4,215 +4,199 @@
  *
  * Data source: https://www.cftc.gov/MarketReports/CommitmentsofTraders/index.htm
  * Released: Every Friday at 3:30 PM ET (data as of Tuesday)
+ * History: imported by cotImporter.js (legacy, disaggregated and TFF reports)
  *
  * Shows positioning of:
  * - Commercials (hedgers) - Usually right at extremes
  * - Large Speculators (managed money) - Trend followers
  * - Small Speculators (retail) - Often wrong at extremes
+ *
+ * Net positions are ranked against the last 52 weeks and 3 years
+ * (percentile and COT index) to flag crowded positioning.
  */
 
-// COT data for key futures contracts
-// Contract codes from CFTC
-const COT_CONTRACTS = {
-  ES: { code: '13874A', name: 'E-Mini S&P 500', exchange: 'CME' },
-  NQ: { code: '209742', name: 'E-Mini Nasdaq 100', exchange: 'CME' },
-  GC: { code: '088691', name: 'Gold', exchange: 'COMEX' },
-  SI: { code: '084691', name: 'Silver', exchange: 'COMEX' },
-  CL: { code: '067651', name: 'Crude Oil WTI', exchange: 'NYMEX' },
-  NG: { code: '023651', name: 'Natural Gas', exchange: 'NYMEX' },
-  ZC: { code: '002602', name: 'Corn', exchange: 'CBOT' },
-  ZS: { code: '005602', name: 'Soybeans', exchange: 'CBOT' },
-  ZW: { code: '001602', name: 'Wheat', exchange: 'CBOT' },
-  '6E': { code: '099741', name: 'Euro FX', exchange: 'CME' },
-  '6J': { code: '097741', name: 'Japanese Yen', exchange: 'CME' },
-  '6B': { code: '096742', name: 'British Pound', exchange: 'CME' },
-  LE: { code: '057642', name: 'Live Cattle', exchange: 'CME' },
-  HE: { code: '054642', name: 'Lean Hogs', exchange: 'CME' },
-  BTC: { code: '133741', name: 'Bitcoin', exchange: 'CME' }
+import { COT_CONTRACTS, COT_REPORTS, getCOTHistory, getStoredReports } from './cotImporter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ranking windows - minimum weeks before a window is trusted
+const COT_WINDOWS = {
+  '52w': { days: 365, minWeeks: 26 },
+  '3y': { days: 3 * 365, minWeeks: 78 }
 };
 
 /**
- * Since CFTC data requires downloading/parsing large CSV files,
- * we'll use mock data that represents typical COT readings.
- * In production, you would:
- * 1. Download weekly CSV from CFTC
- * 2. Parse and store in database
- * 3. Serve from cache
+ * Rank the latest net position against each window
+ * - percentile: share of weeks at or below the current net
+ * - cotIndex:   where the current net sits between the window's min and max (0-100)
  */
+function rankNetPosition(records, group) {
+  const latest = records[records.length - 1];
+  const current = latest[group].net;
+  const latestTime = new Date(latest.date).getTime();
+  const ranks = {};
 
-// Mock COT data representing typical readings
-const MOCK_COT_DATA = {
-  ES: {
-    commercials: { long: 245000, short: 380000, net: -135000 },
-    largeSpecs: { long: 420000, short: 285000, net: 135000 },
-    smallSpecs: { long: 85000, short: 85000, net: 0 },
-    openInterest: 2450000,
-    weeklyChange: { commercials: 15000, largeSpecs: -12000 }
-  },
-  NQ: {
-    commercials: { long: 45000, short: 82000, net: -37000 },
-    largeSpecs: { long: 95000, short: 58000, net: 37000 },
-    smallSpecs: { long: 12000, short: 12000, net: 0 },
-    openInterest: 285000,
-    weeklyChange: { commercials: 5000, largeSpecs: -4500 }
-  },
-  GC: {
-    commercials: { long: 125000, short: 285000, net: -160000 },
-    largeSpecs: { long: 245000, short: 85000, net: 160000 },
-    smallSpecs: { long: 45000, short: 45000, net: 0 },
-    openInterest: 520000,
-    weeklyChange: { commercials: -8000, largeSpecs: 10000 }
-  },
-  SI: {
-    commercials: { long: 35000, short: 85000, net: -50000 },
-    largeSpecs: { long: 72000, short: 22000, net: 50000 },
-    smallSpecs: { long: 18000, short: 18000, net: 0 },
-    openInterest: 145000,
-    weeklyChange: { commercials: -3000, largeSpecs: 4500 }
-  },
-  CL: {
-    commercials: { long: 385000, short: 520000, net: -135000 },
-    largeSpecs: { long: 295000, short: 160000, net: 135000 },
-    smallSpecs: { long: 45000, short: 45000, net: 0 },
-    openInterest: 1850000,
-    weeklyChange: { commercials: 22000, largeSpecs: -18000 }
-  },
-  NG: {
-    commercials: { long: 185000, short: 245000, net: -60000 },
-    largeSpecs: { long: 125000, short: 65000, net: 60000 },
-    smallSpecs: { long: 25000, short: 25000, net: 0 },
-    openInterest: 1250000,
-    weeklyChange: { commercials: 12000, largeSpecs: -8000 }
-  },
-  ZC: {
-    commercials: { long: 485000, short: 720000, net: -235000 },
-    largeSpecs: { long: 385000, short: 150000, net: 235000 },
-    smallSpecs: { long: 85000, short: 85000, net: 0 },
-    openInterest: 1650000,
-    weeklyChange: { commercials: -15000, largeSpecs: 18000 }
-  },
-  ZS: {
-    commercials: { long: 245000, short: 385000, net: -140000 },
-    largeSpecs: { long: 195000, short: 55000, net: 140000 },
-    smallSpecs: { long: 42000, short: 42000, net: 0 },
-    openInterest: 825000,
-    weeklyChange: { commercials: -8000, largeSpecs: 12000 }
-  },
-  ZW: {
-    commercials: { long: 125000, short: 185000, net: -60000 },
-    largeSpecs: { long: 85000, short: 25000, net: 60000 },
-    smallSpecs: { long: 22000, short: 22000, net: 0 },
-    openInterest: 385000,
-    weeklyChange: { commercials: 5000, largeSpecs: -3000 }
-  },
-  '6E': {
-    commercials: { long: 145000, short: 185000, net: -40000 },
-    largeSpecs: { long: 125000, short: 85000, net: 40000 },
-    smallSpecs: { long: 28000, short: 28000, net: 0 },
-    openInterest: 650000,
-    weeklyChange: { commercials: 8000, largeSpecs: -6000 }
-  },
-  '6J': {
-    commercials: { long: 85000, short: 125000, net: -40000 },
-    largeSpecs: { long: 45000, short: 5000, net: 40000 },
-    smallSpecs: { long: 12000, short: 12000, net: 0 },
-    openInterest: 185000,
-    weeklyChange: { commercials: -5000, largeSpecs: 8000 }
-  },
-  BTC: {
-    commercials: { long: 2500, short: 8500, net: -6000 },
-    largeSpecs: { long: 18500, short: 12500, net: 6000 },
-    smallSpecs: { long: 4500, short: 4500, net: 0 },
-    openInterest: 42000,
-    weeklyChange: { commercials: -500, largeSpecs: 1200 }
+  for (const [window, { days, minWeeks }] of Object.entries(COT_WINDOWS)) {
+    const values = records
+      .filter(r => latestTime - new Date(r.date).getTime() < days * DAY_MS)
+      .map(r => r[group].net);
+
+    if (values.length < minWeeks) {
+      ranks[window] = { percentile: null, cotIndex: null, weeks: values.length };
+      continue;
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    ranks[window] = {
+      percentile: Math.round(values.filter(v => v <= current).length / values.length * 100),
+      cotIndex: max === min ? 50 : Math.round((current - min) / (max - min) * 100),
+      weeks: values.length
+    };
   }
-};
+
+  return ranks;
+}
 
 /**
- * Get COT data for a symbol
+ * Signal from the large-spec COT index (3-year when available, else 52-week)
  */
-function getCOTData(symbol) {
-  const data = MOCK_COT_DATA[symbol];
+function interpretCOTIndex(index) {
+  if (index === null) {
+    return { interpretation: 'INSUFFICIENT_HISTORY — Not enough weeks imported to rank positioning', signal: 'NEUTRAL' };
+  }
+  // Large specs very long = potential top, very short = potential bottom
+  if (index >= 90) {
+    return { interpretation: 'CROWDED_LONG — Large specs near their most long in the window, contrarian bearish', signal: 'CAUTION_LONG' };
+  }
+  if (index >= 70) {
+    return { interpretation: 'NET_LONG — Specs leaning long but not extreme', signal: 'BULLISH' };
+  }
+  if (index <= 10) {
+    return { interpretation: 'CROWDED_SHORT — Large specs near their most short in the window, contrarian bullish', signal: 'CAUTION_SHORT' };
+  }
+  if (index <= 30) {
+    return { interpretation: 'NET_SHORT — Specs leaning short, contrarian bullish', signal: 'CONTRARIAN_BULLISH' };
+  }
+  return { interpretation: 'NEUTRAL — No extreme positioning', signal: 'NEUTRAL' };
+}
+
+/**
+ * Get COT data for a symbol from the imported CFTC history
+ * @param {string} symbol - Dashboard symbol (ES, GC...)
+ * @param {Object} options - { history: number of weeks of net positions to include }
+ */
+function getCOTData(symbol, { history: historyWeeks = 0 } = {}) {
   const contract = COT_CONTRACTS[symbol];
+  const { report, records } = getCOTHistory(symbol);
 
-  if (!data || !contract) {
+  if (!contract || records.length === 0) {
     return {
       symbol,
-      error: 'COT data not available for this symbol'
+      error: contract
+        ? 'No CFTC history imported for this symbol'
+        : 'COT data not available for this symbol'
     };
   }
 
-  // Calculate percentile of net positioning (mock - would need historical data)
-  const netLongPercent = (data.largeSpecs.net / data.openInterest * 100);
+  const latest = records[records.length - 1];
+  const previous = records[records.length - 2];
+  const specRanks = rankNetPosition(records, 'largeSpecs');
+  const commercialRanks = rankNetPosition(records, 'commercials');
+  const cotIndex = specRanks['3y'].cotIndex ?? specRanks['52w'].cotIndex;
+  const { interpretation, signal } = interpretCOTIndex(cotIndex);
 
-  // Interpretation based on positioning
-  let interpretation;
-  let signal;
+  const netLongPercent = latest.openInterest
+    ? latest.largeSpecs.net / latest.openInterest * 100
+    : 0;
 
-  // Large specs very long = potential top, very short = potential bottom
-  if (netLongPercent > 15) {
-    interpretation = 'CROWDED_LONG — Large specs heavily long, contrarian bearish';
-    signal = 'CAUTION_LONG';
-  } else if (netLongPercent > 8) {
-    interpretation = 'NET_LONG — Specs bullish but not extreme';
-    signal = 'BULLISH';
-  } else if (netLongPercent < -8) {
-    interpretation = 'NET_SHORT — Specs bearish, contrarian bullish';
-    signal = 'CONTRARIAN_BULLISH';
-  } else if (netLongPercent < -15) {
-    interpretation = 'CROWDED_SHORT — Large specs heavily short, contrarian bullish';
-    signal = 'CAUTION_SHORT';
-  } else {
-    interpretation = 'NEUTRAL — No extreme positioning';
-    signal = 'NEUTRAL';
-  }
+  const weeklyChange = {
+    commercials: previous ? latest.commercials.net - previous.commercials.net : 0,
+    largeSpecs: previous ? latest.largeSpecs.net - previous.largeSpecs.net : 0
+  };
 
   // Weekly change interpretation
   let weeklyTrend;
-  if (data.weeklyChange.largeSpecs > 0) {
+  if (weeklyChange.largeSpecs > 0) {
     weeklyTrend = 'SPECS_ADDING_LONGS — Trend following bulls';
-  } else if (data.weeklyChange.largeSpecs < 0) {
+  } else if (weeklyChange.largeSpecs < 0) {
     weeklyTrend = 'SPECS_REDUCING_LONGS — Profit taking or sentiment shift';
   } else {
     weeklyTrend = 'UNCHANGED';
   }
 
-  return {
+  // Finer trader groups from the disaggregated / TFF report, when imported
+  const detail = {};
+  for (const extra of getStoredReports(symbol).filter(r => r !== report)) {
+    const extraRecords = getCOTHistory(symbol, extra).records;
+    const last = extraRecords[extraRecords.length - 1];
+    detail[extra] = { asOf: last.date, groups: last.groups };
+  }
+
+  const result = {
     symbol,
     contract: contract.name,
     exchange: contract.exchange,
-    asOf: getLastTuesday(),
-    released: getLastFriday(),
+    report: COT_REPORTS[report].name,
+    asOf: latest.date,
+    released: addDays(latest.date, 3),
+    netSpeculative: latest.largeSpecs.net,
+    percentile: specRanks['52w'].percentile,
+    cotIndex,
     positioning: {
       commercials: {
-        ...data.commercials,
-        netFormatted: formatNet(data.commercials.net)
+        ...latest.commercials,
+        netFormatted: formatNet(latest.commercials.net),
+        percentile52w: commercialRanks['52w'].percentile,
+        percentile3y: commercialRanks['3y'].percentile,
+        cotIndex52w: commercialRanks['52w'].cotIndex,
+        cotIndex3y: commercialRanks['3y'].cotIndex
       },
       largeSpecs: {
-        ...data.largeSpecs,
-        netFormatted: formatNet(data.largeSpecs.net),
-        netPercent: parseFloat(netLongPercent.toFixed(2))
+        ...latest.largeSpecs,
+        netFormatted: formatNet(latest.largeSpecs.net),
+        netPercent: parseFloat(netLongPercent.toFixed(2)),
+        percentile52w: specRanks['52w'].percentile,
+        percentile3y: specRanks['3y'].percentile,
+        cotIndex52w: specRanks['52w'].cotIndex,
+        cotIndex3y: specRanks['3y'].cotIndex
       },
       smallSpecs: {
-        ...data.smallSpecs,
-        netFormatted: formatNet(data.smallSpecs.net)
+        ...latest.smallSpecs,
+        netFormatted: formatNet(latest.smallSpecs.net)
       }
     },
     openInterest: {
-      value: data.openInterest,
-      formatted: formatNumber(data.openInterest)
+      value: latest.openInterest,
+      formatted: formatNumber(latest.openInterest)
     },
     weeklyChange: {
-      commercials: data.weeklyChange.commercials,
-      largeSpecs: data.weeklyChange.largeSpecs,
-      commercialsFormatted: formatChange(data.weeklyChange.commercials),
-      largeSpecsFormatted: formatChange(data.weeklyChange.largeSpecs)
+      ...weeklyChange,
+      commercialsFormatted: formatChange(weeklyChange.commercials),
+      largeSpecsFormatted: formatChange(weeklyChange.largeSpecs)
     },
     interpretation,
     signal,
     weeklyTrend,
-    isMock: true
+    history: {
+      weeks: records.length,
+      from: records[0].date,
+      to: latest.date
+    },
+    detail
   };
+
+  if (historyWeeks > 0) {
+    result.series = records.slice(-historyWeeks).map(r => ({
+      date: r.date,
+      openInterest: r.openInterest,
+      commercials: r.commercials.net,
+      largeSpecs: r.largeSpecs.net,
+      smallSpecs: r.smallSpecs.net
+    }));
+  }
+
+  return result;
 }
 
 /**
@@ -233,6 +217,7 @@ function getAllCOTData() {
   };
 
   Object.entries(results).forEach(([symbol, data]) => {
+    if (data.error) return;
     if (data.signal === 'CAUTION_LONG' || data.signal === 'CROWDED_LONG') {
       extremes.crowdedLong.push(symbol);
     } else if (data.signal === 'CAUTION_SHORT' || data.signal === 'CONTRARIAN_BULLISH') {
@@ -242,10 +227,13 @@ function getAllCOTData() {
     }
   });
 
+  const dates = Object.values(results).map(d => d.asOf).filter(Boolean).sort();
+  const dataDate = dates[dates.length - 1] || null;
+
   results._summary = {
     extremes,
-    reportDate: getLastFriday(),
-    dataDate: getLastTuesday()
+    reportDate: dataDate ? addDays(dataDate, 3) : null,
+    dataDate
   };
 
   return results;
@@ -256,6 +244,7 @@ function getAllCOTData() {
  */
 function getCOTSummaryForAgent(cotData) {
   if (!cotData) return 'COT data not available';
+  if (!cotData._summary?.dataDate) return 'COT data not available (no CFTC history imported)';
 
   const lines = [];
 
@@ -271,9 +260,10 @@ function getCOTSummaryForAgent(cotData) {
 
   // Key individual readings
   ['ES', 'GC', 'CL', '6E'].forEach(symbol => {
-    if (cotData[symbol]) {
+    if (cotData[symbol] && !cotData[symbol].error) {
       const d = cotData[symbol];
-      lines.push(`${symbol}: Specs ${d.positioning?.largeSpecs?.netFormatted} (${d.signal}), Weekly: ${d.weeklyChange?.largeSpecsFormatted}`);
+      const index = d.cotIndex !== null ? `, COT index ${d.cotIndex}` : '';
+      lines.push(`${symbol}: Specs ${d.positioning?.largeSpecs?.netFormatted} (${d.signal}${index}), Weekly: ${d.weeklyChange?.largeSpecsFormatted}`);
     }
   });
 
@@ -281,22 +271,10 @@ function getCOTSummaryForAgent(cotData) {
 }
 
 // Helper functions
-function getLastTuesday() {
-  const now = new Date();
-  const day = now.getDay();
-  const diff = (day >= 2) ? (day - 2) : (day + 5);
-  const tuesday = new Date(now);
-  tuesday.setDate(now.getDate() - diff);
-  return tuesday.toISOString().split('T')[0];
-}
-
-function getLastFriday() {
-  const now = new Date();
-  const day = now.getDay();
-  const diff = (day >= 5) ? (day - 5) : (day + 2);
-  const friday = new Date(now);
-  friday.setDate(now.getDate() - diff);
-  return friday.toISOString().split('T')[0];
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
 }
 
 function formatNet(value) {
@@ -332,5 +310,6 @@ export {
   getCOTData,
   getAllCOTData,
   getCOTSummaryForAgent,
-  COT_CONTRACTS
+  COT_CONTRACTS,
+  COT_WINDOWS
 };
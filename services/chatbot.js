@@ -11,6 +11,7 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { NEWS_KEYWORD_MAP, KEYWORD_GROUP_TO_SYMBOLS, tagHeadlineWithSymbols } from './aiAgents.js';
+import { findKeywordMatches } from './newsClassifier.js';
 import { getESCommandCenter } from './esCommandCenter.js';
 import { generateFinalAnalysis } from './finalAnalysis.js';
 import { getCurrentSession, getNextSession } from './sessionEngine.js';
@@ -694,8 +695,8 @@ async function buildFullMarketContext() {
     generateFinalAnalysis().catch(e => null),
     Promise.resolve(getTodaysReports()),
     Promise.resolve(getEventRiskSummary()),
-    getAllCOTData().catch(e => null),
-    getPutCallRatio().catch(e => null)
+    Promise.resolve().then(() => getAllCOTData()).catch(e => null),
+    Promise.resolve().then(() => getPutCallRatio()).catch(e => null)
   ]);
 
   const context = {
@@ -744,17 +745,21 @@ async function buildFullMarketContext() {
 
     // COT Positioning
     cot: cotData.status === 'fulfilled' ? {
-      extremes: cotData.value?.extremes,
-      crowdedLong: cotData.value?.extremes?.crowdedLong || [],
-      crowdedShort: cotData.value?.extremes?.crowdedShort || []
+      extremes: cotData.value?._summary?.extremes,
+      crowdedLong: cotData.value?._summary?.extremes?.crowdedLong || [],
+      crowdedShort: cotData.value?._summary?.extremes?.crowdedShort || []
     } : null,
 
     // Put/Call Sentiment
-    putCall: putCallData.status === 'fulfilled' ? {
-      equityPC: putCallData.value?.equityPC,
-      totalPC: putCallData.value?.totalPC,
-      interpretation: putCallData.value?.interpretation,
-      signal: putCallData.value?.signal
+    putCall: putCallData.status === 'fulfilled' && putCallData.value && !putCallData.value.error ? {
+      equityPC: putCallData.value.equity?.ratio,
+      totalPC: putCallData.value.total?.ratio,
+      equity5d: putCallData.value.equity?.smoothed5d,
+      zScore: putCallData.value.equity?.zScore,
+      percentile: putCallData.value.equity?.percentile,
+      interpretation: putCallData.value.equity?.interpretation,
+      signal: putCallData.value.equity?.signal,
+      sentiment: putCallData.value.summary?.overallSentiment
     } : null,
 
     // Top News Headlines
@@ -819,7 +824,7 @@ COT EXTREMES:
 - Crowded Long (contrarian bearish): ${fullContext.cot?.crowdedLong?.join(', ') || 'None'}
 - Crowded Short (contrarian bullish): ${fullContext.cot?.crowdedShort?.join(', ') || 'None'}
 
-PUT/CALL RATIO: ${fullContext.putCall?.equityPC || 'N/A'} — ${fullContext.putCall?.interpretation || 'No signal'}
+PUT/CALL RATIO: ${fullContext.putCall?.equityPC || 'N/A'} (5d ${fullContext.putCall?.equity5d ?? 'N/A'}, z ${fullContext.putCall?.zScore ?? 'N/A'}) — ${fullContext.putCall?.interpretation || 'No signal'}
 
 === TOP PICKS FROM ANALYSIS ===
 ${fullContext.analysis?.topPicks?.map(p => `- ${p.symbol}: ${p.bias} (${p.confidence}%) — ${p.summary || p.reason || ''}`).join('\n') || 'None'}
@@ -887,24 +892,12 @@ async function explainHeadline(headline, sentiment, dashboardData = {}) {
   const affectedSymbols = tagHeadlineWithSymbols(headline);
 
   // Find which keywords matched
-  const headlineLower = headline.toLowerCase();
-  const matchedKeywords = [];
-
-  for (const [group, keywords] of Object.entries(NEWS_KEYWORD_MAP)) {
-    for (const keyword of keywords) {
-      if (headlineLower.includes(keyword.toLowerCase())) {
-        const symbols = KEYWORD_GROUP_TO_SYMBOLS[group] || [];
-        matchedKeywords.push({
-          keyword,
-          group,
-          symbols,
-          explanation: MARKET_KNOWLEDGE.sentimentKeywords.bearish[keyword.toLowerCase()] ||
-                       MARKET_KNOWLEDGE.sentimentKeywords.bullish[keyword.toLowerCase()] ||
-                       'Triggers instrument detection'
-        });
-      }
-    }
-  }
+  const matchedKeywords = findKeywordMatches(headline).map(match => ({
+    ...match,
+    explanation: MARKET_KNOWLEDGE.sentimentKeywords.bearish[match.keyword.toLowerCase()] ||
+                 MARKET_KNOWLEDGE.sentimentKeywords.bullish[match.keyword.toLowerCase()] ||
+                 'Triggers instrument detection'
+  }));
 
   const prompt = `You are explaining why a news headline is ${sentiment} to a trader.
 
@@ -1029,8 +1022,8 @@ async function fetchAllMarketData() {
     generateFinalAnalysis().catch(e => ({ error: e.message })),
     Promise.resolve(getTodaysReports()),
     Promise.resolve(getEventRiskSummary()),
-    getAllCOTData().catch(e => ({ error: e.message })),
-    getPutCallRatio().catch(e => ({ error: e.message }))
+    Promise.resolve().then(() => getAllCOTData()).catch(e => ({ error: e.message })),
+    Promise.resolve().then(() => getPutCallRatio()).catch(e => ({ error: e.message }))
   ]);
 
   // Extract successful results
@@ -1121,12 +1114,13 @@ async function getMarketBrief() {
     })),
 
     // COT extremes
-    crowdedLong: data.cot?.extremes?.crowdedLong || [],
-    crowdedShort: data.cot?.extremes?.crowdedShort || [],
+    crowdedLong: data.cot?._summary?.extremes?.crowdedLong || [],
+    crowdedShort: data.cot?._summary?.extremes?.crowdedShort || [],
 
     // Put/Call
-    putCallRatio: data.putCall?.equityPC,
-    putCallSignal: data.putCall?.interpretation,
+    putCallRatio: data.putCall?.equity?.ratio,
+    putCallZScore: data.putCall?.equity?.zScore,
+    putCallSignal: data.putCall?.equity?.interpretation,
 
     // Top news
     topNews: data.esCommandCenter?.news?.slice(0, 3).map(n => ({
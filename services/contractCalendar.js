@@ -0,0 +1,470 @@
+/**
+ * Contract Calendar - futures contract months, expirations and rolls
+ *
+ * Yahoo's front-month symbols (ES=F, CL=F...) jump to the next contract at
+ * each expiration, which shows up in charts and ATR as a price gap. Every
+ * product in CONTRACT_SPECS carries its listed month cycle and the exchange
+ * rules for last trade and first notice (physical delivery) dates:
+ *
+ *   ES, NQ, YM, RTY    H M U Z    last trade 3rd Friday, cash settled
+ *   6E, 6J, 6B, 6A, DX H M U Z    last trade 2 business days before 3rd Wednesday
+ *   ZT ZF / ZN TN ZB   H M U Z    first notice last business day of prior month
+ *   CL, NG, RB         monthly    expire the month before delivery
+ *   GC                 G J M Q V Z   SI, HG  H K N U Z
+ *   ZC, ZW             H K N U Z     ZS  F H K N Q U X
+ *
+ * The roll date is when volume moves to the next contract: a set number of
+ * business days before first notice (physical) or last trade. Business
+ * days follow the exchange holiday calendar (marketCalendar.js).
+ *
+ * getContinuousBars back-adjusts a stored front-month series: at each roll
+ * the jump between the last bar of the old contract and the first bar of
+ * the new one is found near the scheduled date and added to every earlier
+ * bar (difference method, latest prices unchanged). Only session gaps
+ * (close -> next session's open) are candidates, so intraday bars roll on
+ * the same day boundary as daily bars, and a gap before the roll date only
+ * counts when the bars themselves show the contract switching (bar.contract).
+ */
+
+import { isTradingDay, getNextTradingDay, getPreviousTradingDay, nthWeekdayOfMonth, toMarketDate } from './marketCalendar.js';
+import { getTradingDate } from './sessionEngine.js';
+
+const MONTH_CODES = ['F', 'G', 'H', 'J', 'K', 'M', 'N', 'Q', 'U', 'V', 'X', 'Z'];
+
+const QUARTERLY = 'HMUZ';
+const MONTHLY = 'FGHJKMNQUVXZ';
+
+// Rule types (dates in the contract month unless monthOffset moves them):
+// - weekday:            nth weekday of the month, then businessDays earlier
+// - lastBusinessDay:    last business day, then businessDays earlier
+// - beforeDay:          businessDays before a calendar day (anchorBusinessDay:
+//                       first step back to a business day when the day is not one)
+// - businessDay:        nth business day of the month
+const EQUITY_INDEX = {
+  months: QUARTERLY,
+  settlement: 'cash',
+  lastTrade: { type: 'weekday', weekday: 5, n: 3, businessDays: 0 },
+  firstNotice: null,
+  roll: { anchor: 'lastTrade', businessDays: 6 } // Thursday of the week before expiration
+};
+
+const CURRENCY = {
+  months: QUARTERLY,
+  settlement: 'physical',
+  lastTrade: { type: 'weekday', weekday: 3, n: 3, businessDays: 2 },
+  firstNotice: null,
+  roll: { anchor: 'lastTrade', businessDays: 5 }
+};
+
+const TREASURY = {
+  months: QUARTERLY,
+  settlement: 'physical',
+  firstNotice: { type: 'lastBusinessDay', monthOffset: -1, businessDays: 0 },
+  roll: { anchor: 'firstNotice', businessDays: 3 }
+};
+
+const METAL = {
+  settlement: 'physical',
+  lastTrade: { type: 'lastBusinessDay', businessDays: 2 },
+  firstNotice: { type: 'lastBusinessDay', monthOffset: -1, businessDays: 0 },
+  roll: { anchor: 'firstNotice', businessDays: 3 }
+};
+
+const GRAIN = {
+  settlement: 'physical',
+  lastTrade: { type: 'beforeDay', day: 15, businessDays: 1 },
+  firstNotice: { type: 'lastBusinessDay', monthOffset: -1, businessDays: 0 },
+  roll: { anchor: 'firstNotice', businessDays: 3 }
+};
+
+const CONTRACT_SPECS = {
+  ES: { ...EQUITY_INDEX, name: 'E-mini S&P 500', exchange: 'CME' },
+  NQ: { ...EQUITY_INDEX, name: 'E-mini Nasdaq-100', exchange: 'CME' },
+  YM: { ...EQUITY_INDEX, name: 'E-mini Dow', exchange: 'CBOT' },
+  RTY: { ...EQUITY_INDEX, name: 'E-mini Russell 2000', exchange: 'CME' },
+
+  ZT: { ...TREASURY, name: '2-Year Note', exchange: 'CBOT', lastTrade: { type: 'lastBusinessDay', businessDays: 0 } },
+  ZF: { ...TREASURY, name: '5-Year Note', exchange: 'CBOT', lastTrade: { type: 'lastBusinessDay', businessDays: 0 } },
+  ZN: { ...TREASURY, name: '10-Year Note', exchange: 'CBOT', lastTrade: { type: 'lastBusinessDay', businessDays: 7 } },
+  TN: { ...TREASURY, name: 'Ultra 10-Year Note', exchange: 'CBOT', lastTrade: { type: 'lastBusinessDay', businessDays: 7 } },
+  ZB: { ...TREASURY, name: '30-Year Bond', exchange: 'CBOT', lastTrade: { type: 'lastBusinessDay', businessDays: 7 } },
+
+  GC: { ...METAL, name: 'Gold', exchange: 'COMEX', months: 'GJMQVZ' },
+  SI: { ...METAL, name: 'Silver', exchange: 'COMEX', months: 'HKNUZ' },
+  HG: { ...METAL, name: 'Copper', exchange: 'COMEX', months: 'HKNUZ' },
+
+  // Energy expires in the month before delivery, so the roll anchors on last trade
+  CL: {
+    name: 'Crude Oil WTI',
+    exchange: 'NYMEX',
+    months: MONTHLY,
+    settlement: 'physical',
+    lastTrade: { type: 'beforeDay', day: 25, monthOffset: -1, businessDays: 3, anchorBusinessDay: true },
+    firstNotice: null,
+    roll: { anchor: 'lastTrade', businessDays: 5 }
+  },
+  NG: {
+    name: 'Natural Gas',
+    exchange: 'NYMEX',
+    months: MONTHLY,
+    settlement: 'physical',
+    lastTrade: { type: 'beforeDay', day: 1, businessDays: 3 },
+    firstNotice: null,
+    roll: { anchor: 'lastTrade', businessDays: 5 }
+  },
+  RB: {
+    name: 'RBOB Gasoline',
+    exchange: 'NYMEX',
+    months: MONTHLY,
+    settlement: 'physical',
+    lastTrade: { type: 'lastBusinessDay', monthOffset: -1, businessDays: 0 },
+    firstNotice: null,
+    roll: { anchor: 'lastTrade', businessDays: 5 }
+  },
+
+  ZC: { ...GRAIN, name: 'Corn', exchange: 'CBOT', months: 'HKNUZ' },
+  ZW: { ...GRAIN, name: 'Wheat', exchange: 'CBOT', months: 'HKNUZ' },
+  ZS: { ...GRAIN, name: 'Soybeans', exchange: 'CBOT', months: 'FHKNQUX' },
+  ZM: { ...GRAIN, name: 'Soybean Meal', exchange: 'CBOT', months: 'FHKNQUVZ' },
+  ZL: { ...GRAIN, name: 'Soybean Oil', exchange: 'CBOT', months: 'FHKNQUVZ' },
+
+  LE: {
+    name: 'Live Cattle',
+    exchange: 'CME',
+    months: 'GJMQVZ',
+    settlement: 'physical',
+    lastTrade: { type: 'lastBusinessDay', businessDays: 0 },
+    firstNotice: null,
+    roll: { anchor: 'lastTrade', businessDays: 10 }
+  },
+  HE: {
+    name: 'Lean Hogs',
+    exchange: 'CME',
+    months: 'GJKMNQVZ',
+    settlement: 'cash',
+    lastTrade: { type: 'businessDay', n: 10 },
+    firstNotice: null,
+    roll: { anchor: 'lastTrade', businessDays: 5 }
+  },
+
+  '6E': { ...CURRENCY, name: 'Euro FX', exchange: 'CME' },
+  '6J': { ...CURRENCY, name: 'Japanese Yen', exchange: 'CME' },
+  '6B': { ...CURRENCY, name: 'British Pound', exchange: 'CME' },
+  '6A': { ...CURRENCY, name: 'Australian Dollar', exchange: 'CME' },
+  DX: { ...CURRENCY, name: 'US Dollar Index', exchange: 'ICE' }
+};
+
+// Roll gap detection: the session gap must stand out from the session gaps before it
+const DETECTION_BASELINE_SESSIONS = 20;
+const DETECTION_MULTIPLIER = 3;
+
+// ============================================================================
+// DATES (YYYY-MM-DD strings)
+// ============================================================================
+
+function formatYMD(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+function addDays(ymd, days) {
+  const date = new Date(`${ymd}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function getWeekMonday(ymd) {
+  const weekday = new Date(`${ymd}T00:00:00Z`).getUTCDay();
+  return addDays(ymd, -((weekday + 6) % 7));
+}
+
+function toBusinessDay(ymd) {
+  return isTradingDay(ymd, 'NYSE') ? ymd : getPreviousTradingDay(ymd, 'NYSE');
+}
+
+function subtractBusinessDays(ymd, count) {
+  let date = ymd;
+  for (let i = 0; i < count; i++) date = getPreviousTradingDay(date, 'NYSE');
+  return date;
+}
+
+/**
+ * Date of a last trade / first notice rule for a contract month
+ */
+function getRuleDate(rule, year, month) {
+  const anchor = new Date(Date.UTC(year, month - 1 + (rule.monthOffset || 0), 1));
+  const y = anchor.getUTCFullYear();
+  const m = anchor.getUTCMonth() + 1;
+
+  switch (rule.type) {
+    case 'weekday':
+      return subtractBusinessDays(toBusinessDay(nthWeekdayOfMonth(y, m, rule.weekday, rule.n)), rule.businessDays);
+    case 'lastBusinessDay':
+      return subtractBusinessDays(toBusinessDay(formatYMD(y, m + 1, 0)), rule.businessDays);
+    case 'beforeDay': {
+      const day = formatYMD(y, m, rule.day);
+      return subtractBusinessDays(rule.anchorBusinessDay ? toBusinessDay(day) : day, rule.businessDays);
+    }
+    case 'businessDay': {
+      let date = toBusinessDay(formatYMD(y, m, 0));
+      for (let i = 0; i < rule.n; i++) date = getNextTradingDay(date, 'NYSE');
+      return date;
+    }
+    default:
+      throw new Error(`Unknown contract rule ${rule.type}`);
+  }
+}
+
+// ============================================================================
+// CONTRACTS
+// ============================================================================
+
+/**
+ * One listed contract with its key dates
+ * @param {string} symbol - Product root (ES, CL...)
+ * @param {number} year
+ * @param {number} month - 1-12
+ */
+function getContract(symbol, year, month) {
+  const spec = CONTRACT_SPECS[symbol];
+  if (!spec) return null;
+
+  const lastTradeDate = getRuleDate(spec.lastTrade, year, month);
+  const firstNoticeDate = spec.firstNotice ? getRuleDate(spec.firstNotice, year, month) : null;
+  const anchor = spec.roll.anchor === 'firstNotice' ? firstNoticeDate : lastTradeDate;
+
+  return {
+    symbol,
+    contract: `${symbol}${MONTH_CODES[month - 1]}${String(year).slice(-2)}`,
+    monthCode: MONTH_CODES[month - 1],
+    contractMonth: `${year}-${String(month).padStart(2, '0')}`,
+    lastTradeDate,
+    firstNoticeDate,
+    rollDate: subtractBusinessDays(anchor, spec.roll.businessDays)
+  };
+}
+
+/**
+ * Listed contracts in order, starting with the first that rolls after a date
+ * @param {string} symbol - Product root
+ * @param {Object} options - { from (YYYY-MM-DD, default today), to, count }
+ *   with `to`, contracts run up to the first one rolling after that date
+ */
+function listContracts(symbol, { from = null, to = null, count = 4 } = {}) {
+  const spec = CONTRACT_SPECS[symbol];
+  if (!spec) return [];
+
+  const start = from || toMarketDate();
+  const contracts = [];
+  let year = Number(start.slice(0, 4)) - 1;
+  let month = 1;
+
+  const done = () => (to
+    ? contracts.length > 0 && contracts[contracts.length - 1].rollDate > to
+    : contracts.length >= count);
+
+  while (!done()) {
+    if (spec.months.includes(MONTH_CODES[month - 1])) {
+      const contract = getContract(symbol, year, month);
+      if (contract.rollDate > start) contracts.push(contract);
+    }
+    if (++month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return contracts;
+}
+
+/**
+ * Contract Yahoo's continuous symbol holds through a date, and the one before it
+ */
+function getFrontContract(symbol, date = null) {
+  const today = date ? toMarketDate(date) : toMarketDate();
+  const [front, next] = listContracts(symbol, { from: today, count: 2 });
+  if (!front) return null;
+
+  const [previous] = listContracts(symbol, { from: addDays(front.rollDate, -400), to: today })
+    .filter(contract => contract.rollDate <= today)
+    .slice(-1);
+
+  return { front, next, previous: previous || null };
+}
+
+/**
+ * Roll status for instrument summaries
+ * isRollWeek: the date falls in the calendar week of the coming roll, or
+ * between a roll and the old contract's first notice / last trade
+ * @returns {Object|null} - null for products without listed contracts (VIX, BTC...)
+ */
+function getRollStatus(symbol, date = null) {
+  const key = String(symbol || '').toUpperCase();
+  const today = date ? toMarketDate(date) : toMarketDate();
+  const contracts = getFrontContract(key, today);
+  if (!contracts) return null;
+
+  const { front, next, previous } = contracts;
+  const rollWeek = getWeekMonday(front.rollDate) === getWeekMonday(today);
+  const justRolled = previous && (previous.firstNoticeDate || previous.lastTradeDate) >= today;
+  const daysToRoll = daysBetween(today, front.rollDate);
+
+  let status = 'NORMAL';
+  let message = null;
+  if (justRolled) {
+    status = 'ROLLED';
+    message = `Rolled ${previous.contract} → ${front.contract} on ${previous.rollDate}; ${previous.contract} expires ${previous.firstNoticeDate || previous.lastTradeDate}`;
+  } else if (rollWeek) {
+    status = 'ROLL_WEEK';
+    message = `Roll week: ${front.contract} → ${next.contract} on ${front.rollDate}`;
+  }
+
+  return {
+    symbol: key,
+    name: CONTRACT_SPECS[key].name,
+    exchange: CONTRACT_SPECS[key].exchange,
+    settlement: CONTRACT_SPECS[key].settlement,
+    contract: front.contract,
+    contractMonth: front.contractMonth,
+    nextContract: next.contract,
+    rollDate: front.rollDate,
+    lastTradeDate: front.lastTradeDate,
+    firstNoticeDate: front.firstNoticeDate,
+    daysToRoll,
+    isRollWeek: rollWeek || Boolean(justRolled),
+    status,
+    message,
+    previous: justRolled ? previous : null
+  };
+}
+
+// ============================================================================
+// CONTINUOUS SERIES
+// ============================================================================
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function barDate(bar) {
+  return toMarketDate(new Date(bar.time * 1000));
+}
+
+/**
+ * Session each bar belongs to: its date for daily bars, the Globex trading
+ * date (evening session counts toward the next day) for intraday bars
+ */
+function sessionDates(bars) {
+  const spacing = median(bars.slice(1).map((bar, i) => bar.time - bars[i].time));
+  const isIntraday = spacing > 0 && spacing < 12 * 60 * 60;
+  return bars.map(bar => (isIntraday ? getTradingDate(new Date(bar.time * 1000)) : barDate(bar)));
+}
+
+/**
+ * Find where the front-month series switched contracts around each roll
+ * @param {string} symbol - Product root
+ * @param {Object[]} bars - Stored bars (oldest first, time in unix seconds, optional contract)
+ * @returns {Object[]} - [{ contract, nextContract, rollDate, index, date, gap, detected }]
+ */
+function detectRolls(symbol, bars) {
+  if (!CONTRACT_SPECS[symbol] || bars.length < 2) return [];
+
+  const dates = sessionDates(bars);
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+
+  // Session opens: first bar of each session, gapped against the previous session's close
+  const opens = [];
+  for (let i = 1; i < bars.length; i++) {
+    if (dates[i] !== dates[i - 1]) opens.push({ index: i, date: dates[i], gap: bars[i].open - bars[i - 1].close });
+  }
+
+  // Every contract rolling inside the series, plus the one it rolls into
+  const contracts = listContracts(symbol, { from: addDays(firstDate, -1), to: lastDate });
+  const rolls = [];
+
+  contracts.slice(0, -1).forEach((contract, i) => {
+    const next = contracts[i + 1];
+    const windowEnd = getNextTradingDay(contract.lastTradeDate, 'NYSE');
+
+    // The data names the contract: the switch is where it changes
+    const switched = opens.find(open => bars[open.index].contract === next.contract &&
+      bars[open.index - 1].contract === contract.contract);
+
+    let best = switched || null;
+    if (!switched) {
+      for (const open of opens) {
+        if (open.date < contract.rollDate || open.date > windowEnd) continue;
+        if (!best || Math.abs(open.gap) > Math.abs(best.gap)) best = open;
+      }
+    }
+    if (!best) return;
+
+    const before = opens.filter(open => open.index < best.index).slice(-DETECTION_BASELINE_SESSIONS);
+    const baseline = median(before.map(open => Math.abs(open.gap)));
+    const detected = best.gap !== 0 && (!!switched || (before.length > 0 && Math.abs(best.gap) > DETECTION_MULTIPLIER * baseline));
+
+    // Roll still ahead in the data - nothing to adjust yet
+    if (!detected && windowEnd > lastDate) return;
+
+    rolls.push({
+      contract: contract.contract,
+      nextContract: next.contract,
+      rollDate: contract.rollDate,
+      index: best.index,
+      date: best.date,
+      gap: detected ? parseFloat(best.gap.toFixed(6)) : 0,
+      detected
+    });
+  });
+
+  return rolls;
+}
+
+/**
+ * Back-adjusted continuous series: each roll gap is added to every earlier
+ * bar so the series has no jumps and the latest bars keep their real prices
+ * @param {string} symbol - Product root (bars pass through for non-futures)
+ * @param {Object[]} bars - Stored bars (oldest first)
+ * @returns {Object} - { bars, rolls, adjusted }
+ */
+function getContinuousBars(symbol, bars) {
+  const rolls = detectRolls(String(symbol || '').toUpperCase(), bars);
+  const gapAt = new Map(rolls.filter(roll => roll.detected).map(roll => [roll.index, roll.gap]));
+  if (gapAt.size === 0) return { bars, rolls, adjusted: false };
+
+  const adjusted = new Array(bars.length);
+  let offset = 0;
+
+  for (let i = bars.length - 1; i >= 0; i--) {
+    if (gapAt.has(i + 1)) offset += gapAt.get(i + 1);
+
+    const bar = bars[i];
+    adjusted[i] = offset === 0 ? bar : {
+      ...bar,
+      open: parseFloat((bar.open + offset).toFixed(6)),
+      high: parseFloat((bar.high + offset).toFixed(6)),
+      low: parseFloat((bar.low + offset).toFixed(6)),
+      close: parseFloat((bar.close + offset).toFixed(6))
+    };
+  }
+
+  return { bars: adjusted, rolls, adjusted: true };
+}
+
+export {
+  getContract,
+  listContracts,
+  getFrontContract,
+  getRollStatus,
+  detectRolls,
+  getContinuousBars,
+  CONTRACT_SPECS,
+  MONTH_CODES
+};
@@ -0,0 +1,606 @@
+/**
+ * COT Importer - CFTC Commitments of Traders history
+ *
+ * Parses the CFTC's weekly report files and keeps every week per contract,
+ * keyed by the COT_CONTRACTS codes, so positioning can be ranked against
+ * years of history instead of guessed from a single week.
+ *
+ * Supported report files (comma-delimited text, zipped or not):
+ * - legacy:        Commercial / Non-commercial / Non-reportable (deacotYYYY.zip)
+ * - disaggregated: Producer-merchant / Swap / Managed money / Other (fut_disagg_txt_YYYY.zip)
+ * - tff:           Dealer / Asset manager / Leveraged funds / Other (fut_fin_txt_YYYY.zip)
+ *
+ * Files are loaded from COT_DATA_DIR (default DATA_DIR/cot) on startup and the
+ * current year is re-downloaded from cftc.gov after each Friday release.
+ * Parsing (parseCOTReport / parseCOTFile) is pure - no storage or network - so
+ * a report file can be checked on its own, e.g. against a fixture.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { getCollection } from './persistence.js';
+import { getEconomicCalendar, toCalendarDate } from './economicCalendar.js';
+
+// COT data for key futures contracts
+// Contract codes from CFTC
+const COT_CONTRACTS = {
+  ES: { code: '13874A', name: 'E-Mini S&P 500', exchange: 'CME' },
+  NQ: { code: '209742', name: 'E-Mini Nasdaq 100', exchange: 'CME' },
+  GC: { code: '088691', name: 'Gold', exchange: 'COMEX' },
+  SI: { code: '084691', name: 'Silver', exchange: 'COMEX' },
+  CL: { code: '067651', name: 'Crude Oil WTI', exchange: 'NYMEX' },
+  NG: { code: '023651', name: 'Natural Gas', exchange: 'NYMEX' },
+  ZC: { code: '002602', name: 'Corn', exchange: 'CBOT' },
+  ZS: { code: '005602', name: 'Soybeans', exchange: 'CBOT' },
+  ZW: { code: '001602', name: 'Wheat', exchange: 'CBOT' },
+  '6E': { code: '099741', name: 'Euro FX', exchange: 'CME' },
+  '6J': { code: '097741', name: 'Japanese Yen', exchange: 'CME' },
+  '6B': { code: '096742', name: 'British Pound', exchange: 'CME' },
+  LE: { code: '057642', name: 'Live Cattle', exchange: 'CME' },
+  HE: { code: '054642', name: 'Lean Hogs', exchange: 'CME' },
+  BTC: { code: '133741', name: 'Bitcoin', exchange: 'CME' }
+};
+
+/**
+ * Trader groups per report. Each group maps to the "<prefix>_Positions_Long_All"
+ * and "..._Short_All" columns; `classic` folds them into the commercials /
+ * large specs / small specs view the dashboard has always shown.
+ */
+const COT_REPORTS = {
+  legacy: {
+    name: 'Legacy',
+    groups: {
+      commercial: 'commercial',
+      nonCommercial: 'noncommercial',
+      nonReportable: 'nonreportable'
+    },
+    classic: {
+      commercials: ['commercial'],
+      largeSpecs: ['nonCommercial'],
+      smallSpecs: ['nonReportable']
+    },
+    url: (year) => `https://www.cftc.gov/files/dea/history/deacot${year}.zip`
+  },
+  disaggregated: {
+    name: 'Disaggregated',
+    groups: {
+      producerMerchant: 'prodmerc',
+      swapDealers: 'swap',
+      managedMoney: 'mmoney',
+      otherReportables: 'otherrept',
+      nonReportable: 'nonrept'
+    },
+    classic: {
+      commercials: ['producerMerchant', 'swapDealers'],
+      largeSpecs: ['managedMoney'],
+      smallSpecs: ['nonReportable']
+    },
+    url: (year) => `https://www.cftc.gov/files/dea/history/fut_disagg_txt_${year}.zip`
+  },
+  tff: {
+    name: 'Traders in Financial Futures',
+    groups: {
+      dealers: 'dealer',
+      assetManagers: 'assetmgr',
+      leveragedFunds: 'levmoney',
+      otherReportables: 'otherrept',
+      nonReportable: 'nonrept'
+    },
+    classic: {
+      commercials: ['dealers', 'assetManagers'],
+      largeSpecs: ['leveragedFunds'],
+      smallSpecs: ['nonReportable']
+    },
+    url: (year) => `https://www.cftc.gov/files/dea/history/fut_fin_txt_${year}.zip`
+  }
+};
+
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // Check for a new release every 6 hours
+const DEFAULT_HISTORY_YEARS = 4;             // 3-year percentile plus a buffer
+
+const history = getCollection('cot_history');
+const meta = getCollection('cot_meta');
+
+let refreshTimer = null;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split one CSV line, honouring quoted fields ("GOLD - COMMODITY EXCHANGE INC.")
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+}
+
+/**
+ * Header names differ between reports and years ("Open Interest (All)" vs
+ * "Open_Interest_All", "Swap__Positions_Short_All"), so compare them squashed
+ */
+function normalizeHeader(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Work out which report a header row belongs to
+ */
+function detectReport(columns) {
+  if (columns.has('mmoneypositionslongall')) return 'disaggregated';
+  if (columns.has('levmoneypositionslongall')) return 'tff';
+  if (columns.has('noncommercialpositionslongall')) return 'legacy';
+  return null;
+}
+
+/**
+ * Report dates appear as YYYY-MM-DD, MM/DD/YYYY or YYMMDD depending on the file
+ */
+function parseReportDate(row, index) {
+  const iso = row[index.get('asofdateinformyyyymmdd') ?? index.get('reportdateasyyyymmdd')];
+  if (iso && /^\d{4}-\d{2}-\d{2}/.test(iso)) return iso.slice(0, 10);
+
+  const us = iso?.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+  const short = row[index.get('asofdateinformyymmdd')];
+  if (short && /^\d{6}$/.test(short)) {
+    const year = parseInt(short.slice(0, 2), 10);
+    return `${year > 50 ? 19 : 20}${short.slice(0, 2)}-${short.slice(2, 4)}-${short.slice(4, 6)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a CFTC report file into weekly records for the tracked contracts
+ * @param {string} text - File contents
+ * @returns {{ report: string|null, rows: number, records: Array<{symbol, date, openInterest, groups}> }}
+ */
+function parseCOTReport(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { report: null, rows: 0, records: [] };
+
+  const headers = parseCSVLine(lines[0]).map(normalizeHeader);
+  const index = new Map(headers.map((name, i) => [name, i]));
+  const report = detectReport(index);
+  if (!report) return { report: null, rows: 0, records: [] };
+
+  const symbolByCode = new Map(
+    Object.entries(COT_CONTRACTS).map(([symbol, contract]) => [contract.code, symbol])
+  );
+  const { groups } = COT_REPORTS[report];
+  const number = (row, column) => {
+    const value = parseFloat(row[index.get(column)]);
+    return Number.isFinite(value) ? value : 0;
+  };
+
+  const records = [];
+  for (const line of lines.slice(1)) {
+    const row = parseCSVLine(line);
+    const symbol = symbolByCode.get(row[index.get('cftccontractmarketcode')]);
+    if (!symbol) continue;
+
+    const date = parseReportDate(row, index);
+    if (!date) continue;
+
+    const positions = {};
+    for (const [group, prefix] of Object.entries(groups)) {
+      positions[group] = {
+        long: number(row, `${prefix}positionslongall`),
+        short: number(row, `${prefix}positionsshortall`)
+      };
+    }
+
+    records.push({
+      symbol,
+      date,
+      openInterest: number(row, 'openinterestall'),
+      groups: positions
+    });
+  }
+
+  return { report, rows: lines.length - 1, records };
+}
+
+/**
+ * Pull the text files out of a CFTC zip archive (stored or deflated entries)
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Array<{ name: string, text: string }>}
+ */
+function extractZipEntries(buffer) {
+  // End of central directory record sits in the last 64KB (+22 bytes)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!/\.(txt|csv)$/i.test(name)) continue;
+
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, text: data.toString('latin1') });
+    } else if (method === 8) {
+      entries.push({ name, text: zlib.inflateRawSync(data).toString('latin1') });
+    } else {
+      console.warn(`[COT] Skipping ${name}: unsupported zip compression ${method}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse report file contents (a CFTC .zip or plain .txt / .csv) without storing anything
+ * @param {Buffer} buffer - File contents
+ * @param {string} source - File name or URL; zip entries are labelled source:entry
+ * @returns {Array<{ source, report, rows, records }>} - One result per report text
+ */
+function parseCOTBuffer(buffer, source) {
+  if (/\.zip$/i.test(source)) {
+    return extractZipEntries(buffer).map(entry => ({
+      source: `${source}:${entry.name}`,
+      ...parseCOTReport(entry.text)
+    }));
+  }
+
+  return [{ source, ...parseCOTReport(buffer.toString('latin1')) }];
+}
+
+/**
+ * Parse a report file from disk (fixtures, manual downloads) without storing anything
+ */
+function parseCOTFile(filePath) {
+  return parseCOTBuffer(fs.readFileSync(filePath), path.basename(filePath));
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Merge parsed records into the stored history (one entry per report date)
+ */
+function storeRecords(report, records) {
+  const bySymbol = new Map();
+  for (const record of records) {
+    if (!bySymbol.has(record.symbol)) bySymbol.set(record.symbol, []);
+    bySymbol.get(record.symbol).push(record);
+  }
+
+  let added = 0;
+  let updated = 0;
+
+  for (const [symbol, incoming] of bySymbol) {
+    const stored = history.get(symbol) || {};
+    const byDate = new Map((stored[report] || []).map(r => [r.date, r]));
+
+    for (const { date, openInterest, groups } of incoming) {
+      if (byDate.has(date)) updated++;
+      else added++;
+      byDate.set(date, { date, openInterest, groups });
+    }
+
+    stored[report] = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    history.set(symbol, stored);
+  }
+
+  return { added, updated, symbols: Array.from(bySymbol.keys()) };
+}
+
+/**
+ * Store one parsed report and log the import
+ * @param {Object} parsed - parseCOTBuffer / parseCOTReport result with its source label
+ */
+function importParsedReport({ source, report, rows, records }) {
+  if (!report) {
+    return { source, report: null, rows: 0, matched: 0, added: 0, updated: 0, symbols: [], error: 'Unrecognised COT report format' };
+  }
+
+  const result = { source, report, rows, matched: records.length, ...storeRecords(report, records) };
+
+  const imports = meta.get('imports') || [];
+  imports.unshift({ ...result, importedAt: new Date().toISOString() });
+  meta.set('imports', imports.slice(0, 50));
+
+  return result;
+}
+
+/**
+ * Import report text already in memory
+ * @param {string} text - Report file contents
+ * @param {string} source - Label for logs/status (file name, URL)
+ */
+function importCOTText(text, source = 'inline') {
+  return importParsedReport({ source, ...parseCOTReport(text) });
+}
+
+/**
+ * Import a report file (.txt, .csv or a CFTC .zip) from disk
+ */
+function importCOTFile(filePath) {
+  return parseCOTFile(filePath).map(importParsedReport);
+}
+
+/**
+ * Import every report file in a directory (fixtures, manual downloads)
+ */
+function importCOTDirectory(dir = getCOTDataDir()) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => /\.(txt|csv|zip)$/i.test(name))
+    .sort()
+    .flatMap(name => {
+      try {
+        return importCOTFile(path.join(dir, name));
+      } catch (error) {
+        console.error(`[COT] Failed to import ${name}:`, error.message);
+        return [{ source: name, error: error.message }];
+      }
+    });
+}
+
+function getCOTDataDir() {
+  return process.env.COT_DATA_DIR || path.join(process.env.DATA_DIR || './data', 'cot');
+}
+
+/**
+ * Stored weekly records for a symbol, oldest first, with the classic
+ * commercials / large specs / small specs groups filled in
+ * @param {string} symbol - Dashboard symbol (ES, GC...)
+ * @param {string} [report] - legacy | disaggregated | tff (default: legacy, else whichever exists)
+ */
+function getCOTHistory(symbol, report) {
+  const stored = history.get(symbol);
+  if (!stored) return { symbol, report: null, records: [] };
+
+  const chosen = report || ['legacy', 'tff', 'disaggregated'].find(r => stored[r]?.length);
+  const layout = COT_REPORTS[chosen];
+  if (!layout || !stored[chosen]) return { symbol, report: chosen || null, records: [] };
+
+  const records = stored[chosen].map(record => {
+    const classic = {};
+    for (const [name, members] of Object.entries(layout.classic)) {
+      const long = members.reduce((sum, g) => sum + (record.groups[g]?.long || 0), 0);
+      const short = members.reduce((sum, g) => sum + (record.groups[g]?.short || 0), 0);
+      classic[name] = { long, short, net: long - short };
+    }
+    return { ...record, ...classic };
+  });
+
+  return { symbol, report: chosen, records };
+}
+
+/**
+ * Reports available per symbol (for the detail breakdown alongside legacy)
+ */
+function getStoredReports(symbol) {
+  const stored = history.get(symbol) || {};
+  return Object.keys(COT_REPORTS).filter(report => stored[report]?.length);
+}
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+/**
+ * Download and import one year of a report from cftc.gov
+ */
+async function downloadCOTReport(report, year = new Date().getUTCFullYear()) {
+  const layout = COT_REPORTS[report];
+  if (!layout) throw new Error(`Unknown COT report: ${report}`);
+
+  const url = layout.url(year);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`CFTC ${report} ${year}: HTTP ${response.status}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const results = parseCOTBuffer(buffer, url).map(importParsedReport);
+
+  // Keep a copy so a restart (or an offline machine) can re-import it
+  try {
+    const dir = getCOTDataDir();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, path.basename(new URL(url).pathname)), buffer);
+  } catch (error) {
+    console.warn('[COT] Could not cache report file:', error.message);
+  }
+
+  return results;
+}
+
+/**
+ * Tuesday "as of" date of the most recent report already released
+ * (reports come out Friday 3:30 PM ET for the preceding Tuesday, the
+ * following Monday after a holiday week - dates from the economic calendar)
+ * @returns {string|null} - null when the calendar has no release in the last 21 days
+ */
+function getLatestReportDate(now = new Date()) {
+  const today = toCalendarDate(now);
+  const time = now.toLocaleTimeString('en-GB', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit' });
+  const from = new Date(Date.parse(`${today}T00:00:00Z`) - 21 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const released = getEconomicCalendar({ from, to: today, events: ['CFTC_COT'], now })
+    .filter(release => release.date < today || release.time <= time);
+  const latest = released[released.length - 1];
+  if (!latest?.period) return null;
+
+  // Period is the Monday of the report week; positions are as of that Tuesday
+  const tuesday = new Date(`${latest.period}T00:00:00Z`);
+  tuesday.setUTCDate(tuesday.getUTCDate() + 1);
+  return tuesday.toISOString().split('T')[0];
+}
+
+/**
+ * Most recent report date stored for any contract
+ */
+function getLastStoredDate(report = 'legacy') {
+  let latest = null;
+  for (const [, stored] of history) {
+    const last = stored[report]?.[stored[report].length - 1]?.date;
+    if (last && (!latest || last > latest)) latest = last;
+  }
+  return latest;
+}
+
+/**
+ * Download whatever is missing: the full history window on first run,
+ * otherwise the current year once a new release is out
+ */
+async function refreshCOTData({ now = new Date(), reports = Object.keys(COT_REPORTS), force = false } = {}) {
+  const years = parseInt(process.env.COT_HISTORY_YEARS, 10) || DEFAULT_HISTORY_YEARS;
+  const currentYear = now.getUTCFullYear();
+  const expected = getLatestReportDate(now);
+  const results = [];
+
+  for (const report of reports) {
+    const last = getLastStoredDate(report);
+    // No known release (calendar gap): only the first download runs
+    if (!force && last && (expected === null || last >= expected)) continue;
+
+    const firstYear = last ? parseInt(last.slice(0, 4), 10) : currentYear - years;
+    for (let year = Math.min(firstYear, currentYear); year <= currentYear; year++) {
+      try {
+        results.push(...await downloadCOTReport(report, year));
+      } catch (error) {
+        console.error(`[COT] Download failed (${report} ${year}):`, error.message);
+        results.push({ source: `${report} ${year}`, report, error: error.message });
+      }
+    }
+  }
+
+  meta.set('lastRefresh', { at: now.toISOString(), expected, results: results.length });
+  return results;
+}
+
+function getCOTImportStatus() {
+  const symbols = {};
+  for (const [symbol, stored] of history) {
+    symbols[symbol] = {};
+    for (const report of Object.keys(COT_REPORTS)) {
+      const records = stored[report] || [];
+      if (records.length === 0) continue;
+      symbols[symbol][report] = {
+        weeks: records.length,
+        from: records[0].date,
+        to: records[records.length - 1].date
+      };
+    }
+  }
+
+  return {
+    dataDir: getCOTDataDir(),
+    latestReleased: getLatestReportDate(),
+    lastStored: getLastStoredDate(),
+    lastRefresh: meta.get('lastRefresh') || null,
+    recentImports: (meta.get('imports') || []).slice(0, 10),
+    symbols,
+    schedulerRunning: !!refreshTimer
+  };
+}
+
+/**
+ * Import local files, then keep the current year fresh from cftc.gov
+ * (set COT_AUTO_DOWNLOAD=false to work from local files only)
+ */
+function startCOTImporter(intervalMs = REFRESH_INTERVAL) {
+  if (refreshTimer) return;
+
+  const local = importCOTDirectory();
+  const weeks = local.reduce((sum, r) => sum + (r.added || 0), 0);
+  if (local.length > 0) {
+    console.log(`[COT] Imported ${local.length} local report file(s), ${weeks} new weeks`);
+  }
+
+  if (process.env.COT_AUTO_DOWNLOAD === 'false') return;
+
+  const run = () => refreshCOTData()
+    .then(results => {
+      const added = results.reduce((sum, r) => sum + (r.added || 0), 0);
+      if (results.length > 0) console.log(`[COT] Refresh complete (${added} new weeks)`);
+    })
+    .catch(error => console.error('[COT] Refresh failed:', error.message));
+
+  run();
+  refreshTimer = setInterval(run, intervalMs);
+  refreshTimer.unref?.();
+}
+
+function stopCOTImporter() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+export {
+  parseCOTReport,
+  parseCOTBuffer,
+  parseCOTFile,
+  extractZipEntries,
+  importCOTText,
+  importCOTFile,
+  importCOTDirectory,
+  downloadCOTReport,
+  refreshCOTData,
+  getCOTHistory,
+  getStoredReports,
+  getCOTImportStatus,
+  getLatestReportDate,
+  startCOTImporter,
+  stopCOTImporter,
+  COT_CONTRACTS,
+  COT_REPORTS
+};
@@ -3,22 +3,8 @@
 import { calculateBias, calculateDXYStrength } from './yahooFinance.js';
 import { analyzeFredConditions } from './fred.js';
 import { getNewsForInstrument } from './finnhubNews.js';
-
-// Symbol keywords for matching news to instruments
-const NEWS_SYMBOL_KEYWORDS = {
-  ES: ['s&p', 'sp500', 'spx', 'equity', 'stock market', 'wall street', 'stocks', 'equities'],
-  NQ: ['nasdaq', 'tech', 'technology', 'software', 'ai ', 'semiconductor', 'chips', 'apple', 'microsoft', 'google', 'amazon', 'meta', 'nvidia', 'tesla', 'magnificent'],
-  YM: ['dow', 'djia', 'industrial', 'blue chip'],
-  RTY: ['russell', 'small cap', 'small-cap', 'regional bank'],
-  CL: ['oil', 'crude', 'wti', 'brent', 'opec', 'petroleum', 'energy', 'gasoline', 'drilling'],
-  GC: ['gold', 'precious metal', 'bullion', 'safe haven'],
-  ZN: ['treasury', 'bond', 'yield', 'interest rate', 'fed ', 'federal reserve', 'fomc', 'powell', 'rate cut', 'rate hike'],
-  DX: ['dollar', 'usd', 'greenback', 'currency', 'forex', 'dxy'],
-  '6E': ['euro', 'eur', 'ecb', 'eurozone', 'lagarde'],
-  '6J': ['yen', 'jpy', 'bank of japan', 'boj', 'japan'],
-  '6B': ['pound', 'gbp', 'sterling', 'bank of england', 'boe', 'uk economy', 'britain'],
-  NG: ['natural gas', 'natgas', 'lng', 'heating']
-};
+import { getMarketDay, getNextTradingDay } from './marketCalendar.js';
+import { classifyHeadline, detectSymbols } from './newsClassifier.js';
 
 /**
  * Extract news sentiment for a specific instrument from analyzed news
@@ -28,15 +14,13 @@ function getNewsSentimentForInstrument(newsData, symbol) {
     return { count: 0, bullish: 0, bearish: 0, neutral: 0, topHeadline: null, sentiment: 'neutral' };
   }
 
-  const keywords = NEWS_SYMBOL_KEYWORDS[symbol] || [];
   const relevantNews = newsData.filter(item => {
     // Check if news affects this instrument
     if (item.affectedInstruments?.includes(symbol) || item.symbols?.includes(symbol)) {
       return true;
     }
     // Fallback: check keywords in headline
-    const headline = (item.headline || '').toLowerCase();
-    return keywords.some(kw => headline.includes(kw));
+    return detectSymbols(item.headline || '').includes(symbol);
   });
 
   const bullish = relevantNews.filter(n => n.bias === 'bullish').length;
@@ -444,6 +428,19 @@ function generateRiskNotes(economicData, marketBias, vixLevel) {
     notes.push('Monday session - watch for gap risk from weekend news');
   }
 
+  // Exchange holidays and early closes
+  const nyse = getMarketDay(new Date(), 'NYSE');
+  if (nyse.status === 'EARLY_CLOSE') {
+    notes.push(`${nyse.holiday} - early close at ${nyse.closeTime} ET, expect thin liquidity`);
+  } else if (nyse.status === 'CLOSED' && nyse.holiday) {
+    notes.push(`${nyse.holiday} - cash markets closed, next session ${getNextTradingDay(new Date(), 'NYSE')}`);
+  } else {
+    const tomorrow = getMarketDay(getNextTradingDay(new Date(), 'NYSE'), 'NYSE');
+    if (tomorrow.status === 'EARLY_CLOSE') {
+      notes.push(`Next session is an early close (${tomorrow.holiday})`);
+    }
+  }
+
   // Always add some general notes
   if (notes.length < 3) {
     notes.push('Monitor sector rotation for confirmation of bias');
@@ -1694,18 +1691,11 @@ function enhanceNewsWithAnalysis(news) {
 }
 
 function determineImpactDirection(news, symbol) {
-  const headline = (news.headline || '').toLowerCase();
-  const category = news.category;
-
-  // Simple heuristic based on category and keywords
-  const bullishKeywords = ['rally', 'surge', 'gain', 'rise', 'jump', 'bullish', 'support'];
-  const bearishKeywords = ['fall', 'drop', 'plunge', 'decline', 'bearish', 'concern', 'fear'];
-
-  const hasBullish = bullishKeywords.some(kw => headline.includes(kw));
-  const hasBearish = bearishKeywords.some(kw => headline.includes(kw));
+  // Analyzed bias if present, otherwise the rule-based read of the headline
+  const bias = news.bias || classifyHeadline(news.headline || '').bias;
 
-  if (hasBullish && !hasBearish) return '▲ Bullish';
-  if (hasBearish && !hasBullish) return '▼ Bearish';
+  if (bias === 'bullish') return '▲ Bullish';
+  if (bias === 'bearish') return '▼ Bearish';
   return '━ Mixed';
 }
 
@@ -0,0 +1,531 @@
+/**
+ * Earnings Calendar - Upcoming reports with timing, estimates and index impact
+ *
+ * Sources:
+ * - Finnhub earnings calendar (FINNHUB_API_KEY): date, BMO/AMC, EPS and revenue
+ *   estimates and actuals; also used to backfill each heavyweight's past reports
+ * - Alpha Vantage EARNINGS_CALENDAR: fallback without a Finnhub key (EPS only)
+ * - Yahoo daily closes: the stock's actual move on each past report
+ * - Implied moves: entered per report (POST /api/earnings/implied-move)
+ *
+ * Each report gets an expected move (implied when entered, otherwise the
+ * ticker's average earnings move) and an ES/NQ point estimate from the
+ * stock's index weight, the same way esContribution sizes Mag7 moves.
+ */
+
+import { getCollection } from './persistence.js';
+import { fetchEarningsCalendar } from './alphaVantage.js';
+import { getStoredBars } from './barStore.js';
+
+/**
+ * Approximate index weights (%) for the names that move ES and NQ.
+ * Weights drift - refresh from the SPY / QQQ holdings each quarter.
+ * dow: member of the Dow (YM)
+ */
+const INDEX_WEIGHTS = {
+  NVDA: { sp500: 7.5, ndx: 9.5 },
+  MSFT: { sp500: 6.5, ndx: 8.5, dow: true },
+  AAPL: { sp500: 6.3, ndx: 7.8, dow: true },
+  AMZN: { sp500: 4.0, ndx: 5.5, dow: true },
+  META: { sp500: 3.0, ndx: 3.8 },
+  GOOGL: { sp500: 3.8, ndx: 5.2 },
+  AVGO: { sp500: 2.6, ndx: 5.0 },
+  TSLA: { sp500: 2.0, ndx: 3.0 },
+  'BRK.B': { sp500: 1.7 },
+  JPM: { sp500: 1.5, dow: true },
+  LLY: { sp500: 1.2 },
+  V: { sp500: 1.1, dow: true },
+  ORCL: { sp500: 0.9 },
+  NFLX: { sp500: 0.85, ndx: 2.2 },
+  MA: { sp500: 0.85 },
+  XOM: { sp500: 0.85 },
+  COST: { sp500: 0.8, ndx: 2.3 },
+  WMT: { sp500: 0.8, ndx: 1.5, dow: true },
+  PLTR: { sp500: 0.7, ndx: 2.0 },
+  JNJ: { sp500: 0.7, dow: true },
+  PG: { sp500: 0.65, dow: true },
+  HD: { sp500: 0.6, dow: true },
+  ABBV: { sp500: 0.6 },
+  BAC: { sp500: 0.6 },
+  UNH: { sp500: 0.6, dow: true },
+  AMD: { sp500: 0.6, ndx: 1.5 },
+  CVX: { sp500: 0.5, dow: true },
+  CSCO: { sp500: 0.45, ndx: 1.3, dow: true },
+  CRM: { sp500: 0.45, dow: true },
+  KO: { sp500: 0.45, dow: true },
+  WFC: { sp500: 0.45 },
+  GS: { sp500: 0.4, dow: true }
+};
+
+// Fallback index levels when the bar store has no ES/NQ closes yet
+const DEFAULT_INDEX_LEVELS = { ES: 6000, NQ: 21000 };
+
+const TIMING_LABELS = { BMO: 'Before Open', AMC: 'After Close', DMH: 'During Market', TBD: 'TBD' };
+const FINNHUB_TIMING = { bmo: 'BMO', amc: 'AMC', dmh: 'DMH' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 7;           // Recent reports kept so their moves can be graded
+const HISTORY_QUARTERS = 8;        // Reports averaged for the historical move
+const MIN_HISTORY = 4;             // Below this a heavyweight is backfilled from Finnhub
+const BACKFILL_PER_RUN = 5;        // Finnhub + Yahoo requests stay light per refresh
+const BACKFILL_RETRY_DAYS = 7;
+const MIN_REVENUE = 1e9;           // Non-index names shown by default above this revenue estimate
+const CLOSES_TTL = 6 * 60 * 60 * 1000;
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000;
+
+const calendar = getCollection('earnings_calendar');
+const history = getCollection('earnings_history');
+const impliedMoves = getCollection('earnings_implied');
+
+const closesCache = new Map();
+let refreshTimer = null;
+
+function getHorizonDays() {
+  return parseInt(process.env.EARNINGS_HORIZON_DAYS, 10) || 28;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS));
+}
+
+function getETToday(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Finnhub earnings calendar for a date range (optionally one symbol)
+ */
+async function fetchFinnhubEarnings(from, to, symbol = null) {
+  const key = process.env.FINNHUB_API_KEY;
+  const url = `https://finnhub.io/api/v1/calendar/earnings?from=${from}&to=${to}` +
+    `${symbol ? `&symbol=${encodeURIComponent(symbol)}` : ''}&token=${key}`;
+
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Finnhub earnings calendar: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.earningsCalendar || []).map(e => ({
+    symbol: e.symbol,
+    company: e.symbol,
+    date: e.date,
+    timing: FINNHUB_TIMING[e.hour] || 'TBD',
+    fiscalQuarter: e.quarter && e.year ? `Q${e.quarter} ${e.year}` : null,
+    epsEstimate: e.epsEstimate ?? null,
+    epsActual: e.epsActual ?? null,
+    revenueEstimate: e.revenueEstimate ?? null,
+    revenueActual: e.revenueActual ?? null
+  }));
+}
+
+/**
+ * Daily closes for a stock, keyed by ET date (cached for a few hours)
+ * @returns {Array<{date, close}>} oldest first
+ */
+async function fetchDailyCloses(symbol) {
+  const cached = closesCache.get(symbol);
+  if (cached && Date.now() - cached.fetchedAt < CLOSES_TTL) return cached.closes;
+
+  const yahooSymbol = symbol.replace('.', '-');
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(yahooSymbol)}?interval=1d&range=2y`;
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`Yahoo ${symbol} daily bars: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const result = data.chart?.result?.[0];
+  const timestamps = result?.timestamp || [];
+  const closes = result?.indicators?.quote?.[0]?.close || [];
+
+  const rows = timestamps
+    .map((t, i) => ({
+      date: new Date(t * 1000).toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+      close: closes[i]
+    }))
+    .filter(row => Number.isFinite(row.close));
+
+  closesCache.set(symbol, { closes: rows, fetchedAt: Date.now() });
+  return rows;
+}
+
+// ============================================================================
+// HISTORY - implied vs actual move per report
+// ============================================================================
+
+/**
+ * Stock move on a report: prior close -> report-day close (BMO/DMH),
+ * report-day close -> next close (AMC). Unknown timing takes the larger.
+ * @returns {{ move, basis }|null} - move in percent
+ */
+function calculateEarningsMove(closes, date, timing) {
+  const dayIndex = closes.findIndex(row => row.date >= date);
+  if (dayIndex < 0) return null;
+
+  const pct = (from, to) => (closes[to].close / closes[from].close - 1) * 100;
+  const isReportDay = closes[dayIndex].date === date;
+  const beforeOpen = dayIndex > 0 ? pct(dayIndex - 1, dayIndex) : null;
+  const afterClose = isReportDay && dayIndex + 1 < closes.length ? pct(dayIndex, dayIndex + 1) : null;
+
+  if (timing === 'AMC') return afterClose === null ? null : { move: afterClose, basis: 'AMC' };
+  if (timing === 'BMO' || timing === 'DMH') return beforeOpen === null ? null : { move: beforeOpen, basis: timing };
+
+  if (beforeOpen === null || afterClose === null) return null;
+  return Math.abs(afterClose) > Math.abs(beforeOpen)
+    ? { move: afterClose, basis: 'AMC (assumed)' }
+    : { move: beforeOpen, basis: 'BMO (assumed)' };
+}
+
+/**
+ * Store a past report with its actual move (and the implied move if one was entered)
+ */
+function recordEarningsResult(event, closes) {
+  const result = calculateEarningsMove(closes, event.date, event.timing);
+  if (!result) return null;
+
+  const implied = impliedMoves.get(`${event.symbol}:${event.date}`);
+  const entry = {
+    date: event.date,
+    timing: event.timing,
+    fiscalQuarter: event.fiscalQuarter || null,
+    epsEstimate: event.epsEstimate ?? null,
+    epsActual: event.epsActual ?? null,
+    revenueEstimate: event.revenueEstimate ?? null,
+    revenueActual: event.revenueActual ?? null,
+    impliedMove: implied?.impliedMove ?? null,
+    actualMove: parseFloat(result.move.toFixed(2)),
+    moveBasis: result.basis
+  };
+
+  const entries = (history.get(event.symbol) || []).filter(e => e.date !== event.date);
+  entries.push(entry);
+  history.set(event.symbol, entries.sort((a, b) => a.date.localeCompare(b.date)));
+  return entry;
+}
+
+/**
+ * Implied vs actual move statistics over the last HISTORY_QUARTERS reports
+ */
+function summarizeEarningsHistory(symbol) {
+  const entries = (history.get(symbol) || []).slice(-HISTORY_QUARTERS);
+  if (entries.length === 0) return null;
+
+  const mean = (values) => values.length
+    ? parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2))
+    : null;
+  const withImplied = entries.filter(e => e.impliedMove);
+
+  return {
+    reports: entries.length,
+    avgActualMove: mean(entries.map(e => Math.abs(e.actualMove))),
+    avgImpliedMove: mean(withImplied.map(e => e.impliedMove)),
+    // >1 = the stock tends to move more than options price in
+    actualToImplied: mean(withImplied.map(e => Math.abs(e.actualMove) / e.impliedMove)),
+    beatRate: (() => {
+      const graded = entries.filter(e => e.epsActual !== null && e.epsEstimate !== null);
+      return graded.length ? Math.round(graded.filter(e => e.epsActual > e.epsEstimate).length / graded.length * 100) : null;
+    })(),
+    lastTiming: entries[entries.length - 1].timing
+  };
+}
+
+function getEarningsHistory(symbol) {
+  const key = String(symbol || '').toUpperCase();
+  return {
+    symbol: key,
+    reports: history.get(key) || [],
+    summary: summarizeEarningsHistory(key)
+  };
+}
+
+/**
+ * Record the options-implied move (percent, e.g. ATM straddle / price) for a report
+ */
+function setImpliedMove({ symbol, date, impliedMove, source = 'manual' }) {
+  const key = String(symbol || '').toUpperCase();
+  if (!key) throw new Error('symbol is required');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('date (YYYY-MM-DD) is required');
+
+  const move = parseFloat(impliedMove);
+  if (!Number.isFinite(move) || move <= 0) throw new Error('impliedMove must be a positive percent');
+
+  const record = { symbol: key, date, impliedMove: move, source, recordedAt: new Date().toISOString() };
+  impliedMoves.set(`${key}:${date}`, record);
+
+  // Already graded: attach to the stored result
+  const entries = history.get(key);
+  const graded = entries?.find(e => e.date === date);
+  if (graded) {
+    graded.impliedMove = move;
+    history.set(key, entries);
+  }
+
+  return record;
+}
+
+// ============================================================================
+// REFRESH
+// ============================================================================
+
+/**
+ * Grade recent reports and backfill heavyweights with thin history
+ */
+async function updateEarningsHistory(events, today) {
+  // Today's bar is still moving - moves are graded from settled closes only
+  const settledCloses = async (symbol) => (await fetchDailyCloses(symbol)).filter(row => row.date < today);
+  let graded = 0;
+
+  const due = events.filter(e => {
+    if (!INDEX_WEIGHTS[e.symbol] || e.date >= today) return false;
+    return !(history.get(e.symbol) || []).some(h => h.date === e.date);
+  });
+
+  for (const event of due) {
+    try {
+      if (recordEarningsResult(event, await settledCloses(event.symbol))) graded++;
+    } catch (error) {
+      console.warn('[Earnings]', error.message);
+    }
+  }
+
+  if (!process.env.FINNHUB_API_KEY) return { graded, backfilled: 0 };
+
+  const attempts = calendar.get('backfill') || {};
+  const retryBefore = addDays(today, -BACKFILL_RETRY_DAYS);
+  const thin = Object.keys(INDEX_WEIGHTS)
+    .filter(symbol => (history.get(symbol) || []).length < MIN_HISTORY)
+    .filter(symbol => !attempts[symbol] || attempts[symbol] < retryBefore)
+    .slice(0, BACKFILL_PER_RUN);
+
+  let backfilled = 0;
+  for (const symbol of thin) {
+    attempts[symbol] = today;
+    try {
+      const past = (await fetchFinnhubEarnings(addDays(today, -730), addDays(today, -1), symbol))
+        .filter(e => e.symbol === symbol);
+      if (past.length === 0) continue;
+      const closes = await settledCloses(symbol);
+      past.forEach(event => {
+        if (recordEarningsResult(event, closes)) backfilled++;
+      });
+    } catch (error) {
+      console.warn('[Earnings] Backfill', symbol, error.message);
+    }
+  }
+  calendar.set('backfill', attempts);
+
+  return { graded, backfilled };
+}
+
+/**
+ * Pull the calendar for the horizon (plus the last week, for grading)
+ */
+async function refreshEarningsCalendar(now = new Date()) {
+  const today = getETToday(now);
+  const from = addDays(today, -LOOKBACK_DAYS);
+  const to = addDays(today, getHorizonDays());
+
+  let events;
+  let source;
+  if (process.env.FINNHUB_API_KEY) {
+    events = await fetchFinnhubEarnings(from, to);
+    source = 'Finnhub';
+  } else {
+    const horizon = getHorizonDays() > 90 ? '6month' : '3month';
+    events = (await fetchEarningsCalendar({ horizon })).filter(e => e.date >= from && e.date <= to);
+    source = 'Alpha Vantage';
+  }
+
+  // An empty response (rate limit, outage) keeps the last good calendar
+  if (events.length === 0) {
+    return { events: 0, source, kept: (calendar.get('events') || []).length };
+  }
+
+  calendar.set('events', events);
+  calendar.set('meta', { source, from, to, fetchedAt: new Date().toISOString() });
+
+  const { graded, backfilled } = await updateEarningsHistory(events, today);
+  return { events: events.length, source, graded, backfilled };
+}
+
+// ============================================================================
+// CALENDAR
+// ============================================================================
+
+/**
+ * Latest ES / NQ closes from the bar store
+ */
+function getIndexLevels() {
+  const levels = {};
+  for (const symbol of Object.keys(DEFAULT_INDEX_LEVELS)) {
+    try {
+      levels[symbol] = getStoredBars(symbol, '1d', { limit: 1 })[0]?.close || DEFAULT_INDEX_LEVELS[symbol];
+    } catch {
+      levels[symbol] = DEFAULT_INDEX_LEVELS[symbol];
+    }
+  }
+  return levels;
+}
+
+/**
+ * Add timing fallback, expected move and ES/NQ point impact to a report
+ */
+function enrichEvent(event, today, levels) {
+  const weights = INDEX_WEIGHTS[event.symbol] || {};
+  const stats = summarizeEarningsHistory(event.symbol);
+  const implied = impliedMoves.get(`${event.symbol}:${event.date}`);
+
+  let timing = event.timing;
+  let timingSource = timing === 'TBD' ? null : 'calendar';
+  if (timing === 'TBD' && stats?.lastTiming && stats.lastTiming !== 'TBD') {
+    timing = stats.lastTiming;
+    timingSource = 'history';
+  }
+
+  const expectedMovePercent = implied?.impliedMove ?? stats?.avgActualMove ?? null;
+  const indexImpact = {};
+  if (expectedMovePercent !== null) {
+    if (weights.sp500) {
+      indexImpact.ES = { weight: weights.sp500, points: parseFloat((weights.sp500 / 100 * expectedMovePercent / 100 * levels.ES).toFixed(1)) };
+    }
+    if (weights.ndx) {
+      indexImpact.NQ = { weight: weights.ndx, points: parseFloat((weights.ndx / 100 * expectedMovePercent / 100 * levels.NQ).toFixed(1)) };
+    }
+  }
+
+  const affectedInstruments = [];
+  if (weights.sp500 || !INDEX_WEIGHTS[event.symbol]) affectedInstruments.push('ES');
+  if (weights.ndx) affectedInstruments.push('NQ');
+  if (weights.dow) affectedInstruments.push('YM');
+
+  const daysUntil = Math.round((new Date(`${event.date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / DAY_MS);
+
+  return {
+    ...event,
+    timing,
+    timingSource,
+    time: TIMING_LABELS[timing],
+    indexWeight: INDEX_WEIGHTS[event.symbol] ? { ES: weights.sp500 || null, NQ: weights.ndx || null } : null,
+    affectedInstruments,
+    expectedMove: expectedMovePercent === null ? null : {
+      percent: expectedMovePercent,
+      basis: implied ? 'implied' : 'historical',
+      impliedMove: implied?.impliedMove ?? null,
+      avgActualMove: stats?.avgActualMove ?? null
+    },
+    indexImpact,
+    history: stats,
+    daysUntil,
+    isToday: daysUntil === 0,
+    isTomorrow: daysUntil === 1
+  };
+}
+
+/**
+ * Upcoming reports, soonest first (BMO before AMC on the same day)
+ * @param {Object} options
+ * @param {number} options.days - Days ahead to include (0 = today only)
+ * @param {string[]} options.symbols - Limit to these tickers
+ * @param {boolean} options.all - Include small caps (default: index names and
+ *   reports with revenue estimates above $1B)
+ */
+function getEarningsCalendar({ days = 14, symbols = null, all = false, now = new Date() } = {}) {
+  const today = getETToday(now);
+  const last = addDays(today, days);
+  const levels = getIndexLevels();
+  const wanted = symbols?.map(s => s.toUpperCase());
+  const timingOrder = { BMO: 0, DMH: 1, AMC: 2, TBD: 3 };
+
+  return (calendar.get('events') || [])
+    .filter(e => e.date >= today && e.date <= last)
+    .filter(e => !wanted || wanted.includes(e.symbol))
+    .filter(e => all || wanted || INDEX_WEIGHTS[e.symbol] || (e.revenueEstimate || 0) >= MIN_REVENUE)
+    .map(e => enrichEvent(e, today, levels))
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      timingOrder[a.timing] - timingOrder[b.timing] ||
+      (b.indexImpact.ES?.points || 0) - (a.indexImpact.ES?.points || 0)
+    );
+}
+
+/**
+ * Expected ES / NQ points at stake per report date
+ */
+function summarizeEarningsByDay(events) {
+  const byDate = {};
+  for (const event of events) {
+    const day = byDate[event.date] || (byDate[event.date] = { date: event.date, reports: 0, esPoints: 0, nqPoints: 0, majors: [] });
+    day.reports++;
+    day.esPoints += event.indexImpact.ES?.points || 0;
+    day.nqPoints += event.indexImpact.NQ?.points || 0;
+    if (event.indexWeight) day.majors.push(`${event.symbol} ${event.timing}`);
+  }
+
+  return Object.values(byDate).map(day => ({
+    ...day,
+    esPoints: parseFloat(day.esPoints.toFixed(1)),
+    nqPoints: parseFloat(day.nqPoints.toFixed(1))
+  }));
+}
+
+function getEarningsStatus() {
+  return {
+    ...(calendar.get('meta') || { fetchedAt: null }),
+    events: (calendar.get('events') || []).length,
+    tickersWithHistory: history.size,
+    impliedMoves: impliedMoves.size,
+    schedulerRunning: !!refreshTimer
+  };
+}
+
+/**
+ * Keep the calendar and earnings history current
+ */
+function startEarningsTracker(intervalMs = REFRESH_INTERVAL) {
+  if (refreshTimer) return;
+
+  const run = () => refreshEarningsCalendar()
+    .then(result => {
+      if (result.graded || result.backfilled) {
+        console.log(`[Earnings] Graded ${result.graded} report(s), backfilled ${result.backfilled}`);
+      }
+    })
+    .catch(error => console.error('[Earnings] Refresh failed:', error.message));
+
+  run();
+  refreshTimer = setInterval(run, intervalMs);
+  refreshTimer.unref?.();
+}
+
+function stopEarningsTracker() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+export {
+  refreshEarningsCalendar,
+  getEarningsCalendar,
+  summarizeEarningsByDay,
+  getEarningsHistory,
+  setImpliedMove,
+  calculateEarningsMove,
+  getEarningsStatus,
+  startEarningsTracker,
+  stopEarningsTracker,
+  INDEX_WEIGHTS
+};
@@ -0,0 +1,1008 @@
+/**
+ * Economic Calendar Engine - scheduled releases from recurrence rules
+ *
+ * One place that knows when NFP, CPI, EIA, WASDE, Treasury auctions... print.
+ * Every event in CALENDAR_EVENTS carries a recurrence rule (first Friday,
+ * first business day, last Thursday, every Wednesday...) and a holiday
+ * policy: a date that lands on a US federal holiday moves the way the
+ * agency moves it (claims come out a day early on Thanksgiving week, EIA
+ * petroleum slips to Thursday after a Monday holiday).
+ *
+ * Rules approximate agency practice. The published BLS / BEA / USDA
+ * schedules are exact - drop them in ECONOMIC_CALENDAR_DIR as CSV and they
+ * replace the rule date for that period:
+ *
+ *   event,date,time,period,status
+ *   CPI,2026-11-10,08:30,,
+ *   NFP,2026-11-06,,,
+ *   RETAIL_SALES,,,2026-10,cancelled
+ *
+ * - event:  calendar key (NFP, CPI...) or alias
+ * - period: occurrence replaced (YYYY-MM, or the week's Monday for weekly
+ *           reports), defaults to the period the date falls in
+ * - status: cancelled drops the occurrence (e.g. shutdown delays)
+ *
+ * Overrides set at runtime (setCalendarOverride, source manual) are persisted
+ * and restored on startup. Events without a schedule (OPEC+ meetings) only
+ * appear through overrides.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './persistence.js';
+import { getReleaseExpectation } from './economicSurprise.js';
+import { getFederalHolidays, getMarketDay } from './marketCalendar.js';
+
+const EQUITY_INDEXES = ['ES', 'NQ', 'YM', 'RTY'];
+const RATES = ['ZT', 'ZF', 'ZN', 'ZB'];
+
+const IMPORTANCE_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 14;
+
+// FOMC decision days (second day of each meeting)
+const FOMC_MEETINGS = [
+  // 2025
+  { year: 2025, month: 1, days: [28, 29], pressConference: true },
+  { year: 2025, month: 3, days: [18, 19], pressConference: true },
+  { year: 2025, month: 5, days: [6, 7], pressConference: true },
+  { year: 2025, month: 6, days: [17, 18], pressConference: true },
+  { year: 2025, month: 7, days: [29, 30], pressConference: true },
+  { year: 2025, month: 9, days: [16, 17], pressConference: true },
+  { year: 2025, month: 11, days: [4, 5], pressConference: true },
+  { year: 2025, month: 12, days: [16, 17], pressConference: true },
+  // 2026
+  { year: 2026, month: 1, days: [27, 28], pressConference: true },
+  { year: 2026, month: 3, days: [17, 18], pressConference: true },
+  { year: 2026, month: 5, days: [5, 6], pressConference: true },
+  { year: 2026, month: 6, days: [16, 17], pressConference: true },
+  { year: 2026, month: 7, days: [28, 29], pressConference: true },
+  { year: 2026, month: 9, days: [15, 16], pressConference: true },
+  { year: 2026, month: 11, days: [3, 4], pressConference: true },
+  { year: 2026, month: 12, days: [15, 16], pressConference: true },
+];
+
+/**
+ * Scheduled events
+ * - rule:       recurrence (see RULE TYPES below)
+ * - holiday:    'next' (default) / 'prev' moves a date off a federal holiday,
+ *               'none' for non-US releases (weekends still roll forward)
+ * - holidayWeek: weekly reports that slip a day when an earlier weekday of
+ *               the same week is a holiday
+ * - months:     only these months (crop season, quarterly reports)
+ * - fredSeries: series graded by economicSurprise.js (consensus / previous)
+ * - time:       HH:MM ET, null when the release time is not fixed
+ */
+const CALENDAR_EVENTS = {
+  // --------------------------------------------------------------------------
+  // US ECONOMIC DATA
+  // --------------------------------------------------------------------------
+  NFP: {
+    name: 'Non-Farm Payrolls',
+    shortName: 'NFP',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: ['payrolls', 'employment', 'jobs'],
+    rule: { type: 'nthWeekday', weekday: 5, n: 1 },
+    holiday: 'prev', // First Friday a holiday (July 3): Thursday
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, ...RATES, 'DX', 'GC', '6E', '6J'],
+    fredSeries: 'PAYEMS'
+  },
+  UNEMPLOYMENT: {
+    name: 'Unemployment Rate',
+    shortName: 'Unemployment',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: ['unemployment_rate'],
+    rule: { type: 'after', event: 'NFP', businessDays: 0 },
+    holiday: 'prev',
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, ...RATES, 'DX', 'GC'],
+    fredSeries: 'UNRATE'
+  },
+  CPI: {
+    name: 'CPI (Consumer Price Index)',
+    shortName: 'CPI',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: ['inflation'],
+    rule: { type: 'monthDay', day: 10, weekdays: [2, 3, 4] },
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, ...RATES, 'GC', 'DX', '6E', '6J'],
+    fredSeries: 'CPIAUCSL'
+  },
+  CORE_CPI: {
+    name: 'Core CPI (ex Food & Energy)',
+    shortName: 'Core CPI',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: [],
+    rule: { type: 'after', event: 'CPI', businessDays: 0 },
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, ...RATES, 'GC', 'DX'],
+    fredSeries: 'CPILFESL'
+  },
+  PPI: {
+    name: 'PPI (Producer Price Index)',
+    shortName: 'PPI',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: ['producer_prices'],
+    rule: { type: 'after', event: 'CPI', businessDays: 1 },
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: ['ES', 'NQ', 'ZN', 'CL', 'DX'],
+    fredSeries: 'PPIACO'
+  },
+  RETAIL_SALES: {
+    name: 'Retail Sales',
+    shortName: 'Retail Sales',
+    agency: 'Census',
+    category: 'economic',
+    aliases: ['retail'],
+    rule: { type: 'monthDay', day: 14, weekdays: [2, 3, 4, 5] },
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: ['ES', 'YM', 'RTY', 'ZN', 'DX'],
+    fredSeries: 'RSXFS'
+  },
+  ISM_MANUFACTURING: {
+    name: 'ISM Manufacturing PMI',
+    shortName: 'ISM Mfg',
+    agency: 'ISM',
+    category: 'economic',
+    aliases: ['ism', 'ism_pmi'],
+    rule: { type: 'businessDay', n: 1 },
+    time: '10:00',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, 'ZN', 'DX', 'HG']
+  },
+  ISM_SERVICES: {
+    name: 'ISM Services PMI',
+    shortName: 'ISM Services',
+    agency: 'ISM',
+    category: 'economic',
+    aliases: ['ism_non_manufacturing'],
+    rule: { type: 'businessDay', n: 3 },
+    time: '10:00',
+    importance: 'MEDIUM',
+    affectedInstruments: [...EQUITY_INDEXES, 'ZN', 'DX']
+  },
+  JOLTS: {
+    name: 'JOLTS Job Openings',
+    shortName: 'JOLTS',
+    agency: 'BLS',
+    category: 'economic',
+    aliases: ['job_openings'],
+    rule: { type: 'nthWeekday', weekday: 2, n: 1 },
+    time: '10:00',
+    importance: 'MEDIUM',
+    affectedInstruments: ['ES', 'NQ', 'ZN', 'DX'],
+    fredSeries: 'JTS1000JOL'
+  },
+  JOBLESS_CLAIMS: {
+    name: 'Initial Jobless Claims',
+    shortName: 'Jobless Claims',
+    agency: 'DOL',
+    category: 'economic',
+    aliases: ['claims', 'initial_claims'],
+    rule: { type: 'weekly', weekday: 4 },
+    holiday: 'prev', // Thanksgiving / Christmas week: Wednesday
+    time: '08:30',
+    importance: 'MEDIUM',
+    affectedInstruments: ['ES', 'NQ', 'ZN', 'DX'],
+    fredSeries: 'ICSA'
+  },
+  GDP: {
+    name: 'GDP',
+    shortName: 'GDP',
+    agency: 'BEA',
+    category: 'economic',
+    aliases: ['gross_domestic_product'],
+    rule: { type: 'nthWeekday', weekday: 4, n: -1 },
+    holiday: 'prev', // Thanksgiving: Wednesday
+    // Each month carries one of the three estimates of the prior quarter
+    phases: [
+      { months: [1, 4, 7, 10], label: 'Advance', importance: 'HIGH' },
+      { months: [2, 5, 8, 11], label: 'Second Estimate', importance: 'MEDIUM' },
+      { months: [3, 6, 9, 12], label: 'Third Estimate', importance: 'MEDIUM' }
+    ],
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, 'ZN', 'DX'],
+    fredSeries: 'GDPC1'
+  },
+  PCE: {
+    name: 'PCE Price Index',
+    shortName: 'PCE',
+    agency: 'BEA',
+    category: 'economic',
+    aliases: ['core_pce', 'personal_income'],
+    rule: { type: 'nthWeekday', weekday: 5, n: -1 },
+    time: '08:30',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, 'ZN', 'GC', 'DX'],
+    fredSeries: 'PCEPILFE'
+  },
+
+  // --------------------------------------------------------------------------
+  // ENERGY
+  // --------------------------------------------------------------------------
+  OPEC_MOMR: {
+    name: 'OPEC Monthly Oil Market Report',
+    shortName: 'OPEC Report',
+    agency: 'OPEC',
+    category: 'energy',
+    aliases: ['opec', 'momr'],
+    rule: { type: 'monthDay', day: 11 },
+    holiday: 'none',
+    time: '07:00',
+    importance: 'HIGH',
+    affectedInstruments: ['CL', 'RB']
+  },
+  OPEC_MEETING: {
+    name: 'OPEC+ Meeting',
+    shortName: 'OPEC+ Meeting',
+    agency: 'OPEC',
+    category: 'energy',
+    aliases: ['opec_plus'],
+    // Meetings are ad hoc: no rule dates, announced dates come from overrides
+    rule: { type: 'dates', dates: [] },
+    holiday: 'none',
+    time: null,
+    importance: 'HIGH',
+    affectedInstruments: ['CL', 'RB', 'NG']
+  },
+  API_INVENTORY: {
+    name: 'API Weekly Inventory',
+    shortName: 'API Inventory',
+    agency: 'API',
+    category: 'energy',
+    aliases: ['api'],
+    rule: { type: 'weekly', weekday: 2 },
+    holidayWeek: true,
+    time: '16:30',
+    importance: 'MEDIUM',
+    affectedInstruments: ['CL', 'RB']
+  },
+  EIA_PETROLEUM: {
+    name: 'EIA Petroleum Status Report',
+    shortName: 'EIA Petroleum',
+    agency: 'EIA',
+    category: 'energy',
+    aliases: ['eia', 'eia_crude', 'crude_inventories'],
+    rule: { type: 'weekly', weekday: 3 },
+    holidayWeek: true,
+    time: '10:30',
+    importance: 'HIGH',
+    affectedInstruments: ['CL', 'NG', 'RB']
+  },
+  EIA_NATGAS: {
+    name: 'EIA Natural Gas Storage',
+    shortName: 'EIA Nat Gas',
+    agency: 'EIA',
+    category: 'energy',
+    aliases: ['ng_storage', 'natgas_storage'],
+    rule: { type: 'weekly', weekday: 4 },
+    holiday: 'prev',
+    time: '10:30',
+    importance: 'HIGH',
+    affectedInstruments: ['NG']
+  },
+  BAKER_HUGHES: {
+    name: 'Baker Hughes Rig Count',
+    shortName: 'Rig Count',
+    agency: 'Baker Hughes',
+    category: 'energy',
+    aliases: ['rig_count'],
+    rule: { type: 'weekly', weekday: 5 },
+    holiday: 'prev',
+    time: '13:00',
+    importance: 'MEDIUM',
+    affectedInstruments: ['CL', 'NG']
+  },
+  EIA_STEO: {
+    name: 'EIA Short-Term Energy Outlook',
+    shortName: 'EIA STEO',
+    agency: 'EIA',
+    category: 'energy',
+    aliases: ['steo'],
+    rule: { type: 'monthDay', day: 6, weekdays: [2] },
+    time: '12:00',
+    importance: 'MEDIUM',
+    affectedInstruments: ['CL', 'NG']
+  },
+
+  // --------------------------------------------------------------------------
+  // AGRICULTURE
+  // --------------------------------------------------------------------------
+  WASDE: {
+    name: 'USDA WASDE Report',
+    shortName: 'WASDE',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['usda_wasde'],
+    rule: { type: 'monthDay', day: 9 },
+    time: '12:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZS', 'ZC', 'ZW', 'ZM', 'ZL', 'LE', 'HE']
+  },
+  CROP_PROGRESS: {
+    name: 'USDA Crop Progress',
+    shortName: 'Crop Progress',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['usda_crop_progress'],
+    rule: { type: 'weekly', weekday: 1 },
+    months: [4, 5, 6, 7, 8, 9, 10, 11],
+    time: '16:00',
+    importance: 'MEDIUM',
+    affectedInstruments: ['ZS', 'ZC', 'ZW']
+  },
+  EXPORT_SALES: {
+    name: 'USDA Export Sales',
+    shortName: 'Export Sales',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['usda_export_sales'],
+    rule: { type: 'weekly', weekday: 4 },
+    time: '08:30',
+    importance: 'MEDIUM',
+    affectedInstruments: ['ZS', 'ZC', 'ZW']
+  },
+  CATTLE_ON_FEED: {
+    name: 'USDA Cattle on Feed',
+    shortName: 'Cattle on Feed',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: [],
+    rule: { type: 'nthWeekday', weekday: 5, n: 3 },
+    time: '15:00',
+    importance: 'HIGH',
+    affectedInstruments: ['LE']
+  },
+  HOGS_AND_PIGS: {
+    name: 'USDA Hogs & Pigs',
+    shortName: 'Hogs & Pigs',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['hogs_pigs'],
+    rule: { type: 'nthWeekday', weekday: 4, n: -1 },
+    months: [3, 6, 9, 12],
+    time: '15:00',
+    importance: 'HIGH',
+    affectedInstruments: ['HE']
+  },
+  GRAIN_STOCKS: {
+    name: 'USDA Quarterly Grain Stocks',
+    shortName: 'Grain Stocks',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['quarterly_stocks'],
+    // January stocks come out with the January WASDE - add it as an override
+    rule: { type: 'businessDay', n: -1 },
+    months: [3, 6, 9],
+    time: '12:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZC', 'ZS', 'ZW']
+  },
+  PROSPECTIVE_PLANTINGS: {
+    name: 'USDA Prospective Plantings',
+    shortName: 'Planting Intentions',
+    agency: 'USDA',
+    category: 'agriculture',
+    aliases: ['planting_intentions'],
+    rule: { type: 'businessDay', n: -1 },
+    months: [3],
+    time: '12:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZC', 'ZS', 'ZW']
+  },
+  CFTC_COT: {
+    name: 'CFTC Commitments of Traders',
+    shortName: 'COT',
+    agency: 'CFTC',
+    category: 'positioning',
+    aliases: ['cot'],
+    rule: { type: 'weekly', weekday: 5 },
+    holidayWeek: true, // Holiday weeks: following Monday
+    time: '15:30',
+    importance: 'LOW',
+    affectedInstruments: ['ALL']
+  },
+
+  // --------------------------------------------------------------------------
+  // TREASURY AUCTIONS
+  // --------------------------------------------------------------------------
+  AUCTION_2Y: {
+    name: '2-Year Treasury Auction',
+    shortName: '2Y Auction',
+    agency: 'Treasury',
+    category: 'bonds',
+    aliases: ['2y_auction'],
+    rule: { type: 'weekOf', day: 24, weekday: 2 },
+    time: '13:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZT']
+  },
+  AUCTION_5Y: {
+    name: '5-Year Treasury Auction',
+    shortName: '5Y Auction',
+    agency: 'Treasury',
+    category: 'bonds',
+    aliases: ['5y_auction'],
+    rule: { type: 'weekOf', day: 24, weekday: 3 },
+    time: '13:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZF']
+  },
+  AUCTION_10Y: {
+    name: '10-Year Treasury Auction',
+    shortName: '10Y Auction',
+    agency: 'Treasury',
+    category: 'bonds',
+    aliases: ['10y_auction'],
+    rule: { type: 'weekOf', day: 10, weekday: 3 },
+    time: '13:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZN', 'TN']
+  },
+  AUCTION_30Y: {
+    name: '30-Year Treasury Bond Auction',
+    shortName: '30Y Auction',
+    agency: 'Treasury',
+    category: 'bonds',
+    aliases: ['30y_auction'],
+    rule: { type: 'weekOf', day: 10, weekday: 4 },
+    time: '13:00',
+    importance: 'HIGH',
+    affectedInstruments: ['ZB']
+  },
+
+  // --------------------------------------------------------------------------
+  // CENTRAL BANKS / INTERNATIONAL
+  // --------------------------------------------------------------------------
+  FOMC: {
+    name: 'FOMC Rate Decision',
+    shortName: 'FOMC',
+    agency: 'Federal Reserve',
+    category: 'centralbank',
+    aliases: ['fed', 'fed_decision'],
+    rule: {
+      type: 'dates',
+      dates: FOMC_MEETINGS.map(m => formatYMD(m.year, m.month, m.days[m.days.length - 1]))
+    },
+    time: '14:00',
+    importance: 'HIGH',
+    affectedInstruments: [...EQUITY_INDEXES, 'ZN', 'ZB', 'DX', '6E', '6J', '6B', '6A', 'GC', 'CL']
+  },
+  CHINA_PMI: {
+    name: 'China Manufacturing PMI',
+    shortName: 'China PMI',
+    agency: 'NBS',
+    category: 'international',
+    aliases: ['china_pmi'],
+    // NBS publishes on the last day of the reference month, weekends included
+    rule: { type: 'monthDay', day: -1, weekdays: [0, 1, 2, 3, 4, 5, 6] },
+    holiday: 'none',
+    time: null,
+    importance: 'MEDIUM',
+    affectedInstruments: ['HG', '6A', 'ZS', 'GC']
+  },
+  GERMAN_IFO: {
+    name: 'German IFO Business Climate',
+    shortName: 'German IFO',
+    agency: 'ifo Institute',
+    category: 'international',
+    aliases: ['ifo'],
+    rule: { type: 'monthDay', day: 24 },
+    holiday: 'none',
+    time: '04:00',
+    importance: 'MEDIUM',
+    affectedInstruments: ['DAX', '6E', 'STOXX']
+  }
+};
+
+const overrides = new Map();   // `${event}:${period}` -> { event, date, time, period, status, source }
+const manualOverrides = getCollection('calendar_overrides'); // source manual, same keys
+for (const [key, record] of manualOverrides) overrides.set(key, record);
+let overrideErrors = [];
+let overrideSignature = null;
+
+// ============================================================================
+// DATES (YYYY-MM-DD strings, calendar arithmetic in UTC)
+// ============================================================================
+
+function formatYMD(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+function parseYMD(ymd) {
+  const [year, month, day] = ymd.split('-').map(Number);
+  return { year, month, day };
+}
+
+function addDays(ymd, days) {
+  const date = new Date(`${ymd}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function getWeekday(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+function getWeekMonday(ymd) {
+  return addDays(ymd, -((getWeekday(ymd) + 6) % 7));
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Calendar date in New York - what "today" means for US releases
+ */
+function toCalendarDate(date = new Date()) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+// ============================================================================
+// US FEDERAL HOLIDAYS (marketCalendar.js)
+// ============================================================================
+
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n > 0) {
+    const first = formatYMD(year, month, 1);
+    return addDays(first, (weekday - getWeekday(first) + 7) % 7 + (n - 1) * 7);
+  }
+  const last = formatYMD(year, month + 1, 0);
+  return addDays(last, -((getWeekday(last) - weekday + 7) % 7) + (n + 1) * 7);
+}
+
+function getHoliday(ymd) {
+  return getFederalHolidays(parseYMD(ymd).year).get(ymd) || null;
+}
+
+function isBusinessDay(ymd) {
+  const weekday = getWeekday(ymd);
+  return weekday !== 0 && weekday !== 6 && !getHoliday(ymd);
+}
+
+/**
+ * Move a date off weekends (and holidays unless mode is 'none')
+ */
+function shiftDate(ymd, mode = 'next') {
+  const open = mode === 'none'
+    ? (d) => getWeekday(d) !== 0 && getWeekday(d) !== 6
+    : isBusinessDay;
+  const step = mode === 'prev' ? -1 : 1;
+
+  let date = ymd;
+  while (!open(date)) date = addDays(date, step);
+  return date;
+}
+
+function addBusinessDays(ymd, count) {
+  let date = ymd;
+  for (let i = 0; i < count; i++) date = shiftDate(addDays(date, 1));
+  return date;
+}
+
+// ============================================================================
+// RULE TYPES
+// ============================================================================
+
+/**
+ * Rule date for one month, before overrides
+ * - nthWeekday:  { weekday, n }       n = -1 for the last one
+ * - businessDay: { n }                nth business day, -1 = last
+ * - monthDay:    { day, weekdays? }   first date on/after day that falls on one of weekdays (day -1 = last day)
+ * - weekOf:      { day, weekday }     that weekday in the Mon-Sun week containing day
+ * - after:       { event, businessDays } business days after another event (same month)
+ * - dates:       { dates }            fixed list (FOMC)
+ */
+function getMonthlyRuleDate(key, year, month) {
+  const definition = CALENDAR_EVENTS[key];
+  const { rule } = definition;
+  const holiday = definition.holiday || 'next';
+
+  switch (rule.type) {
+    case 'nthWeekday':
+      return shiftDate(nthWeekdayOfMonth(year, month, rule.weekday, rule.n), holiday);
+
+    case 'businessDay': {
+      const step = rule.n > 0 ? 1 : -1;
+      let date = rule.n > 0 ? formatYMD(year, month, 1) : formatYMD(year, month + 1, 0);
+      let count = 0;
+      while (true) {
+        const open = holiday === 'none'
+          ? getWeekday(date) !== 0 && getWeekday(date) !== 6
+          : isBusinessDay(date);
+        if (open && ++count === Math.abs(rule.n)) return date;
+        date = addDays(date, step);
+      }
+    }
+
+    case 'monthDay': {
+      const weekdays = rule.weekdays || [1, 2, 3, 4, 5];
+      let date = rule.day < 0 ? formatYMD(year, month + 1, 0) : formatYMD(year, month, rule.day);
+      while (!weekdays.includes(getWeekday(date)) || (holiday !== 'none' && getHoliday(date))) {
+        date = addDays(date, 1);
+      }
+      return date;
+    }
+
+    case 'weekOf': {
+      const monday = getWeekMonday(formatYMD(year, month, rule.day));
+      return shiftDate(addDays(monday, rule.weekday - 1), holiday);
+    }
+
+    case 'after': {
+      const base = resolveMonthly(rule.event, year, month);
+      return base ? addBusinessDays(base.date, rule.businessDays) : null;
+    }
+
+    case 'dates':
+      return rule.dates.find(date => date.startsWith(formatYMD(year, month, 1).slice(0, 7))) || null;
+
+    default:
+      throw new Error(`Unknown calendar rule: ${rule.type}`);
+  }
+}
+
+/**
+ * Weekly report date for the week starting monday, before overrides
+ */
+function getWeeklyRuleDate(key, monday) {
+  const definition = CALENDAR_EVENTS[key];
+  let date = addDays(monday, definition.rule.weekday - 1);
+
+  if (definition.holidayWeek) {
+    for (let d = monday; d <= date; d = addDays(d, 1)) {
+      if (getHoliday(d)) {
+        date = addDays(date, 1);
+        break;
+      }
+    }
+  }
+
+  return shiftDate(date, definition.holiday || 'next');
+}
+
+/**
+ * One monthly occurrence with any override applied (null = none / cancelled)
+ */
+function resolveMonthly(key, year, month) {
+  const period = formatYMD(year, month, 1).slice(0, 7);
+  const override = overrides.get(`${key}:${period}`);
+  if (override) return override.status === 'cancelled' ? null : { ...override, source: 'override' };
+
+  const definition = CALENDAR_EVENTS[key];
+  if (definition.months && !definition.months.includes(month)) return null;
+
+  const date = getMonthlyRuleDate(key, year, month);
+  return date ? { event: key, date, time: definition.time, period, source: 'rule' } : null;
+}
+
+function resolveWeekly(key, monday) {
+  const override = overrides.get(`${key}:${monday}`);
+  if (override) return override.status === 'cancelled' ? null : { ...override, source: 'override' };
+
+  const definition = CALENDAR_EVENTS[key];
+  const date = getWeeklyRuleDate(key, monday);
+  if (definition.months && !definition.months.includes(parseYMD(date).month)) return null;
+
+  return { event: key, date, time: definition.time, period: monday, source: 'rule' };
+}
+
+/**
+ * All occurrences of one event between from and to (inclusive)
+ */
+function generateOccurrences(key, from, to) {
+  const occurrences = [];
+  const isWeekly = CALENDAR_EVENTS[key].rule.type === 'weekly';
+
+  if (isWeekly) {
+    // Start a week early - holiday weeks push Friday reports into the next week
+    for (let monday = addDays(getWeekMonday(from), -7); monday <= to; monday = addDays(monday, 7)) {
+      const occurrence = resolveWeekly(key, monday);
+      if (occurrence) occurrences.push(occurrence);
+    }
+  } else {
+    // A month either side - holiday shifts and overrides can cross month ends
+    const start = parseYMD(from);
+    const end = parseYMD(to);
+    const first = start.year * 12 + start.month - 2;
+    const last = end.year * 12 + end.month;
+    for (let index = first; index <= last; index++) {
+      const occurrence = resolveMonthly(key, Math.floor(index / 12), index % 12 + 1);
+      if (occurrence) occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences.filter(o => o.date >= from && o.date <= to);
+}
+
+// ============================================================================
+// OVERRIDE FILES
+// ============================================================================
+
+/**
+ * Resolve "CPI", "cpi", "core_pce", "Non-Farm Payrolls"... to a calendar key
+ */
+function resolveCalendarEvent(name) {
+  const text = String(name || '').trim();
+  if (CALENDAR_EVENTS[text.toUpperCase()]) return text.toUpperCase();
+
+  const lower = text.toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(CALENDAR_EVENTS).find(key =>
+    CALENDAR_EVENTS[key].aliases.includes(lower) ||
+    CALENDAR_EVENTS[key].name.toLowerCase().replace(/[\s-]+/g, '_') === lower
+  ) || null;
+}
+
+/**
+ * Record a published release date
+ * @param {Object} entry - { event, date, time?, period?, status?, source? }
+ */
+function setCalendarOverride(entry) {
+  const event = resolveCalendarEvent(entry.event);
+  if (!event) throw new Error(`Unknown calendar event: ${entry.event}`);
+
+  const status = (entry.status || 'scheduled').toLowerCase();
+  if (!['scheduled', 'confirmed', 'cancelled'].includes(status)) {
+    throw new Error(`status must be scheduled, confirmed or cancelled (got ${entry.status})`);
+  }
+
+  const date = entry.date || null;
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('date must be YYYY-MM-DD');
+  if (!date && status !== 'cancelled') throw new Error('date is required unless status is cancelled');
+
+  const time = entry.time || CALENDAR_EVENTS[event].time;
+  if (time && !/^\d{2}:\d{2}$/.test(time)) throw new Error('time must be HH:MM (ET)');
+
+  const isWeekly = CALENDAR_EVENTS[event].rule.type === 'weekly';
+  let period = entry.period || (date && (isWeekly ? getWeekMonday(date) : date.slice(0, 7)));
+  if (!period) throw new Error('period is required for a cancelled release');
+  if (isWeekly && /^\d{4}-\d{2}-\d{2}$/.test(period)) period = getWeekMonday(period);
+  if (!(isWeekly ? /^\d{4}-\d{2}-\d{2}$/ : /^\d{4}-\d{2}$/).test(period)) {
+    throw new Error(`period must be ${isWeekly ? 'YYYY-MM-DD (week)' : 'YYYY-MM'}`);
+  }
+
+  const record = { event, date, time, period, status, source: entry.source || 'manual' };
+  overrides.set(`${event}:${period}`, record);
+  if (record.source === 'manual') manualOverrides.set(`${event}:${period}`, record);
+  return record;
+}
+
+/**
+ * Parse override CSV text: event,date[,time][,period][,status]
+ */
+function importCalendarOverridesCSV(text, source = 'csv') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const headers = (lines.shift() || '').split(',').map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const col = (name) => headers.indexOf(name);
+  const field = (fields, name) => (col(name) >= 0 && fields[col(name)]) || undefined;
+  const results = [];
+
+  for (const line of lines) {
+    const fields = line.split(',').map(f => f.trim());
+    try {
+      results.push(setCalendarOverride({
+        event: field(fields, 'event'),
+        date: field(fields, 'date'),
+        time: field(fields, 'time'),
+        period: field(fields, 'period'),
+        status: field(fields, 'status'),
+        source
+      }));
+    } catch (error) {
+      results.push({ line, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+function getOverrideDir() {
+  return process.env.ECONOMIC_CALENDAR_DIR || path.join(process.env.DATA_DIR || './data', 'calendar');
+}
+
+/**
+ * Re-read the override CSVs whenever a file is added, removed or changed
+ */
+function syncOverrideFiles() {
+  const dir = getOverrideDir();
+  let files;
+  try {
+    files = fs.readdirSync(dir)
+      .filter(name => name.toLowerCase().endsWith('.csv'))
+      .sort()
+      .map(name => ({ name, mtimeMs: fs.statSync(path.join(dir, name)).mtimeMs }));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('[Calendar] Failed to read override dir:', error.message);
+    files = [];
+  }
+
+  const signature = files.map(f => `${f.name}:${f.mtimeMs}`).join('|');
+  if (signature === overrideSignature) return;
+  overrideSignature = signature;
+
+  for (const [key, record] of overrides) {
+    if (record.source !== 'manual') overrides.delete(key);
+  }
+  overrideErrors = [];
+
+  for (const { name } of files) {
+    try {
+      const results = importCalendarOverridesCSV(fs.readFileSync(path.join(dir, name), 'utf8'), name);
+      results.filter(r => r.error).forEach(r => overrideErrors.push({ file: name, ...r }));
+    } catch (error) {
+      overrideErrors.push({ file: name, error: error.message });
+    }
+  }
+
+  if (overrideErrors.length > 0) {
+    console.warn(`[Calendar] ${overrideErrors.length} override row(s) skipped - see /api/economic/calendar/rules`);
+  }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+function formatTimeLabel(time) {
+  if (!time) return 'TBD';
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix} ET`;
+}
+
+function getDateLabel(ymd, today) {
+  if (ymd === today) return 'Today';
+  if (ymd === addDays(today, 1)) return 'Tomorrow';
+  return new Date(`${ymd}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Scheduled releases in a date range
+ * @param {Object} options
+ * @param {string|Date} options.from - first day (default today, ET)
+ * @param {string|Date} options.to - last day (default from + days)
+ * @param {number} options.days - range length when to is not given (default 14)
+ * @param {string[]|string} options.instruments - only events that move these (ES, CL...)
+ * @param {string} options.importance - minimum importance (LOW, MEDIUM, HIGH)
+ * @param {string[]|string} options.categories - economic, energy, agriculture, bonds, centralbank...
+ * @param {string[]|string} options.events - calendar keys or aliases
+ * @returns {Array} occurrences sorted by date and time
+ */
+function getEconomicCalendar({ from, to, days, instruments, importance, categories, events, now = new Date() } = {}) {
+  syncOverrideFiles();
+
+  const today = toCalendarDate(now);
+  const start = from ? toCalendarDate(from) : today;
+  const end = to ? toCalendarDate(to) : addDays(start, (Number(days) || DEFAULT_RANGE_DAYS) - 1);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+    throw new Error('from and to must be YYYY-MM-DD');
+  }
+  if (end < start) throw new Error('to must not be before from');
+  if (daysBetween(start, end) >= MAX_RANGE_DAYS) throw new Error(`to must be within ${MAX_RANGE_DAYS} days of from`);
+
+  const minRank = importance ? IMPORTANCE_RANK[String(importance).toUpperCase()] : 0;
+  if (minRank === undefined) throw new Error('importance must be LOW, MEDIUM or HIGH');
+
+  const instrumentList = toList(instruments)?.map(s => s.toUpperCase());
+  const categoryList = toList(categories)?.map(s => s.toLowerCase());
+  const eventList = toList(events)?.map(name => {
+    const key = resolveCalendarEvent(name);
+    if (!key) throw new Error(`events contains an unknown calendar event: ${name}`);
+    return key;
+  });
+
+  const results = [];
+  const expectationAttached = new Set();
+
+  for (const [key, definition] of Object.entries(CALENDAR_EVENTS)) {
+    if (eventList && !eventList.includes(key)) continue;
+    if (categoryList && !categoryList.includes(definition.category)) continue;
+    if (instrumentList && !definition.affectedInstruments.includes('ALL') &&
+        !instrumentList.some(symbol => definition.affectedInstruments.includes(symbol))) continue;
+
+    for (const occurrence of generateOccurrences(key, start, end)) {
+      const phase = definition.phases?.find(p => p.months.includes(parseYMD(occurrence.period).month));
+      const eventImportance = phase?.importance || definition.importance;
+      if (IMPORTANCE_RANK[eventImportance] < minRank) continue;
+
+      const result = {
+        id: `${key}:${occurrence.period}`,
+        event: key,
+        name: phase ? `${definition.name} (${phase.label})` : definition.name,
+        phase: phase?.label || null,
+        shortName: definition.shortName,
+        agency: definition.agency,
+        category: definition.category,
+        date: occurrence.date,
+        time: occurrence.time,
+        timeLabel: formatTimeLabel(occurrence.time),
+        importance: eventImportance,
+        affectedInstruments: definition.affectedInstruments,
+        period: occurrence.period,
+        source: occurrence.source,
+        holiday: getHoliday(occurrence.date),
+        marketStatus: getMarketDay(occurrence.date).status,
+        dateLabel: getDateLabel(occurrence.date, today),
+        isToday: occurrence.date === today,
+        isTomorrow: occurrence.date === addDays(today, 1)
+      };
+
+      // Consensus / previous print for the next release of each graded series
+      if (definition.fredSeries && occurrence.date >= today && !expectationAttached.has(key)) {
+        expectationAttached.add(key);
+        const expectation = getReleaseExpectation(definition.fredSeries);
+        if (expectation.consensus !== null || expectation.previous !== null) result.expectations = expectation;
+      }
+
+      results.push(result);
+    }
+  }
+
+  return results.sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.time || '99:99').localeCompare(b.time || '99:99')
+  );
+}
+
+/**
+ * Event definitions, loaded overrides and rows that failed to import
+ */
+function getCalendarRules() {
+  syncOverrideFiles();
+  return {
+    events: Object.entries(CALENDAR_EVENTS).map(([key, d]) => ({
+      event: key,
+      name: d.name,
+      agency: d.agency,
+      category: d.category,
+      importance: d.importance,
+      time: d.time,
+      rule: d.rule.type === 'dates' ? { type: 'dates', count: d.rule.dates.length } : d.rule,
+      holiday: d.holiday || 'next',
+      holidayWeek: Boolean(d.holidayWeek),
+      months: d.months || null,
+      affectedInstruments: d.affectedInstruments,
+      aliases: d.aliases
+    })),
+    overrides: Array.from(overrides.values()).sort((a, b) => a.period.localeCompare(b.period)),
+    overrideDir: getOverrideDir(),
+    errors: overrideErrors
+  };
+}
+
+export {
+  getEconomicCalendar,
+  getCalendarRules,
+  setCalendarOverride,
+  importCalendarOverridesCSV,
+  resolveCalendarEvent,
+  isBusinessDay,
+  toCalendarDate,
+  FOMC_MEETINGS,
+  CALENDAR_EVENTS
+};
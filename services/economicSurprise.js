@@ -0,0 +1,508 @@
+/**
+ * Economic Surprise Tracker - FRED releases vs consensus
+ *
+ * Markets move on data relative to what was expected, not on the change from
+ * last month. For each scheduled release in FRED_SERIES this stores:
+ * - consensus: the forecast, entered by POST /api/economic/consensus or a CSV file
+ * - actual:    captured from FRED once the period prints
+ * - surprise:  (actual - consensus) in standard deviations of a typical miss
+ *
+ * Standardized surprises are rolled into a Citi-style surprise index, overall
+ * and per category (Employment, Inflation, Growth...): a decay-weighted
+ * average over the last 90 days, scaled so +100 = data beating consensus by
+ * one standard deviation on average. Positive always means "stronger than
+ * expected" (more jobs, fewer claims, hotter inflation).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './persistence.js';
+import { FRED_SERIES, fetchFredHistory } from './fred.js';
+
+/**
+ * Releases tracked by the index
+ * - transform:     what the consensus is quoted as (level, change, pctChange
+ *                  month-over-month, annualized quarter-over-quarter)
+ * - direction:     -1 when a higher print means a weaker economy
+ * - releaseLag:    days from the observation date to the release (estimate)
+ * - consensusUnit: unit the consensus is entered in
+ */
+const RELEASE_SERIES = {
+  PAYEMS: { aliases: ['nfp', 'payrolls'], transform: 'change', direction: 1, releaseLag: 35, consensusUnit: 'K' },
+  UNRATE: { aliases: ['unemployment'], transform: 'level', direction: -1, releaseLag: 35, consensusUnit: '%' },
+  ICSA: { aliases: ['claims', 'jobless_claims'], transform: 'level', direction: -1, releaseLag: 5, consensusUnit: 'claims' },
+  CCSA: { aliases: ['continuing_claims'], transform: 'level', direction: -1, releaseLag: 12, consensusUnit: 'claims' },
+  JTS1000JOL: { aliases: ['jolts'], transform: 'level', direction: 1, releaseLag: 66, consensusUnit: 'K' },
+  CPIAUCSL: { aliases: ['cpi'], transform: 'pctChange', direction: 1, releaseLag: 44, consensusUnit: '% MoM' },
+  CPILFESL: { aliases: ['core_cpi'], transform: 'pctChange', direction: 1, releaseLag: 44, consensusUnit: '% MoM' },
+  PPIACO: { aliases: ['ppi'], transform: 'pctChange', direction: 1, releaseLag: 45, consensusUnit: '% MoM' },
+  PCEPILFE: { aliases: ['core_pce'], transform: 'pctChange', direction: 1, releaseLag: 58, consensusUnit: '% MoM' },
+  GDPC1: { aliases: ['gdp', 'real_gdp'], transform: 'annualized', direction: 1, releaseLag: 120, consensusUnit: '% QoQ SAAR' },
+  RSXFS: { aliases: ['retail_sales'], transform: 'pctChange', direction: 1, releaseLag: 45, consensusUnit: '% MoM' },
+  UMCSENT: { aliases: ['michigan', 'consumer_sentiment'], transform: 'level', direction: 1, releaseLag: 27, consensusUnit: 'index' },
+  PCE: { aliases: ['personal_spending'], transform: 'pctChange', direction: 1, releaseLag: 58, consensusUnit: '% MoM' },
+  HOUST: { aliases: ['housing_starts'], transform: 'level', direction: 1, releaseLag: 48, consensusUnit: 'K' },
+  PERMIT: { aliases: ['building_permits'], transform: 'level', direction: 1, releaseLag: 48, consensusUnit: 'K' },
+  HSN1F: { aliases: ['new_home_sales'], transform: 'level', direction: 1, releaseLag: 55, consensusUnit: 'K' },
+  IPMAN: { aliases: ['industrial_production'], transform: 'pctChange', direction: 1, releaseLag: 46, consensusUnit: '% MoM' },
+  DGORDER: { aliases: ['durable_goods'], transform: 'pctChange', direction: 1, releaseLag: 56, consensusUnit: '% MoM' }
+};
+
+// FRED observations kept per series (about five years)
+const HISTORY_LIMIT = { Weekly: 270, Monthly: 66, Quarterly: 24 };
+
+const IMPACT_WEIGHTS = { HIGH: 1, MEDIUM: 0.6, LOW: 0.3 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INDEX_WINDOW_DAYS = 90;      // Releases older than this drop out of the index
+const INDEX_HALF_LIFE_DAYS = 30;   // A release counts half as much after a month
+const MIN_SURPRISE_HISTORY = 8;    // Graded releases needed to size misses from past surprises
+const MIN_SCALE_POINTS = 12;       // Otherwise: typical period-to-period move of the series
+const MAX_Z = 3;                   // One outlier should not own the index
+const REFRESH_INTERVAL = 30 * 60 * 1000;
+
+const history = getCollection('economic_history');
+const releases = getCollection('economic_releases');
+
+let consensusFileMtime = null;
+let refreshTimer = null;
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Merge FRED observations ({ date, value }) into a stored series
+ */
+function storeEconomicHistory(seriesId, observations) {
+  const byDate = new Map((history.get(seriesId) || []).map(o => [o.date, o]));
+  let added = 0;
+
+  for (const obs of observations || []) {
+    const value = parseFloat(obs.value);
+    if (!obs.date || !Number.isFinite(value)) continue;
+    if (!byDate.has(obs.date)) added++;
+    byDate.set(obs.date, { date: obs.date, value });
+  }
+
+  history.set(seriesId, Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)));
+  return added;
+}
+
+/**
+ * Apply the release's transform: each row becomes the number the consensus is quoted in
+ */
+function transformSeries(seriesId) {
+  const rows = history.get(seriesId) || [];
+  const { transform } = RELEASE_SERIES[seriesId];
+  const out = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const { date, value } = rows[i];
+    const prev = rows[i - 1]?.value;
+
+    if (transform === 'level') {
+      out.push({ date, value });
+    } else if (prev === undefined || prev === 0) {
+      continue;
+    } else if (transform === 'change') {
+      out.push({ date, value: value - prev });
+    } else if (transform === 'pctChange') {
+      out.push({ date, value: (value / prev - 1) * 100 });
+    } else if (transform === 'annualized') {
+      out.push({ date, value: (Math.pow(value / prev, 4) - 1) * 100 });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Robust standard deviation (MAD) - keeps 2020-sized prints from setting the scale
+ */
+function robustStd(values) {
+  if (values.length === 0) return null;
+  const median = (arr) => {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const center = median(values);
+  const mad = median(values.map(v => Math.abs(v - center)));
+  return mad > 0 ? mad * 1.4826 : null;
+}
+
+/**
+ * Size of a typical miss: past surprises once there are enough, otherwise
+ * the series' usual period-to-period move
+ */
+function getSurpriseScale(seriesId) {
+  const pastMisses = Array.from(releases.values())
+    .filter(r => r.seriesId === seriesId && r.actual !== undefined && r.actual !== null)
+    .map(r => r.actual - r.consensus);
+
+  if (pastMisses.length >= MIN_SURPRISE_HISTORY) {
+    const scale = robustStd(pastMisses);
+    if (scale) return { value: scale, basis: 'surprises' };
+  }
+
+  const values = transformSeries(seriesId).map(o => o.value);
+  const moves = values.slice(1).map((v, i) => v - values[i]);
+  if (moves.length < MIN_SCALE_POINTS) return null;
+
+  const scale = robustStd(moves);
+  return scale ? { value: scale, basis: 'history' } : null;
+}
+
+// ============================================================================
+// CONSENSUS
+// ============================================================================
+
+/**
+ * Resolve "PAYEMS", "nfp", "core_cpi"... to a RELEASE_SERIES id
+ */
+function resolveReleaseSeries(name) {
+  const text = String(name || '').trim();
+  if (RELEASE_SERIES[text.toUpperCase()]) return text.toUpperCase();
+
+  const lower = text.toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.keys(RELEASE_SERIES).find(id => RELEASE_SERIES[id].aliases.includes(lower)) || null;
+}
+
+/**
+ * Observation date the next release will cover (one period after the last stored)
+ */
+function getUpcomingPeriod(seriesId) {
+  const rows = history.get(seriesId) || [];
+  const last = rows[rows.length - 1]?.date;
+  if (!last) return null;
+
+  const next = new Date(`${last}T00:00:00Z`);
+  const frequency = FRED_SERIES[seriesId].frequency;
+  if (frequency === 'Weekly') next.setUTCDate(next.getUTCDate() + 7);
+  else if (frequency === 'Quarterly') next.setUTCMonth(next.getUTCMonth() + 3);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next.toISOString().split('T')[0];
+}
+
+function estimateReleaseDate(seriesId, period) {
+  const date = new Date(`${period}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + RELEASE_SERIES[seriesId].releaseLag);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Fill in actual and surprise once FRED has the period
+ */
+function gradeRelease(record, now = new Date()) {
+  const actual = transformSeries(record.seriesId).find(o => o.date === record.period);
+  if (!actual) return record;
+
+  const scale = getSurpriseScale(record.seriesId);
+  const surprise = actual.value - record.consensus;
+  const zScore = scale
+    ? Math.max(-MAX_Z, Math.min(MAX_Z, surprise / scale.value * RELEASE_SERIES[record.seriesId].direction))
+    : null;
+
+  // Backfilled consensus: date the release by the calendar, not by when we saw it
+  const estimated = estimateReleaseDate(record.seriesId, record.period);
+  const captured = now.toISOString().split('T')[0];
+
+  const graded = {
+    ...record,
+    actual: parseFloat(actual.value.toFixed(4)),
+    surprise: parseFloat(surprise.toFixed(4)),
+    scale: scale ? parseFloat(scale.value.toFixed(4)) : null,
+    scaleBasis: scale?.basis || null,
+    zScore: zScore === null ? null : parseFloat(zScore.toFixed(2)),
+    releaseDate: estimated < captured ? estimated : captured,
+    gradedAt: now.toISOString()
+  };
+  releases.set(`${record.seriesId}:${record.period}`, graded);
+  return graded;
+}
+
+/**
+ * Record a consensus forecast
+ * @param {Object} entry - { series, consensus, period?, source? }; consensus in
+ *   the release's consensusUnit, period (observation date) defaults to the
+ *   period the next release covers
+ */
+function setEconomicConsensus(entry) {
+  const seriesId = resolveReleaseSeries(entry.series);
+  if (!seriesId) throw new Error(`Unknown economic release: ${entry.series}`);
+
+  const consensus = parseFloat(entry.consensus);
+  if (!Number.isFinite(consensus)) throw new Error('consensus must be a number');
+
+  const period = entry.period || getUpcomingPeriod(seriesId);
+  if (!period || !/^\d{4}-\d{2}-\d{2}$/.test(period)) {
+    throw new Error('period (YYYY-MM-DD) is required until FRED history has been fetched');
+  }
+
+  const record = {
+    seriesId,
+    name: FRED_SERIES[seriesId].name,
+    category: FRED_SERIES[seriesId].category,
+    period,
+    consensus,
+    unit: RELEASE_SERIES[seriesId].consensusUnit,
+    source: entry.source || 'manual',
+    updatedAt: new Date().toISOString()
+  };
+  releases.set(`${seriesId}:${period}`, record);
+
+  // A consensus entered after the print grades straight away
+  return gradeRelease(record);
+}
+
+/**
+ * Parse consensus CSV text: period,series,consensus[,source]
+ */
+function importEconomicConsensusCSV(text, source = 'csv') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const headers = (lines.shift() || '').split(',').map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const col = (name) => headers.indexOf(name);
+  const results = [];
+
+  for (const line of lines) {
+    const fields = line.split(',').map(f => f.trim());
+    try {
+      results.push(setEconomicConsensus({
+        period: fields[col('period')],
+        series: fields[col('series')],
+        consensus: fields[col('consensus')],
+        source: (col('source') >= 0 && fields[col('source')]) || source
+      }));
+    } catch (error) {
+      results.push({ line, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+function getConsensusFile() {
+  return process.env.ECONOMIC_CONSENSUS_FILE || path.join(process.env.DATA_DIR || './data', 'economic', 'consensus.csv');
+}
+
+/**
+ * Re-read the consensus CSV whenever it changes on disk
+ */
+function syncConsensusFile() {
+  const file = getConsensusFile();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs === consensusFileMtime) return;
+    consensusFileMtime = mtimeMs;
+    importEconomicConsensusCSV(fs.readFileSync(file, 'utf8'), path.basename(file));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Economic] Failed to read consensus file:', error.message);
+    }
+  }
+}
+
+/**
+ * Stored releases, newest period first
+ * @param {Object} options - { pending: true for releases still waiting on FRED }
+ */
+function listEconomicReleases({ pending } = {}) {
+  syncConsensusFile();
+  return Array.from(releases.values())
+    .filter(r => pending === undefined || (r.actual === undefined) === pending)
+    .sort((a, b) => b.period.localeCompare(a.period));
+}
+
+/**
+ * What the next print of a series is up against: the period it covers, the
+ * stored consensus (if any) and the last value, in the consensus unit
+ */
+function getReleaseExpectation(seriesId) {
+  if (!RELEASE_SERIES[seriesId]) return null;
+  syncConsensusFile();
+
+  const period = getUpcomingPeriod(seriesId);
+  const last = transformSeries(seriesId).at(-1);
+  const record = period ? releases.get(`${seriesId}:${period}`) : null;
+
+  return {
+    seriesId,
+    period,
+    consensus: record?.consensus ?? null,
+    previous: last ? parseFloat(last.value.toFixed(2)) : null,
+    unit: RELEASE_SERIES[seriesId].consensusUnit
+  };
+}
+
+// ============================================================================
+// CAPTURE
+// ============================================================================
+
+/**
+ * Fetch FRED history where it is missing and grade releases that have printed
+ */
+async function refreshEconomicReleases(apiKey = process.env.FRED_API_KEY, now = new Date()) {
+  if (!apiKey || apiKey === 'demo') return { fetched: 0, graded: 0 };
+
+  const pending = listEconomicReleases({ pending: true });
+  const today = now.toISOString().split('T')[0];
+  const seriesIds = Object.keys(RELEASE_SERIES).filter(id =>
+    !history.has(id) || pending.some(r => r.seriesId === id && r.period < today)
+  );
+
+  let fetched = 0;
+  for (const seriesId of seriesIds) {
+    try {
+      const limit = HISTORY_LIMIT[FRED_SERIES[seriesId].frequency] || HISTORY_LIMIT.Monthly;
+      storeEconomicHistory(seriesId, await fetchFredHistory(seriesId, apiKey, limit));
+      fetched++;
+    } catch (error) {
+      console.warn('[Economic]', error.message);
+    }
+  }
+
+  let graded = 0;
+  for (const record of pending) {
+    if (gradeRelease(record, now).actual !== undefined) graded++;
+  }
+
+  return { fetched, graded };
+}
+
+// ============================================================================
+// SURPRISE INDEX
+// ============================================================================
+
+function describeIndex(index) {
+  if (index === null) return 'NO_DATA';
+  if (index >= 50) return 'STRONG_BEATS';
+  if (index >= 15) return 'BEATING';
+  if (index <= -50) return 'STRONG_MISSES';
+  if (index <= -15) return 'MISSING';
+  return 'IN_LINE';
+}
+
+/**
+ * Decay-weighted average of standardized surprises, x100
+ */
+function buildIndex(graded, now) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const r of graded) {
+    const ageDays = (now - new Date(`${r.releaseDate}T00:00:00Z`)) / DAY_MS;
+    const weight = (IMPACT_WEIGHTS[FRED_SERIES[r.seriesId].impact] || IMPACT_WEIGHTS.LOW) *
+      Math.pow(0.5, Math.max(0, ageDays) / INDEX_HALF_LIFE_DAYS);
+    weighted += weight * r.zScore;
+    totalWeight += weight;
+  }
+
+  const index = totalWeight > 0 ? parseFloat((weighted / totalWeight * 100).toFixed(1)) : null;
+  return { index, releases: graded.length, trend: describeIndex(index) };
+}
+
+/**
+ * Surprise index overall and per category
+ */
+function getEconomicSurpriseIndex(now = new Date()) {
+  const all = listEconomicReleases();
+  const cutoff = new Date(now.getTime() - INDEX_WINDOW_DAYS * DAY_MS).toISOString().split('T')[0];
+  const today = now.toISOString().split('T')[0];
+  const graded = all.filter(r =>
+    r.zScore !== null && r.zScore !== undefined && r.releaseDate >= cutoff && r.releaseDate <= today
+  );
+
+  const categories = {};
+  for (const category of new Set(Object.keys(RELEASE_SERIES).map(id => FRED_SERIES[id].category))) {
+    categories[category] = buildIndex(graded.filter(r => r.category === category), now);
+  }
+
+  return {
+    overall: buildIndex(graded, now),
+    categories,
+    recent: [...graded].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate)).slice(0, 10).map(r => ({
+      seriesId: r.seriesId,
+      name: r.name,
+      category: r.category,
+      period: r.period,
+      releaseDate: r.releaseDate,
+      actual: r.actual,
+      consensus: r.consensus,
+      unit: r.unit,
+      zScore: r.zScore
+    })),
+    upcoming: all
+      .filter(r => r.actual === undefined)
+      .map(r => ({ ...r, expectedRelease: estimateReleaseDate(r.seriesId, r.period) }))
+      .sort((a, b) => a.expectedRelease.localeCompare(b.expectedRelease)),
+    windowDays: INDEX_WINDOW_DAYS,
+    halfLifeDays: INDEX_HALF_LIFE_DAYS,
+    asOf: now.toISOString()
+  };
+}
+
+/**
+ * Surprise index for AI prompts
+ */
+function getEconomicSurpriseSummaryForAgent(surpriseIndex) {
+  if (!surpriseIndex || surpriseIndex.overall.index === null) {
+    return 'Economic surprise index not available (no graded releases with consensus)';
+  }
+
+  const format = ({ index, releases: count, trend }) =>
+    `${index > 0 ? '+' : ''}${index} (${trend}, ${count} release${count === 1 ? '' : 's'})`;
+
+  const lines = [`Overall: ${format(surpriseIndex.overall)}`];
+  for (const [category, reading] of Object.entries(surpriseIndex.categories)) {
+    if (reading.index !== null) lines.push(`${category}: ${format(reading)}`);
+  }
+
+  if (surpriseIndex.recent.length > 0) {
+    lines.push('Latest releases:');
+    surpriseIndex.recent.slice(0, 5).forEach(r => {
+      lines.push(`- ${r.name} (${r.period}): ${parseFloat(r.actual.toFixed(2))} vs ${r.consensus} ${r.unit}, z ${r.zScore > 0 ? '+' : ''}${r.zScore}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Keep history current and grade releases as they print (needs FRED_API_KEY)
+ */
+function startEconomicSurpriseTracker(intervalMs = REFRESH_INTERVAL) {
+  if (refreshTimer || !process.env.FRED_API_KEY) return;
+
+  const run = () => refreshEconomicReleases()
+    .then(({ graded }) => {
+      if (graded > 0) console.log(`[Economic] Graded ${graded} release(s) against consensus`);
+    })
+    .catch(error => console.error('[Economic] Refresh failed:', error.message));
+
+  run();
+  refreshTimer = setInterval(run, intervalMs);
+  refreshTimer.unref?.();
+}
+
+function stopEconomicSurpriseTracker() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+export {
+  storeEconomicHistory,
+  setEconomicConsensus,
+  importEconomicConsensusCSV,
+  listEconomicReleases,
+  getUpcomingPeriod,
+  getReleaseExpectation,
+  refreshEconomicReleases,
+  getEconomicSurpriseIndex,
+  getEconomicSurpriseSummaryForAgent,
+  startEconomicSurpriseTracker,
+  stopEconomicSurpriseTracker,
+  RELEASE_SERIES
+};
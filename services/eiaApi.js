@@ -9,9 +9,21 @@
  * - Natural Gas Storage (Weekly)
  * - Refinery Utilization (Weekly)
  * - US Crude Production (Weekly)
+ *
+ * Weekly inventory results are scored against consensus and the 5-year
+ * average by eiaSurprise.js (results.surprises).
  */
 
+import {
+  storeEIAHistory,
+  needsEIABackfill,
+  getEIASurprises,
+  formatEIASurprise,
+  SURPRISE_SERIES
+} from './eiaSurprise.js';
+
 const EIA_BASE_URL = 'https://api.eia.gov/v2';
+const HISTORY_WEEKS = 300; // ~5.75 years - enough for the 5-year seasonal band
 
 // Data series IDs for key reports
 const EIA_SERIES = {
@@ -21,7 +33,7 @@ const EIA_SERIES = {
     params: {
       frequency: 'weekly',
       data: ['value'],
-      facets: { product: ['EPC0'] }, // Crude oil
+      facets: { series: ['WCESTUS1'] }, // Crude oil (product EPC0), US excluding SPR
       sort: [{ column: 'period', direction: 'desc' }],
       length: 10
     },
@@ -38,6 +50,7 @@ const EIA_SERIES = {
     params: {
       frequency: 'weekly',
       data: ['value'],
+      facets: { series: ['NW2_EPG0_SWO_R48_BCF'] }, // Lower 48 working gas
       sort: [{ column: 'period', direction: 'desc' }],
       length: 10
     },
@@ -70,7 +83,7 @@ const EIA_SERIES = {
     params: {
       frequency: 'weekly',
       data: ['value'],
-      facets: { product: ['EPM0F'] }, // Motor gasoline
+      facets: { series: ['WGTSTUS1'] }, // Total motor gasoline, US
       sort: [{ column: 'period', direction: 'desc' }],
       length: 10
     },
@@ -86,7 +99,7 @@ const EIA_SERIES = {
     params: {
       frequency: 'weekly',
       data: ['value'],
-      facets: { product: ['EPD0'] }, // Distillate fuel oil
+      facets: { series: ['WDISTUS1'] }, // Distillate fuel oil (product EPD0), US
       sort: [{ column: 'period', direction: 'desc' }],
       length: 10
     },
@@ -129,29 +142,13 @@ async function fetchEIASeries(seriesKey, apiKey) {
   }
 
   try {
-    const url = new URL(`${EIA_BASE_URL}${series.route}`);
-    url.searchParams.append('api_key', apiKey);
-
-    // Add query parameters
-    Object.entries(series.params).forEach(([key, value]) => {
-      if (typeof value === 'object') {
-        url.searchParams.append(key, JSON.stringify(value));
-      } else {
-        url.searchParams.append(key, value);
-      }
-    });
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
+    const data = await requestEIA(series, apiKey);
 
-    if (!response.ok) {
-      throw new Error(`EIA API error: ${response.status}`);
+    // Keep the weeks for the surprise engine's seasonal history
+    if (isSurpriseSeries(seriesKey)) {
+      storeEIAHistory(seriesKey, data?.response?.data);
     }
 
-    const data = await response.json();
     return parseEIAResponse(data, series);
   } catch (error) {
     console.error(`EIA fetch error for ${seriesKey}:`, error.message);
@@ -159,6 +156,52 @@ async function fetchEIASeries(seriesKey, apiKey) {
   }
 }
 
+/**
+ * Call the EIA v2 API for a series (params can be overridden, e.g. length)
+ */
+async function requestEIA(series, apiKey, overrides = {}) {
+  const url = new URL(`${EIA_BASE_URL}${series.route}`);
+  url.searchParams.append('api_key', apiKey);
+
+  // Add query parameters
+  Object.entries({ ...series.params, ...overrides }).forEach(([key, value]) => {
+    if (typeof value === 'object') {
+      url.searchParams.append(key, JSON.stringify(value));
+    } else {
+      url.searchParams.append(key, value);
+    }
+  });
+
+  const response = await fetch(url.toString(), {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`EIA API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+function isSurpriseSeries(seriesKey) {
+  return Object.values(SURPRISE_SERIES).some(s => s.seriesKey === seriesKey);
+}
+
+/**
+ * Backfill ~5 years of weekly history for a surprise series
+ */
+async function fetchEIAHistory(seriesKey, apiKey, weeks = HISTORY_WEEKS) {
+  const series = EIA_SERIES[seriesKey];
+  if (!series) {
+    throw new Error(`Unknown EIA series: ${seriesKey}`);
+  }
+
+  const data = await requestEIA(series, apiKey, { length: weeks });
+  return storeEIAHistory(seriesKey, data?.response?.data);
+}
+
 /**
  * Parse EIA API response into usable format
  */
@@ -329,6 +372,18 @@ function getMockData(seriesKey) {
 async function fetchAllEnergyData(apiKey) {
   const results = {};
 
+  // First run: pull the multi-year history the seasonal band needs
+  if (apiKey) {
+    for (const { seriesKey } of Object.values(SURPRISE_SERIES)) {
+      if (!needsEIABackfill(seriesKey)) continue;
+      try {
+        await fetchEIAHistory(seriesKey, apiKey);
+      } catch (error) {
+        console.error(`EIA history backfill error for ${seriesKey}:`, error.message);
+      }
+    }
+  }
+
   const fetchPromises = Object.keys(EIA_SERIES).map(async (key) => {
     const data = await fetchEIASeries(key, apiKey);
     return { key, data };
@@ -342,11 +397,29 @@ async function fetchAllEnergyData(apiKey) {
     }
   });
 
-  // Calculate overall energy sentiment
+  // Actual vs consensus vs 5-year average for the inventory series
+  results.surprises = getEIASurprises();
+
+  // Calculate overall energy sentiment - scored surprises replace the raw
+  // week-over-week read for the series that have one
   let bullishSignals = 0;
   let bearishSignals = 0;
 
-  Object.values(results).forEach(data => {
+  const scoredBySeries = new Map(
+    Object.values(results.surprises)
+      .filter(s => s?.key && !s.error && s.score !== null)
+      .map(s => [SURPRISE_SERIES[s.key].seriesKey, s])
+  );
+
+  Object.entries(results).forEach(([key, data]) => {
+    if (key === 'surprises') return;
+    const surprise = scoredBySeries.get(key);
+
+    if (surprise) {
+      if (surprise.signal === 'BULLISH') bullishSignals++;
+      if (surprise.signal === 'BEARISH') bearishSignals++;
+      return;
+    }
     if (data.interpretation?.includes('Bullish')) bullishSignals++;
     if (data.interpretation?.includes('Bearish')) bearishSignals++;
   });
@@ -369,11 +442,19 @@ function getEIASummaryForAgent(eiaData) {
 
   const lines = [];
 
-  if (eiaData.CRUDE_INVENTORY) {
+  // Surprise vs expectations is what moves CL/NG - lead with it when scored
+  const scored = Object.values(eiaData.surprises || {})
+    .filter(s => s?.key && !s.error && s.score !== null)
+    .map(formatEIASurprise);
+  if (scored.length > 0) {
+    lines.push(...scored);
+  }
+
+  if (eiaData.CRUDE_INVENTORY && !scored.some(line => line.startsWith('Crude'))) {
     lines.push(`Crude Inventory: ${eiaData.CRUDE_INVENTORY.change?.formatted} (${eiaData.CRUDE_INVENTORY.interpretation})`);
   }
 
-  if (eiaData.NG_STORAGE) {
+  if (eiaData.NG_STORAGE && !scored.some(line => line.startsWith('Natural Gas'))) {
     lines.push(`NG Storage: ${eiaData.NG_STORAGE.change?.formatted} (${eiaData.NG_STORAGE.interpretation})`);
   }
 
@@ -381,7 +462,7 @@ function getEIASummaryForAgent(eiaData) {
     lines.push(`Refinery Util: ${eiaData.REFINERY_UTIL.latest?.formatted} (${eiaData.REFINERY_UTIL.interpretation})`);
   }
 
-  if (eiaData.GASOLINE_INVENTORY) {
+  if (eiaData.GASOLINE_INVENTORY && !scored.some(line => line.startsWith('Gasoline'))) {
     lines.push(`Gasoline: ${eiaData.GASOLINE_INVENTORY.change?.formatted} (${eiaData.GASOLINE_INVENTORY.interpretation})`);
   }
 
@@ -394,6 +475,7 @@ function getEIASummaryForAgent(eiaData) {
 
 export {
   fetchEIASeries,
+  fetchEIAHistory,
   fetchAllEnergyData,
   getEIASummaryForAgent,
   EIA_SERIES
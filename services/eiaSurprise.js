@@ -0,0 +1,548 @@
+/**
+ * EIA Surprise Engine - Weekly inventory results vs expectations
+ *
+ * Crude and natural gas trade the EIA numbers against what the market
+ * expected, not against last week. For each weekly series this scores the
+ * reported change against:
+ * - consensus: analyst estimate entered by POST /api/eia/consensus or a CSV file
+ * - 5-year average: the same week's change over the previous five years
+ *
+ * Scores are in standard deviations of a normal week's change (positive =
+ * bigger build / smaller draw than expected, i.e. bearish for price).
+ *
+ * History is stored as fetched by eiaApi.js; this module does no network I/O.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './persistence.js';
+import { getFederalHoliday } from './marketCalendar.js';
+
+/**
+ * Series scored by the engine
+ * - consensusScale: consensus is quoted in consensusUnit; multiply to get series units
+ * - releaseLag:     days from week-ending Friday to the report in a normal week
+ * - holiday:        'week' slips the report a day when a federal holiday falls
+ *                   earlier in the report week; 'prev' moves it back off a holiday
+ * - weight:         share of the petroleum composite used for CL
+ */
+const SURPRISE_SERIES = {
+  CRUDE: {
+    seriesKey: 'CRUDE_INVENTORY',
+    name: 'Crude Oil Inventory',
+    aliases: ['crude', 'crude_oil'],
+    unit: 'thousand barrels',
+    consensusUnit: 'M bbl',
+    consensusScale: 1000,
+    releaseLag: 5,
+    holiday: 'week',
+    weight: 0.6,
+    affects: ['CL']
+  },
+  GASOLINE: {
+    seriesKey: 'GASOLINE_INVENTORY',
+    name: 'Gasoline Inventory',
+    aliases: ['gasoline', 'mogas'],
+    unit: 'thousand barrels',
+    consensusUnit: 'M bbl',
+    consensusScale: 1000,
+    releaseLag: 5,
+    holiday: 'week',
+    weight: 0.2,
+    affects: ['RB', 'CL']
+  },
+  DISTILLATE: {
+    seriesKey: 'DISTILLATE_INVENTORY',
+    name: 'Distillate Inventory',
+    aliases: ['distillate', 'distillates', 'diesel'],
+    unit: 'thousand barrels',
+    consensusUnit: 'M bbl',
+    consensusScale: 1000,
+    releaseLag: 5,
+    holiday: 'week',
+    weight: 0.2,
+    affects: ['HO', 'CL']
+  },
+  NG_STORAGE: {
+    seriesKey: 'NG_STORAGE',
+    name: 'Natural Gas Storage',
+    aliases: ['natgas', 'ng', 'natural_gas', 'storage'],
+    unit: 'billion cubic feet',
+    consensusUnit: 'Bcf',
+    consensusScale: 1,
+    releaseLag: 6,
+    holiday: 'prev',
+    affects: ['NG']
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_YEARS = 5;
+const MIN_SEASONAL_YEARS = 3;  // 5-year band needs at least this many matching weeks
+const MIN_SCALE_WEEKS = 52;    // Weeks of changes needed to size a "normal" move
+const CONSENSUS_WEIGHT = 0.7;  // Consensus surprise dominates; the seasonal read fills in
+
+const history = getCollection('eia_history');
+const consensusStore = getCollection('eia_consensus');
+
+let consensusFileMtime = null;
+
+// ============================================================================
+// REPORT DATES
+// ============================================================================
+
+function addDays(ymd, days) {
+  const date = new Date(`${ymd}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Report date (YYYY-MM-DD) for a week-ending Friday, following EIA's
+ * holiday-week schedule (petroleum slips to Thursday after a Monday holiday,
+ * gas storage moves to Wednesday on Thanksgiving / Christmas / New Year)
+ */
+function getReportDate(key, weekEnding) {
+  const config = SURPRISE_SERIES[key];
+  let date = addDays(weekEnding, config.releaseLag);
+
+  if (config.holiday === 'week') {
+    for (let d = addDays(weekEnding, 3); d <= date; d = addDays(d, 1)) {
+      if (getFederalHoliday(d)) {
+        date = addDays(date, 1);
+        break;
+      }
+    }
+  }
+
+  const step = config.holiday === 'prev' ? -1 : 1;
+  while (getFederalHoliday(date)) date = addDays(date, step);
+  return date;
+}
+
+/**
+ * Week-ending Friday covered by a report released on reportDate
+ * (the last Friday before it - holds for shifted holiday-week reports too)
+ */
+function getWeekEnding(reportDate) {
+  const weekday = new Date(`${reportDate}T00:00:00Z`).getUTCDay();
+  return addDays(reportDate, -((weekday + 2) % 7 || 7));
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Merge EIA API records ({ period, value }) into a stored series
+ */
+function storeEIAHistory(seriesKey, records) {
+  const byPeriod = new Map((history.get(seriesKey) || []).map(r => [r.period, r]));
+  let added = 0;
+
+  for (const record of records || []) {
+    const value = parseFloat(record.value);
+    if (!record.period || !Number.isFinite(value)) continue;
+    if (!byPeriod.has(record.period)) added++;
+    byPeriod.set(record.period, { period: record.period, value });
+  }
+
+  history.set(seriesKey, Array.from(byPeriod.values()).sort((a, b) => a.period.localeCompare(b.period)));
+  return added;
+}
+
+/**
+ * True when a series lacks the five years the seasonal band needs
+ */
+function needsEIABackfill(seriesKey, now = new Date()) {
+  const rows = history.get(seriesKey) || [];
+  if (rows.length === 0) return true;
+
+  const wanted = new Date(now);
+  wanted.setUTCFullYear(wanted.getUTCFullYear() - HISTORY_YEARS);
+  return new Date(rows[0].period) > new Date(wanted.getTime() + 14 * DAY_MS);
+}
+
+/**
+ * Week-over-week changes, skipping holes in the stored history
+ */
+function getWeeklyChanges(seriesKey) {
+  const rows = history.get(seriesKey) || [];
+  const changes = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const gap = (new Date(rows[i].period) - new Date(rows[i - 1].period)) / DAY_MS;
+    if (gap < 6 || gap > 8) continue;
+    changes.push({ period: rows[i].period, level: rows[i].value, change: rows[i].value - rows[i - 1].value });
+  }
+
+  return changes;
+}
+
+/**
+ * Same week in each of the previous five years (nearest week-ending within 4 days)
+ */
+function getFiveYearBand(changes, period) {
+  const matches = [];
+
+  for (let years = 1; years <= HISTORY_YEARS; years++) {
+    const target = new Date(`${period}T00:00:00Z`);
+    target.setUTCFullYear(target.getUTCFullYear() - years);
+
+    let best = null;
+    for (const entry of changes) {
+      const distance = Math.abs(new Date(`${entry.period}T00:00:00Z`) - target) / DAY_MS;
+      if (distance <= 4 && (!best || distance < best.distance)) best = { ...entry, distance };
+    }
+    if (best) matches.push(best);
+  }
+
+  if (matches.length < MIN_SEASONAL_YEARS) return null;
+
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const changeValues = matches.map(m => m.change);
+
+  return {
+    years: matches.length,
+    avgChange: average(changeValues),
+    minChange: Math.min(...changeValues),
+    maxChange: Math.max(...changeValues),
+    avgLevel: average(matches.map(m => m.level))
+  };
+}
+
+/**
+ * Standard deviation of weekly changes over the last five years
+ */
+function getTypicalMove(changes, period) {
+  const cutoff = new Date(`${period}T00:00:00Z`);
+  cutoff.setUTCFullYear(cutoff.getUTCFullYear() - HISTORY_YEARS);
+
+  const values = changes
+    .filter(c => c.period <= period && new Date(`${c.period}T00:00:00Z`) >= cutoff)
+    .map(c => c.change);
+  if (values.length < MIN_SCALE_WEEKS) return null;
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) || null;
+}
+
+// ============================================================================
+// CONSENSUS
+// ============================================================================
+
+/**
+ * Resolve "crude", "NG_STORAGE", "natgas"... to a SURPRISE_SERIES key
+ */
+function resolveSurpriseKey(name) {
+  const text = String(name || '').trim();
+  if (SURPRISE_SERIES[text.toUpperCase()]) return text.toUpperCase();
+
+  const lower = text.toLowerCase();
+  return Object.keys(SURPRISE_SERIES).find(key =>
+    SURPRISE_SERIES[key].aliases.includes(lower) || SURPRISE_SERIES[key].seriesKey === text.toUpperCase()
+  ) || null;
+}
+
+/**
+ * Week-ending date the next report will cover (one week after the last stored)
+ */
+function getUpcomingWeek(key) {
+  const rows = history.get(SURPRISE_SERIES[key].seriesKey) || [];
+  const last = rows[rows.length - 1]?.period;
+  if (!last) return null;
+
+  const next = new Date(`${last}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 7);
+  return next.toISOString().split('T')[0];
+}
+
+/**
+ * Record a consensus estimate
+ * @param {Object} entry - { series, consensus, weekEnding?, source? }; consensus in
+ *   the series' consensusUnit (M bbl for petroleum, Bcf for gas), weekEnding
+ *   defaults to the week the next report covers
+ */
+function setEIAConsensus(entry) {
+  const key = resolveSurpriseKey(entry.series);
+  if (!key) throw new Error(`Unknown EIA series: ${entry.series}`);
+
+  const consensus = parseFloat(entry.consensus);
+  if (!Number.isFinite(consensus)) throw new Error('consensus must be a number');
+
+  const weekEnding = entry.weekEnding || getUpcomingWeek(key);
+  if (!weekEnding || !/^\d{4}-\d{2}-\d{2}$/.test(weekEnding)) {
+    throw new Error('weekEnding (YYYY-MM-DD) is required until EIA history has been fetched');
+  }
+
+  const record = {
+    series: key,
+    weekEnding,
+    consensus,
+    unit: SURPRISE_SERIES[key].consensusUnit,
+    source: entry.source || 'manual',
+    updatedAt: new Date().toISOString()
+  };
+  consensusStore.set(`${key}:${weekEnding}`, record);
+  return record;
+}
+
+/**
+ * Parse consensus CSV text: week_ending,series,consensus[,source]
+ */
+function importEIAConsensusCSV(text, source = 'csv') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const headers = (lines.shift() || '').split(',').map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const col = (name) => headers.indexOf(name);
+  const results = [];
+
+  for (const line of lines) {
+    const fields = line.split(',').map(f => f.trim());
+    try {
+      results.push(setEIAConsensus({
+        weekEnding: fields[col('weekending')],
+        series: fields[col('series')],
+        consensus: fields[col('consensus')],
+        source: (col('source') >= 0 && fields[col('source')]) || source
+      }));
+    } catch (error) {
+      results.push({ line, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+function getConsensusFile() {
+  return process.env.EIA_CONSENSUS_FILE || path.join(process.env.DATA_DIR || './data', 'eia', 'consensus.csv');
+}
+
+/**
+ * Re-read the consensus CSV whenever it changes on disk
+ */
+function syncConsensusFile() {
+  const file = getConsensusFile();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs === consensusFileMtime) return;
+    consensusFileMtime = mtimeMs;
+    importEIAConsensusCSV(fs.readFileSync(file, 'utf8'), path.basename(file));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[EIA] Failed to read consensus file:', error.message);
+    }
+  }
+}
+
+function getEIAConsensus(key, weekEnding) {
+  syncConsensusFile();
+  return consensusStore.get(`${key}:${weekEnding}`) || null;
+}
+
+/**
+ * Stored consensus estimates, newest week first
+ */
+function listEIAConsensus() {
+  syncConsensusFile();
+  return Array.from(consensusStore.values()).sort((a, b) => b.weekEnding.localeCompare(a.weekEnding));
+}
+
+// ============================================================================
+// SURPRISE SCORING
+// ============================================================================
+
+function formatAmount(value, key) {
+  if (value === null || value === undefined) return null;
+  const { consensusScale, consensusUnit } = SURPRISE_SERIES[key];
+  const scaled = value / consensusScale;
+  const sign = scaled >= 0 ? '+' : '';
+  return `${sign}${scaled.toFixed(consensusScale > 1 ? 2 : 0)}${consensusUnit === 'Bcf' ? ' Bcf' : 'M bbl'}`;
+}
+
+/**
+ * Score one series: actual vs consensus vs 5-year average
+ * @param {string} key - SURPRISE_SERIES key
+ * @param {string} [period] - Week-ending date (default: latest stored week)
+ */
+function calculateEIASurprise(key, period) {
+  const config = SURPRISE_SERIES[key];
+  const changes = getWeeklyChanges(config.seriesKey);
+  const actual = period ? changes.find(c => c.period === period) : changes[changes.length - 1];
+
+  if (!actual) {
+    return { key, name: config.name, affects: config.affects, error: 'No EIA history for this series' };
+  }
+
+  const reportDate = getReportDate(key, actual.period);
+
+  const band = getFiveYearBand(changes, actual.period);
+  const scale = getTypicalMove(changes, actual.period);
+  const consensusEntry = getEIAConsensus(key, actual.period);
+  const consensus = consensusEntry ? consensusEntry.consensus * config.consensusScale : null;
+
+  const vsConsensus = consensus !== null ? actual.change - consensus : null;
+  const vsFiveYear = band ? actual.change - band.avgChange : null;
+
+  let score = null;
+  if (scale) {
+    const consensusZ = vsConsensus !== null ? vsConsensus / scale : null;
+    const seasonalZ = vsFiveYear !== null ? vsFiveYear / scale : null;
+    if (consensusZ !== null && seasonalZ !== null) {
+      score = CONSENSUS_WEIGHT * consensusZ + (1 - CONSENSUS_WEIGHT) * seasonalZ;
+    } else {
+      score = consensusZ ?? seasonalZ;
+    }
+    if (score !== null) score = parseFloat(Math.max(-3, Math.min(3, score)).toFixed(2));
+  }
+
+  // Inventories: more supply than expected is bearish for price
+  const priceImpact = score === null ? null : -score;
+
+  let interpretation;
+  let signal = 'NEUTRAL';
+  if (score === null) {
+    interpretation = 'NO_BASELINE — Not enough history or consensus to score';
+  } else if (Math.abs(score) < 0.5) {
+    interpretation = 'IN_LINE — Close to expectations';
+  } else {
+    const size = Math.abs(score) >= 1.5 ? 'LARGE_' : '';
+    signal = priceImpact > 0 ? 'BULLISH' : 'BEARISH';
+    interpretation = score > 0
+      ? `${size}BEARISH_SURPRISE — Bigger build / smaller draw than expected`
+      : `${size}BULLISH_SURPRISE — Bigger draw / smaller build than expected`;
+  }
+
+  return {
+    key,
+    name: config.name,
+    unit: config.unit,
+    affects: config.affects,
+    weekEnding: actual.period,
+    reportDate,
+    actual: {
+      change: actual.change,
+      level: actual.level,
+      formatted: formatAmount(actual.change, key)
+    },
+    consensus: consensusEntry ? {
+      change: consensus,
+      formatted: formatAmount(consensus, key),
+      source: consensusEntry.source
+    } : null,
+    fiveYear: band ? {
+      years: band.years,
+      avgChange: parseFloat(band.avgChange.toFixed(1)),
+      minChange: band.minChange,
+      maxChange: band.maxChange,
+      formatted: formatAmount(band.avgChange, key),
+      levelVsAvgPercent: parseFloat(((actual.level - band.avgLevel) / band.avgLevel * 100).toFixed(1))
+    } : null,
+    surprise: {
+      vsConsensus,
+      vsFiveYear: vsFiveYear !== null ? parseFloat(vsFiveYear.toFixed(1)) : null,
+      typicalMove: scale !== null ? parseFloat(scale.toFixed(1)) : null
+    },
+    score,
+    priceImpact,
+    signal,
+    interpretation
+  };
+}
+
+/**
+ * What a given report week is expected to show (for the reports calendar),
+ * with the scored result once the week has been reported
+ */
+function getEIAExpectations(key, weekEnding) {
+  const config = SURPRISE_SERIES[key];
+  const changes = getWeeklyChanges(config.seriesKey);
+  const band = getFiveYearBand(changes, weekEnding);
+  const entry = getEIAConsensus(key, weekEnding);
+  const released = changes.some(c => c.period === weekEnding);
+
+  return {
+    series: key,
+    name: config.name,
+    weekEnding,
+    consensus: entry ? formatAmount(entry.consensus * config.consensusScale, key) : null,
+    fiveYearAvg: band ? formatAmount(band.avgChange, key) : null,
+    result: released ? calculateEIASurprise(key, weekEnding) : null
+  };
+}
+
+/**
+ * 10:30 ET release time of a report date, with the ET offset (EST / EDT) of that day
+ */
+function getReleaseTime(reportDate) {
+  const offset = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', timeZoneName: 'shortOffset' })
+    .formatToParts(new Date(`${reportDate}T12:00:00Z`))
+    .find(part => part.type === 'timeZoneName').value; // e.g. GMT-4
+  const hours = parseInt(offset.replace('GMT', ''), 10) || 0;
+  return new Date(Date.parse(`${reportDate}T10:30:00Z`) - hours * 60 * 60 * 1000);
+}
+
+/**
+ * Latest surprise for every series plus the petroleum composite used for CL
+ * @param {Date} now - Reports older than a week are flagged stale
+ */
+function getEIASurprises(now = new Date()) {
+  const results = {};
+  let weighted = 0;
+  let weights = 0;
+  let newest = null;
+
+  for (const [key, config] of Object.entries(SURPRISE_SERIES)) {
+    const surprise = calculateEIASurprise(key);
+    if (!surprise.error) {
+      surprise.isStale = now - getReleaseTime(surprise.reportDate) > 7 * DAY_MS;
+    }
+    results[key] = surprise;
+
+    if (config.weight && surprise.priceImpact !== null && surprise.priceImpact !== undefined) {
+      weighted += surprise.priceImpact * config.weight;
+      weights += config.weight;
+      if (!newest || surprise.reportDate > newest.reportDate) newest = surprise;
+    }
+  }
+
+  // Dated by the newest component that went into the composite (CRUDE may have failed)
+  results.petroleum = weights > 0 ? {
+    priceImpact: parseFloat((weighted / weights).toFixed(2)),
+    reportDate: newest.reportDate,
+    isStale: newest.isStale ?? true
+  } : null;
+
+  return results;
+}
+
+/**
+ * One line per series for prompts and summaries
+ */
+function formatEIASurprise(surprise) {
+  if (!surprise || surprise.error) return null;
+
+  const parts = [`actual ${surprise.actual.formatted}`];
+  if (surprise.consensus) parts.push(`consensus ${surprise.consensus.formatted}`);
+  if (surprise.fiveYear) parts.push(`5y avg ${surprise.fiveYear.formatted}`);
+  const score = surprise.score !== null ? `, score ${surprise.score > 0 ? '+' : ''}${surprise.score}` : '';
+
+  return `${surprise.name} (wk ${surprise.weekEnding}): ${parts.join(' vs ')}${score} — ${surprise.interpretation}`;
+}
+
+export {
+  storeEIAHistory,
+  needsEIABackfill,
+  calculateEIASurprise,
+  getEIASurprises,
+  getEIAExpectations,
+  formatEIASurprise,
+  setEIAConsensus,
+  importEIAConsensusCSV,
+  listEIAConsensus,
+  getUpcomingWeek,
+  getReportDate,
+  getWeekEnding,
+  resolveSurpriseKey,
+  SURPRISE_SERIES
+};
@@ -14,7 +14,12 @@
 import { getCurrentSession, getNextSession } from './sessionEngine.js';
 import { analyzeAllSourcesNews } from './newsAnalysis.js';
 import { getAllCOTData } from './cftcCot.js';
-import { getPutCallRatio } from './cboePutCall.js';
+import { getPutCallRatio, isAtExtreme } from './cboePutCall.js';
+import { publishEvent } from './eventStream.js';
+import { getStoredBars } from './barStore.js';
+import { getMonthlyOpexDate, isTradingDay, toMarketDate } from './marketCalendar.js';
+import { getOptionsLevels } from './optionsAnalytics.js';
+import { getEarningsCalendar } from './earningsCalendar.js';
 import {
   fetchEnergyReports,
   fetchCentralBankCalendar
@@ -74,7 +79,8 @@ const THRESHOLDS = {
   SECTOR: 0.5,        // percent change
   MAG7: 1.0,          // percent change
   NQ_ES_SPREAD: 0.3,  // percent difference
-  RTY_ES_SPREAD: 0.5  // percent difference
+  RTY_ES_SPREAD: 0.5, // percent difference
+  GAMMA_WALL: 0.25    // fraction of the daily expected move
 };
 
 // ES-relevant news keywords
@@ -120,7 +126,15 @@ async function getESCommandCenter() {
   const session = getCurrentSession();
   const nextSession = getNextSession();
 
-  // Fetch all data in parallel
+  // Fetch all data in parallel (options need the ES price for the SPX basis)
+  const esPromise = getESPrice();
+  const optionsPromise = esPromise
+    .then(es => getOptionsLevels('ES', { price: es.price || null }))
+    .catch(error => {
+      console.error('ES options analysis failed:', error.message);
+      return null;
+    });
+
   const [
     esData,
     correlations,
@@ -128,15 +142,17 @@ async function getESCommandCenter() {
     sectors,
     mag7,
     news,
+    options,
     institutionalContext
   ] = await Promise.all([
-    getESPrice(),
+    esPromise,
     getCorrelations(),
     getInternationalIndices(session.key),
     getSectorPerformance(),
     getMag7Impact(),
     getESNews(session.key),
-    getInstitutionalContext()
+    optionsPromise,
+    getInstitutionalContext(optionsPromise)
   ]);
 
   // Detect active drivers
@@ -148,11 +164,13 @@ async function getESCommandCenter() {
     sectors,
     mag7,
     news,
+    options,
     institutionalContext
   });
 
   // Calculate net bias
   const bias = calculateNetBias(drivers);
+  publishBiasChange(bias);
 
   // Get catalyst calendar
   const catalysts = getCatalystCalendar();
@@ -163,6 +181,9 @@ async function getESCommandCenter() {
       name: session.name,
       key: session.key,
       emoji: getSessionEmoji(session.key),
+      status: session.status,
+      holiday: session.holiday,
+      closesAt: session.closesAt,
       isIB: session.isIB,
       ibMinutesRemaining: session.ibMinutesRemaining
     },
@@ -178,6 +199,7 @@ async function getESCommandCenter() {
     sectors,
     mag7,
     news,
+    options,
     institutional: institutionalContext,
     catalysts
   };
@@ -190,13 +212,30 @@ async function getESCommandCenter() {
   return result;
 }
 
+// Last bias pushed to stream subscribers
+let lastPublishedBias = null;
+
+/**
+ * Push an es-bias event when the net bias direction flips
+ */
+function publishBiasChange(bias) {
+  if (lastPublishedBias?.direction === bias.direction) return;
+
+  publishEvent('es-bias', 'ES', {
+    previous: lastPublishedBias ? { direction: lastPublishedBias.direction, confidence: lastPublishedBias.confidence } : null,
+    current: bias
+  });
+  lastPublishedBias = bias;
+}
+
 function getSessionEmoji(sessionKey) {
   const emojis = {
     ASIA: '🌏',
     LONDON: '🇬🇧',
     US_PRE: '🌅',
     US_RTH: '🇺🇸',
-    SETTLEMENT: '🔔'
+    SETTLEMENT: '🔔',
+    CLOSED: '⛔'
   };
   return emojis[sessionKey] || '📊';
 }
@@ -419,7 +458,7 @@ async function getESNews(session) {
 /**
  * INSTITUTIONAL CONTEXT — All desk-level indicators
  */
-async function getInstitutionalContext() {
+async function getInstitutionalContext(optionsPromise = Promise.resolve(null)) {
   const [
     vixTermStructure,
     creditSpread,
@@ -431,35 +470,44 @@ async function getInstitutionalContext() {
     getVixTermStructure(),
     getCreditSpread(),
     getGapAnalysis(),
-    Promise.resolve(getOpexCalendar()),
+    optionsPromise.then(getOpexCalendar),
     Promise.resolve(getSeasonality()),
     Promise.resolve(getFomcBlackout())
   ]);
 
   // Get cached COT and Put/Call data
   let cotPositioning = { percentile52w: 50, interpretation: 'Data loading...' };
-  let putCallRatio = { totalPC: 0.85, interpretation: 'Neutral' };
+  let putCallRatio = { totalPC: null, interpretation: 'Data loading...' };
 
   try {
     const cotData = getAllCOTData();
-    if (cotData?.ES) {
+    if (cotData?.ES && !cotData.ES.error) {
+      const percentile = cotData.ES.percentile ?? 50;
       cotPositioning = {
         netSpeculative: cotData.ES.netSpeculative || 0,
-        percentile52w: cotData.ES.percentile || 50,
-        interpretation: getPositioningInterpretation(cotData.ES.percentile || 50),
-        isExtreme: (cotData.ES.percentile || 50) > 80 || (cotData.ES.percentile || 50) < 20
+        percentile52w: percentile,
+        cotIndex: cotData.ES.cotIndex,
+        asOf: cotData.ES.asOf,
+        interpretation: getPositioningInterpretation(percentile),
+        isExtreme: percentile > 80 || percentile < 20
       };
     }
   } catch (e) { /* ignore */ }
 
   try {
     const pcData = getPutCallRatio();
-    if (pcData) {
+    if (pcData && !pcData.error) {
+      // Equity P/C z-score (smoothed 5-day vs rolling history), total as fallback
+      const zScore = pcData.equity?.zScore ?? pcData.total?.zScore ?? null;
       putCallRatio = {
-        equityPC: pcData.equityRatio || 0.85,
-        totalPC: pcData.totalRatio || 0.85,
-        interpretation: getPCInterpretation(pcData.totalRatio || 0.85),
-        isExtreme: (pcData.totalRatio || 0.85) < 0.7 || (pcData.totalRatio || 0.85) > 1.2
+        equityPC: pcData.equity?.ratio ?? null,
+        totalPC: pcData.total?.ratio ?? null,
+        equity5d: pcData.equity?.smoothed5d ?? null,
+        zScore,
+        percentile: pcData.equity?.percentile ?? null,
+        asOf: pcData.date,
+        interpretation: getPCInterpretation(zScore),
+        isExtreme: isAtExtreme(pcData).isExtreme
       };
     }
   } catch (e) { /* ignore */ }
@@ -630,24 +678,28 @@ async function getGapAnalysis() {
 
 /**
  * OPEX Calendar
+ * Monthly expiration is the third Friday, moved to Thursday when the
+ * exchange is closed that Friday (marketCalendar.js). With an options chain
+ * (optionsAnalytics.js), 0DTE comes from the listed expirations and pin risk
+ * from how close price sits to the largest open interest strike.
  */
-function getOpexCalendar() {
-  const now = new Date();
-  const currentMonth = now.getMonth();
-  const currentYear = now.getFullYear();
-
-  function getThirdFriday(year, month) {
-    const firstDay = new Date(year, month, 1);
-    const dayOfWeek = firstDay.getDay();
-    const firstFriday = dayOfWeek <= 5 ? (5 - dayOfWeek + 1) : (12 - dayOfWeek + 1);
-    return new Date(year, month, firstFriday + 14);
+function getOpexCalendar(options = null) {
+  const today = toMarketDate();
+  let [year, month] = today.split('-').map(Number);
+
+  let monthlyOpex = getMonthlyOpexDate(year, month);
+  if (monthlyOpex < today) {
+    if (++month > 12) {
+      month = 1;
+      year++;
+    }
+    monthlyOpex = getMonthlyOpexDate(year, month);
   }
 
-  const monthlyOpex = getThirdFriday(currentYear, currentMonth);
-  const quarterlyMonths = [2, 5, 8, 11];
-  const isQuarterlyOpex = quarterlyMonths.includes(currentMonth);
+  const quarterlyMonths = [3, 6, 9, 12];
+  const isQuarterlyOpex = quarterlyMonths.includes(month);
 
-  const daysToOpex = Math.ceil((monthlyOpex - now) / (1000 * 60 * 60 * 24));
+  const daysToOpex = Math.round((Date.parse(`${monthlyOpex}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
 
   let opexStatus, context;
   if (daysToOpex === 0) {
@@ -664,14 +716,66 @@ function getOpexCalendar() {
     context = 'No immediate OPEX impact';
   }
 
+  // Pin distance is measured in daily expected moves
+  const pin = options?.pin || null;
+  let pinRisk;
+  if (pin) {
+    if (pin.distance <= 0.25 || (daysToOpex <= 1 && pin.distance <= 0.5)) pinRisk = 'HIGH';
+    else if (pin.distance <= 0.5 || (daysToOpex <= 3 && pin.distance <= 1)) pinRisk = 'MODERATE';
+    else pinRisk = 'LOW';
+  } else {
+    pinRisk = daysToOpex <= 1 ? 'HIGH' : daysToOpex <= 3 ? 'MODERATE' : 'LOW';
+  }
+
   return {
-    monthlyOpex: monthlyOpex.toISOString().split('T')[0],
+    monthlyOpex,
     daysToOpex,
     isQuarterly: isQuarterlyOpex,
     opexStatus,
     context,
-    zeroDteActive: true,
-    pinRisk: daysToOpex <= 1 ? 'HIGH' : daysToOpex <= 3 ? 'MODERATE' : 'LOW'
+    // SPX lists an expiration every trading day
+    zeroDteActive: options ? options.zeroDteActive : isTradingDay(today, 'NYSE'),
+    pinRisk,
+    pinLevel: pin?.level ?? null,
+    source: options ? 'options' : 'calendar'
+  };
+}
+
+/**
+ * Average % returns by weekday and by calendar month from stored ES daily bars.
+ * Returns null until the bar store holds a few years of history.
+ */
+const MIN_SEASONALITY_YEARS = 3;
+
+function calculateSeasonalReturns() {
+  const bars = getStoredBars('ES', '1d');
+  if (bars.length < MIN_SEASONALITY_YEARS * 250) return null;
+
+  const average = (values) => values.length > 0
+    ? parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(3))
+    : 0;
+
+  // Bar times are trading dates at 00:00 UTC
+  const byWeekday = Array.from({ length: 7 }, () => []);
+  const monthCloses = new Map();
+
+  for (let i = 1; i < bars.length; i++) {
+    const date = new Date(bars[i].time * 1000);
+    byWeekday[date.getUTCDay()].push((bars[i].close / bars[i - 1].close - 1) * 100);
+    monthCloses.set(`${date.getUTCFullYear()}-${date.getUTCMonth()}`, { month: date.getUTCMonth(), close: bars[i].close });
+  }
+
+  // Month return = last close of the month vs last close of the previous month
+  const byMonth = Array.from({ length: 12 }, () => []);
+  const months = Array.from(monthCloses.values());
+  for (let i = 1; i < months.length; i++) {
+    byMonth[months[i].month].push((months[i].close / months[i - 1].close - 1) * 100);
+  }
+
+  return {
+    dayAvg: Object.fromEntries(byWeekday.map((returns, day) => [day, average(returns)])),
+    monthAvg: Object.fromEntries(byMonth.map((returns, month) => [month, average(returns)])),
+    sampleYears: parseFloat(((bars[bars.length - 1].time - bars[0].time) / (365.25 * 24 * 60 * 60)).toFixed(1))
   };
 }
 
@@ -688,11 +792,16 @@ function getSeasonality() {
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                       'July', 'August', 'September', 'October', 'November', 'December'];
 
-  const dayAvg = { 0: 0, 1: 0.05, 2: 0.08, 3: 0.02, 4: 0.03, 5: -0.02, 6: 0 };
-  const monthAvg = {
+  // Static averages are used until the bar store has enough ES history
+  const measured = calculateSeasonalReturns();
+  const dayAvg = measured?.dayAvg || { 0: 0, 1: 0.05, 2: 0.08, 3: 0.02, 4: 0.03, 5: -0.02, 6: 0 };
+  const monthAvg = measured?.monthAvg || {
     0: 0.10, 1: -0.02, 2: 0.05, 3: 0.12, 4: 0.01, 5: 0.02,
     6: 0.08, 7: -0.03, 8: -0.08, 9: 0.15, 10: 0.18, 11: 0.12
   };
+  // Measured month returns are whole-month % moves, so they need wider bands
+  const bullishAbove = measured ? 0.5 : 0.05;
+  const bearishBelow = measured ? -0.3 : -0.03;
 
   const weekOfMonth = Math.ceil(dayOfMonth / 7);
 
@@ -709,7 +818,8 @@ function getSeasonality() {
     monthAvgReturn: monthAvg[month],
     weekOfMonth,
     specialContext: specialContext.length > 0 ? specialContext : ['No special seasonal context'],
-    overallBias: monthAvg[month] > 0.05 ? 'BULLISH' : monthAvg[month] < -0.03 ? 'BEARISH' : 'NEUTRAL'
+    overallBias: monthAvg[month] > bullishAbove ? 'BULLISH' : monthAvg[month] < bearishBelow ? 'BEARISH' : 'NEUTRAL',
+    source: measured ? `ES daily bars (${measured.sampleYears}y)` : 'static averages'
   };
 }
 
@@ -764,11 +874,12 @@ function getPositioningInterpretation(percentile) {
   return 'Neutral positioning';
 }
 
-function getPCInterpretation(ratio) {
-  if (ratio < 0.7) return 'Extreme complacency — contrarian bearish';
-  if (ratio < 0.85) return 'Low fear — bullish sentiment';
-  if (ratio > 1.2) return 'Elevated fear — contrarian bullish';
-  if (ratio > 1.0) return 'Cautious — mild bearish sentiment';
+function getPCInterpretation(zScore) {
+  if (zScore === null) return 'Not enough put/call history';
+  if (zScore <= -2) return 'Extreme complacency — contrarian bearish';
+  if (zScore <= -1) return 'Low fear — bullish sentiment';
+  if (zScore >= 2) return 'Elevated fear — contrarian bullish';
+  if (zScore >= 1) return 'Cautious — mild bearish sentiment';
   return 'Neutral range';
 }
 
@@ -811,8 +922,39 @@ function getCatalystCalendar() {
     });
   } catch (e) { /* ignore */ }
 
+  // Index heavyweight earnings (today and tomorrow), sized in ES points
+  let earnings = [];
+  try {
+    earnings = getEarningsCalendar({ days: 1 }).filter(e => e.indexWeight?.ES);
+    earnings.forEach(e => {
+      const points = e.indexImpact.ES?.points;
+      catalysts.push({
+        event: `${e.symbol} Earnings`,
+        time: e.time,
+        importance: points >= 10 ? 'HIGH' : points >= 3 ? 'MEDIUM' : 'LOW',
+        isToday: e.isToday,
+        affectedSymbols: e.affectedInstruments,
+        esImpact: points ? `±${points} pts` : null
+      });
+    });
+  } catch (e) { /* ignore */ }
+
+  // Today first, then by importance
+  const rank = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+  catalysts.sort((a, b) => (b.isToday - a.isToday) || ((rank[a.importance] ?? 3) - (rank[b.importance] ?? 3)));
+
   return {
     next48Hours: catalysts.slice(0, 5),
+    earnings: earnings.map(e => ({
+      symbol: e.symbol,
+      date: e.date,
+      time: e.time,
+      epsEstimate: e.epsEstimate,
+      revenueEstimate: e.revenueEstimate,
+      expectedMove: e.expectedMove?.percent ?? null,
+      esPoints: e.indexImpact.ES?.points ?? null,
+      nqPoints: e.indexImpact.NQ?.points ?? null
+    })),
     fedSpeakers: [],
     treasuryAuctions: []
   };
@@ -823,7 +965,7 @@ function getCatalystCalendar() {
  */
 function detectDrivers(data) {
   const drivers = [];
-  const { session, es, correlations, indices, sectors, mag7, news, institutionalContext } = data;
+  const { session, es, correlations, indices, sectors, mag7, news, options, institutionalContext } = data;
 
   if (!correlations || !es) return drivers;
 
@@ -988,6 +1130,66 @@ function detectDrivers(data) {
     }
   }
 
+  // === Dealer Gamma ===
+  if (options && es.price) {
+    const { netGamma, zeroGamma, callWall, putWall } = options;
+    const belowFlip = zeroGamma ? es.price < zeroGamma.level : false;
+
+    drivers.push({
+      type: 'GAMMA',
+      name: `${netGamma.sign === 'POSITIVE' ? 'Positive' : 'Negative'} Gamma`,
+      value: zeroGamma ? `Flip ${zeroGamma.level}` : `${netGamma.valueBillions}B`,
+      change: `${netGamma.valueBillions > 0 ? '+' : ''}${netGamma.valueBillions}B`,
+      direction: netGamma.sign === 'NEGATIVE' && belowFlip ? 'BEARISH' : 'NEUTRAL',
+      reason: netGamma.regime,
+      impact: netGamma.sign === 'NEGATIVE' ? 3 : 1.5
+    });
+
+    // Walls act as support / resistance when price is close
+    const wallRange = (options.expectedMove.daily?.straddle || es.price * 0.01) * THRESHOLDS.GAMMA_WALL;
+    if (callWall && Math.abs(es.price - callWall.level) <= wallRange) {
+      drivers.push({
+        type: 'GAMMA',
+        name: 'At Call Wall',
+        value: callWall.level,
+        change: `${(es.price - callWall.level).toFixed(2)} pts`,
+        direction: 'BEARISH',
+        reason: `Largest call open interest at ${callWall.level} — dealer hedging caps upside`,
+        impact: 3
+      });
+    }
+    if (putWall && Math.abs(es.price - putWall.level) <= wallRange) {
+      drivers.push({
+        type: 'GAMMA',
+        name: 'At Put Wall',
+        value: putWall.level,
+        change: `${(es.price - putWall.level).toFixed(2)} pts`,
+        direction: 'BULLISH',
+        reason: `Largest put open interest at ${putWall.level} — dealer hedging supports downside`,
+        impact: 3
+      });
+    }
+  }
+
+  // === Expected Move ===
+  const dailyMove = options?.expectedMove.daily;
+  if (dailyMove && es.price && (es.price > dailyMove.upper || es.price < dailyMove.lower)) {
+    const isAbove = es.price > dailyMove.upper;
+    const edge = isAbove ? dailyMove.upper : dailyMove.lower;
+    // Positive gamma pulls price back inside the range, negative gamma extends the move
+    const meanReverting = options.netGamma.sign === 'POSITIVE';
+
+    drivers.push({
+      type: 'EXPECTED_MOVE',
+      name: `${isAbove ? 'Above' : 'Below'} Expected Move`,
+      value: `±${dailyMove.straddle} (${dailyMove.lower}-${dailyMove.upper})`,
+      change: `${isAbove ? '+' : ''}${(es.price - edge).toFixed(2)} pts`,
+      direction: isAbove === meanReverting ? 'BEARISH' : 'BULLISH',
+      reason: `Outside the ${dailyMove.expiration} straddle range — ${meanReverting ? 'stretched, mean reversion likely' : 'short gamma, move can extend'}`,
+      impact: 4
+    });
+  }
+
   // Sort by impact and return top drivers
   drivers.sort((a, b) => b.impact - a.impact);
   return drivers.slice(0, 6);
@@ -1093,6 +1295,10 @@ async function getBiasBreakdown() {
       case 'NEWS':
         breakdown.categories.eventRisk.push(entry);
         break;
+      case 'GAMMA':
+      case 'EXPECTED_MOVE':
+        breakdown.categories.positioning.push(entry);
+        break;
     }
   }
 
@@ -1117,11 +1323,12 @@ async function getBiasBreakdown() {
     });
   }
 
-  if (inst.putCallRatio) {
+  if (inst.putCallRatio && inst.putCallRatio.zScore !== undefined) {
+    const { zScore } = inst.putCallRatio;
     breakdown.categories.positioning.push({
       factor: 'Put/Call',
-      value: inst.putCallRatio.totalPC?.toFixed(2),
-      score: inst.putCallRatio.totalPC > 1.2 ? 5 : inst.putCallRatio.totalPC < 0.7 ? -5 : 0,
+      value: `${(inst.putCallRatio.equityPC ?? inst.putCallRatio.totalPC)?.toFixed(2)} (z ${zScore ?? 'n/a'})`,
+      score: zScore >= 2 ? 5 : zScore <= -2 ? -5 : 0,
       reason: inst.putCallRatio.interpretation
     });
   }
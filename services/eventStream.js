@@ -0,0 +1,192 @@
+/**
+ * Event Stream - Server-Sent Events push channel
+ *
+ * Topics:
+ * - scanner:  New webhook entries (processWebhook)
+ * - sweeps:   Sweeps detected (detectSweep / addSweep)
+ * - session:  Session transitions and IB completion (session clock)
+ * - es-bias:  ES net bias direction changes (calculateNetBias)
+ * - alerts:   Alerts fired by the rule engine
+ *
+ * Every event gets an increasing id. Clients reconnecting with Last-Event-ID
+ * (or ?since=<id>) are replayed what they missed from the recent buffer.
+ * Ids start at the process start time (ms), so they keep increasing across
+ * restarts; a cursor from before this process or beyond the latest id gets a
+ * `reset` event (refetch snapshots) instead of a silent gap.
+ */
+
+const EVENT_TOPICS = ['scanner', 'sweeps', 'session', 'es-bias', 'alerts'];
+const MAX_BUFFERED_EVENTS = 500;
+const HEARTBEAT_INTERVAL = 25 * 1000; // keeps proxies from closing idle streams
+
+const FIRST_EVENT_ID = Date.now();
+
+let nextEventId = FIRST_EVENT_ID;
+let eventBuffer = [];
+const subscribers = new Set();
+const listeners = new Set(); // in-process consumers (alert engine...)
+
+/**
+ * Check an event against a subscriber's topic/symbol filters
+ */
+function matchesFilter(event, filter) {
+  if (filter.topics && !filter.topics.includes(event.topic)) return false;
+  if (filter.symbols && event.symbol && !filter.symbols.includes(event.symbol)) return false;
+  return true;
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.topic}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Publish an event to every matching subscriber
+ * @param {string} topic - One of EVENT_TOPICS
+ * @param {string|null} symbol - Instrument the event is about (null = all symbols)
+ * @param {Object} data - Event payload
+ */
+function publishEvent(topic, symbol, data) {
+  const event = {
+    id: nextEventId++,
+    topic,
+    symbol: symbol ? symbol.toUpperCase() : null,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  eventBuffer.push(event);
+  if (eventBuffer.length > MAX_BUFFERED_EVENTS) {
+    eventBuffer = eventBuffer.slice(-MAX_BUFFERED_EVENTS);
+  }
+
+  for (const subscriber of subscribers) {
+    if (matchesFilter(event, subscriber.filter)) {
+      writeEvent(subscriber.res, event);
+    }
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`[Event Stream] Listener failed on ${topic}:`, error.message);
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Register an in-process listener called for every published event
+ * @returns {Function} - Unsubscribe function
+ */
+function onEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Parse a comma-separated query value into an upper/lower-cased list
+ */
+function parseList(value, transform) {
+  if (!value) return null;
+  const list = String(value).split(',').map(v => transform(v.trim())).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Attach an Express response as an SSE subscriber
+ * @param {Object} req - Express request (?topics=scanner,sweeps&symbols=ES,NQ&since=<id>)
+ * @param {Object} res - Express response
+ */
+function subscribe(req, res) {
+  const filter = {
+    topics: parseList(req.query.topics, t => t.toLowerCase()),
+    symbols: parseList(req.query.symbols, s => s.toUpperCase())
+  };
+
+  const invalidTopics = (filter.topics || []).filter(t => !EVENT_TOPICS.includes(t));
+  if (invalidTopics.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid topic',
+      message: `Unknown topic(s): ${invalidTopics.join(', ')}`,
+      topics: EVENT_TOPICS
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  // Replay anything missed since the client's cursor
+  const cursor = parseInt(req.headers['last-event-id'] ?? req.query.since);
+  if (!Number.isNaN(cursor)) {
+    const oldest = eventBuffer[0]?.id;
+    const latest = nextEventId - 1;
+    let reason = null;
+    if (cursor > latest) {
+      reason = 'unknown cursor'; // Not issued by this process
+    } else if (cursor < FIRST_EVENT_ID - 1) {
+      reason = 'server restarted'; // Events since the cursor were lost with the old process
+    } else if (oldest !== undefined && cursor < oldest - 1) {
+      reason = 'cursor expired'; // Gap is larger than the buffer
+    }
+
+    // Client must refetch snapshots
+    if (reason) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason, oldestAvailable: oldest ?? null, latest })}\n\n`);
+    }
+    eventBuffer
+      .filter(event => event.id > cursor && matchesFilter(event, filter))
+      .forEach(event => writeEvent(res, event));
+  }
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ cursor: nextEventId - 1, topics: filter.topics || EVENT_TOPICS, symbols: filter.symbols })}\n\n`);
+
+  const subscriber = { res, filter };
+  subscribers.add(subscriber);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+}
+
+/**
+ * Count subscribers interested in a topic (used to skip polling nobody listens to)
+ */
+function getSubscriberCount(topic = null) {
+  if (!topic) return subscribers.size;
+  return Array.from(subscribers).filter(s => !s.filter.topics || s.filter.topics.includes(topic)).length;
+}
+
+/**
+ * Get stream status
+ */
+function getEventStreamStatus() {
+  return {
+    subscribers: subscribers.size,
+    bufferedEvents: eventBuffer.length,
+    oldestEventId: eventBuffer[0]?.id || null,
+    firstEventId: FIRST_EVENT_ID,
+    latestEventId: nextEventId - 1,
+    topics: EVENT_TOPICS
+  };
+}
+
+export {
+  publishEvent,
+  onEvent,
+  subscribe,
+  getSubscriberCount,
+  getEventStreamStatus,
+  EVENT_TOPICS
+};
@@ -6,12 +6,16 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { analyzeAllSourcesNews, getNewsSentimentSummary } from './newsAnalysis.js';
-import { fetchEarningsCalendar, fetchEconomicCalendar } from './alphaVantage.js';
+import { fetchEconomicCalendar } from './alphaVantage.js';
+import { getEarningsCalendar } from './earningsCalendar.js';
 import { fetchEnergyReports, fetchCentralBankCalendar, fetchAgricultureReports, buildReportsCalendar } from './fundamentalReports.js';
 import { analyzeTechnicals, YAHOO_SYMBOLS } from './technicalAnalysis.js';
 import { fetchAllEnergyData, getEIASummaryForAgent } from './eiaApi.js';
 import { getAllCOTData, getCOTSummaryForAgent } from './cftcCot.js';
 import { getPutCallRatio, getPutCallSummaryForAgent } from './cboePutCall.js';
+import { getEIASurprises, formatEIASurprise } from './eiaSurprise.js';
+import { getNewsReactionWeight } from './newsReaction.js';
+import { fetchYahooFinanceFutures, fetchCurrencyFutures, fetchSectorETFs, fetchMag7Stocks } from './yahooFinance.js';
 
 // Initialize Anthropic client
 let anthropic = null;
@@ -30,6 +34,11 @@ let finalAnalysisCache = null;
 let finalAnalysisCacheTime = null;
 const FINAL_ANALYSIS_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Cache for the market data inputs (VIX, ZN, DXY, sectors, Mag 7)
+let marketDataCache = null;
+let marketDataCacheTime = null;
+const MARKET_DATA_CACHE_DURATION = 2 * 60 * 1000; // 2 minutes
+
 // Instrument configurations with weighting factors
 const INSTRUMENT_CONFIG = {
   ES: {
@@ -88,10 +97,11 @@ const INSTRUMENT_CONFIG = {
     name: 'Crude Oil WTI',
     category: 'Energy',
     factors: {
-      DXY: 0.25,
-      Energy: 0.25,
-      GeoNews: 0.30,
-      EnergyNews: 0.20
+      DXY: 0.20,
+      Energy: 0.20,
+      GeoNews: 0.25,
+      EnergyNews: 0.15,
+      EIA: 0.20
     }
   }
 };
@@ -247,6 +257,29 @@ function calculateMag7Signal(mag7Data) {
   return { value: totalChange.toFixed(2), greenCount, signal, score, reason };
 }
 
+/**
+ * Calculate EIA inventory surprise signal (petroleum composite, this week only)
+ */
+function calculateEIASignal(eiaSurprise) {
+  const petroleum = eiaSurprise?.petroleum;
+  if (!petroleum || petroleum.isStale) return null;
+
+  const score = parseFloat(Math.max(-2, Math.min(2, petroleum.priceImpact)).toFixed(1));
+  const crude = eiaSurprise.CRUDE;
+  const baseline = crude?.consensus
+    ? `vs ${crude.consensus.formatted} expected`
+    : crude?.fiveYear ? `vs ${crude.fiveYear.formatted} 5y avg` : '';
+
+  return {
+    value: petroleum.priceImpact,
+    score,
+    signal: score >= 0.5 ? 'bullish' : score <= -0.5 ? 'bearish' : 'neutral',
+    reason: crude?.actual
+      ? `EIA crude ${crude.actual.formatted} ${baseline}`.trim()
+      : 'EIA petroleum surprise'
+  };
+}
+
 /**
  * Calculate sector signal
  */
@@ -285,6 +318,9 @@ function calculateSectorSignal(sectorData, targetSector) {
 
 /**
  * Calculate news sentiment signal for an instrument
+ * Each headline is weighted by how much its category and source have moved
+ * the instrument in the past (newsReaction.js); 1 without reaction history.
+ * newsSentiment.asOf (backtests) limits that history to what was known then.
  */
 function calculateNewsSignal(newsSentiment, instrument, category = null) {
   const instrumentData = newsSentiment?.byInstrument?.[instrument];
@@ -292,7 +328,23 @@ function calculateNewsSignal(newsSentiment, instrument, category = null) {
     return { value: 0, signal: 'neutral', score: 0, reason: 'No relevant news' };
   }
 
-  const { bullish, bearish, total, score: sentimentScore } = instrumentData;
+  const { bullish, bearish, total, headlines = [] } = instrumentData;
+  let sentimentScore = instrumentData.score;
+  let reactionWeight = 1;
+
+  if (headlines.length > 0) {
+    let weighted = 0;
+    let weights = 0;
+    for (const headline of headlines) {
+      const weight = getNewsReactionWeight(instrument, headline, { asOf: newsSentiment.asOf || null });
+      weighted += weight * (headline.bias === 'bullish' ? 1 : headline.bias === 'bearish' ? -1 : 0);
+      weights += weight;
+    }
+    // Same as the unweighted score when every weight is 1
+    sentimentScore = Math.max(-1, Math.min(1, weighted / headlines.length));
+    reactionWeight = weights / headlines.length;
+  }
+
   let signal = 'neutral';
   let score = 0;
   let reason = `${bullish} bullish, ${bearish} bearish`;
@@ -315,7 +367,7 @@ function calculateNewsSignal(newsSentiment, instrument, category = null) {
     reason = `Negative news sentiment`;
   }
 
-  return { value: sentimentScore.toFixed(2), total, bullish, bearish, signal, score, reason };
+  return { value: sentimentScore.toFixed(2), total, bullish, bearish, reactionWeight: parseFloat(reactionWeight.toFixed(2)), signal, score, reason };
 }
 
 /**
@@ -344,7 +396,7 @@ function calculateGeoNewsSignal(newsSentiment) {
 /**
  * Calculate ES bias
  */
-function calculateESBias(marketData, newsSentiment) {
+export function calculateESBias(marketData, newsSentiment) {
   const factors = {};
 
   // VIX (25%)
@@ -483,7 +535,7 @@ function calculateGCBias(marketData, newsSentiment) {
 function calculateCLBias(marketData, newsSentiment) {
   const factors = {};
 
-  // DXY inverse (25%)
+  // DXY inverse (20%)
   const dxySignal = calculateDXYSignal(marketData.dxyChange);
   factors.DXY = {
     ...dxySignal,
@@ -492,22 +544,28 @@ function calculateCLBias(marketData, newsSentiment) {
     reason: dxySignal.score > 0 ? 'Strong dollar (bearish oil)' : dxySignal.score < 0 ? 'Weak dollar (bullish oil)' : 'Dollar neutral'
   };
 
-  // Energy sector (25%)
+  // Energy sector (20%)
   factors.Energy = calculateSectorSignal(marketData.sectors, 'XLE');
 
-  // Geopolitical news (30%)
+  // Geopolitical news (25%)
   factors.GeoNews = calculateGeoNewsSignal(newsSentiment);
 
-  // Energy-specific news (20%)
+  // Energy-specific news (15%)
   factors.EnergyNews = calculateNewsSignal(newsSentiment, 'CL');
 
+  // EIA inventory surprise (20%) - only in the week after a report
+  const eiaSignal = calculateEIASignal(marketData.eiaSurprise);
+  if (eiaSignal) {
+    factors.EIA = eiaSignal;
+  }
+
   return calculateFinalBias('CL', factors);
 }
 
 /**
  * Calculate final bias from factors
  */
-function calculateFinalBias(instrument, factors) {
+export function calculateFinalBias(instrument, factors) {
   const config = INSTRUMENT_CONFIG[instrument];
   let totalScore = 0;
   let totalWeight = 0;
@@ -549,6 +607,23 @@ function calculateFinalBias(instrument, factors) {
   };
 }
 
+/**
+ * Calculate bias for all 6 instruments from market data + news sentiment
+ * (pure - used by generateFinalAnalysis and the backtest runner)
+ */
+export function calculateInstrumentBiases(marketData, newsSentiment) {
+  const esResult = calculateESBias(marketData, newsSentiment);
+
+  return {
+    ES: esResult,
+    NQ: calculateNQBias(marketData, newsSentiment, esResult),
+    YM: calculateYMBias(marketData, newsSentiment, esResult),
+    RTY: calculateRTYBias(marketData, newsSentiment, esResult),
+    GC: calculateGCBias(marketData, newsSentiment),
+    CL: calculateCLBias(marketData, newsSentiment)
+  };
+}
+
 /**
  * Generate market context summary
  */
@@ -605,10 +680,13 @@ function generateKeyRisks(marketData, newsSentiment, earnings, economicReleases
   // Earnings risk
   if (earnings && earnings.length > 0) {
     const mag7Earnings = earnings.filter(e =>
-      ['AAPL', 'NVDA', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA'].includes(e.company || e.symbol)
+      ['AAPL', 'NVDA', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA'].includes(e.symbol || e.company)
     );
     if (mag7Earnings.length > 0) {
-      risks.push(`Mag7 earnings: ${mag7Earnings.map(e => e.company || e.symbol).join(', ')}`);
+      risks.push(`Mag7 earnings: ${mag7Earnings.map(e => {
+        const points = e.indexImpact?.ES?.points;
+        return `${e.symbol || e.company} ${e.timing || ''}${points ? ` (±${points} ES pts)` : ''}`.trim();
+      }).join(', ')}`);
     }
   }
 
@@ -643,6 +721,45 @@ function generateKeyRisks(marketData, newsSentiment, earnings, economicReleases
   return risks.slice(0, 5);
 }
 
+/**
+ * Market data for generateFinalAnalysis - used by /api/final-analysis and the notifier
+ * @param {Object} options - { forceRefresh }
+ */
+export async function fetchFinalAnalysisMarketData(options = {}) {
+  const { forceRefresh = false } = options;
+  const now = Date.now();
+
+  if (!forceRefresh && marketDataCache && marketDataCacheTime &&
+      (now - marketDataCacheTime) < MARKET_DATA_CACHE_DURATION) {
+    return marketDataCache;
+  }
+
+  // Fetch fresh market data in parallel
+  const [futuresResult, currencyResult, sectorResult, mag7Result] = await Promise.allSettled([
+    fetchYahooFinanceFutures(),
+    fetchCurrencyFutures(),
+    fetchSectorETFs(),
+    fetchMag7Stocks()
+  ]);
+
+  const futures = futuresResult.status === 'fulfilled' ? futuresResult.value : {};
+  const currencies = currencyResult.status === 'fulfilled' ? currencyResult.value : {};
+  const sectors = sectorResult.status === 'fulfilled' ? sectorResult.value : {};
+  const mag7 = mag7Result.status === 'fulfilled' ? mag7Result.value : {};
+
+  marketDataCache = {
+    vix: futures?.VIX?.price || 16,
+    vixChange: futures?.VIX?.changePercent || 0,
+    znChange: futures?.ZN?.changePercent || 0,
+    dxyChange: currencies?.DX?.changePercent || 0,
+    sectors,
+    mag7
+  };
+  marketDataCacheTime = now;
+
+  return marketDataCache;
+}
+
 /**
  * Main function: Generate final analysis
  */
@@ -670,13 +787,14 @@ export async function generateFinalAnalysis(marketData, options = {}) {
     console.warn('Could not fetch all news:', err.message);
   }
 
-  // Fetch earnings calendar
-  let earnings = [];
+  // Earnings calendar for the week (today's reports drive risks and instrument details)
+  let upcomingEarnings = [];
   try {
-    earnings = await fetchEarningsCalendar();
+    upcomingEarnings = getEarningsCalendar({ days: 7 });
   } catch (err) {
     console.warn('Could not fetch earnings:', err.message);
   }
+  const earnings = upcomingEarnings.filter(e => e.isToday);
 
   // Fetch economic calendar
   let economicReleases = [];
@@ -738,14 +856,15 @@ export async function generateFinalAnalysis(marketData, options = {}) {
 
   // Fetch Put/Call sentiment
   let putCallData = null;
-  let putCallSentiment = { sentiment: 'NEUTRAL', implication: 'No edge', equityRatio: 0.72 };
+  let putCallSentiment = { sentiment: 'NEUTRAL', implication: 'No edge', equityRatio: null, zScore: null };
   try {
     putCallData = getPutCallRatio();
     if (putCallData.summary) {
       putCallSentiment = {
         sentiment: putCallData.summary.overallSentiment,
         implication: putCallData.summary.tradingImplication,
-        equityRatio: putCallData.summary.equityRatio
+        equityRatio: putCallData.summary.equityRatio,
+        zScore: putCallData.summary.equityZScore
       };
     }
   } catch (err) {
@@ -774,12 +893,14 @@ export async function generateFinalAnalysis(marketData, options = {}) {
   }
 
   // Calculate bias for each instrument
-  const esResult = calculateESBias(marketData, newsSentiment);
-  const nqResult = calculateNQBias(marketData, newsSentiment, esResult);
-  const ymResult = calculateYMBias(marketData, newsSentiment, esResult);
-  const rtyResult = calculateRTYBias(marketData, newsSentiment, esResult);
-  const gcResult = calculateGCBias(marketData, newsSentiment);
-  const clResult = calculateCLBias(marketData, newsSentiment);
+  const {
+    ES: esResult,
+    NQ: nqResult,
+    YM: ymResult,
+    RTY: rtyResult,
+    GC: gcResult,
+    CL: clResult
+  } = calculateInstrumentBiases({ eiaSurprise: getEIASurprises(), ...marketData }, newsSentiment);
 
   // Build detailed popup data for each instrument
   const instrumentDetails = buildInstrumentDetails(
@@ -788,7 +909,7 @@ export async function generateFinalAnalysis(marketData, options = {}) {
     allNews,
     earnings,
     economicReleases,
-    { energyReports: todayReports, upcomingReports, nextFOMC },
+    { energyReports: todayReports, upcomingReports, nextFOMC, earnings: upcomingEarnings },
     technicals
   );
 
@@ -923,10 +1044,11 @@ function buildInstrumentDetails(results, marketData, allNews, earnings, economic
     }).slice(0, 10);
 
     // Filter relevant earnings (for equity indices)
-    const relevantEarnings = ['ES', 'NQ', 'YM', 'RTY'].includes(symbol) ? earnings.slice(0, 5) : [];
+    const relevantEarnings = earnings.filter(e => e.affectedInstruments?.includes(symbol)).slice(0, 5);
 
     // Filter relevant economic releases
     const relevantReleases = economicReleases.filter(release => {
+      if (release.affectedInstruments) return release.affectedInstruments.includes(symbol);
       const name = (release.event || release.name || '').toLowerCase();
       if (symbol === 'ES' || symbol === 'NQ' || symbol === 'YM') {
         return ['gdp', 'employment', 'jobs', 'cpi', 'ppi', 'retail', 'fed', 'fomc', 'pce'].some(kw => name.includes(kw));
@@ -1006,8 +1128,12 @@ function buildInstrumentDetails(results, marketData, allNews, earnings, economic
       })),
       relevantEarnings: relevantEarnings.map(e => ({
         company: e.company || e.symbol,
-        estimate: e.estimate,
-        time: e.time || 'TBD'
+        symbol: e.symbol,
+        estimate: e.epsEstimate ?? e.estimate,
+        revenueEstimate: e.revenueEstimate ?? null,
+        time: e.time || 'TBD',
+        expectedMove: e.expectedMove?.percent ?? null,
+        indexPoints: e.indexImpact?.[symbol]?.points ?? null
       })),
       relevantReleases: relevantReleases.map(r => ({
         event: r.event || r.name,
@@ -1205,6 +1331,17 @@ function buildFactorExplanations(factors, symbol, marketData) {
         }
         break;
 
+      case 'EIA':
+        explanation = factor.reason;
+        if (factor.score >= 0.5) {
+          interpretation = 'Inventories tighter than expected. Supportive for crude.';
+        } else if (factor.score <= -0.5) {
+          interpretation = 'Inventories looser than expected. Pressure on crude.';
+        } else {
+          interpretation = 'EIA numbers close to expectations.';
+        }
+        break;
+
       case 'ES':
         explanation = `Correlated with ES bias: ${factor.reason}`;
         interpretation = `Dow typically follows S&P direction with some divergence on industrial/financial news.`;
@@ -1268,8 +1405,32 @@ function buildUpcomingCatalysts(symbol, reports, economicReleases) {
     }
   }
 
+  // Index heavyweights reporting this week, largest expected point impact first
+  if (['ES', 'NQ', 'YM'].includes(symbol) && reports.earnings?.length > 0) {
+    const majors = reports.earnings
+      .filter(e => e.indexWeight && e.affectedInstruments.includes(symbol))
+      .sort((a, b) => (b.indexImpact.ES?.points || 0) - (a.indexImpact.ES?.points || 0))
+      .slice(0, 2);
+
+    for (const e of majors) {
+      const points = e.indexImpact[symbol]?.points;
+      catalysts.push({
+        type: 'earnings',
+        name: `${e.symbol} Earnings`,
+        date: `${e.date} ${e.time}`,
+        impact: (e.indexImpact.ES?.points || 0) >= 10 ? 'HIGH' : 'MEDIUM',
+        description: [
+          e.epsEstimate !== null && e.epsEstimate !== undefined ? `EPS est ${e.epsEstimate}` : null,
+          e.expectedMove ? `expected move ±${e.expectedMove.percent}% (${e.expectedMove.basis})` : null,
+          points ? `±${points} ${symbol} pts` : null
+        ].filter(Boolean).join(', ') || 'Index heavyweight report'
+      });
+    }
+  }
+
   // Add relevant economic releases
   const relevantReleases = economicReleases.filter(r => {
+    if (r.affectedInstruments) return r.importance === 'HIGH' && r.affectedInstruments.includes(symbol);
     const name = (r.event || r.name || '').toLowerCase();
     if (['ES', 'NQ', 'YM', 'RTY'].includes(symbol)) {
       return ['cpi', 'ppi', 'employment', 'gdp', 'retail'].some(kw => name.includes(kw));
@@ -1527,6 +1688,12 @@ export async function generateDailyBrief(marketData, newsSentiment, instruments)
     if (eiaData?.sentiment) {
       fundamentalContext += `\nENERGY FUNDAMENTALS: ${eiaData.sentiment.overall} (${eiaData.sentiment.bullish} bullish, ${eiaData.sentiment.bearish} bearish signals)\n`;
     }
+    const eiaSurprises = Object.values(eiaData?.surprises || {})
+      .filter(surprise => surprise?.score !== null && surprise?.score !== undefined && !surprise.isStale)
+      .map(formatEIASurprise);
+    if (eiaSurprises.length > 0) {
+      fundamentalContext += `EIA SURPRISES:\n${eiaSurprises.map(line => `- ${line}`).join('\n')}\n`;
+    }
   } catch (err) {
     console.warn('Could not fetch fundamental data for daily brief:', err.message);
   }
@@ -1706,9 +1873,22 @@ export function getFinalAnalysisCacheStatus() {
   };
 }
 
+/**
+ * Get market data cache status
+ */
+export function getMarketDataCacheStatus() {
+  return {
+    isCached: !!marketDataCache,
+    cacheAge: marketDataCacheTime ? Date.now() - marketDataCacheTime : null,
+    maxAge: MARKET_DATA_CACHE_DURATION
+  };
+}
+
 export default {
   generateFinalAnalysis,
+  fetchFinalAnalysisMarketData,
   generateAISynthesis,
   clearFinalAnalysisCache,
-  getFinalAnalysisCacheStatus
+  getFinalAnalysisCacheStatus,
+  getMarketDataCacheStatus
 };
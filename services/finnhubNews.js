@@ -1,42 +1,10 @@
 // Finnhub News Service - Fetches market news with category analysis
 // Free tier: 60 calls/minute - https://finnhub.io/register
 
-const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY || '';
+import { getRelativeTime } from './newsSources.js';
+import { classifyHeadline, detectSymbols } from './newsClassifier.js';
 
-// Keyword-based categorization
-const CATEGORY_KEYWORDS = {
-  'Fed': ['fed', 'federal reserve', 'fomc', 'powell', 'rate hike', 'rate cut', 'monetary policy', 'interest rate'],
-  'Geopolitical': ['war', 'conflict', 'sanctions', 'tariff', 'china', 'russia', 'ukraine', 'middle east', 'iran', 'military', 'tensions'],
-  'Economic': ['gdp', 'inflation', 'cpi', 'ppi', 'jobs', 'employment', 'unemployment', 'retail sales', 'consumer', 'housing', 'pmi'],
-  'Earnings': ['earnings', 'revenue', 'profit', 'quarterly', 'guidance', 'beat', 'miss', 'eps'],
-  'Tech': ['tech', 'ai', 'artificial intelligence', 'semiconductor', 'chip', 'apple', 'microsoft', 'google', 'nvidia', 'meta', 'amazon'],
-  'Energy': ['oil', 'crude', 'opec', 'natural gas', 'energy', 'petroleum', 'drilling', 'refinery'],
-  'Crypto': ['bitcoin', 'crypto', 'ethereum', 'blockchain', 'digital currency']
-};
-
-// Keywords that suggest high impact
-const HIGH_IMPACT_KEYWORDS = ['breaking', 'urgent', 'crash', 'surge', 'plunge', 'crisis', 'emergency', 'record', 'historic', 'unexpected', 'shock', 'fed', 'fomc', 'rate'];
-const MEDIUM_IMPACT_KEYWORDS = ['rally', 'drop', 'rise', 'fall', 'decline', 'gain', 'loss', 'growth', 'beat', 'miss'];
-
-// Instrument affection mapping
-const INSTRUMENT_KEYWORDS = {
-  'ES': ['s&p', 'sp500', 'spx', 'stocks', 'equities', 'market', 'dow', 'nasdaq'],
-  'NQ': ['tech', 'nasdaq', 'technology', 'growth stocks', 'faang', 'magnificent'],
-  'CL': ['oil', 'crude', 'opec', 'energy', 'petroleum', 'barrel'],
-  'GC': ['gold', 'precious', 'safe haven', 'bullion'],
-  'ZN': ['bond', 'treasury', 'yield', 'fixed income', 'debt'],
-  'DX': ['dollar', 'usd', 'currency', 'forex', 'dxy', 'greenback'],
-  // Currency Futures
-  '6E': ['euro', 'eur', 'ecb', 'european central bank', 'eurozone', 'lagarde'],
-  '6J': ['yen', 'jpy', 'boj', 'bank of japan', 'japan', 'kuroda', 'ueda'],
-  '6B': ['pound', 'gbp', 'sterling', 'boe', 'bank of england', 'uk economy', 'britain'],
-  '6A': ['aussie', 'aud', 'australian', 'rba', 'reserve bank of australia'],
-  // International Indices
-  'N225': ['nikkei', 'japan stock', 'tokyo stock', 'japanese market', 'topix'],
-  'DAX': ['dax', 'german stock', 'germany market', 'frankfurt', 'deutsche'],
-  'STOXX': ['stoxx', 'euro stoxx', 'european stock', 'europe market'],
-  'FTSE': ['ftse', 'uk stock', 'london stock', 'british market', 'lse']
-};
+const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY || '';
 
 // Store processed news for filtering by instrument
 let cachedProcessedNews = [];
@@ -85,16 +53,10 @@ export async function fetchFinnhubNews() {
 function processNewsItem(item) {
   const headline = item.headline || '';
   const summary = item.summary || '';
-  const fullText = `${headline} ${summary}`.toLowerCase();
-
-  // Determine category
-  const category = determineCategory(fullText);
 
-  // Determine impact level
-  const impact = determineImpact(fullText);
-
-  // Determine affected instruments
-  const affectedInstruments = determineAffectedInstruments(fullText);
+  // Rule-based category, impact and instruments (Claude refines these later)
+  const { category, impact, symbols } = classifyHeadline({ headline, summary });
+  const affectedInstruments = symbols.length > 0 ? symbols : ['ES']; // Default to ES if no specific match
 
   // Format timestamp
   const timestamp = item.datetime ? new Date(item.datetime * 1000).toISOString() : new Date().toISOString();
@@ -115,49 +77,6 @@ function processNewsItem(item) {
   };
 }
 
-function determineCategory(text) {
-  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      return category;
-    }
-  }
-  return 'General';
-}
-
-function determineImpact(text) {
-  if (HIGH_IMPACT_KEYWORDS.some(keyword => text.includes(keyword))) {
-    return 'HIGH';
-  }
-  if (MEDIUM_IMPACT_KEYWORDS.some(keyword => text.includes(keyword))) {
-    return 'MEDIUM';
-  }
-  return 'LOW';
-}
-
-function determineAffectedInstruments(text) {
-  const affected = [];
-  for (const [instrument, keywords] of Object.entries(INSTRUMENT_KEYWORDS)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      affected.push(instrument);
-    }
-  }
-  return affected.length > 0 ? affected : ['ES']; // Default to ES if no specific match
-}
-
-function getRelativeTime(timestamp) {
-  const now = Date.now();
-  const diff = now - timestamp;
-  const minutes = Math.floor(diff / 60000);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-
-  if (minutes < 1) return 'Just now';
-  if (minutes < 60) return `${minutes}m ago`;
-  if (hours < 24) return `${hours}h ago`;
-  if (days === 1) return 'Yesterday';
-  return `${days}d ago`;
-}
-
 // Fetch company-specific news for Magnificent Seven stocks
 export async function fetchMag7News() {
   if (!FINNHUB_API_KEY) {
@@ -231,15 +150,13 @@ function getMag7FallbackNews() {
 
 // Get news relevant to a specific instrument by filtering cached news
 export function getNewsForInstrument(instrument) {
-  const keywords = INSTRUMENT_KEYWORDS[instrument];
-  if (!keywords || cachedProcessedNews.length === 0) {
+  if (!instrument || cachedProcessedNews.length === 0) {
     return null;
   }
 
-  // Find news that matches this instrument's keywords
+  // Find news that mentions this instrument
   for (const newsItem of cachedProcessedNews) {
-    const text = `${newsItem.headline} ${newsItem.summary}`.toLowerCase();
-    if (keywords.some(keyword => text.includes(keyword))) {
+    if (detectSymbols(`${newsItem.headline} ${newsItem.summary}`).includes(instrument)) {
       return {
         headline: newsItem.headline.length > 100
           ? newsItem.headline.slice(0, 97) + '...'
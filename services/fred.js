@@ -124,6 +124,26 @@ async function fetchFredSeries(seriesId, apiKey) {
   }
 }
 
+/**
+ * Fetch a series' recent observations, oldest first (uncached)
+ * @param {number} limit - Number of observations to request
+ * @returns {Array<{date, value}>}
+ */
+export async function fetchFredHistory(seriesId, apiKey, limit = 120) {
+  const url = `${BASE_URL}/series/observations?series_id=${seriesId}&api_key=${apiKey}&file_type=json&sort_order=desc&limit=${limit}`;
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`FRED ${seriesId}: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.observations || [])
+    .filter(o => o.value !== '.')
+    .map(o => ({ date: o.date, value: parseFloat(o.value) }))
+    .reverse();
+}
+
 /**
  * Fetch all key economic indicators
  */
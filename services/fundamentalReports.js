@@ -1,5 +1,9 @@
 // Fundamental Reports Service
 // Provides calendar data for high-impact market reports across all sectors
+// (dates come from the calendar engine in economicCalendar.js)
+
+import { getEIAExpectations, getWeekEnding } from './eiaSurprise.js';
+import { getEconomicCalendar, FOMC_MEETINGS } from './economicCalendar.js';
 
 // ============================================================================
 // ENERGY REPORTS (CL, NG, RB)
@@ -11,7 +15,7 @@ const ENERGY_REPORTS = [
     name: 'OPEC Monthly Oil Market Report',
     shortName: 'OPEC Report',
     category: 'energy',
-    monthlyDate: 12, // Around the 12th of each month
+    event: 'OPEC_MOMR',
     time: '7:00 AM ET',
     timeET: '07:00',
     importance: 'HIGH',
@@ -27,7 +31,7 @@ const ENERGY_REPORTS = [
     name: 'OPEC+ Meeting',
     shortName: 'OPEC+ Meeting',
     category: 'energy',
-    monthlyDate: 1, // Usually first week of month (approximate)
+    event: 'OPEC_MEETING', // Ad hoc - announced dates go in the calendar override files
     time: 'Varies',
     timeET: '10:00',
     importance: 'HIGH',
@@ -43,7 +47,7 @@ const ENERGY_REPORTS = [
     name: 'API Weekly Inventory',
     shortName: 'API Inventory',
     category: 'energy',
-    dayOfWeek: 2, // Tuesday
+    event: 'API_INVENTORY',
     time: '4:30 PM ET',
     timeET: '16:30',
     importance: 'MEDIUM',
@@ -59,11 +63,12 @@ const ENERGY_REPORTS = [
     name: 'EIA Petroleum Status Report',
     shortName: 'EIA Petroleum',
     category: 'energy',
-    dayOfWeek: 3, // Wednesday
+    event: 'EIA_PETROLEUM',
     time: '10:30 AM ET',
     timeET: '10:30',
     importance: 'HIGH',
     affectedInstruments: ['CL', 'NG', 'RB'],
+    surpriseSeries: ['CRUDE', 'GASOLINE', 'DISTILLATE'], // Scored by eiaSurprise.js
     description: 'Official weekly inventory data from the Energy Information Administration. Includes crude stocks, gasoline, distillates, refinery utilization, and Cushing OK levels.',
     scenarios: {
       bullish: 'Draw > 2M bbl, low refinery utilization, declining Cushing stocks',
@@ -75,11 +80,12 @@ const ENERGY_REPORTS = [
     name: 'EIA Natural Gas Storage',
     shortName: 'EIA Nat Gas',
     category: 'energy',
-    dayOfWeek: 4, // Thursday
+    event: 'EIA_NATGAS',
     time: '10:30 AM ET',
     timeET: '10:30',
     importance: 'HIGH',
     affectedInstruments: ['NG'],
+    surpriseSeries: ['NG_STORAGE'],
     description: 'Weekly natural gas storage report. Shows injection/withdrawal vs 5-year average. Critical for NG pricing.',
     scenarios: {
       bullish: 'Withdrawal larger than expected (winter) or injection smaller than expected (summer)',
@@ -91,7 +97,7 @@ const ENERGY_REPORTS = [
     name: 'Baker Hughes Rig Count',
     shortName: 'Rig Count',
     category: 'energy',
-    dayOfWeek: 5, // Friday
+    event: 'BAKER_HUGHES',
     time: '1:00 PM ET',
     timeET: '13:00',
     importance: 'MEDIUM',
@@ -114,7 +120,7 @@ const AGRICULTURE_REPORTS = [
     name: 'USDA WASDE Report',
     shortName: 'WASDE',
     category: 'agriculture',
-    monthlyDate: 12, // Around the 12th of each month
+    event: 'WASDE',
     time: '12:00 PM ET',
     timeET: '12:00',
     importance: 'HIGH',
@@ -130,13 +136,12 @@ const AGRICULTURE_REPORTS = [
     name: 'USDA Crop Progress',
     shortName: 'Crop Progress',
     category: 'agriculture',
-    dayOfWeek: 1, // Monday
+    event: 'CROP_PROGRESS', // April-November only
     time: '4:00 PM ET',
     timeET: '16:00',
     importance: 'MEDIUM',
     affectedInstruments: ['ZS', 'ZC', 'ZW'],
     description: 'Weekly report on planting/harvest progress and crop condition ratings. Released during growing season (April-November).',
-    seasonalMonths: [4, 5, 6, 7, 8, 9, 10, 11], // April-November
     scenarios: {
       bullish: 'Poor crop conditions, planting delays, drought stress',
       bearish: 'Good/excellent crop conditions, ahead of schedule planting'
@@ -147,7 +152,7 @@ const AGRICULTURE_REPORTS = [
     name: 'USDA Export Sales',
     shortName: 'Export Sales',
     category: 'agriculture',
-    dayOfWeek: 4, // Thursday
+    event: 'EXPORT_SALES',
     time: '8:30 AM ET',
     timeET: '08:30',
     importance: 'MEDIUM',
@@ -163,7 +168,7 @@ const AGRICULTURE_REPORTS = [
     name: 'USDA Cattle on Feed',
     shortName: 'Cattle on Feed',
     category: 'agriculture',
-    monthlyDate: 20, // Around the 20th of each month
+    event: 'CATTLE_ON_FEED',
     time: '3:00 PM ET',
     timeET: '15:00',
     importance: 'HIGH',
@@ -179,8 +184,7 @@ const AGRICULTURE_REPORTS = [
     name: 'USDA Hogs & Pigs',
     shortName: 'Hogs & Pigs',
     category: 'agriculture',
-    quarterlyMonths: [3, 6, 9, 12], // Quarterly
-    monthlyDate: 28, // Around end of month
+    event: 'HOGS_AND_PIGS', // Quarterly
     time: '3:00 PM ET',
     timeET: '15:00',
     importance: 'HIGH',
@@ -203,8 +207,7 @@ const TREASURY_AUCTIONS = [
     name: '2-Year Treasury Auction',
     shortName: '2Y Auction',
     category: 'bonds',
-    monthlyWeek: 4, // 4th week of month typically
-    dayOfWeek: 2, // Tuesday
+    event: 'AUCTION_2Y',
     time: '1:00 PM ET',
     timeET: '13:00',
     importance: 'HIGH',
@@ -220,8 +223,7 @@ const TREASURY_AUCTIONS = [
     name: '5-Year Treasury Auction',
     shortName: '5Y Auction',
     category: 'bonds',
-    monthlyWeek: 4,
-    dayOfWeek: 3, // Wednesday
+    event: 'AUCTION_5Y',
     time: '1:00 PM ET',
     timeET: '13:00',
     importance: 'HIGH',
@@ -237,8 +239,7 @@ const TREASURY_AUCTIONS = [
     name: '10-Year Treasury Auction',
     shortName: '10Y Auction',
     category: 'bonds',
-    monthlyWeek: 2, // 2nd week typically
-    dayOfWeek: 3, // Wednesday
+    event: 'AUCTION_10Y',
     time: '1:00 PM ET',
     timeET: '13:00',
     importance: 'HIGH',
@@ -254,8 +255,7 @@ const TREASURY_AUCTIONS = [
     name: '30-Year Treasury Bond Auction',
     shortName: '30Y Auction',
     category: 'bonds',
-    monthlyWeek: 2,
-    dayOfWeek: 4, // Thursday
+    event: 'AUCTION_30Y',
     time: '1:00 PM ET',
     timeET: '13:00',
     importance: 'HIGH',
@@ -272,28 +272,6 @@ const TREASURY_AUCTIONS = [
 // CENTRAL BANK CALENDARS
 // ============================================================================
 
-// 2025-2026 FOMC Meeting Dates (approximate, actual dates may vary)
-const FOMC_MEETINGS_2025_2026 = [
-  // 2025
-  { year: 2025, month: 1, days: [28, 29], pressConference: true },
-  { year: 2025, month: 3, days: [18, 19], pressConference: true },
-  { year: 2025, month: 5, days: [6, 7], pressConference: true },
-  { year: 2025, month: 6, days: [17, 18], pressConference: true },
-  { year: 2025, month: 7, days: [29, 30], pressConference: true },
-  { year: 2025, month: 9, days: [16, 17], pressConference: true },
-  { year: 2025, month: 11, days: [4, 5], pressConference: true },
-  { year: 2025, month: 12, days: [16, 17], pressConference: true },
-  // 2026
-  { year: 2026, month: 1, days: [27, 28], pressConference: true },
-  { year: 2026, month: 3, days: [17, 18], pressConference: true },
-  { year: 2026, month: 5, days: [5, 6], pressConference: true },
-  { year: 2026, month: 6, days: [16, 17], pressConference: true },
-  { year: 2026, month: 7, days: [28, 29], pressConference: true },
-  { year: 2026, month: 9, days: [15, 16], pressConference: true },
-  { year: 2026, month: 11, days: [3, 4], pressConference: true },
-  { year: 2026, month: 12, days: [15, 16], pressConference: true },
-];
-
 const CENTRAL_BANK_MEETINGS = {
   FOMC: {
     name: 'FOMC Rate Decision',
@@ -303,7 +281,7 @@ const CENTRAL_BANK_MEETINGS = {
     timeET: '14:00',
     importance: 'HIGH',
     affectedInstruments: ['ES', 'NQ', 'YM', 'RTY', 'ZN', 'ZB', 'DX', '6E', '6J', '6B', '6A', 'GC', 'CL'],
-    meetings: FOMC_MEETINGS_2025_2026,
+    meetings: FOMC_MEETINGS,
     description: 'Federal Reserve interest rate decision and policy statement. Most important market-moving event.',
     scenarios: {
       bullish: 'Dovish surprise (rate cut, pause in hikes, softer language)',
@@ -356,55 +334,13 @@ const CENTRAL_BANK_MEETINGS = {
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Get the next occurrence of a weekday
- */
-function getNextWeekday(dayOfWeek, fromDate = new Date()) {
-  const result = new Date(fromDate);
-  result.setHours(0, 0, 0, 0);
-
-  const currentDay = result.getDay();
-  let daysToAdd = dayOfWeek - currentDay;
-
-  if (daysToAdd < 0) {
-    daysToAdd += 7;
-  } else if (daysToAdd === 0) {
-    // If today is the target day, check if the report time has passed
-    const now = new Date();
-    if (now.getHours() >= 17) { // Past 5 PM, get next week
-      daysToAdd = 7;
-    }
-  }
-
-  result.setDate(result.getDate() + daysToAdd);
-  return result;
-}
-
-/**
- * Get approximate date for monthly reports (e.g., around the 12th)
- */
-function getNextMonthlyDate(targetDay, fromDate = new Date()) {
-  const result = new Date(fromDate);
-  result.setHours(0, 0, 0, 0);
-
-  const currentDay = result.getDate();
-
-  if (currentDay > targetDay) {
-    // Move to next month
-    result.setMonth(result.getMonth() + 1);
-  }
-
-  result.setDate(targetDay);
-  return result;
-}
-
 /**
  * Get next FOMC meeting date
  */
 function getNextFOMCMeeting(fromDate = new Date()) {
   const now = fromDate.getTime();
 
-  for (const meeting of FOMC_MEETINGS_2025_2026) {
+  for (const meeting of FOMC_MEETINGS) {
     const meetingDate = new Date(meeting.year, meeting.month - 1, meeting.days[1]);
     if (meetingDate.getTime() > now) {
       return {
@@ -419,49 +355,37 @@ function getNextFOMCMeeting(fromDate = new Date()) {
 }
 
 /**
- * Format date as YYYY-MM-DD
- */
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
-}
-
-/**
- * Check if date is today
- */
-function isToday(date) {
-  const today = new Date();
-  return date.getDate() === today.getDate() &&
-         date.getMonth() === today.getMonth() &&
-         date.getFullYear() === today.getFullYear();
-}
-
-/**
- * Check if date is tomorrow
- */
-function isTomorrow(date) {
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  return date.getDate() === tomorrow.getDate() &&
-         date.getMonth() === tomorrow.getMonth() &&
-         date.getFullYear() === tomorrow.getFullYear();
-}
-
-/**
- * Get date label (Today, Tomorrow, or formatted date)
+ * Consensus / 5-year average for an EIA report date, plus the scored result
+ * once it is out (week ending = the last Friday before the report)
  */
-function getDateLabel(date) {
-  if (isToday(date)) return 'Today';
-  if (isTomorrow(date)) return 'Tomorrow';
+function getReportExpectations(report, date) {
+  if (!report.surpriseSeries) return undefined;
 
-  const options = { weekday: 'long', month: 'short', day: 'numeric' };
-  return date.toLocaleDateString('en-US', options);
+  const weekEnding = getWeekEnding(date);
+  return report.surpriseSeries.map(key => getEIAExpectations(key, weekEnding));
 }
 
 /**
- * Check if a month is in the growing season
+ * Dated copies of report definitions for every calendar occurrence in the next N days
  */
-function isGrowingSeason(month) {
-  return month >= 4 && month <= 11; // April - November
+function scheduleReports(definitions, days) {
+  const byEvent = new Map(definitions.map(report => [report.event, report]));
+
+  return getEconomicCalendar({ days, events: Array.from(byEvent.keys()) }).map(occurrence => {
+    const report = byEvent.get(occurrence.event);
+    const overriddenTime = occurrence.source === 'override' && occurrence.time !== report.timeET;
+
+    return {
+      ...report,
+      ...(overriddenTime ? { time: occurrence.timeLabel, timeET: occurrence.time } : {}),
+      date: occurrence.date,
+      dateLabel: occurrence.dateLabel,
+      isToday: occurrence.isToday,
+      isTomorrow: occurrence.isTomorrow,
+      scheduleSource: occurrence.source,
+      expectations: getReportExpectations(report, occurrence.date)
+    };
+  });
 }
 
 // ============================================================================
@@ -469,196 +393,57 @@ function isGrowingSeason(month) {
 // ============================================================================
 
 /**
- * Fetch energy sector reports for the next 14 days
+ * Fetch energy sector reports for the next 30 days
  */
 export function fetchEnergyReports() {
-  const reports = [];
-  const now = new Date();
-  const endDate = new Date(now);
-  endDate.setDate(endDate.getDate() + 30); // Extended to 30 days for monthly reports
-
-  for (const report of ENERGY_REPORTS) {
-    if (report.dayOfWeek !== undefined) {
-      // Weekly report
-      let nextDate = getNextWeekday(report.dayOfWeek, now);
-
-      // Add all occurrences within the next 14 days
-      while (nextDate <= endDate) {
-        reports.push({
-          ...report,
-          date: formatDate(nextDate),
-          dateLabel: getDateLabel(nextDate),
-          isToday: isToday(nextDate),
-          isTomorrow: isTomorrow(nextDate)
-        });
-
-        // Get next week's occurrence
-        const nextWeek = new Date(nextDate);
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        nextDate = nextWeek;
-      }
-    } else if (report.monthlyDate !== undefined) {
-      // Monthly report (like OPEC)
-      let nextDate = getNextMonthlyDate(report.monthlyDate, now);
-
-      if (nextDate <= endDate) {
-        reports.push({
-          ...report,
-          date: formatDate(nextDate),
-          dateLabel: getDateLabel(nextDate),
-          isToday: isToday(nextDate),
-          isTomorrow: isTomorrow(nextDate)
-        });
-      }
-    }
-  }
-
-  // Sort by date
-  reports.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  return reports;
+  return scheduleReports(ENERGY_REPORTS, 30);
 }
 
 /**
  * Fetch agriculture sector reports for the next 30 days
+ * (seasonal and quarterly reports only appear in their months)
  */
 export function fetchAgricultureReports() {
-  const reports = [];
-  const now = new Date();
-  const endDate = new Date(now);
-  endDate.setDate(endDate.getDate() + 30);
-  const currentMonth = now.getMonth() + 1;
-
-  for (const report of AGRICULTURE_REPORTS) {
-    // Skip seasonal reports outside their season
-    if (report.seasonalMonths && !report.seasonalMonths.includes(currentMonth)) {
-      continue;
-    }
-
-    // Skip quarterly reports not in their quarter
-    if (report.quarterlyMonths && !report.quarterlyMonths.includes(currentMonth)) {
-      continue;
-    }
-
-    let nextDate;
-
-    if (report.dayOfWeek !== undefined) {
-      // Weekly report
-      nextDate = getNextWeekday(report.dayOfWeek, now);
-
-      while (nextDate <= endDate) {
-        reports.push({
-          ...report,
-          date: formatDate(nextDate),
-          dateLabel: getDateLabel(nextDate),
-          isToday: isToday(nextDate),
-          isTomorrow: isTomorrow(nextDate)
-        });
-
-        const nextWeek = new Date(nextDate);
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        nextDate = nextWeek;
-      }
-    } else if (report.monthlyDate) {
-      // Monthly report
-      nextDate = getNextMonthlyDate(report.monthlyDate, now);
-
-      if (nextDate <= endDate) {
-        reports.push({
-          ...report,
-          date: formatDate(nextDate),
-          dateLabel: getDateLabel(nextDate),
-          isToday: isToday(nextDate),
-          isTomorrow: isTomorrow(nextDate)
-        });
-      }
-    }
-  }
-
-  // Sort by date
-  reports.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  return reports;
+  return scheduleReports(AGRICULTURE_REPORTS, 30);
 }
 
 /**
- * Fetch Treasury auction calendar
+ * Fetch Treasury auction calendar for the next 30 days
  */
 export function fetchTreasuryAuctions() {
-  const reports = [];
-  const now = new Date();
-  const endDate = new Date(now);
-  endDate.setDate(endDate.getDate() + 30);
-
-  for (const auction of TREASURY_AUCTIONS) {
-    // For simplicity, we'll use the weekday pattern
-    // In production, you'd want to use actual Treasury auction schedule
-    let nextDate = getNextWeekday(auction.dayOfWeek, now);
-
-    // Check if we're in the right week of the month (approximate)
-    const weekOfMonth = Math.ceil(nextDate.getDate() / 7);
-    if (weekOfMonth !== auction.monthlyWeek) {
-      // Adjust to the correct week
-      const daysToAdd = (auction.monthlyWeek - weekOfMonth) * 7;
-      nextDate.setDate(nextDate.getDate() + daysToAdd);
-    }
-
-    if (nextDate <= endDate && nextDate >= now) {
-      reports.push({
-        ...auction,
-        date: formatDate(nextDate),
-        dateLabel: getDateLabel(nextDate),
-        isToday: isToday(nextDate),
-        isTomorrow: isTomorrow(nextDate)
-      });
-    }
-  }
-
-  // Sort by date
-  reports.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  return reports;
+  return scheduleReports(TREASURY_AUCTIONS, 30);
 }
 
 /**
  * Fetch Central Bank meeting calendar
  */
 export function fetchCentralBankCalendar() {
-  const reports = [];
-  const now = new Date();
-  const endDate = new Date(now);
-  endDate.setDate(endDate.getDate() + 60); // Look ahead 60 days for central banks
-
-  // FOMC meetings
   const fomc = CENTRAL_BANK_MEETINGS.FOMC;
-  for (const meeting of fomc.meetings) {
-    const meetingDate = new Date(meeting.year, meeting.month - 1, meeting.days[1]);
-
-    if (meetingDate >= now && meetingDate <= endDate) {
-      reports.push({
-        id: `fomc-${meeting.year}-${meeting.month}`,
-        name: fomc.name,
-        shortName: fomc.shortName,
-        category: 'centralbank',
-        date: formatDate(meetingDate),
-        dateLabel: getDateLabel(meetingDate),
-        time: fomc.time,
-        timeET: fomc.timeET,
-        importance: fomc.importance,
-        affectedInstruments: fomc.affectedInstruments,
-        description: fomc.description + (meeting.pressConference ? ' Press conference follows.' : ''),
-        scenarios: fomc.scenarios,
-        isToday: isToday(meetingDate),
-        isTomorrow: isTomorrow(meetingDate),
-        pressConference: meeting.pressConference
-      });
-    }
-  }
 
-  // Sort by date
-  reports.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  return reports;
+  // Look ahead 60 days for central banks
+  return getEconomicCalendar({ days: 60, events: 'FOMC' }).map(occurrence => {
+    const [year, month] = occurrence.period.split('-').map(Number);
+    const meeting = fomc.meetings.find(m => m.year === year && m.month === month);
+    const pressConference = meeting?.pressConference || false;
+
+    return {
+      id: `fomc-${year}-${month}`,
+      name: fomc.name,
+      shortName: fomc.shortName,
+      category: 'centralbank',
+      date: occurrence.date,
+      dateLabel: occurrence.dateLabel,
+      time: fomc.time,
+      timeET: fomc.timeET,
+      importance: fomc.importance,
+      affectedInstruments: fomc.affectedInstruments,
+      description: fomc.description + (pressConference ? ' Press conference follows.' : ''),
+      scenarios: fomc.scenarios,
+      isToday: occurrence.isToday,
+      isTomorrow: occurrence.isTomorrow,
+      pressConference
+    };
+  });
 }
 
 /**
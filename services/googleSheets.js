@@ -173,8 +173,7 @@ export async function fetchGoogleSheetsNews() {
     const newsItems = rows
       .map((row, index) => transformToNewsItem(row, index))
       .filter(item => item.headline && item.headline.length > 10) // Filter empty/invalid
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)) // Newest first
-      .slice(0, 50); // Limit to 50 items
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)); // Newest first
 
     console.log(`Fetched ${newsItems.length} news items from Google Sheets`);
 
@@ -1,6 +1,8 @@
 // Instrument Summary Service
 // Generates user-friendly summaries explaining what's driving each instrument
 
+import { getRollStatus } from './contractCalendar.js';
+
 /**
  * Instrument-specific fundamental relationships
  * Defines how each instrument responds to key market factors
@@ -397,6 +399,9 @@ function generateInstrumentSummary(symbol, instrumentData, marketContext, techni
   // Generate human-readable summary
   const summary = generateHumanSummary(symbol, config, overallStatus, fundamentalFactors, technicalFactors, instrumentData);
 
+  // Front contract and roll week (null for VIX, crypto)
+  const contract = getRollStatus(symbol);
+
   return {
     symbol,
     name: config.name,
@@ -415,7 +420,9 @@ function generateInstrumentSummary(symbol, instrumentData, marketContext, techni
     fundamentalBias: fundamentalFactors.bias,
     technicalFactors,
     keyFactors: config.keyFactors,
-    upcomingCatalysts: findUpcomingCatalysts(symbol, config, recentReports),
+    upcomingCatalysts: findUpcomingCatalysts(symbol, config, recentReports, contract),
+    contract,
+    isRollWeek: contract?.isRollWeek || false,
     available: true
   };
 }
@@ -654,9 +661,18 @@ function generateHumanSummary(symbol, config, overallStatus, fundamentals, techn
 /**
  * Find upcoming catalysts for an instrument
  */
-function findUpcomingCatalysts(symbol, config, recentReports) {
+function findUpcomingCatalysts(symbol, config, recentReports, contract = null) {
   const catalysts = [];
 
+  // Roll week: liquidity moves to the next contract
+  if (contract?.isRollWeek) {
+    catalysts.push({
+      name: contract.message,
+      type: 'Contract Roll',
+      date: contract.previous ? contract.previous.rollDate : contract.rollDate
+    });
+  }
+
   // Add known report dates if configured
   if (config.reports) {
     config.reports.forEach(reportName => {
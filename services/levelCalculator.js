@@ -105,7 +105,22 @@ function getLevelsWithDistance(symbol, currentPrice, levels) {
     'VAH': 3,           // Value Area High
     'VAL': 3,           // Value Area Low
     'POC': 3,           // Point of Control
-    'VWAP': 2
+    'VWAP': 2,
+    'Prior POC': 4,     // Volume profile (volumeProfile.js)
+    'Prior VAH': 4,
+    'Prior VAL': 4,
+    'Naked POC': 4,
+    'Asia POC': 3,
+    'London POC': 3,
+    'Poor High': 3,
+    'Poor Low': 3,
+    'Call Wall': 5,     // Options (optionsAnalytics.js)
+    'Put Wall': 5,
+    'Zero Gamma': 5,
+    'EM Daily High': 4, // Expected move
+    'EM Daily Low': 4,
+    'EM Weekly High': 4,
+    'EM Weekly Low': 4
   };
 
   for (const [name, price] of Object.entries(levels)) {
@@ -122,7 +137,8 @@ function getLevelsWithDistance(symbol, currentPrice, levels) {
       ticksRaw: ticks,
       direction,
       dollarValue,
-      priority: levelPriority[name] || 1,
+      // Dated levels ('Naked POC (2026-10-15)') share their base name's priority
+      priority: levelPriority[name] || levelPriority[name.split(' (')[0]] || 1,
       inDailyRange: true // Will be calculated below
     });
   }
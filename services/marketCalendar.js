@@ -0,0 +1,274 @@
+/**
+ * Market Calendar - CME Globex and NYSE holidays and early closes
+ *
+ * Per calendar day (ET) each market is OPEN, EARLY_CLOSE (trading stops at
+ * 13:00 ET) or CLOSED:
+ *
+ *   Holiday                        NYSE          Globex (equity index)
+ *   New Year's, Good Friday,       CLOSED        CLOSED - reopens 18:00 ET
+ *   Christmas
+ *   MLK, Presidents', Memorial,    CLOSED        EARLY_CLOSE - halts 13:00,
+ *   Juneteenth, July 4, Labor,                   reopens 18:00 for the next day
+ *   Thanksgiving
+ *   July 3, day after Thanksgiving, EARLY_CLOSE  EARLY_CLOSE
+ *   Christmas Eve (Mon-Thu)
+ *
+ * Federal holidays (the days BLS, BEA, Census, EIA and USDA do not publish)
+ * live here too - Columbus and Veterans Day close the agencies but not the
+ * exchanges, Good Friday the reverse.
+ */
+
+const EARLY_CLOSE_TIME = '13:00';
+const GLOBEX_REOPEN_TIME = '18:00';
+
+const holidayCache = new Map();
+const exchangeCache = new Map();
+
+// ============================================================================
+// DATES (YYYY-MM-DD strings, calendar arithmetic in UTC)
+// ============================================================================
+
+function formatYMD(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+function addDays(ymd, days) {
+  const date = new Date(`${ymd}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function getWeekday(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+function isWeekend(ymd) {
+  const weekday = getWeekday(ymd);
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Calendar date in New York for a Date (strings pass through)
+ */
+function toMarketDate(date = new Date()) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * nth weekday (0 = Sunday) of a month, n = -1 for the last one
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n > 0) {
+    const first = formatYMD(year, month, 1);
+    return addDays(first, (weekday - getWeekday(first) + 7) % 7 + (n - 1) * 7);
+  }
+  const last = formatYMD(year, month + 1, 0);
+  return addDays(last, -((getWeekday(last) - weekday + 7) % 7) + (n + 1) * 7);
+}
+
+// Saturday holidays are observed Friday, Sunday holidays Monday
+function observed(ymd) {
+  const weekday = getWeekday(ymd);
+  if (weekday === 6) return addDays(ymd, -1);
+  if (weekday === 0) return addDays(ymd, 1);
+  return ymd;
+}
+
+/**
+ * Easter Sunday (Anonymous Gregorian algorithm)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return formatYMD(year, month, day);
+}
+
+// ============================================================================
+// FEDERAL HOLIDAYS
+// ============================================================================
+
+/**
+ * Federal holidays observed in a year
+ * @returns {Map} date -> holiday name
+ */
+function getFederalHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const holidays = [
+    [observed(formatYMD(year, 1, 1)), "New Year's Day"],
+    [nthWeekdayOfMonth(year, 1, 1, 3), 'Martin Luther King Jr. Day'],
+    [nthWeekdayOfMonth(year, 2, 1, 3), "Presidents' Day"],
+    [nthWeekdayOfMonth(year, 5, 1, -1), 'Memorial Day'],
+    [observed(formatYMD(year, 7, 4)), 'Independence Day'],
+    [nthWeekdayOfMonth(year, 9, 1, 1), 'Labor Day'],
+    [nthWeekdayOfMonth(year, 10, 1, 2), 'Columbus Day'],
+    [observed(formatYMD(year, 11, 11)), 'Veterans Day'],
+    [nthWeekdayOfMonth(year, 11, 4, 4), 'Thanksgiving Day'],
+    [observed(formatYMD(year, 12, 25)), 'Christmas Day'],
+    // New Year's Day on a Saturday is observed on Dec 31 of the prior year
+    [observed(formatYMD(year + 1, 1, 1)), "New Year's Day"]
+  ];
+  if (year >= 2021) holidays.push([observed(formatYMD(year, 6, 19)), 'Juneteenth']);
+
+  const map = new Map(holidays.filter(([date]) => date.startsWith(String(year))));
+  holidayCache.set(year, map);
+  return map;
+}
+
+function getFederalHoliday(date) {
+  const ymd = toMarketDate(date);
+  return getFederalHolidays(Number(ymd.slice(0, 4))).get(ymd) || null;
+}
+
+// ============================================================================
+// EXCHANGE HOLIDAYS
+// ============================================================================
+
+/**
+ * NYSE / Globex holidays and early closes in a year
+ * @returns {Map} date -> { date, name, nyse, globex, closeTime }
+ */
+function getExchangeHolidays(year) {
+  if (exchangeCache.has(year)) return exchangeCache.get(year);
+
+  const map = new Map();
+  const add = (date, name, nyse, globex) => {
+    if (!date.startsWith(String(year)) || isWeekend(date)) return;
+    map.set(date, {
+      date,
+      name,
+      nyse,
+      globex,
+      closeTime: nyse === 'EARLY_CLOSE' || globex === 'EARLY_CLOSE' ? EARLY_CLOSE_TIME : null
+    });
+  };
+
+  // NYSE does not move a Saturday New Year's Day to the Friday before
+  const newYear = formatYMD(year, 1, 1);
+  add(getWeekday(newYear) === 0 ? addDays(newYear, 1) : newYear, "New Year's Day", 'CLOSED', 'CLOSED');
+  add(addDays(getEasterSunday(year), -2), 'Good Friday', 'CLOSED', 'CLOSED');
+  add(observed(formatYMD(year, 12, 25)), 'Christmas Day', 'CLOSED', 'CLOSED');
+
+  // Globex trades a shortened session on the remaining NYSE holidays
+  add(nthWeekdayOfMonth(year, 1, 1, 3), 'Martin Luther King Jr. Day', 'CLOSED', 'EARLY_CLOSE');
+  add(nthWeekdayOfMonth(year, 2, 1, 3), "Presidents' Day", 'CLOSED', 'EARLY_CLOSE');
+  add(nthWeekdayOfMonth(year, 5, 1, -1), 'Memorial Day', 'CLOSED', 'EARLY_CLOSE');
+  if (year >= 2022) add(observed(formatYMD(year, 6, 19)), 'Juneteenth', 'CLOSED', 'EARLY_CLOSE');
+  add(observed(formatYMD(year, 7, 4)), 'Independence Day', 'CLOSED', 'EARLY_CLOSE');
+  add(nthWeekdayOfMonth(year, 9, 1, 1), 'Labor Day', 'CLOSED', 'EARLY_CLOSE');
+
+  const thanksgiving = nthWeekdayOfMonth(year, 11, 4, 4);
+  add(thanksgiving, 'Thanksgiving Day', 'CLOSED', 'EARLY_CLOSE');
+
+  // 13:00 ET early closes (only Mon-Thu for July 3 and Christmas Eve)
+  add(addDays(thanksgiving, 1), 'Day after Thanksgiving', 'EARLY_CLOSE', 'EARLY_CLOSE');
+  const july3 = formatYMD(year, 7, 3);
+  if (getWeekday(july3) >= 1 && getWeekday(july3) <= 4) add(july3, 'Independence Day Eve', 'EARLY_CLOSE', 'EARLY_CLOSE');
+  const christmasEve = formatYMD(year, 12, 24);
+  if (getWeekday(christmasEve) >= 1 && getWeekday(christmasEve) <= 4) add(christmasEve, 'Christmas Eve', 'EARLY_CLOSE', 'EARLY_CLOSE');
+
+  exchangeCache.set(year, map);
+  return map;
+}
+
+/**
+ * Status of one market on a calendar day
+ * @param {string|Date} date - YYYY-MM-DD or a Date (New York calendar day)
+ * @param {string} market - GLOBEX (default) or NYSE
+ * @returns {Object} { date, market, status: OPEN|EARLY_CLOSE|CLOSED, holiday, closeTime }
+ */
+function getMarketDay(date = new Date(), market = 'GLOBEX') {
+  const ymd = toMarketDate(date);
+  const venue = String(market).toUpperCase() === 'NYSE' ? 'NYSE' : 'GLOBEX';
+
+  if (isWeekend(ymd)) {
+    return { date: ymd, market: venue, status: 'CLOSED', holiday: null, closeTime: null };
+  }
+
+  const holiday = getExchangeHolidays(Number(ymd.slice(0, 4))).get(ymd);
+  const status = holiday ? holiday[venue === 'NYSE' ? 'nyse' : 'globex'] : 'OPEN';
+
+  return {
+    date: ymd,
+    market: venue,
+    status,
+    holiday: holiday?.name || null,
+    closeTime: status === 'EARLY_CLOSE' ? EARLY_CLOSE_TIME : null
+  };
+}
+
+/**
+ * Whether a market trades at all on a day (early closes count as trading days)
+ */
+function isTradingDay(date, market = 'GLOBEX') {
+  return getMarketDay(date, market).status !== 'CLOSED';
+}
+
+function getNextTradingDay(date, market = 'GLOBEX') {
+  let ymd = addDays(toMarketDate(date), 1);
+  while (!isTradingDay(ymd, market)) ymd = addDays(ymd, 1);
+  return ymd;
+}
+
+function getPreviousTradingDay(date, market = 'GLOBEX') {
+  let ymd = addDays(toMarketDate(date), -1);
+  while (!isTradingDay(ymd, market)) ymd = addDays(ymd, -1);
+  return ymd;
+}
+
+/**
+ * Monthly equity options expiration: the third Friday, or the Thursday
+ * before when the exchange is closed that Friday (Good Friday, Juneteenth)
+ * @param {number} year
+ * @param {number} month - 1-12
+ */
+function getMonthlyOpexDate(year, month) {
+  const thirdFriday = nthWeekdayOfMonth(year, month, 5, 3);
+  return isTradingDay(thirdFriday, 'NYSE') ? thirdFriday : getPreviousTradingDay(thirdFriday, 'NYSE');
+}
+
+/**
+ * Holidays and early closes between two dates, for both markets
+ */
+function getMarketHolidays({ from, to } = {}) {
+  const start = from ? toMarketDate(from) : toMarketDate();
+  const end = to ? toMarketDate(to) : addDays(start, 365);
+  const holidays = [];
+
+  for (let year = Number(start.slice(0, 4)); year <= Number(end.slice(0, 4)); year++) {
+    for (const holiday of getExchangeHolidays(year).values()) {
+      if (holiday.date >= start && holiday.date <= end) holidays.push(holiday);
+    }
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export {
+  getMarketDay,
+  isTradingDay,
+  getNextTradingDay,
+  getPreviousTradingDay,
+  getMonthlyOpexDate,
+  getMarketHolidays,
+  getExchangeHolidays,
+  getFederalHolidays,
+  getFederalHoliday,
+  toMarketDate,
+  nthWeekdayOfMonth,
+  EARLY_CLOSE_TIME,
+  GLOBEX_REOPEN_TIME
+};
@@ -2,11 +2,16 @@
  * News Analysis Service
  * Analyzes news headlines using Claude AI for trading insights
  * Now supports unified news from all sources (Google Sheets, NewsAPI, Finnhub)
+ * Without an API key (or when Claude fails) headlines get the rule-based
+ * classification from newsClassifier.js
  */
 
 import Anthropic from '@anthropic-ai/sdk';
 import { fetchGoogleSheetsNews, clearGoogleSheetsCache } from './googleSheets.js';
 import { fetchUnifiedNews, clearUnifiedNewsCache } from './unifiedNews.js';
+import { archiveNews, getArchivedAnalysis } from './newsArchive.js';
+import { applyStoryAnalysis } from './newsStories.js';
+import { classifyHeadline, classifyNewsItems, getRuleCheck } from './newsClassifier.js';
 
 // Initialize Anthropic client
 let anthropic = null;
@@ -26,50 +31,8 @@ let lastFullAnalysis = null;
 let fullAnalysisTime = null;
 const ANALYSIS_CACHE_DURATION = 10 * 60 * 1000; // 10 minutes for full analysis
 
-// Symbol mapping for futures
-const SYMBOL_KEYWORDS = {
-  ES: ['s&p', 'sp500', 'spx', 'equity', 'stock market', 'wall street', 'dow jones', 'nasdaq', 'stocks'],
-  NQ: ['nasdaq', 'tech', 'technology', 'software', 'ai ', 'artificial intelligence', 'semiconductor', 'chips', 'apple', 'microsoft', 'google', 'amazon', 'meta', 'nvidia', 'tesla'],
-  CL: ['oil', 'crude', 'wti', 'brent', 'opec', 'petroleum', 'energy', 'gasoline', 'drilling', 'refinery'],
-  GC: ['gold', 'precious metal', 'bullion', 'safe haven', 'inflation hedge'],
-  SI: ['silver', 'precious metal'],
-  ZN: ['treasury', 'bond', 'yield', 'interest rate', 'fed ', 'federal reserve', 'fomc', 'powell', 'rate cut', 'rate hike', 'monetary policy'],
-  ZB: ['30-year', 'long bond', 'treasury bond'],
-  DX: ['dollar', 'usd', 'greenback', 'currency', 'forex', 'dxy'],
-  '6E': ['euro', 'eur', 'ecb', 'european central bank', 'eurozone'],
-  '6J': ['yen', 'jpy', 'bank of japan', 'boj', 'japan'],
-  '6B': ['pound', 'gbp', 'sterling', 'bank of england', 'boe', 'uk economy'],
-  ZC: ['corn', 'grain', 'crop', 'agriculture', 'usda'],
-  ZS: ['soybean', 'soy', 'oilseed'],
-  ZW: ['wheat', 'grain'],
-  HG: ['copper', 'industrial metal', 'china manufacturing'],
-  NG: ['natural gas', 'natgas', 'lng', 'heating', 'weather'],
-  BTC: ['bitcoin', 'btc', 'crypto', 'cryptocurrency', 'digital currency'],
-  ETH: ['ethereum', 'eth', 'crypto'],
-  RTY: ['russell', 'small cap', 'small-cap', 'regional bank'],
-  YM: ['dow', 'djia', 'industrial', 'blue chip']
-};
-
-/**
- * Detect affected symbols from headline text (quick heuristic)
- */
-function detectSymbolsFromText(text) {
-  const lowerText = text.toLowerCase();
-  const detectedSymbols = [];
-
-  for (const [symbol, keywords] of Object.entries(SYMBOL_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (lowerText.includes(keyword)) {
-        if (!detectedSymbols.includes(symbol)) {
-          detectedSymbols.push(symbol);
-        }
-        break;
-      }
-    }
-  }
-
-  return detectedSymbols;
-}
+// How often the rule-based classifier agrees with Claude (see getRuleCheck)
+const ruleAgreement = { compared: 0, biasAgrees: 0, impactAgrees: 0, opposite: 0 };
 
 /**
  * Build the analysis prompt for Claude
@@ -126,19 +89,8 @@ export async function analyzeHeadlinesBatch(headlines) {
   const client = getAnthropicClient();
 
   if (!client) {
-    console.warn('Anthropic client not available - returning unanalyzed headlines');
-    return headlines.map(h => ({
-      ...h,
-      summary: h.headline,
-      symbols: detectSymbolsFromText(h.headline),
-      affectedInstruments: detectSymbolsFromText(h.headline),
-      impact: 'LOW',
-      bias: 'neutral',
-      timeframe: 'intraday',
-      relevance: 5,
-      category: 'General',
-      isAnalyzed: false
-    }));
+    console.warn('Anthropic client not available - using rule-based classifier');
+    return classifyNewsItems(headlines);
   }
 
   try {
@@ -165,54 +117,59 @@ export async function analyzeHeadlinesBatch(headlines) {
     } catch (parseError) {
       console.error('Failed to parse Claude response:', parseError);
       console.log('Raw response:', content.substring(0, 500));
-      return headlines.map(h => ({
-        ...h,
-        summary: h.headline,
-        symbols: detectSymbolsFromText(h.headline),
-        affectedInstruments: detectSymbolsFromText(h.headline),
-        impact: 'LOW',
-        bias: 'neutral',
-        timeframe: 'intraday',
-        relevance: 5,
-        category: 'General',
-        isAnalyzed: false
-      }));
+      return classifyNewsItems(headlines);
     }
 
-    // Merge analysis with original headlines
-    return headlines.map((headline, idx) => {
-      const analysis = analysisResults.find(a => a.index === idx + 1) || {};
+    // Merge analysis with original headlines - headlines Claude skipped get the
+    // rule-based classification, the rest are cross-checked against it
+    const merged = headlines.map((headline, idx) => {
+      const analysis = analysisResults.find(a => a.index === idx + 1);
+      if (!analysis) return { ...headline, ...classifyHeadline(headline) };
 
-      return {
+      const rules = classifyHeadline(headline);
+      const analyzed = {
         ...headline,
         summary: analysis.summary || headline.headline,
-        symbols: analysis.symbols || detectSymbolsFromText(headline.headline),
-        affectedInstruments: analysis.symbols || detectSymbolsFromText(headline.headline),
+        symbols: analysis.symbols || rules.symbols,
+        affectedInstruments: analysis.symbols || rules.symbols,
         impact: (analysis.impact || 'low').toUpperCase(),
         bias: analysis.bias || 'neutral',
         timeframe: analysis.timeframe || 'intraday',
         relevance: analysis.relevance || 5,
         category: analysis.category || 'General',
-        isAnalyzed: true
+        isAnalyzed: true,
+        analysisSource: 'claude'
       };
+      return { ...analyzed, ruleCheck: getRuleCheck(analyzed, rules) };
     });
+
+    recordRuleAgreement(merged);
+    return merged;
   } catch (error) {
     console.error('Claude analysis error:', error.message);
     console.error('Full error:', error);
 
-    // Return with heuristic analysis on error
-    return headlines.map(h => ({
-      ...h,
-      summary: h.headline,
-      symbols: detectSymbolsFromText(h.headline),
-      affectedInstruments: detectSymbolsFromText(h.headline),
-      impact: 'LOW',
-      bias: 'neutral',
-      timeframe: 'intraday',
-      relevance: 5,
-      category: 'General',
-      isAnalyzed: false
-    }));
+    // Return with rule-based analysis on error
+    return classifyNewsItems(headlines);
+  }
+}
+
+/**
+ * Count rule / Claude agreement and log headlines where they call opposite directions
+ */
+function recordRuleAgreement(analyzed) {
+  for (const item of analyzed) {
+    if (!item.ruleCheck) continue;
+
+    ruleAgreement.compared++;
+    if (item.ruleCheck.biasAgrees) ruleAgreement.biasAgrees++;
+    if (item.ruleCheck.impactAgrees) ruleAgreement.impactAgrees++;
+
+    const directions = [item.bias, item.ruleCheck.bias];
+    if (directions.includes('bullish') && directions.includes('bearish')) {
+      ruleAgreement.opposite++;
+      console.log(`[News Classifier] Claude ${item.bias} vs rules ${item.ruleCheck.bias}: ${item.headline}`);
+    }
   }
 }
 
@@ -223,6 +180,14 @@ function getHeadlineHash(headline) {
   return `${headline.headline}-${headline.source}`.toLowerCase().replace(/\s+/g, '');
 }
 
+/**
+ * Sheets rows are archived the way the unified feed stores them (source
+ * "Google Sheets", outlet in originalSource) so both paths share one record
+ */
+function toSheetsArchiveItem(item) {
+  return { ...item, source: 'Google Sheets', originalSource: item.source };
+}
+
 /**
  * Fetch and analyze all news
  */
@@ -246,19 +211,25 @@ export async function fetchAnalyzedNews(options = {}) {
     return results;
   }
 
-  // Fetch raw news from Google Sheets
-  const rawNews = await fetchGoogleSheetsNews();
+  // Fetch raw news from Google Sheets - every row is archived, the newest 50 are analyzed
+  const sheetsNews = await fetchGoogleSheetsNews();
 
-  if (rawNews.length === 0) {
+  if (sheetsNews.length === 0) {
     return [];
   }
 
-  // Separate already-analyzed (cached) from new headlines
+  archiveNews(sheetsNews.map(toSheetsArchiveItem));
+  const rawNews = sheetsNews.slice(0, 50);
+
+  // Separate already-analyzed (cached or archived) from new headlines
   const toAnalyze = [];
   const alreadyAnalyzed = [];
 
   for (const item of rawNews) {
     const hash = getHeadlineHash(item);
+    const archived = analysisCache.has(hash) ? null : getArchivedAnalysis(toSheetsArchiveItem(item));
+    if (archived) analysisCache.set(hash, { ...archived, source: item.source });
+
     if (analysisCache.has(hash)) {
       alreadyAnalyzed.push(analysisCache.get(hash));
     } else {
@@ -277,11 +248,12 @@ export async function fetchAnalyzedNews(options = {}) {
       const batch = toAnalyze.slice(i, i + batchSize);
       const analyzed = await analyzeHeadlinesBatch(batch);
 
-      // Cache individual results
+      // Cache individual results (the archive keeps them across restarts)
       for (const item of analyzed) {
         const hash = getHeadlineHash(item);
         analysisCache.set(hash, item);
       }
+      archiveNews(analyzed.map(toSheetsArchiveItem));
 
       newlyAnalyzed = newlyAnalyzed.concat(analyzed);
     }
@@ -400,8 +372,11 @@ export async function analyzeAllSourcesNews(options = {}) {
 
   for (const item of rawNews) {
     const hash = getHeadlineHash(item);
+    const archived = analysisCache.has(hash) ? null : getArchivedAnalysis(item);
+    if (archived) analysisCache.set(hash, archived);
+
     if (analysisCache.has(hash)) {
-      alreadyAnalyzed.push(analysisCache.get(hash));
+      alreadyAnalyzed.push({ ...analysisCache.get(hash), storyId: item.storyId });
     } else {
       toAnalyze.push(item);
     }
@@ -418,18 +393,19 @@ export async function analyzeAllSourcesNews(options = {}) {
       const batch = toAnalyze.slice(i, i + batchSize);
       const analyzed = await analyzeHeadlinesBatch(batch);
 
-      // Cache individual results
+      // Cache individual results (the archive keeps them across restarts)
       for (const item of analyzed) {
         const hash = getHeadlineHash(item);
         analysisCache.set(hash, item);
       }
+      archiveNews(analyzed);
 
       newlyAnalyzed = newlyAnalyzed.concat(analyzed);
     }
   }
 
-  // Combine and sort by timestamp
-  const allAnalyzed = [...alreadyAnalyzed, ...newlyAnalyzed]
+  // Combine, score per story and sort by timestamp
+  const allAnalyzed = applyStoryAnalysis([...alreadyAnalyzed, ...newlyAnalyzed])
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
   // Cache full results
@@ -460,7 +436,8 @@ export async function analyzeAllSourcesNews(options = {}) {
 
 /**
  * Get news sentiment summary for multiple instruments
- * Used by final analysis service
+ * Used by final analysis service. Counts are per story (bias / impact are the
+ * story's), so a headline repeated by several outlets counts once.
  */
 export async function getNewsSentimentSummary(options = {}) {
   const { lastHours = 1 } = options;
@@ -469,6 +446,7 @@ export async function getNewsSentimentSummary(options = {}) {
   const summary = {
     total: news.length,
     analyzed: news.filter(n => n.isAnalyzed).length,
+    developing: news.filter(n => n.developing).length,
     byImpact: {
       HIGH: news.filter(n => n.impact === 'HIGH').length,
       MEDIUM: news.filter(n => n.impact === 'MEDIUM').length,
@@ -499,7 +477,9 @@ export async function getNewsSentimentSummary(options = {}) {
       bearish,
       neutral: instrumentNews.length - bullish - bearish,
       sentiment: bullish > bearish ? 'bullish' : bearish > bullish ? 'bearish' : 'neutral',
-      score: (bullish - bearish) / Math.max(1, instrumentNews.length)
+      score: (bullish - bearish) / Math.max(1, instrumentNews.length),
+      // For weighting by past price reactions (calculateNewsSignal)
+      headlines: instrumentNews.map(n => ({ category: n.category, source: n.originalSource || n.source, bias: n.bias }))
     };
   }
 
@@ -540,6 +520,11 @@ export function getUnifiedAnalysisCacheStatus() {
     unifiedCacheAge: unifiedAnalysisTime ? Date.now() - unifiedAnalysisTime : null,
     maxAge: UNIFIED_ANALYSIS_CACHE_DURATION,
     hasApiKey: !!process.env.ANTHROPIC_API_KEY,
+    ruleAgreement: {
+      ...ruleAgreement,
+      biasRate: ruleAgreement.compared ? Math.round((ruleAgreement.biasAgrees / ruleAgreement.compared) * 100) / 100 : null,
+      impactRate: ruleAgreement.compared ? Math.round((ruleAgreement.impactAgrees / ruleAgreement.compared) * 100) / 100 : null
+    },
     sources: {
       googleSheets: unifiedAnalysisCache?.filter(n => n.source === 'Google Sheets').length || 0,
       newsApi: unifiedAnalysisCache?.filter(n => n.source === 'NewsAPI').length || 0,
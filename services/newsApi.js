@@ -1,6 +1,9 @@
 // NewsAPI Service - Aggregates news from Reuters, Bloomberg, BBC, etc.
 // Free tier: 100 requests/day - https://newsapi.org/register
 
+import { getRelativeTime } from './newsSources.js';
+import { classifyHeadline } from './newsClassifier.js';
+
 const NEWS_API_KEY = process.env.NEWS_API_KEY || '';
 
 const BUSINESS_SOURCES = 'reuters,bloomberg,financial-times,the-wall-street-journal,business-insider,cnbc';
@@ -49,9 +52,7 @@ export async function fetchNewsApiHeadlines() {
         timestamp: article.publishedAt || new Date().toISOString(),
         relativeTime: getRelativeTime(new Date(article.publishedAt).getTime()),
         image: article.urlToImage,
-        category: categorizeHeadline(article.title),
-        impact: determineImpact(article.title),
-        affectedInstruments: determineAffectedInstruments(article.title)
+        ...classifyTitle(article.title)
       }));
 
     console.log(`NewsAPI: fetched ${processedNews.length} articles`);
@@ -102,9 +103,7 @@ export async function searchMarketNews(query = 'stock market OR federal reserve
         url: article.url,
         timestamp: article.publishedAt,
         relativeTime: getRelativeTime(new Date(article.publishedAt).getTime()),
-        category: categorizeHeadline(article.title),
-        impact: determineImpact(article.title),
-        affectedInstruments: determineAffectedInstruments(article.title)
+        ...classifyTitle(article.title)
       }));
 
   } catch (error) {
@@ -113,68 +112,10 @@ export async function searchMarketNews(query = 'stock market OR federal reserve
   }
 }
 
-// Helper functions
-function getRelativeTime(timestamp) {
-  const now = Date.now();
-  const diff = now - timestamp;
-  const minutes = Math.floor(diff / 60000);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
-
-  if (minutes < 1) return 'Just now';
-  if (minutes < 60) return `${minutes}m ago`;
-  if (hours < 24) return `${hours}h ago`;
-  if (days === 1) return 'Yesterday';
-  return `${days}d ago`;
-}
-
-const CATEGORY_KEYWORDS = {
-  'Fed': ['fed', 'federal reserve', 'fomc', 'powell', 'rate hike', 'rate cut', 'interest rate'],
-  'Geopolitical': ['war', 'conflict', 'sanctions', 'tariff', 'china', 'russia', 'ukraine', 'iran'],
-  'Economic': ['gdp', 'inflation', 'cpi', 'jobs', 'employment', 'unemployment', 'retail sales'],
-  'Earnings': ['earnings', 'revenue', 'profit', 'quarterly', 'guidance'],
-  'Tech': ['tech', 'ai', 'artificial intelligence', 'apple', 'microsoft', 'google', 'nvidia'],
-  'Energy': ['oil', 'crude', 'opec', 'natural gas', 'energy']
-};
-
-function categorizeHeadline(headline) {
-  const text = headline.toLowerCase();
-  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      return category;
-    }
-  }
-  return 'General';
-}
-
-const HIGH_IMPACT_KEYWORDS = ['breaking', 'crash', 'surge', 'plunge', 'crisis', 'fed', 'fomc', 'rate'];
-const MEDIUM_IMPACT_KEYWORDS = ['rally', 'drop', 'rise', 'fall', 'growth', 'beat', 'miss'];
-
-function determineImpact(headline) {
-  const text = headline.toLowerCase();
-  if (HIGH_IMPACT_KEYWORDS.some(keyword => text.includes(keyword))) return 'HIGH';
-  if (MEDIUM_IMPACT_KEYWORDS.some(keyword => text.includes(keyword))) return 'MEDIUM';
-  return 'LOW';
-}
-
-const INSTRUMENT_KEYWORDS = {
-  'ES': ['s&p', 'stock', 'market', 'wall street', 'dow', 'nasdaq'],
-  'NQ': ['tech', 'nasdaq', 'technology'],
-  'CL': ['oil', 'crude', 'opec', 'energy'],
-  'GC': ['gold', 'precious'],
-  'ZN': ['bond', 'treasury', 'yield'],
-  'DX': ['dollar', 'currency', 'forex']
-};
-
-function determineAffectedInstruments(headline) {
-  const text = headline.toLowerCase();
-  const affected = [];
-  for (const [instrument, keywords] of Object.entries(INSTRUMENT_KEYWORDS)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      affected.push(instrument);
-    }
-  }
-  return affected.length > 0 ? affected : ['ES'];
+// Rule-based category, impact and instruments for a headline
+function classifyTitle(title) {
+  const { category, impact, symbols } = classifyHeadline(title);
+  return { category, impact, affectedInstruments: symbols.length > 0 ? symbols : ['ES'] };
 }
 
 export default {
@@ -0,0 +1,278 @@
+/**
+ * News Archive - Every headline seen, with its analysis, kept for search
+ *
+ * Append-only: items are never dropped. The unified feed archives each fetch
+ * (before its 50-item cut) and news analysis adds bias / impact / symbols /
+ * relevance to the stored item once Claude has scored it, so a restart does
+ * not re-analyze (or lose) yesterday's headlines.
+ *
+ * Items are stored per month of their timestamp (collection
+ * news_archive_YYYY-MM) so a file backend never rewrites the whole history.
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+
+const meta = getCollection('news_archive');
+const monthCollections = new Map();
+
+const IMPACTS = ['HIGH', 'MEDIUM', 'LOW'];
+const ANALYSIS_FIELDS = ['summary', 'bias', 'impact', 'relevance', 'timeframe', 'category'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function getMonthCollection(month) {
+  if (!monthCollections.has(month)) {
+    monthCollections.set(month, getCollection(`news_archive_${month}`));
+  }
+  return monthCollections.get(month);
+}
+
+function getMonths() {
+  return meta.get('months') || [];
+}
+
+/**
+ * Archive key: same headline from the same source is one item
+ * (matches the analysis cache's headline hash)
+ */
+function getArchiveId(item) {
+  const key = `${item.headline}-${item.source}`.toLowerCase().replace(/\s+/g, '');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+function toTimestamp(value) {
+  const date = new Date(value || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function mergeSymbols(...lists) {
+  return [...new Set(lists.flat().filter(Boolean).map(s => String(s).toUpperCase()))];
+}
+
+/**
+ * Add news items, or update stored ones (analysis fields, new symbols)
+ * @param {Object[]} items - Unified or analyzed news items
+ * @returns {Object} - { added, updated }
+ */
+function archiveNews(items = []) {
+  const now = new Date().toISOString();
+  const months = new Set(getMonths());
+  let added = 0;
+  let updated = 0;
+
+  for (const item of items) {
+    if (!item?.headline) continue;
+
+    const timestamp = toTimestamp(item.timestamp);
+    const month = timestamp.slice(0, 7);
+    const collection = getMonthCollection(month);
+    const id = getArchiveId(item);
+    const existing = collection.get(id);
+    const symbols = mergeSymbols(existing?.symbols || [], item.symbols || [], item.affectedInstruments || []);
+
+    if (!existing) {
+      collection.set(id, {
+        id,
+        headline: item.headline,
+        summary: item.summary || '',
+        source: item.source || 'Unknown',
+        originalSource: item.originalSource || item.source || null,
+        url: item.url || null,
+        timestamp,
+        firstSeen: now,
+        category: item.category || 'General',
+        impact: item.impact || 'LOW',
+        bias: item.bias || 'neutral',
+        relevance: item.relevance ?? null,
+        timeframe: item.timeframe || null,
+        symbols,
+        isAnalyzed: !!item.isAnalyzed,
+        analyzedAt: item.isAnalyzed ? now : null
+      });
+      months.add(month);
+      added++;
+      continue;
+    }
+
+    // Only analyzed items overwrite analysis fields; raw refetches just add symbols
+    const changes = {};
+    if (item.isAnalyzed && !existing.isAnalyzed) {
+      for (const field of ANALYSIS_FIELDS) {
+        if (item[field] !== undefined && item[field] !== null) changes[field] = item[field];
+      }
+      changes.isAnalyzed = true;
+      changes.analyzedAt = now;
+    }
+    if (symbols.length !== existing.symbols.length) changes.symbols = symbols;
+
+    if (Object.keys(changes).length > 0) {
+      collection.set(id, { ...existing, ...changes });
+      updated++;
+    }
+  }
+
+  if (months.size !== getMonths().length) meta.set('months', [...months].sort());
+  return { added, updated };
+}
+
+/**
+ * Stored analysis for an item, if Claude has already scored it
+ */
+function getArchivedAnalysis(item) {
+  const stored = getMonthCollection(toTimestamp(item.timestamp).slice(0, 7)).get(getArchiveId(item));
+  if (!stored?.isAnalyzed) return null;
+
+  return {
+    ...item,
+    summary: stored.summary,
+    symbols: stored.symbols,
+    affectedInstruments: stored.symbols,
+    impact: stored.impact,
+    bias: stored.bias,
+    timeframe: stored.timeframe,
+    relevance: stored.relevance,
+    category: stored.category,
+    isAnalyzed: true
+  };
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Split a query into lowercase terms; "quoted phrases" stay whole
+ */
+function parseQuery(q) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q || '')) !== null) {
+    terms.push((match[1] || match[2]).toLowerCase());
+  }
+  return terms;
+}
+
+/**
+ * Archived items in a time range, newest first (a date-only `to` includes that whole day)
+ */
+function scanArchive({ from = null, to = null } = {}) {
+  const fromIso = from ? toTimestamp(from) : null;
+  const toIso = to ? toTimestamp(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+  const months = getMonths().filter(month =>
+    (!fromIso || month >= fromIso.slice(0, 7)) && (!toIso || month <= toIso.slice(0, 7)));
+
+  const items = [];
+  for (const month of months) {
+    for (const item of getMonthCollection(month).values()) {
+      if (fromIso && item.timestamp < fromIso) continue;
+      if (toIso && item.timestamp > toIso) continue;
+      items.push(item);
+    }
+  }
+
+  return items.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Full-text and field search
+ * @param {Object} query - { q, symbol, impact (comma list), source, bias, from, to, limit, offset }
+ * @returns {Object} - { total, count, items }
+ */
+function searchNews({ q = '', symbol = null, impact = null, source = null, bias = null, from = null, to = null, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const terms = parseQuery(q);
+  const impacts = impact ? String(impact).toUpperCase().split(',').map(s => s.trim()) : null;
+  const symbolKey = symbol ? symbol.toUpperCase() : null;
+  const sourceKey = source ? source.toLowerCase().replace(/\s+/g, '') : null;
+
+  const matches = scanArchive({ from, to }).filter(item => {
+    if (symbolKey && !item.symbols.includes(symbolKey)) return false;
+    if (impacts && !impacts.includes(item.impact)) return false;
+    if (bias && item.bias !== bias.toLowerCase()) return false;
+    if (sourceKey && !`${item.source} ${item.originalSource || ''}`.toLowerCase().replace(/\s+/g, '').includes(sourceKey)) return false;
+    if (terms.length === 0) return true;
+
+    const text = `${item.headline} ${item.summary}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+
+  const page = matches.slice(offset, offset + Math.min(limit, MAX_LIMIT));
+  return { total: matches.length, count: page.length, items: page };
+}
+
+/**
+ * One instrument's news, newest first, paged with a cursor
+ * @param {string} symbol
+ * @param {Object} options - { before: nextCursor of the previous page (or an ISO time), limit }
+ * @returns {Object} - { symbol, items, nextCursor } (nextCursor null on the last page)
+ */
+function getNewsTimeline(symbol, { before = null, limit = 20 } = {}) {
+  const key = symbol.toUpperCase();
+  const pageSize = Math.min(limit, MAX_LIMIT);
+
+  // Cursor is "<timestamp>_<id>" so items sharing a timestamp are not skipped
+  const [cursorTime, cursorId = null] = before ? String(before).split('_') : [];
+  const cursor = cursorTime ? toTimestamp(cursorTime) : null;
+  const isOlder = (item) => !cursor || item.timestamp < cursor ||
+    (item.timestamp === cursor && cursorId !== null && item.id < cursorId);
+
+  const items = scanArchive({ to: cursor }).filter(item => item.symbols.includes(key) && isOlder(item));
+  const page = items.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return {
+    symbol: key,
+    items: page,
+    nextCursor: items.length > pageSize ? `${last.timestamp}_${last.id}` : null
+  };
+}
+
+/**
+ * Archived items in a time range, newest first
+ * @param {Object} range - { from, to }
+ */
+function listArchivedNews({ from = null, to = null } = {}) {
+  return scanArchive({ from, to });
+}
+
+/**
+ * Attach extra fields to a stored item (e.g. its price reaction)
+ * @param {Object} item - Archived item (id and timestamp locate it)
+ */
+function annotateArchivedNews(item, fields) {
+  const collection = getMonthCollection(item.timestamp.slice(0, 7));
+  const stored = collection.get(item.id);
+  if (!stored) return null;
+
+  const annotated = { ...stored, ...fields };
+  collection.set(item.id, annotated);
+  return annotated;
+}
+
+/**
+ * Archive size per month
+ */
+function getNewsArchiveStatus() {
+  const months = getMonths().map(month => ({ month, items: getMonthCollection(month).size }));
+
+  return {
+    months,
+    totalItems: months.reduce((sum, m) => sum + m.items, 0)
+  };
+}
+
+export {
+  archiveNews,
+  getArchivedAnalysis,
+  searchNews,
+  getNewsTimeline,
+  getNewsArchiveStatus,
+  listArchivedNews,
+  annotateArchivedNews,
+  IMPACTS
+};
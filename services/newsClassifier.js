@@ -0,0 +1,504 @@
+/**
+ * News Classifier - Rule-based headline analysis
+ *
+ * Deterministic stand-in for Claude's headline analysis: the same fields
+ * (summary, symbols, impact, bias, timeframe, relevance, category) from one
+ * keyword dictionary, entity patterns ("Powell", "OPEC+ cut", "CPI hotter")
+ * and a bias lexicon with negation handling ("rules out rate cut").
+ *
+ * Used when Claude is unavailable, to tag raw headlines from every source,
+ * and as a cross-check on Claude's answers (ruleCheck).
+ */
+
+// ============================================================================
+// NEWS KEYWORD DICTIONARY - Maps keywords to affected instruments
+// From INSTRUMENT_DRIVERS_REFERENCE.md
+// ============================================================================
+
+const NEWS_KEYWORD_MAP = {
+
+  // === US INDICES ===
+  ES_NQ_YM_RTY: [
+    'Fed', 'Federal Reserve', 'FOMC', 'Powell', 'rate cut', 'rate hike', 'interest rate', 'monetary policy',
+    'CPI', 'inflation', 'PCE', 'NFP', 'payroll', 'jobs report',
+    'GDP', 'recession', 'ISM', 'manufacturing PMI', 'services PMI',
+    'consumer confidence', 'retail sales', 'unemployment'
+  ],
+  ES_BROAD: [
+    'S&P 500', 'S&P', 'SPX', 'SP500', 'stock market', 'stocks',
+    'equities', 'Wall Street'
+  ],
+  NQ_SPECIFIC: [
+    'NVDA', 'Nvidia', 'AAPL', 'Apple', 'MSFT', 'Microsoft',
+    'GOOGL', 'Google', 'Alphabet', 'META', 'Facebook',
+    'AMZN', 'Amazon', 'TSLA', 'Tesla',
+    'semiconductor', 'AI chip', 'artificial intelligence',
+    'antitrust', 'tech regulation', 'cloud spending',
+    'SOX', 'chip stocks', 'Magnificent Seven', 'Mag7',
+    'Nasdaq', 'tech stocks', 'technology', 'software', 'chips', 'AI', 'FAANG'
+  ],
+  YM_SPECIFIC: [
+    'UnitedHealth', 'UNH', 'Goldman Sachs', 'JPMorgan',
+    'Boeing', 'Caterpillar', 'Dow Jones', 'Dow', 'DJIA',
+    'infrastructure bill', 'defense spending',
+    'dividend', 'blue chip', 'industrial production',
+    'durable goods', 'trade tariff'
+  ],
+  RTY_SPECIFIC: [
+    'small cap', 'small-cap', 'Russell 2000', 'Russell', 'IWM',
+    'regional bank', 'KRE', 'community bank',
+    'small business', 'NFIB', 'credit tightening',
+    'junk bond', 'high yield', 'IPO', 'M&A',
+    'biotech', 'FDA approval', 'PDUFA'
+  ],
+
+  // === RATES ===
+  ZN_TREASURY: [
+    'Treasury', 'Treasuries', 'bond', 'yield', '10-year',
+    'Fed', 'Federal Reserve', 'FOMC', 'Powell', 'rate cut', 'rate hike',
+    'interest rate', 'monetary policy', 'Treasury auction'
+  ],
+  ZB_LONG_BOND: ['30-year', 'long bond', 'long end'],
+
+  // === METALS ===
+  GC_GOLD: [
+    'gold', 'bullion', 'gold reserve', 'GLD',
+    'PBOC gold', 'central bank buying',
+    'safe haven', 'real yield', 'COMEX gold',
+    'London fix', 'India gold', 'China gold',
+    'gold mine', 'Newmont', 'Barrick', 'precious metal', 'inflation hedge'
+  ],
+  SI_SILVER: [
+    'silver', 'SLV', 'silver mine',
+    'solar panel', 'photovoltaic',
+    'gold silver ratio', 'industrial metal',
+    'COMEX silver'
+  ],
+  HG_COPPER: [
+    'copper', 'Dr. Copper', 'LME copper',
+    'copper mine', 'Chile copper', 'Peru copper',
+    'Freeport', 'copper inventory',
+    'EV copper', 'electric vehicle copper',
+    'data center copper', 'power grid', 'China manufacturing'
+  ],
+
+  // === ENERGY ===
+  CL_CRUDE: [
+    'crude oil', 'crude', 'oil', 'petroleum', 'barrel', 'WTI', 'Brent', 'OPEC',
+    'oil inventory', 'EIA petroleum', 'API inventory',
+    'Baker Hughes', 'rig count', 'oil production',
+    'SPR', 'strategic petroleum', 'refinery',
+    'Iran', 'Saudi', 'OPEC+', 'production cut',
+    'Houthi', 'Red Sea', 'Strait of Hormuz',
+    'oil tanker', 'pipeline', 'Cushing'
+  ],
+  NG_NATGAS: [
+    'natural gas', 'natgas', 'Henry Hub', 'LNG',
+    'EIA storage', 'gas storage', 'gas injection',
+    'polar vortex', 'heating degree', 'cooling degree',
+    'Freeport LNG', 'gas pipeline', 'gas production',
+    'TTF', 'European gas'
+  ],
+  RB_GASOLINE: [
+    'gasoline', 'RBOB', 'gas prices',
+    'crack spread', 'refinery utilization',
+    'driving season', 'summer blend',
+    'ethanol', 'RIN credit', 'fuel demand'
+  ],
+
+  // === AGRICULTURE ===
+  ZC_CORN: [
+    'corn', 'USDA corn', 'ethanol', 'corn belt',
+    'Iowa', 'Illinois', 'planting', 'corn harvest',
+    'WASDE corn', 'corn export', 'feed grain',
+    'crop condition', 'corn drought'
+  ],
+  ZS_SOYBEANS: [
+    'soybean', 'USDA soy', 'soy crush',
+    'China soybean', 'Brazil soybean', 'Argentina soy',
+    'soy export', 'WASDE soy', 'bean harvest'
+  ],
+  ZW_WHEAT: [
+    'wheat', 'Black Sea grain', 'Russia wheat',
+    'Ukraine grain', 'wheat export', 'WASDE wheat',
+    'India wheat ban', 'Kansas wheat',
+    'spring wheat', 'winter wheat'
+  ],
+  ZM_SOYMEAL: [
+    'soybean meal', 'NOPA crush', 'feed demand',
+    'livestock feed', 'meal export', 'Argentina meal'
+  ],
+  ZL_SOYOIL: [
+    'soybean oil', 'renewable diesel', 'biodiesel',
+    'RIN', 'EPA renewable', 'palm oil',
+    'canola', 'rapeseed', 'cooking oil'
+  ],
+  LE_CATTLE: [
+    'cattle', 'beef', 'cattle on feed',
+    'beef cutout', 'packer margin', 'cattle herd',
+    'beef export', 'drought pasture', 'feeder cattle'
+  ],
+  HE_HOGS: [
+    'lean hog', 'pork', 'hogs and pigs',
+    'pork cutout', 'hog slaughter', 'African swine fever',
+    'ASF', 'pork export', 'China pork'
+  ],
+
+  // === CURRENCIES ===
+  DX_DOLLAR: [
+    'dollar index', 'DXY', 'US dollar', 'dollar', 'USD', 'forex',
+    'dollar strength', 'greenback',
+    'reserve currency', 'de-dollarization'
+  ],
+  E6_EURO: [
+    'ECB', 'European Central Bank', 'Lagarde', 'euro', 'EUR', 'eurozone',
+    'German economy', 'IFO', 'ZEW',
+    'EU PMI', 'European growth', 'Italian debt',
+    'French election', 'EU fiscal'
+  ],
+  J6_YEN: [
+    'BOJ', 'Bank of Japan', 'yen', 'JPY', 'Japan', 'Ueda',
+    'yield curve control', 'YCC', 'Japan intervention',
+    'MOF intervention', 'carry trade', 'yen unwind',
+    'Japan CPI', 'Tokyo CPI', 'Nikkei'
+  ],
+  B6_POUND: [
+    'BOE', 'Bank of England', 'pound', 'sterling', 'GBP', 'Britain',
+    'UK CPI', 'UK GDP', 'UK employment', 'UK wages',
+    'gilt', 'UK housing', 'UK PMI'
+  ],
+  A6_AUD: [
+    'RBA', 'Reserve Bank of Australia', 'Australian dollar', 'Aussie', 'AUD',
+    'iron ore', 'Australia employment',
+    'Australia CPI', 'China stimulus'
+  ],
+  C6_CAD: [
+    'Bank of Canada', 'BOC', 'Canadian dollar', 'loonie',
+    'Canada jobs', 'Canada employment',
+    'USMCA', 'Canada housing', 'Canadian oil'
+  ],
+  S6_CHF: [
+    'SNB', 'Swiss National Bank', 'Swiss franc',
+    'Switzerland', 'SNB intervention',
+    'Swiss CPI', 'safe haven franc'
+  ],
+
+  // === CRYPTO ===
+  BTC_BITCOIN: [
+    'Bitcoin', 'BTC', 'IBIT', 'FBTC', 'crypto', 'cryptocurrency', 'digital currency',
+    'Bitcoin ETF', 'spot ETF', 'crypto regulation',
+    'SEC crypto', 'MicroStrategy', 'MSTR', 'Saylor',
+    'halving', 'mining hash rate', 'Coinbase',
+    'Bitcoin reserve', 'crypto executive order'
+  ],
+  ETH_ETHEREUM: [
+    'Ethereum', 'ETH', 'Ether',
+    'ETH ETF', 'DeFi', 'smart contract',
+    'layer 2', 'Arbitrum', 'staking',
+    'gas fee', 'Vitalik', 'NFT'
+  ],
+
+  // === INTERNATIONAL ===
+  N225_NIKKEI: ['Nikkei', 'Topix', 'Japanese stocks', 'Tokyo stocks'],
+  DAX_GERMAN: [
+    'DAX', 'German', 'Germany', 'Bundesbank', 'Frankfurt',
+    'VW', 'BMW', 'Siemens', 'SAP',
+    'German PMI', 'German industry', 'Scholz',
+    'German auto', 'EU tariff'
+  ],
+  FTSE_UK: [
+    'FTSE', 'London Stock Exchange', 'UK market', 'UK stocks',
+    'BP', 'Shell', 'Rio Tinto', 'Glencore',
+    'AstraZeneca', 'HSBC', 'UK economy'
+  ],
+  STOXX_EU: [
+    'Euro Stoxx', 'European stocks', 'EU market',
+    'ASML', 'LVMH', 'TotalEnergies',
+    'European bank', 'Eurozone', 'EU growth'
+  ]
+};
+
+// Map keyword groups to actual trading symbols
+const KEYWORD_GROUP_TO_SYMBOLS = {
+  ES_NQ_YM_RTY: ['ES', 'NQ', 'YM', 'RTY'],
+  ES_BROAD: ['ES'],
+  NQ_SPECIFIC: ['NQ'],
+  YM_SPECIFIC: ['YM'],
+  RTY_SPECIFIC: ['RTY'],
+  ZN_TREASURY: ['ZN'],
+  ZB_LONG_BOND: ['ZB'],
+  GC_GOLD: ['GC'],
+  SI_SILVER: ['SI'],
+  HG_COPPER: ['HG'],
+  CL_CRUDE: ['CL'],
+  NG_NATGAS: ['NG'],
+  RB_GASOLINE: ['RB'],
+  ZC_CORN: ['ZC'],
+  ZS_SOYBEANS: ['ZS'],
+  ZW_WHEAT: ['ZW'],
+  ZM_SOYMEAL: ['ZM'],
+  ZL_SOYOIL: ['ZL'],
+  LE_CATTLE: ['LE'],
+  HE_HOGS: ['HE'],
+  DX_DOLLAR: ['DX'],
+  E6_EURO: ['6E'],
+  J6_YEN: ['6J'],
+  B6_POUND: ['6B'],
+  A6_AUD: ['6A'],
+  C6_CAD: ['6C'],
+  S6_CHF: ['6S'],
+  BTC_BITCOIN: ['BTC'],
+  ETH_ETHEREUM: ['ETH'],
+  N225_NIKKEI: ['N225'],
+  DAX_GERMAN: ['DAX'],
+  FTSE_UK: ['FTSE'],
+  STOXX_EU: ['STOXX']
+};
+
+// Checked in order - the first category with a matching keyword wins
+const CATEGORY_KEYWORDS = {
+  'Fed': ['Fed', 'Federal Reserve', 'FOMC', 'Powell', 'rate hike', 'rate cut', 'monetary policy', 'interest rate'],
+  'Geopolitical': ['war', 'conflict', 'sanctions', 'tariff', 'China', 'Russia', 'Ukraine', 'Middle East', 'Iran', 'military', 'tensions', 'ceasefire', 'election'],
+  'Economic': ['GDP', 'inflation', 'CPI', 'PPI', 'PCE', 'jobs', 'payrolls', 'employment', 'unemployment', 'jobless claims', 'retail sales', 'consumer', 'housing', 'PMI', 'ISM'],
+  'Earnings': ['earnings', 'revenue', 'profit', 'quarterly', 'guidance', 'EPS', 'beat', 'miss'],
+  'Tech': ['tech', 'AI', 'artificial intelligence', 'semiconductor', 'chip', 'Apple', 'Microsoft', 'Google', 'Nvidia', 'Meta', 'Amazon'],
+  'Energy': ['oil', 'crude', 'OPEC', 'natural gas', 'energy', 'petroleum', 'drilling', 'refinery'],
+  'Crypto': ['Bitcoin', 'crypto', 'Ethereum', 'blockchain', 'digital currency']
+};
+
+const HIGH_IMPACT_KEYWORDS = [
+  'breaking', 'urgent', 'crash', 'surge', 'plunge', 'crisis', 'emergency', 'record', 'historic',
+  'unexpected', 'shock', 'Fed', 'FOMC', 'rate cut', 'rate hike', 'rate decision', 'interest rate',
+  'CPI', 'PCE', 'payrolls', 'NFP', 'GDP', 'circuit breaker', 'default', 'invasion'
+];
+const MEDIUM_IMPACT_KEYWORDS = [
+  'rally', 'drop', 'rise', 'fall', 'decline', 'gain', 'loss', 'growth', 'beat', 'miss',
+  'earnings', 'guidance', 'PMI', 'ISM', 'retail sales', 'jobless claims', 'inventories', 'tariff',
+  'sanctions', 'merger', 'acquisition', 'downgrade', 'upgrade', 'OPEC', 'ECB', 'BOJ', 'BOE'
+];
+
+// Words that move the headline's bias one step (past tenses and -ing forms listed)
+const BIAS_WORDS = {
+  bullish: [
+    'rally', 'rallies', 'rallied', 'surge', 'surging', 'soar', 'jump', 'gain', 'rise', 'rising', 'rose',
+    'climb', 'rebound', 'recover', 'beat', 'upgrade', 'stimulus', 'dovish', 'rate cut', 'easing',
+    'ceasefire', 'truce', 'optimism', 'strong', 'boost', 'bullish', 'record high', 'all-time high'
+  ],
+  bearish: [
+    'fall', 'fell', 'falling', 'drop', 'plunge', 'slide', 'slid', 'slump', 'tumble', 'sink', 'sank',
+    'decline', 'selloff', 'sell-off', 'miss', 'downgrade', 'hawkish', 'rate hike', 'tightening',
+    'recession', 'crisis', 'war', 'attack', 'sanctions', 'tariff', 'default', 'fear', 'concern',
+    'worry', 'worries', 'weak', 'bearish', 'layoffs', 'crash', 'shutdown', 'escalation'
+  ]
+};
+
+// Named entities and event phrases; bias counts double a single word
+const ENTITY_PATTERNS = [
+  { pattern: /\bPowell\b/i, category: 'Fed', impact: 'HIGH', symbols: ['ES', 'NQ', 'YM', 'RTY', 'ZN', 'DX', 'GC'] },
+  { pattern: /\b(?:FOMC|Fed)\b.{0,40}\b(?:decision|statement|minutes|holds?|raises?|lowers?|cuts?|hikes?)\b/i, category: 'Fed', impact: 'HIGH', symbols: ['ES', 'NQ', 'ZN', 'DX'] },
+  { pattern: /\bFed(?:eral Reserve)?(?:'s)?\s+(?:Governor\s+|President\s+|Vice Chair\s+)?(?:Waller|Williams|Jefferson|Bowman|Barr|Cook|Goolsbee|Logan|Kashkari|Daly|Bostic|Musalem|Hammack|Schmid|Collins|Harker|Barkin)\b/i, category: 'Fed', impact: 'MEDIUM', symbols: ['ZN', 'ES'] },
+  { pattern: /\bOPEC\+?.{0,40}\b(?:raise|boost|increase|hike|lift|add)(?:s|es|ed|ing)?\b.{0,20}\b(?:output|production|supply)\b/i, category: 'Energy', impact: 'HIGH', symbols: ['CL'], bias: 'bearish' },
+  { pattern: /\bOPEC\+?.{0,40}\b(?:cut|curb|reduce|lower|trim)(?:s|es|ed|ing)?\b/i, category: 'Energy', impact: 'HIGH', symbols: ['CL'], bias: 'bullish' },
+  { pattern: /\b(?:inflation|CPI|PCE|PPI)\b.{0,30}\b(?:cool|ease|slow|soft|fall|drop|decline|below)\w*/i, category: 'Economic', impact: 'HIGH', symbols: ['ES', 'NQ', 'ZN', 'GC'], bias: 'bullish' },
+  { pattern: /\b(?:inflation|CPI|PCE|PPI)\b.{0,30}\b(?:hot|rise|jump|surge|accelerat|climb|above|higher|sticky)\w*/i, category: 'Economic', impact: 'HIGH', symbols: ['ES', 'NQ', 'ZN', 'GC'], bias: 'bearish' },
+  { pattern: /\b(?:payrolls?|NFP|jobs report)\b/i, category: 'Economic', impact: 'HIGH', symbols: ['ES', 'NQ', 'ZN', 'DX'] },
+  { pattern: /\byields?\b.{0,20}\b(?:jump|surge|spike|soar|climb|rise|rising)\w*/i, symbols: ['ZN'], bias: 'bearish' },
+  { pattern: /\byields?\b.{0,20}\b(?:fall|drop|slide|ease|decline|retreat)\w*/i, symbols: ['ZN'], bias: 'bullish' },
+  { pattern: /\b(?:beats?|tops?|exceeds?)\b.{0,30}\b(?:estimates?|expectations?|forecasts?)\b/i, category: 'Earnings', impact: 'MEDIUM', bias: 'bullish' },
+  { pattern: /\bmiss(?:es|ed)?\b.{0,30}\b(?:estimates?|expectations?|forecasts?)\b/i, category: 'Earnings', impact: 'MEDIUM', bias: 'bearish' }
+];
+
+// "rules out a rate cut", "no recession", "stocks don't fall"
+const NEGATION = /\b(?:not|no|never|without|isn't|aren't|wasn't|don't|doesn't|didn't|won't|fails? to|unlikely to|rules? out|ruled out|denies|denied)\s+(?:\S+\s+){0,2}$/i;
+
+const IMPACT_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+const CORE_SYMBOLS = ['ES', 'NQ', 'ZN', 'CL', 'GC'];
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+const keywordPatterns = new Map();
+
+/**
+ * Whole-word keyword match (plural / verb suffixes allowed). Short all-caps
+ * keywords (AI, BP, ETH) are case-sensitive so "said" never matches "AI".
+ */
+function keywordPattern(keyword, suffixes = '(?:s|es)?') {
+  const key = `${keyword}|${suffixes}`;
+  if (!keywordPatterns.has(key)) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const caseSensitive = keyword.length <= 3 && keyword === keyword.toUpperCase();
+    keywordPatterns.set(key, new RegExp(`(?<![\\w&])${escaped}${suffixes}(?![\\w])`, caseSensitive ? 'g' : 'gi'));
+  }
+  const pattern = keywordPatterns.get(key);
+  pattern.lastIndex = 0;
+  return pattern;
+}
+
+function matchesKeyword(text, keyword) {
+  return keywordPattern(keyword).test(text || '');
+}
+
+/**
+ * Dictionary keywords found in a text
+ * @returns {Object[]} - [{ keyword, group, symbols }]
+ */
+function findKeywordMatches(text) {
+  const matches = [];
+  for (const [group, keywords] of Object.entries(NEWS_KEYWORD_MAP)) {
+    for (const keyword of keywords) {
+      if (matchesKeyword(text, keyword)) {
+        matches.push({ keyword, group, symbols: KEYWORD_GROUP_TO_SYMBOLS[group] || [] });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Symbols a text mentions (one keyword per group is enough)
+ */
+function detectSymbols(text) {
+  const symbols = new Set();
+  for (const [group, keywords] of Object.entries(NEWS_KEYWORD_MAP)) {
+    if (keywords.some(keyword => matchesKeyword(text, keyword))) {
+      (KEYWORD_GROUP_TO_SYMBOLS[group] || []).forEach(symbol => symbols.add(symbol));
+    }
+  }
+  return Array.from(symbols);
+}
+
+function detectCategory(text) {
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(keyword => matchesKeyword(text, keyword))) return category;
+  }
+  return 'General';
+}
+
+function detectImpact(text) {
+  if (HIGH_IMPACT_KEYWORDS.some(keyword => matchesKeyword(text, keyword))) return 'HIGH';
+  if (MEDIUM_IMPACT_KEYWORDS.some(keyword => matchesKeyword(text, keyword))) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Bias score: entity patterns count 2, bias words 1, negated ones flip sign.
+ * Words inside a matched entity pattern are not counted again.
+ */
+function scoreBias(text, entities) {
+  let score = 0;
+  const spans = [];
+
+  for (const { entity, match } of entities) {
+    spans.push([match.index, match.index + match[0].length]);
+    if (!entity.bias) continue;
+    const negated = NEGATION.test(text.slice(0, match.index));
+    score += (entity.bias === 'bullish' ? 2 : -2) * (negated ? -1 : 1);
+  }
+
+  // One count per word position ("slides" matches both slide and slid)
+  const counted = new Set();
+  for (const [bias, words] of Object.entries(BIAS_WORDS)) {
+    for (const word of words) {
+      const pattern = keywordPattern(word, '(?:s|es|ed|d)?');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const index = match.index;
+        if (counted.has(index) || spans.some(([start, end]) => index >= start && index < end)) continue;
+        counted.add(index);
+        const negated = NEGATION.test(text.slice(0, index));
+        score += (bias === 'bullish' ? 1 : -1) * (negated ? -1 : 1);
+      }
+    }
+  }
+
+  return score;
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify one headline
+ * @param {Object|string} item - News item ({ headline, summary }) or headline text
+ * @returns {Object} - Claude's analysis fields: { summary, symbols, affectedInstruments,
+ *   impact, bias, timeframe, relevance, category, isAnalyzed: false, analysisSource: 'rules' }
+ */
+function classifyHeadline(item) {
+  const headline = typeof item === 'string' ? item : (item?.headline || item?.title || '');
+  const text = typeof item === 'string' ? item : `${headline} ${item?.summary || item?.description || ''}`;
+
+  const entities = [];
+  for (const entity of ENTITY_PATTERNS) {
+    const match = entity.pattern.exec(headline);
+    if (match) entities.push({ entity, match });
+  }
+
+  const symbols = new Set(detectSymbols(text));
+  entities.forEach(({ entity }) => (entity.symbols || []).forEach(symbol => symbols.add(symbol)));
+
+  let impact = detectImpact(text);
+  for (const { entity } of entities) {
+    if (entity.impact && IMPACT_RANK[entity.impact] > IMPACT_RANK[impact]) impact = entity.impact;
+  }
+
+  const category = entities.find(({ entity }) => entity.category)?.entity.category || detectCategory(text);
+  const score = scoreBias(headline, entities);
+  const symbolList = Array.from(symbols);
+
+  const relevance = Math.max(1, Math.min(10,
+    { HIGH: 8, MEDIUM: 6, LOW: 3 }[impact] +
+    (symbolList.some(symbol => CORE_SYMBOLS.includes(symbol)) ? 1 : -1) +
+    (entities.length > 0 ? 1 : 0)));
+
+  return {
+    summary: headline,
+    symbols: symbolList,
+    affectedInstruments: symbolList,
+    impact,
+    bias: score >= 1 ? 'bullish' : score <= -1 ? 'bearish' : 'neutral',
+    timeframe: impact === 'HIGH' && ['Fed', 'Geopolitical'].includes(category) ? 'multi-day' : 'intraday',
+    relevance,
+    category,
+    isAnalyzed: false,
+    analysisSource: 'rules'
+  };
+}
+
+/**
+ * Classify news items, keeping their other fields
+ */
+function classifyNewsItems(items = []) {
+  return items.map(item => ({ ...item, ...classifyHeadline(item) }));
+}
+
+/**
+ * Rule-based read of an analyzed headline, for comparing with Claude's
+ * @param {Object} analyzed - Claude-analyzed item
+ * @param {Object} rules - classifyHeadline() of the raw item (defaults to classifying `analyzed`)
+ * @returns {Object} - { bias, impact, category, biasAgrees, impactAgrees }
+ */
+function getRuleCheck(analyzed, rules = classifyHeadline(analyzed)) {
+  return {
+    bias: rules.bias,
+    impact: rules.impact,
+    category: rules.category,
+    biasAgrees: rules.bias === analyzed.bias,
+    impactAgrees: rules.impact === analyzed.impact
+  };
+}
+
+export {
+  classifyHeadline,
+  classifyNewsItems,
+  getRuleCheck,
+  detectSymbols,
+  detectCategory,
+  detectImpact,
+  matchesKeyword,
+  findKeywordMatches,
+  NEWS_KEYWORD_MAP,
+  KEYWORD_GROUP_TO_SYMBOLS
+};
@@ -0,0 +1,358 @@
+/**
+ * News Reaction - What each headline actually did to the market
+ *
+ * Every archived HIGH/MEDIUM impact headline is annotated with the move in
+ * each of its tagged symbols at +5m, +15m, +60m and at the close of its
+ * session (see getResolveTime in predictionLedger.js), from stored intraday
+ * bars: 1m while Yahoo still serves them, 5m for older headlines.
+ *
+ * Moves are aggregated by category and source per symbol ("how much do Fed
+ * headlines move ES, and in the direction Claude called?"). The aggregates
+ * become headline weights for the news signal in finalAnalysis.js.
+ */
+
+import { listArchivedNews, annotateArchivedNews } from './newsArchive.js';
+import { loadBars, YAHOO_SYMBOLS, BAR_INTERVALS } from './barStore.js';
+import { getResolveTime } from './predictionLedger.js';
+import { getCurrentSession } from './sessionEngine.js';
+
+const REACTION_IMPACTS = ['HIGH', 'MEDIUM'];
+const HORIZONS = { m5: 5, m15: 15, m60: 60 }; // minutes after the headline, plus 'close'
+const FINE_INTERVAL_DAYS = 25;                // 1m bars for headlines newer than this, 5m after
+const MAX_STALE_MINUTES = 10;                 // No bar this close to the headline = no price yet
+const GIVE_UP_DAYS = 50;                      // Past Yahoo's 5m window, stop retrying
+const TRACKER_INTERVAL = 15 * 60 * 1000;
+
+const DEFAULT_STATS_DAYS = 90;
+const WEIGHT_HORIZON = 'm60';
+const PRIOR_COUNT = 10;                       // Weights shrink toward 1 until a group has this many moves
+const STATS_CACHE_DURATION = 15 * 60 * 1000;
+const MAX_AS_OF_STATS = 10;                   // Point-in-time stats kept for backtest replays
+
+let trackerTimer = null;
+let statsCache = null;
+let statsCacheTime = null;
+const asOfStatsCache = new Map();             // YYYY-MM-DD -> stats
+
+// ============================================================================
+// MEASUREMENT
+// ============================================================================
+
+function round(value, digits = 4) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Close of the last bar finished by a time
+ * @param {Object[]} bars - Sorted bars
+ * @param {number} time - Unix seconds
+ * @param {number} maxStaleSeconds - Null if that bar ended longer ago than this
+ */
+function priceAt(bars, time, intervalSeconds, maxStaleSeconds = Infinity) {
+  let lo = 0;
+  let hi = bars.length - 1;
+  let found = -1;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time + intervalSeconds <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  if (found < 0) return null;
+  const bar = bars[found];
+  return time - (bar.time + intervalSeconds) <= maxStaleSeconds ? bar.close : null;
+}
+
+function getReactionSymbols(item) {
+  return (item.symbols || []).filter(symbol => YAHOO_SYMBOLS[symbol]);
+}
+
+function isComplete(measurement) {
+  return !!measurement && (!!measurement.unavailable ||
+    [...Object.keys(HORIZONS), 'close'].every(h => measurement.moves[h] !== null));
+}
+
+/**
+ * Globex closed at a time: weekend, exchange holiday or early close, or the
+ * 17:00-18:00 ET maintenance break
+ */
+function isMarketClosed(date) {
+  const { key } = getCurrentSession(date);
+  if (key === 'WEEKEND' || key === 'CLOSED') return true;
+
+  const hour = Number(date.toLocaleString('en-US', { timeZone: 'America/New_York', hour: '2-digit', hour12: false }));
+  return hour === 17;
+}
+
+/**
+ * Measure one headline in one symbol
+ * @returns {Object|null} - { interval, price, moves: { m5, m15, m60, close } (percent), closeAt },
+ *   { unavailable } when the market calendar has the market closed at the headline,
+ *   or null until bars cover it (retried on the next pass)
+ */
+function measureReaction(item, bars = [], interval, closeAt) {
+  const seconds = BAR_INTERVALS[interval].seconds;
+  const start = Math.floor(Date.parse(item.timestamp) / 1000);
+  const lastBarEnd = bars.length ? bars[bars.length - 1].time + seconds : 0;
+  if (lastBarEnd < start) return null;
+
+  const price = priceAt(bars, start, seconds, MAX_STALE_MINUTES * 60);
+  if (!price) {
+    // Missing bars with the market open are a gap or a late fetch, not a result
+    return isMarketClosed(new Date(start * 1000)) ? { unavailable: 'Market closed at headline time' } : null;
+  }
+
+  const targets = Object.fromEntries(Object.entries(HORIZONS).map(([h, minutes]) => [h, start + minutes * 60]));
+  targets.close = closeAt ? Math.floor(closeAt.getTime() / 1000) : null;
+
+  // A horizon is measured once bars reach it; one that falls in a closure
+  // takes the last price before it
+  const moves = {};
+  for (const [h, target] of Object.entries(targets)) {
+    const later = target && lastBarEnd >= target ? priceAt(bars, target, seconds) : null;
+    moves[h] = later ? round(((later - price) / price) * 100) : null;
+  }
+
+  return { interval, price, moves, closeAt: closeAt ? closeAt.toISOString() : null };
+}
+
+/**
+ * Annotate archived HIGH/MEDIUM headlines whose reactions are still open
+ * @returns {Object} - { measured, completed, pending }
+ */
+async function updateNewsReactions(now = new Date()) {
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const from = new Date(now.getTime() - GIVE_UP_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const open = listArchivedNews({ from, to: now.toISOString() }).filter(item =>
+    REACTION_IMPACTS.includes(item.impact) &&
+    getReactionSymbols(item).length > 0 &&
+    !item.reaction?.complete);
+
+  // One bar load per symbol and interval
+  const fineCutoff = nowSeconds - FINE_INTERVAL_DAYS * 24 * 60 * 60;
+  const ranges = new Map();
+  const jobs = open.map(item => {
+    const start = Math.floor(Date.parse(item.timestamp) / 1000);
+    const interval = start >= fineCutoff ? '1m' : '5m';
+    // Resolve time is found once and stored with the reaction
+    const closeAt = item.reaction?.closeAt ? new Date(item.reaction.closeAt) : getResolveTime(new Date(item.timestamp));
+    const end = Math.max(start + 60 * 60, closeAt ? Math.floor(closeAt.getTime() / 1000) : 0);
+
+    for (const symbol of getReactionSymbols(item)) {
+      const key = `${symbol}_${interval}`;
+      const range = ranges.get(key) || { symbol, interval, from: start, to: end };
+      ranges.set(key, { ...range, from: Math.min(range.from, start), to: Math.max(range.to, end) });
+    }
+    return { item, interval, closeAt };
+  });
+
+  const bars = new Map();
+  for (const [key, range] of ranges) {
+    try {
+      bars.set(key, await loadBars(range.symbol, range.interval, {
+        from: range.from - 2 * 60 * 60,
+        to: Math.min(range.to, nowSeconds)
+      }));
+    } catch (error) {
+      console.warn(`[News Reaction] No ${range.symbol} ${range.interval} bars: ${error.message}`);
+      bars.set(key, []);
+    }
+  }
+
+  let measured = 0;
+  let completed = 0;
+  for (const { item, interval, closeAt } of jobs) {
+    const symbols = { ...(item.reaction?.symbols || {}) };
+
+    for (const symbol of getReactionSymbols(item)) {
+      if (isComplete(symbols[symbol])) continue;
+      symbols[symbol] = measureReaction(item, bars.get(`${symbol}_${interval}`), interval, closeAt);
+    }
+
+    const complete = Object.values(symbols).every(isComplete) ||
+      now.getTime() - Date.parse(item.timestamp) > (GIVE_UP_DAYS - 1) * 24 * 60 * 60 * 1000;
+
+    annotateArchivedNews(item, {
+      reaction: { symbols, closeAt: closeAt ? closeAt.toISOString() : null, complete, measuredAt: now.toISOString() }
+    });
+    measured++;
+    if (complete) completed++;
+  }
+
+  if (measured > 0) {
+    statsCache = null;
+    statsCacheTime = null;
+  }
+
+  return { measured, completed, pending: measured - completed };
+}
+
+function startNewsReactionTracker(intervalMs = TRACKER_INTERVAL) {
+  if (trackerTimer) return;
+
+  const run = () => updateNewsReactions()
+    .then(result => {
+      if (result.measured > 0) console.log(`[News Reaction] Measured ${result.measured} headline(s), ${result.completed} complete`);
+    })
+    .catch(error => console.error('[News Reaction] Update failed:', error.message));
+
+  trackerTimer = setInterval(run, intervalMs);
+  trackerTimer.unref?.();
+}
+
+function stopNewsReactionTracker() {
+  if (trackerTimer) {
+    clearInterval(trackerTimer);
+    trackerTimer = null;
+  }
+}
+
+// ============================================================================
+// AGGREGATES
+// ============================================================================
+
+function directionOf(bias) {
+  return bias === 'bullish' ? 1 : bias === 'bearish' ? -1 : 0;
+}
+
+function summarizeGroup(samples) {
+  const horizons = [...Object.keys(HORIZONS), 'close'];
+  const avgMove = {};
+  const avgAbsMove = {};
+
+  for (const h of horizons) {
+    const moves = samples.map(s => s.moves[h]).filter(m => m !== null);
+    avgMove[h] = moves.length ? round(moves.reduce((a, b) => a + b, 0) / moves.length) : null;
+    avgAbsMove[h] = moves.length ? round(moves.reduce((a, b) => a + Math.abs(b), 0) / moves.length) : null;
+  }
+
+  const pointMoves = samples.filter(s => s.moves[WEIGHT_HORIZON] !== null)
+    .map(s => Math.abs(s.moves[WEIGHT_HORIZON]) * s.price / 100);
+
+  // Did the move follow the bias Claude gave the headline?
+  const calls = samples.filter(s => s.direction !== 0 && s.moves[WEIGHT_HORIZON]);
+  const hits = calls.filter(s => Math.sign(s.moves[WEIGHT_HORIZON]) === s.direction).length;
+
+  return {
+    count: samples.length,
+    avgMove,
+    avgAbsMove,
+    avgAbsPoints: pointMoves.length ? round(pointMoves.reduce((a, b) => a + b, 0) / pointMoves.length, 2) : null,
+    calls: calls.length,
+    hitRate: calls.length ? round(hits / calls.length, 3) : null
+  };
+}
+
+/**
+ * Headline weight for a group: its typical move relative to all headlines
+ * for the symbol, times how often the move followed the called bias, shrunk
+ * toward 1 while the group is small
+ */
+function groupWeight(group, all) {
+  const groupMove = group.avgAbsMove[WEIGHT_HORIZON];
+  const baseMove = all.avgAbsMove[WEIGHT_HORIZON];
+  if (groupMove === null || !baseMove) return 1;
+
+  const magnitude = Math.min(2, Math.max(0.5, groupMove / baseMove));
+  const accuracy = group.hitRate === null ? 1 : Math.min(1.5, Math.max(0.5, group.hitRate * 2));
+  const raw = magnitude * accuracy;
+
+  return round(1 + (raw - 1) * (group.count / (group.count + PRIOR_COUNT)), 2);
+}
+
+/**
+ * Reaction aggregates per symbol, by category and source
+ * @param {Object} options - { symbol, days, asOf: only moves known by then (point-in-time, for backtests) }
+ * @returns {Object} - { days, symbols: { ES: { all, byCategory, bySource } }, headlines }
+ */
+function getNewsReactionStats({ symbol = null, days = DEFAULT_STATS_DAYS, asOf = null } = {}) {
+  const end = asOf ? new Date(asOf).getTime() : Date.now();
+  const from = new Date(end - days * 24 * 60 * 60 * 1000).toISOString();
+  // The weight horizon has to have passed for a headline's move to be known
+  const to = asOf ? new Date(end - HORIZONS[WEIGHT_HORIZON] * 60 * 1000).toISOString() : null;
+  const samplesBySymbol = {};
+  let headlines = 0;
+
+  for (const item of listArchivedNews({ from, to })) {
+    if (!item.reaction) continue;
+    headlines++;
+
+    for (const [sym, measurement] of Object.entries(item.reaction.symbols)) {
+      if (!measurement || measurement.unavailable || (symbol && sym !== symbol.toUpperCase())) continue;
+      (samplesBySymbol[sym] = samplesBySymbol[sym] || []).push({
+        ...measurement,
+        category: item.category || 'General',
+        source: item.originalSource || item.source,
+        direction: directionOf(item.bias)
+      });
+    }
+  }
+
+  const symbols = {};
+  for (const [sym, samples] of Object.entries(samplesBySymbol)) {
+    const all = summarizeGroup(samples);
+    const groupBy = (field) => {
+      const groups = {};
+      for (const sample of samples) (groups[sample[field]] = groups[sample[field]] || []).push(sample);
+      return Object.fromEntries(Object.entries(groups)
+        .map(([name, members]) => {
+          const group = summarizeGroup(members);
+          return [name, { ...group, weight: groupWeight(group, all) }];
+        })
+        .sort((a, b) => b[1].count - a[1].count));
+    };
+
+    symbols[sym] = { all, byCategory: groupBy('category'), bySource: groupBy('source') };
+  }
+
+  return { days, horizon: WEIGHT_HORIZON, asOf: asOf ? new Date(end).toISOString() : null, headlines, symbols };
+}
+
+function getCachedStats(asOf = null) {
+  if (asOf) {
+    const day = new Date(asOf).toISOString().slice(0, 10);
+    if (!asOfStatsCache.has(day)) {
+      asOfStatsCache.set(day, getNewsReactionStats({ asOf: `${day}T23:59:59.999Z` }));
+      const days = Array.from(asOfStatsCache.keys());
+      days.slice(0, Math.max(0, days.length - MAX_AS_OF_STATS)).forEach(d => asOfStatsCache.delete(d));
+    }
+    return asOfStatsCache.get(day);
+  }
+
+  if (!statsCache || Date.now() - statsCacheTime > STATS_CACHE_DURATION) {
+    statsCache = getNewsReactionStats();
+    statsCacheTime = Date.now();
+  }
+  return statsCache;
+}
+
+/**
+ * Weight for one headline in a symbol's news signal (1 = no reaction history)
+ * @param {string} symbol
+ * @param {Object} headline - { category, source }
+ * @param {Object} options - { asOf: weights from reactions known at that time (backtests) }
+ */
+function getNewsReactionWeight(symbol, { category = null, source = null } = {}, { asOf = null } = {}) {
+  const stats = getCachedStats(asOf).symbols[symbol];
+  if (!stats) return 1;
+
+  const weights = [stats.byCategory[category]?.weight, stats.bySource[source]?.weight].filter(w => w !== undefined);
+  if (weights.length === 0) return 1;
+
+  // Geometric mean, so category and source do not compound
+  return round(Math.pow(weights.reduce((a, b) => a * b, 1), 1 / weights.length), 2);
+}
+
+export {
+  updateNewsReactions,
+  startNewsReactionTracker,
+  stopNewsReactionTracker,
+  getNewsReactionStats,
+  getNewsReactionWeight
+};
@@ -0,0 +1,442 @@
+/**
+ * News Source Registry - Pluggable news adapters with per-source health
+ *
+ * Each source declares:
+ * - name:      shown as the item source ('Fed Press Releases')
+ * - priority:  merge order, lower first - earlier sources win duplicate headlines
+ * - fetch:     async () => raw items
+ * - transform: raw item -> news item ({ headline, summary, url, timestamp, ... }) or null
+ *
+ * unifiedNews.js registers the Google Sheets, NewsAPI and Finnhub sources.
+ * Feeds are config: the built-in FEEDS below plus NEWS_FEEDS_FILE (default
+ * DATA_DIR/news/feeds.json, re-read when it changes), a JSON array of
+ *
+ *   { name, type: 'rss' | 'json', url, priority, enabled, category, impact,
+ *     instruments, maxItems, headers,
+ *     itemsPath, fields }           // json only, see createJsonSource
+ *
+ * An entry with the name of an existing source overrides it; for the
+ * registered (non-feed) sources only `enabled` and `priority` apply.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const FETCH_TIMEOUT = 10 * 1000;
+const DEFAULT_FEED_PRIORITY = 5;
+const DEFAULT_MAX_ITEMS = 20;
+const FEED_TYPES = ['rss', 'json'];
+
+// Official sources that move rates, FX and index futures
+const FEEDS = [
+  {
+    name: 'Fed Press Releases',
+    type: 'rss',
+    url: 'https://www.federalreserve.gov/feeds/press_all.xml',
+    category: 'Fed',
+    impact: 'MEDIUM',
+    instruments: ['ES', 'NQ', 'ZN', 'DX', 'GC']
+  },
+  {
+    name: 'BLS Releases',
+    type: 'rss',
+    url: 'https://www.bls.gov/feed/bls_latest.rss',
+    category: 'Economic',
+    impact: 'MEDIUM',
+    instruments: ['ES', 'NQ', 'ZN', 'DX']
+  },
+  {
+    name: 'Treasury Auctions',
+    type: 'json',
+    url: 'https://www.treasurydirect.gov/TA_WS/securities/announced?format=json',
+    category: 'Economic',
+    impact: 'LOW',
+    instruments: ['ZN', 'ZB', 'ZF', 'ZT'],
+    fields: {
+      id: 'cusip',
+      headline: 'Treasury announces {securityTerm} {securityType} auction for {auctionDate}',
+      timestamp: 'announcementDate',
+      summary: 'Offering amount {offeringAmount}, CUSIP {cusip}'
+    }
+  }
+];
+
+const sources = new Map();        // name -> source
+const health = new Map();         // name -> fetch stats
+let feedFile = { signature: null, feeds: [], warned: new Set() };
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Relative time string ("5m ago", "3h ago", "Yesterday")
+ * @param {Date|number|string} date
+ */
+function getRelativeTime(date) {
+  const diffMs = Date.now() - new Date(date).getTime();
+  const diffMins = Math.floor(diffMs / (1000 * 60));
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays === 1) return 'Yesterday';
+  return `${diffDays}d ago`;
+}
+
+async function fetchWithTimeout(url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'JinahDashboard/1.0', ...headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response;
+}
+
+function getPath(object, dottedPath) {
+  if (!dottedPath) return object;
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// ============================================================================
+// RSS / ATOM
+// ============================================================================
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&(apos|#39);/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text of an XML node: CDATA unwrapped, HTML stripped (descriptions often
+ * carry escaped HTML, so entities are decoded again after the tags go)
+ */
+function decodeXml(text = '') {
+  const unwrapped = text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  return decodeEntities(decodeEntities(unwrapped).replace(/<[^>]+>/g, ' '))
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readTag(block, names) {
+  for (const name of names) {
+    const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i').exec(block);
+    if (match) return decodeXml(match[1]);
+  }
+  return '';
+}
+
+/**
+ * Items of an RSS 2.0 or Atom document
+ * @returns {Object[]} - [{ id, title, link, published, summary }]
+ */
+function parseFeed(xml) {
+  const blocks = xml.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+
+  return blocks.map(block => {
+    // Atom: <link rel="alternate" href="..."/>, RSS: <link>...</link>
+    const atomLinks = [...block.matchAll(/<link\b([^>]*)\/?>/gi)].map(m => m[1]);
+    const atomLink = atomLinks.find(attrs => /href=/.test(attrs) && (!/rel=/.test(attrs) || /rel=["']alternate["']/.test(attrs)));
+    const link = atomLink ? decodeXml(/href=["']([^"']+)["']/.exec(atomLink)[1]) : readTag(block, ['link']);
+
+    return {
+      id: readTag(block, ['guid', 'id']) || link,
+      title: readTag(block, ['title']),
+      link,
+      published: readTag(block, ['pubDate', 'published', 'updated', 'dc:date']),
+      summary: readTag(block, ['description', 'summary', 'content'])
+    };
+  });
+}
+
+/**
+ * Source for an RSS or Atom feed
+ */
+function createRssSource(feed) {
+  return {
+    ...feed,
+    type: 'rss',
+    fetch: async () => {
+      const response = await fetchWithTimeout(feed.url, feed.headers);
+      return parseFeed(await response.text()).slice(0, feed.maxItems || DEFAULT_MAX_ITEMS);
+    },
+    transform: (entry) => feedItem(feed, {
+      id: entry.id,
+      headline: entry.title,
+      summary: entry.summary,
+      url: entry.link,
+      timestamp: entry.published
+    })
+  };
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * Source for a JSON API
+ * - itemsPath: dotted path to the item array ('data.items'), omitted when the body is the array
+ * - fields:    { id, headline, summary, url, timestamp } - a dotted path per field,
+ *              or a template with {path} placeholders
+ */
+function createJsonSource(feed) {
+  const fields = { id: 'id', headline: 'title', summary: 'summary', url: 'url', timestamp: 'published', ...feed.fields };
+
+  const read = (item, spec) => {
+    if (!spec) return undefined;
+    if (spec.includes('{')) return spec.replace(/\{([^}]+)\}/g, (_, key) => getPath(item, key) ?? '');
+    return getPath(item, spec);
+  };
+
+  return {
+    ...feed,
+    type: 'json',
+    fetch: async () => {
+      const response = await fetchWithTimeout(feed.url, { Accept: 'application/json', ...feed.headers });
+      const items = getPath(await response.json(), feed.itemsPath);
+      if (!Array.isArray(items)) throw new Error(`No item array at ${feed.itemsPath || 'the top level'}`);
+      return items.slice(0, feed.maxItems || DEFAULT_MAX_ITEMS);
+    },
+    transform: (item) => feedItem(feed, Object.fromEntries(
+      Object.keys(fields).map(key => [key, read(item, fields[key])])
+    ))
+  };
+}
+
+/**
+ * News item from a feed entry, with the feed's category/impact/instruments
+ */
+function feedItem(feed, { id, headline, summary, url, timestamp }) {
+  if (!headline || !String(headline).trim()) return null;
+
+  const time = timestamp ? new Date(timestamp) : null;
+  const published = time && !Number.isNaN(time.getTime()) ? time.toISOString() : new Date().toISOString();
+  const slug = feed.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  return {
+    id: `${slug}-${crypto.createHash('sha1').update(String(id || url || headline)).digest('hex').slice(0, 16)}`,
+    headline: String(headline).trim(),
+    summary: summary ? String(summary).slice(0, 500) : '',
+    source: feed.name,
+    url: url || '#',
+    timestamp: published,
+    relativeTime: getRelativeTime(published),
+    category: feed.category || 'General',
+    impact: feed.impact || 'LOW',
+    affectedInstruments: feed.instruments || []
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Add (or replace) a news source
+ * @param {Object} source - { name, priority, fetch, transform, enabled, type }
+ */
+function registerNewsSource(source) {
+  if (!source?.name || typeof source.fetch !== 'function') {
+    throw new Error('A news source needs a name and a fetch function');
+  }
+
+  sources.set(source.name, {
+    type: 'custom',
+    priority: DEFAULT_FEED_PRIORITY,
+    enabled: true,
+    transform: (item) => item,
+    ...source
+  });
+}
+
+/**
+ * Validate one feed config entry
+ * @returns {string|null} - Error message
+ */
+function validateFeed(feed) {
+  if (!feed?.name) return 'name is required';
+  if (!FEED_TYPES.includes(feed.type)) return `type must be one of ${FEED_TYPES.join(', ')}`;
+  if (!/^https?:\/\//.test(feed.url || '')) return 'url must be http(s)';
+  return null;
+}
+
+function getFeedsFile() {
+  return process.env.NEWS_FEEDS_FILE || path.join(process.env.DATA_DIR || './data', 'news', 'feeds.json');
+}
+
+/**
+ * Feed entries from NEWS_FEEDS_FILE, re-read when the file changes
+ */
+function syncFeedsFile() {
+  const file = getFeedsFile();
+  let signature = null;
+  try {
+    const stat = fs.statSync(file);
+    signature = `${stat.mtimeMs}:${stat.size}`;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('[News Sources] Failed to read feeds file:', error.message);
+  }
+
+  if (signature === feedFile.signature) return feedFile.feeds;
+
+  let feeds = [];
+  if (signature) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      feeds = Array.isArray(parsed) ? parsed : parsed.feeds || [];
+      console.log(`[News Sources] Loaded ${feeds.length} feed entries from ${file}`);
+    } catch (error) {
+      console.error(`[News Sources] Invalid feeds file ${file}:`, error.message);
+    }
+  }
+
+  feedFile = { signature, feeds, warned: new Set() };
+  return feeds;
+}
+
+/**
+ * Registered sources plus configured feeds, in priority order
+ */
+function getActiveSources() {
+  const configured = new Map(FEEDS.map(feed => [feed.name, feed]));
+  const overrides = new Map();
+
+  for (const entry of syncFeedsFile()) {
+    if (sources.has(entry?.name)) {
+      overrides.set(entry.name, entry);
+      continue;
+    }
+
+    const feed = { ...configured.get(entry?.name), ...entry };
+    const error = validateFeed(feed);
+    if (error) {
+      // Once per file version
+      const label = entry?.name || '(unnamed)';
+      if (!feedFile.warned.has(label)) console.error(`[News Sources] Skipping feed ${label}: ${error}`);
+      feedFile.warned.add(label);
+      continue;
+    }
+    configured.set(feed.name, feed);
+  }
+
+  const all = [
+    ...[...sources.values()].map(source => {
+      const override = overrides.get(source.name);
+      return {
+        ...source,
+        enabled: override?.enabled ?? source.enabled,
+        priority: override?.priority ?? source.priority
+      };
+    }),
+    ...[...configured.values()].map(feed => {
+      const source = feed.type === 'rss' ? createRssSource(feed) : createJsonSource(feed);
+      return { priority: DEFAULT_FEED_PRIORITY, enabled: true, ...source };
+    })
+  ];
+
+  return all.sort((a, b) => a.priority - b.priority);
+}
+
+function recordHealth(name, { items = null, error = null, latencyMs }) {
+  const entry = health.get(name) || { fetches: 0, failures: 0, consecutiveFailures: 0 };
+
+  entry.fetches++;
+  entry.lastFetch = new Date().toISOString();
+  entry.latencyMs = latencyMs;
+  if (error) {
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = error;
+    entry.lastErrorAt = entry.lastFetch;
+  } else {
+    entry.consecutiveFailures = 0;
+    entry.lastSuccess = entry.lastFetch;
+    entry.itemCount = items;
+  }
+
+  health.set(name, entry);
+}
+
+/**
+ * Fetch every enabled source in parallel
+ * @returns {Promise<Object[]>} - [{ name, priority, items }] in priority order (failed sources have no items)
+ */
+async function fetchNewsSources() {
+  const active = getActiveSources().filter(source => source.enabled);
+
+  return Promise.all(active.map(async (source) => {
+    const started = Date.now();
+    try {
+      const raw = await source.fetch();
+      const items = (Array.isArray(raw) ? raw : [])
+        .map(item => {
+          try {
+            return source.transform(item);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+
+      recordHealth(source.name, { items: items.length, latencyMs: Date.now() - started });
+      return { name: source.name, priority: source.priority, items };
+    } catch (error) {
+      console.error(`[News Sources] ${source.name} failed:`, error.message);
+      recordHealth(source.name, { error: error.message, latencyMs: Date.now() - started });
+      return { name: source.name, priority: source.priority, items: [] };
+    }
+  }));
+}
+
+/**
+ * Per-source health for /api/news/status
+ * status: OK | EMPTY (fetched, no items) | ERROR (last fetch failed) | PENDING | DISABLED
+ */
+function getNewsSourceStatus() {
+  return getActiveSources().map(source => {
+    const stats = health.get(source.name);
+    let status = 'PENDING';
+    if (!source.enabled) status = 'DISABLED';
+    else if (stats?.consecutiveFailures) status = 'ERROR';
+    else if (stats) status = stats.itemCount > 0 ? 'OK' : 'EMPTY';
+
+    return {
+      name: source.name,
+      type: source.type,
+      url: source.url || null,
+      priority: source.priority,
+      enabled: source.enabled,
+      status,
+      itemCount: stats?.itemCount ?? null,
+      lastFetch: stats?.lastFetch || null,
+      lastSuccess: stats?.lastSuccess || null,
+      lastError: stats?.lastError || null,
+      lastErrorAt: stats?.lastErrorAt || null,
+      consecutiveFailures: stats?.consecutiveFailures || 0,
+      failureRate: stats ? parseFloat((stats.failures / stats.fetches).toFixed(2)) : null,
+      latencyMs: stats?.latencyMs ?? null
+    };
+  });
+}
+
+export {
+  registerNewsSource,
+  fetchNewsSources,
+  getNewsSourceStatus,
+  createRssSource,
+  createJsonSource,
+  parseFeed,
+  getRelativeTime
+};
@@ -0,0 +1,350 @@
+/**
+ * News Stories - Groups headlines about the same event into one story
+ *
+ * Each headline joins the most similar story seen in the last few hours (any
+ * source), or starts a new one. A story keeps a canonical headline (from the
+ * highest-priority source), the outlets carrying it and when it was first
+ * seen. It is "developing" for an hour after a new headline joins it.
+ *
+ * Bias and impact are scored per story, from every analyzed headline in it,
+ * so five outlets repeating one headline count once.
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+import { getRelativeTime } from './newsSources.js';
+
+const store = getCollection('news_stories');
+
+const SIMILARITY_THRESHOLD = 0.6;
+const MIN_SHARED_TOKENS = 3;          // Below this, only whole-headline (Jaccard) overlap counts
+const STORY_WINDOW_HOURS = 12;        // A headline can join a story updated this recently
+const DEVELOPING_MINUTES = 60;
+const STORY_RETENTION_HOURS = 48;
+const MAX_MEMBERS = 25;
+const BROAD_COVERAGE_SOURCES = 3;     // Outlets needed to lift a LOW impact story to MEDIUM
+
+const IMPACT_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'after', 'amid',
+  'over', 'into', 'up', 'says', 'said', 'report', 'reports', 'update', 'live', 'news', 'breaking'
+]);
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Headline words that identify the event (stop words dropped, plurals folded)
+ */
+function tokenize(headline) {
+  const tokens = (headline || '')
+    .toLowerCase()
+    .replace(/[^\w\s.%]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Jaccard overlap, or share of the shorter headline once enough words match
+ * (so "Fed holds rates" joins "Fed holds rates steady, signals patience")
+ */
+function similarity(tokensA, tokensB) {
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(token => setB.has(token)).length;
+  if (shared === 0) return 0;
+
+  const jaccard = shared / (tokensA.length + tokensB.length - shared);
+  if (shared < MIN_SHARED_TOKENS) return jaccard;
+
+  return Math.max(jaccard, shared / Math.min(tokensA.length, tokensB.length));
+}
+
+function getItemKey(item) {
+  return `${item.headline}-${item.source}`.toLowerCase().replace(/\s+/g, '');
+}
+
+function getOutlet(item) {
+  return item.originalSource || item.source || 'Unknown';
+}
+
+/**
+ * Collapse a list of headlines to one per story (first in list order wins)
+ * Stateless - for merging ad-hoc source lists
+ * @returns {Object[]} - First item of each story, with sourceCount
+ */
+function collapseStories(items = []) {
+  const groups = [];
+
+  for (const item of items) {
+    const headline = item.headline || item.title;
+    if (!headline) continue;
+
+    const tokens = tokenize(headline);
+    const group = groups.find(g => g.tokens.some(t => similarity(tokens, t) >= SIMILARITY_THRESHOLD));
+
+    if (group) {
+      group.tokens.push(tokens);
+      group.outlets.add(getOutlet(item));
+    } else {
+      groups.push({ item, tokens: [tokens], outlets: new Set([getOutlet(item)]) });
+    }
+  }
+
+  return groups.map(g => ({ ...g.item, sourceCount: g.outlets.size }));
+}
+
+// ============================================================================
+// STORIES
+// ============================================================================
+
+function isDeveloping(story, now = Date.now()) {
+  return !!story.developingAt && now - new Date(story.developingAt).getTime() < DEVELOPING_MINUTES * 60 * 1000;
+}
+
+function toFeedItem(story, now = Date.now()) {
+  return {
+    ...story.canonical,
+    relativeTime: getRelativeTime(new Date(story.canonical.timestamp)),
+    storyId: story.id,
+    sourceCount: story.sources.length,
+    sources: story.sources,
+    firstSeen: story.firstSeen,
+    updatedAt: story.updatedAt,
+    developing: isDeveloping(story, now)
+  };
+}
+
+function pruneStories(now) {
+  const cutoff = new Date(now - STORY_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  for (const [id, story] of store.entries()) {
+    if (story.updatedAt < cutoff) store.delete(id);
+  }
+}
+
+/**
+ * Add fetched headlines to stories
+ * @param {Object[]} items - Unified news items
+ * @param {Object} options - { sourcePriority: { [source]: priority } (lower wins the canonical headline) }
+ * @returns {Object[]} - One item per story in this fetch: the canonical headline
+ *   plus storyId, sourceCount, sources, firstSeen, updatedAt, developing
+ */
+function updateStories(items = [], { sourcePriority = {} } = {}) {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  const windowMs = STORY_WINDOW_HOURS * 60 * 60 * 1000;
+  const priorityOf = (item) => sourcePriority[item.source] ?? Infinity;
+
+  pruneStories(now);
+
+  const stories = [...store.values()];
+  const storyByKey = new Map();
+  for (const story of stories) {
+    for (const member of story.members) storyByKey.set(member.key, story);
+  }
+
+  const created = new Set();
+  const touched = new Set();
+
+  for (const item of items) {
+    if (!item?.headline) continue;
+
+    const key = getItemKey(item);
+    if (storyByKey.has(key)) {
+      touched.add(storyByKey.get(key));
+      continue;
+    }
+
+    const tokens = tokenize(item.headline);
+    const time = new Date(item.timestamp).getTime();
+
+    // Most similar story whose time span is within the window of this headline
+    let best = null;
+    let bestScore = SIMILARITY_THRESHOLD;
+    for (const story of stories) {
+      if (time < new Date(story.firstSeen).getTime() - windowMs) continue;
+      if (time > new Date(story.updatedAt).getTime() + windowMs) continue;
+
+      const score = Math.max(...story.members.map(m => similarity(tokens, m.tokens)));
+      if (score >= bestScore) {
+        best = story;
+        bestScore = score;
+      }
+    }
+
+    const member = { key, headline: item.headline, source: item.source, outlet: getOutlet(item), url: item.url, timestamp: item.timestamp, tokens };
+
+    if (!best) {
+      const story = {
+        id: `story-${crypto.createHash('sha1').update(`${key}-${item.timestamp}`).digest('hex').slice(0, 12)}`,
+        canonical: item,
+        canonicalPriority: priorityOf(item),
+        members: [member],
+        sources: [member.outlet],
+        symbols: [...(item.affectedInstruments || [])],
+        firstSeen: item.timestamp,
+        updatedAt: item.timestamp,
+        createdAt: nowIso,
+        developingAt: null,
+        analyses: {}
+      };
+      stories.push(story);
+      created.add(story);
+      touched.add(story);
+      storyByKey.set(key, story);
+      continue;
+    }
+
+    best.members = [...best.members, member].slice(-MAX_MEMBERS);
+    best.sources = [...new Set([...best.sources, member.outlet])];
+    best.symbols = [...new Set([...best.symbols, ...(item.affectedInstruments || [])])];
+    if (item.timestamp < best.firstSeen) best.firstSeen = item.timestamp;
+    if (item.timestamp > best.updatedAt) best.updatedAt = item.timestamp;
+    if (priorityOf(item) < best.canonicalPriority) {
+      best.canonical = item;
+      best.canonicalPriority = priorityOf(item);
+    }
+    // A later headline joining a story from an earlier fetch means it is developing
+    if (!created.has(best) && item.timestamp >= best.firstSeen) best.developingAt = nowIso;
+
+    touched.add(best);
+    storyByKey.set(key, best);
+  }
+
+  for (const story of touched) store.set(story.id, story);
+
+  return [...touched].map(story => toFeedItem(story, now));
+}
+
+// ============================================================================
+// STORY SENTIMENT
+// ============================================================================
+
+/**
+ * Story bias and impact from its analyzed headlines
+ * Bias is the relevance-weighted vote; impact is the highest headline impact,
+ * lifted to MEDIUM when enough outlets carry the story.
+ */
+function scoreStory(story, fallback) {
+  const analyses = Object.values(story.analyses || {});
+  const scored = analyses.length > 0 ? analyses : [fallback];
+
+  let weighted = 0;
+  let weights = 0;
+  let impact = 'LOW';
+  for (const a of scored) {
+    const weight = a.relevance || 5;
+    weighted += weight * (a.bias === 'bullish' ? 1 : a.bias === 'bearish' ? -1 : 0);
+    weights += weight;
+    if ((IMPACT_RANK[a.impact] || 0) > IMPACT_RANK[impact]) impact = a.impact;
+  }
+
+  if (impact === 'LOW' && story.sources.length >= BROAD_COVERAGE_SOURCES) impact = 'MEDIUM';
+
+  const score = weights > 0 ? weighted / weights : 0;
+  return {
+    bias: score > 0.2 ? 'bullish' : score < -0.2 ? 'bearish' : 'neutral',
+    impact,
+    sentimentScore: Math.round(score * 100) / 100
+  };
+}
+
+/**
+ * Record headline analysis on its story and replace headline bias / impact
+ * with the story's (the headline's own are kept as headlineBias / headlineImpact)
+ * @param {Object[]} items - Analyzed feed items (carrying storyId)
+ * @returns {Object[]}
+ */
+function applyStoryAnalysis(items = []) {
+  const now = Date.now();
+
+  return items.map(item => {
+    const story = item.storyId ? store.get(item.storyId) : null;
+    if (!story) return item;
+
+    if (item.isAnalyzed) {
+      const key = getItemKey(item);
+      const analysis = { bias: item.bias, impact: item.impact, relevance: item.relevance };
+      if (JSON.stringify(story.analyses[key]) !== JSON.stringify(analysis)) {
+        story.analyses = { ...story.analyses, [key]: analysis };
+        story.symbols = [...new Set([...story.symbols, ...(item.symbols || [])])];
+        store.set(story.id, story);
+      }
+    }
+
+    return {
+      ...item,
+      headlineBias: item.bias,
+      headlineImpact: item.impact,
+      ...scoreStory(story, item),
+      sourceCount: story.sources.length,
+      sources: story.sources,
+      firstSeen: story.firstSeen,
+      updatedAt: story.updatedAt,
+      developing: isDeveloping(story, now)
+    };
+  });
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Active stories, most recently updated first
+ * @param {Object} options - { symbol, developing (only developing stories), lastHours, limit }
+ */
+function getStories({ symbol = null, developing = false, lastHours = null, limit = 50 } = {}) {
+  const now = Date.now();
+  const cutoff = lastHours ? new Date(now - lastHours * 60 * 60 * 1000).toISOString() : null;
+  const symbolKey = symbol ? symbol.toUpperCase() : null;
+
+  return [...store.values()]
+    .filter(story => !symbolKey || story.symbols.includes(symbolKey))
+    .filter(story => !developing || isDeveloping(story, now))
+    .filter(story => !cutoff || story.updatedAt >= cutoff)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit)
+    .map(story => ({
+      id: story.id,
+      headline: story.canonical.headline,
+      source: story.canonical.source,
+      url: story.canonical.url,
+      ...scoreStory(story, story.canonical),
+      symbols: story.symbols,
+      sources: story.sources,
+      sourceCount: story.sources.length,
+      itemCount: story.members.length,
+      firstSeen: story.firstSeen,
+      updatedAt: story.updatedAt,
+      developing: isDeveloping(story, now),
+      items: story.members
+        .map(({ headline, source, outlet, url, timestamp }) => ({ headline, source, outlet, url, timestamp }))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    }));
+}
+
+function getStoryStatus() {
+  const now = Date.now();
+  const stories = [...store.values()];
+
+  return {
+    active: stories.length,
+    developing: stories.filter(story => isDeveloping(story, now)).length,
+    multiSource: stories.filter(story => story.sources.length > 1).length
+  };
+}
+
+export {
+  updateStories,
+  applyStoryAnalysis,
+  collapseStories,
+  getStories,
+  getStoryStatus
+};
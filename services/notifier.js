@@ -0,0 +1,518 @@
+/**
+ * Notifier - Pushes alerts, market briefs and high-impact news to outside channels
+ *
+ * Transports:
+ * - webhook: Generic JSON POST  { kind, title, body, severity, data, timestamp }
+ * - slack:   Slack incoming-webhook format  { text }
+ * - discord: Discord webhook format         { content }
+ * - email:   Plain-text mail over SMTP (see smtpClient.js)
+ *
+ * Channels are persisted and managed through /api/notify/channels. Example:
+ *
+ * {
+ *   "name": "Desk Discord",
+ *   "transport": "discord",
+ *   "events": ["alert", "brief", "news"],
+ *   "minSeverity": "medium",
+ *   "briefSessions": ["LONDON", "US_PRE"],
+ *   "config": { "url": "https://discord.com/api/webhooks/..." },
+ *   "templates": { "alert": { "title": "{{severity}} {{ruleName}}", "body": "{{message}}" } }
+ * }
+ *
+ * Email config: { host, port, secure, user, pass, from, to: [], allowInsecureAuth }
+ * (port 587 relays are upgraded with STARTTLS; secrets come back masked from
+ * the API and a masked value sent back keeps the stored one)
+ *
+ * setTransportSender swaps a transport's sender (e.g. a fake mailer in tests).
+ *
+ * Each delivery is retried with exponential backoff; deliveries that still
+ * fail land in the dead-letter log and can be retried from the API.
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+import { onEvent } from './eventStream.js';
+import { renderTemplate } from './templates.js';
+import { sendMail } from './smtpClient.js';
+import { getMarketBrief } from './chatbot.js';
+import { generateFinalAnalysis, fetchFinalAnalysisMarketData } from './finalAnalysis.js';
+import { fetchHighImpactNews } from './newsAnalysis.js';
+
+const TRANSPORTS = ['webhook', 'slack', 'discord', 'email'];
+const NOTIFICATION_KINDS = ['alert', 'brief', 'news'];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const SECRET_MASK = '********';
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 1000; // 1s, 2s, 4s between attempts
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_DEAD_LETTERS = 200;
+const NEWS_POLL_INTERVAL = 5 * 60 * 1000;
+const SENT_NEWS_TTL = 48 * 60 * 60 * 1000;
+
+const DEFAULT_TEMPLATES = {
+  alert: {
+    title: '[{{severity}}] {{ruleName}}',
+    body: '{{message}}\nSymbol: {{symbol}} | {{timestamp}}'
+  },
+  brief: {
+    title: '{{title}}',
+    body: '{{brief}}'
+  },
+  news: {
+    title: 'High impact: {{headline}}',
+    body: '{{headline}}\nSource: {{source}} | Bias: {{bias}} | Symbols: {{symbols}}\n{{url}}'
+  }
+};
+
+const channels = getCollection('notifier_channels');
+const deadLetterStore = getCollection('notifier_dead_letters');
+const sentNews = getCollection('notifier_sent_news');
+let deadLetters = deadLetterStore.get('entries') || [];
+
+let unsubscribe = null;
+let newsTimer = null;
+
+// ============================================================================
+// CHANNEL CONFIG
+// ============================================================================
+
+function validateChannel(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return [{ field: '', message: 'channel must be an object' }];
+  }
+  if (typeof input.name !== 'string' || !input.name.trim()) {
+    errors.push({ field: 'name', message: 'is required' });
+  }
+  if (!TRANSPORTS.includes(input.transport)) {
+    errors.push({ field: 'transport', message: `must be one of ${TRANSPORTS.join(', ')}` });
+  }
+  if (!Array.isArray(input.events) || input.events.some(e => !NOTIFICATION_KINDS.includes(e))) {
+    errors.push({ field: 'events', message: `must be an array of ${NOTIFICATION_KINDS.join(', ')}` });
+  }
+  if (input.minSeverity !== undefined && !SEVERITY_RANK[input.minSeverity]) {
+    errors.push({ field: 'minSeverity', message: 'must be low, medium or high' });
+  }
+
+  const config = input.config || {};
+  if (input.transport === 'email') {
+    ['host', 'from'].forEach(field => {
+      if (!config[field]) errors.push({ field: `config.${field}`, message: 'is required' });
+    });
+    if (!config.to || (Array.isArray(config.to) && config.to.length === 0)) {
+      errors.push({ field: 'config.to', message: 'is required' });
+    }
+  } else if (TRANSPORTS.includes(input.transport) && !/^https?:\/\//.test(config.url || '')) {
+    errors.push({ field: 'config.url', message: 'must be an http(s) URL' });
+  }
+
+  return errors;
+}
+
+function listChannels() {
+  return Array.from(channels.values());
+}
+
+/**
+ * Create or replace a channel
+ * @returns {Object} - { channel } or { errors }
+ */
+function saveChannel(input, id = null) {
+  const errors = validateChannel(input);
+  if (errors.length > 0) return { errors };
+
+  const existing = id ? channels.get(id) : null;
+  const now = new Date().toISOString();
+  const config = restoreMaskedSecrets(input.config, existing);
+  const channel = {
+    id: existing?.id || crypto.randomUUID(),
+    name: input.name.trim(),
+    transport: input.transport,
+    enabled: input.enabled ?? true,
+    events: input.events,
+    minSeverity: input.minSeverity || 'low',
+    briefSessions: input.briefSessions || [],
+    briefType: input.briefType === 'daily' ? 'daily' : 'market',
+    config,
+    templates: input.templates || {},
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  channels.set(channel.id, channel);
+  return { channel };
+}
+
+function deleteChannel(id) {
+  return channels.delete(id);
+}
+
+function maskUrl(url) {
+  return url.replace(/(\/\/[^/]+\/).*(.{6})$/, '$1…$2');
+}
+
+/**
+ * Channel as returned by the API (secrets masked)
+ */
+function describeChannel(channel) {
+  const config = { ...channel.config };
+  if (config.pass) config.pass = SECRET_MASK;
+  if (config.url) config.url = maskUrl(config.url);
+  return { ...channel, config };
+}
+
+/**
+ * A config round-tripped from describeChannel: masked values keep the stored secret
+ */
+function restoreMaskedSecrets(config, existing) {
+  const stored = existing?.config || {};
+  const restored = { ...config };
+  if (restored.pass === SECRET_MASK && stored.pass) restored.pass = stored.pass;
+  if (stored.url && restored.url === maskUrl(stored.url)) restored.url = stored.url;
+  return restored;
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Error for HTTP transports - 4xx (except 429) won't succeed on retry
+ */
+function httpError(status, text) {
+  const error = new Error(`HTTP ${status}: ${text.slice(0, 200)}`);
+  error.retryable = status === 429 || status >= 500;
+  return error;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw httpError(response.status, await response.text().catch(() => ''));
+  }
+
+  return { status: response.status };
+}
+
+const TRANSPORT_SENDERS = {
+  webhook: (config, message) => postJson(config.url, {
+    kind: message.kind,
+    title: message.title,
+    body: message.body,
+    severity: message.severity,
+    data: message.data,
+    timestamp: message.timestamp
+  }, config.headers),
+
+  slack: (config, message) => postJson(config.url, {
+    text: `*${message.title}*\n${message.body}`
+  }),
+
+  discord: (config, message) => postJson(config.url, {
+    content: `**${message.title}**\n${message.body}`.slice(0, 2000)
+  }),
+
+  email: (config, message) => sendMail({
+    ...config,
+    subject: message.title,
+    text: message.body
+  })
+};
+
+/**
+ * Replace the sender for a transport
+ * @param {string} transport - One of TRANSPORTS
+ * @param {Function} sender - async (config, message) => result
+ * @returns {Function} - The previous sender (to restore it)
+ */
+function setTransportSender(transport, sender) {
+  if (!TRANSPORTS.includes(transport)) throw new Error(`Unknown transport: ${transport}`);
+  const previous = TRANSPORT_SENDERS[transport];
+  TRANSPORT_SENDERS[transport] = sender;
+  return previous;
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function recordDeadLetter(channel, message, error, attempts) {
+  deadLetters.unshift({
+    id: crypto.randomUUID(),
+    channelId: channel.id,
+    channelName: channel.name,
+    transport: channel.transport,
+    message,
+    error: error.message,
+    attempts,
+    failedAt: new Date().toISOString()
+  });
+
+  if (deadLetters.length > MAX_DEAD_LETTERS) {
+    deadLetters = deadLetters.slice(0, MAX_DEAD_LETTERS);
+  }
+  deadLetterStore.set('entries', deadLetters);
+}
+
+/**
+ * Send one message to one channel, retrying with exponential backoff
+ * @returns {Object} - { ok, attempts, error? }
+ */
+async function deliver(channel, message, { maxAttempts = MAX_ATTEMPTS, backoffMs = BASE_BACKOFF_MS } = {}) {
+  const send = TRANSPORT_SENDERS[channel.transport];
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    attempts = attempt;
+    try {
+      await send(channel.config, message);
+      return { ok: true, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      console.warn(`[Notifier] ${channel.name} attempt ${attempt}/${maxAttempts} failed: ${error.message}`);
+
+      if (error.retryable === false) break;
+      if (attempt < maxAttempts) {
+        await sleep(backoffMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  recordDeadLetter(channel, message, lastError, attempts);
+  return { ok: false, attempts, error: lastError.message };
+}
+
+/**
+ * Render a message for a channel using its templates (or the defaults)
+ */
+function buildMessage(channel, kind, data, severity) {
+  const template = { ...DEFAULT_TEMPLATES[kind], ...channel.templates?.[kind] };
+  return {
+    kind,
+    severity,
+    title: renderTemplate(template.title, data),
+    body: renderTemplate(template.body, data),
+    data,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Send a notification to every enabled channel subscribed to its kind
+ * @param {string} kind - alert, brief or news
+ * @param {Object} data - Values available to templates
+ * @param {Object} options - { severity, filter(channel) }
+ */
+async function notify(kind, data, { severity = 'medium', filter = null, deliveryOptions } = {}) {
+  const targets = listChannels().filter(channel =>
+    channel.enabled &&
+    channel.events.includes(kind) &&
+    SEVERITY_RANK[severity] >= SEVERITY_RANK[channel.minSeverity || 'low'] &&
+    (!filter || filter(channel))
+  );
+
+  const results = await Promise.all(targets.map(async channel => ({
+    channelId: channel.id,
+    channel: channel.name,
+    ...(await deliver(channel, buildMessage(channel, kind, data, severity), deliveryOptions))
+  })));
+
+  return { kind, sent: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, results };
+}
+
+// ============================================================================
+// SOURCES - alerts, briefs, high-impact news
+// ============================================================================
+
+/**
+ * Fetch a brief in template-ready shape
+ * @param {string} type - 'market' (chatbot getMarketBrief) or 'daily' (finalAnalysis dailyBrief)
+ */
+async function buildBrief(type = 'market') {
+  if (type === 'daily') {
+    const analysis = await generateFinalAnalysis(await fetchFinalAnalysisMarketData());
+    const daily = analysis?.dailyBrief;
+    if (!daily) return null;
+    return { title: 'What to Look For Today', brief: daily.brief, ...daily.highlights, timestamp: daily.timestamp };
+  }
+
+  const market = await getMarketBrief();
+  if (!market?.success) return null;
+  return { title: `Market Brief - ${market.data?.session || 'Unknown session'}`, brief: market.brief, ...market.data, timestamp: market.timestamp };
+}
+
+/**
+ * Send a brief now (to every channel subscribed to briefs, or one channel)
+ */
+async function sendBrief(type = 'market', channelId = null) {
+  const brief = await buildBrief(type);
+  if (!brief) {
+    return { kind: 'brief', sent: 0, failed: 0, results: [], error: 'Brief unavailable' };
+  }
+
+  return notify('brief', brief, {
+    filter: channel => (!channelId || channel.id === channelId) && (channelId || channel.briefType === type)
+  });
+}
+
+/**
+ * Send high-impact headlines that haven't been sent yet
+ */
+async function checkHighImpactNews() {
+  const hasNewsChannels = listChannels().some(c => c.enabled && c.events.includes('news'));
+  if (!hasNewsChannels) return { kind: 'news', sent: 0, failed: 0, results: [] };
+
+  const now = Date.now();
+  for (const [key, sentAt] of sentNews) {
+    if (now - sentAt > SENT_NEWS_TTL) sentNews.delete(key);
+  }
+
+  const news = await fetchHighImpactNews(10);
+  const fresh = news.filter(item => !sentNews.has(item.headline));
+  const results = [];
+
+  for (const item of fresh) {
+    sentNews.set(item.headline, now);
+    results.push(await notify('news', item, { severity: 'high' }));
+  }
+
+  return {
+    kind: 'news',
+    sent: results.reduce((sum, r) => sum + r.sent, 0),
+    failed: results.reduce((sum, r) => sum + r.failed, 0),
+    results
+  };
+}
+
+/**
+ * Route stream events: fired alerts, and briefs at configured session opens
+ */
+function handleEvent(event) {
+  if (event.topic === 'alerts') {
+    const alert = event.data;
+    notify('alert', alert, { severity: alert.severity }).catch(error => {
+      console.error('[Notifier] Alert dispatch failed:', error.message);
+    });
+  }
+
+  if (event.topic === 'session' && event.data.type === 'SESSION_CHANGE') {
+    const session = event.data.session;
+    const wanting = listChannels().filter(c =>
+      c.enabled && c.events.includes('brief') && c.briefSessions?.includes(session)
+    );
+
+    for (const type of new Set(wanting.map(c => c.briefType))) {
+      buildBrief(type)
+        .then(brief => brief && notify('brief', brief, {
+          filter: c => c.briefType === type && c.briefSessions?.includes(session)
+        }))
+        .catch(error => console.error('[Notifier] Brief dispatch failed:', error.message));
+    }
+  }
+}
+
+/**
+ * Start listening for alerts/session changes and polling high-impact news
+ */
+function startNotifier() {
+  if (unsubscribe) return;
+
+  unsubscribe = onEvent(handleEvent);
+  newsTimer = setInterval(() => {
+    checkHighImpactNews().catch(error => console.error('[Notifier] News check failed:', error.message));
+  }, NEWS_POLL_INTERVAL);
+
+  console.log(`[Notifier] Started with ${channels.size} channel(s)`);
+}
+
+function stopNotifier() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (newsTimer) {
+    clearInterval(newsTimer);
+    newsTimer = null;
+  }
+}
+
+// ============================================================================
+// DEAD LETTERS
+// ============================================================================
+
+function getDeadLetters(limit = 50) {
+  return deadLetters.slice(0, limit);
+}
+
+/**
+ * Re-send a dead letter to its channel; removed from the log on success
+ */
+async function retryDeadLetter(id) {
+  const entry = deadLetters.find(d => d.id === id);
+  if (!entry) return null;
+
+  const channel = channels.get(entry.channelId);
+  if (!channel) {
+    return { ok: false, error: 'Channel no longer exists' };
+  }
+
+  deadLetters = deadLetters.filter(d => d.id !== id);
+  deadLetterStore.set('entries', deadLetters);
+
+  return deliver(channel, entry.message);
+}
+
+function clearDeadLetters() {
+  deadLetters = [];
+  deadLetterStore.set('entries', deadLetters);
+}
+
+/**
+ * Send a test message through one channel
+ */
+async function testChannel(id) {
+  const channel = channels.get(id);
+  if (!channel) return null;
+
+  const message = {
+    kind: 'test',
+    severity: 'low',
+    title: 'Jinah Dashboard test notification',
+    body: `Channel "${channel.name}" (${channel.transport}) is configured correctly.`,
+    data: {},
+    timestamp: new Date().toISOString()
+  };
+
+  return deliver(channel, message, { maxAttempts: 1 });
+}
+
+export {
+  startNotifier,
+  stopNotifier,
+  notify,
+  deliver,
+  sendBrief,
+  checkHighImpactNews,
+  listChannels,
+  saveChannel,
+  deleteChannel,
+  describeChannel,
+  testChannel,
+  setTransportSender,
+  getDeadLetters,
+  retryDeadLetter,
+  clearDeadLetters,
+  TRANSPORTS,
+  NOTIFICATION_KINDS
+};
@@ -0,0 +1,586 @@
+/**
+ * Options Analytics - Expected move and dealer gamma levels for ES / NQ
+ *
+ * Works from an options chain snapshot (strike, type, expiration, bid/ask,
+ * IV, open interest, optional gamma). Snapshots come from, in order:
+ * - files in OPTIONS_DATA_DIR (default DATA_DIR/options): the newest
+ *   ES*.csv / ES*.json (NQ*...) whose asOf is within OPTIONS_MAX_AGE_HOURS
+ * - POST /api/options/chain uploads
+ * - a provider (OPTIONS_PROVIDER, default cboe = CBOE delayed SPX / NDX
+ *   quotes; 'none' disables). registerOptionsProvider adds others.
+ *
+ * CSV columns: expiration,strike,type,bid,ask,last,iv,open_interest,volume,gamma
+ * (iv as a decimal or percent). JSON: { symbol, underlyingSymbol,
+ * underlyingPrice, previousClose, open, futuresPrice, asOf, multiplier,
+ * options: [...] }.
+ *
+ * Index chains (SPX for ES, NDX for NQ) are mapped to futures prices with
+ * the basis (futures - index). From the chain:
+ * - expectedMove: ATM straddle for the daily (next) and weekly (Friday)
+ *   expirations, banded around the snapshot's anchor (prior settlement, else
+ *   the session open) so the bands stay put as price moves
+ * - callWall / putWall: strikes with the largest call / put open interest
+ * - zeroGamma: price where dealer gamma flips sign (Black-Scholes profile)
+ * - netGamma: dealer gamma at the current price from the same profile,
+ *   assuming dealers are long calls and short puts (positive = moves
+ *   dampened, negative = amplified). Quoted gamma is kept on the snapshot but
+ *   not used, so net gamma and the zero-gamma level always agree.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './persistence.js';
+import { toMarketDate } from './marketCalendar.js';
+
+const OPTIONS_SYMBOLS = {
+  ES: { index: 'SPX', cboe: '_SPX', multiplier: 100 },
+  NQ: { index: 'NDX', cboe: '_NDX', multiplier: 100 }
+};
+
+const CBOE_QUOTES_BASE = 'https://cdn.cboe.com/api/global/delayed_quotes/options';
+
+const MAX_EXPIRY_DAYS = 60;        // Longer-dated options are dropped on import
+const WALL_HORIZON_DAYS = 45;      // Expirations counted for walls and gamma
+const PROFILE_RANGE = 0.08;        // Zero-gamma search: +/- 8% around spot
+const PROFILE_STEPS = 80;
+const MIN_TIME_DAYS = 0.25;        // Floor on time to expiry (same-day options)
+const PROVIDER_TTL = 15 * 60 * 1000;
+
+const uploads = getCollection('options_chains');
+const providers = new Map();
+const providerCache = new Map();   // symbol -> { chain, fetchedAt }
+const fileCache = new Map();       // path -> { mtimeMs, chain }
+
+// ============================================================================
+// CHAIN SNAPSHOTS
+// ============================================================================
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function daysToExpiry(expiration, asOfDate) {
+  return Math.round((Date.parse(`${expiration}T00:00:00Z`) - Date.parse(`${asOfDate}T00:00:00Z`)) / 86400000);
+}
+
+function normalizeOption(input, asOfDate) {
+  const expiration = String(input.expiration || input.expiry || '').slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(expiration)) throw new Error('expiration must be YYYY-MM-DD');
+
+  const type = String(input.type || '').trim().toUpperCase()[0];
+  if (type !== 'C' && type !== 'P') throw new Error('type must be C or P');
+
+  const strike = toNumber(input.strike);
+  if (!strike || strike <= 0) throw new Error('strike must be a positive number');
+
+  // IV quoted in percent (18.5) or as a decimal (0.185)
+  let iv = toNumber(input.iv);
+  if (iv !== null && iv > 3) iv /= 100;
+
+  return {
+    expiration,
+    strike,
+    type,
+    bid: toNumber(input.bid),
+    ask: toNumber(input.ask),
+    last: toNumber(input.last),
+    iv: iv && iv > 0 ? iv : null,
+    openInterest: toNumber(input.openInterest ?? input.open_interest ?? input.oi) || 0,
+    volume: toNumber(input.volume) || 0,
+    gamma: toNumber(input.gamma),
+    dte: daysToExpiry(expiration, asOfDate)
+  };
+}
+
+/**
+ * Validate and normalize a chain snapshot
+ * @returns {Object} - { symbol, underlyingSymbol, underlyingPrice, anchorPrice, anchorSource, futuresPrice, multiplier, asOf, source, options, rejected }
+ */
+function normalizeChain(input, source = 'upload') {
+  const symbol = String(input?.symbol || '').toUpperCase();
+  if (!OPTIONS_SYMBOLS[symbol]) {
+    throw new Error(`symbol must be one of ${Object.keys(OPTIONS_SYMBOLS).join(', ')}`);
+  }
+
+  const underlyingPrice = toNumber(input.underlyingPrice ?? input.underlying);
+  if (!underlyingPrice || underlyingPrice <= 0) throw new Error('underlyingPrice must be a positive number');
+
+  // Expected-move anchor: prior settlement, else the session open; the
+  // snapshot's own price only when neither was sent
+  const previousClose = toNumber(input.previousClose ?? input.settlement);
+  const sessionOpen = toNumber(input.open);
+  const [anchorPrice, anchorSource] = previousClose > 0 ? [previousClose, 'settlement']
+    : sessionOpen > 0 ? [sessionOpen, 'open']
+    : [underlyingPrice, 'snapshot'];
+
+  const asOf = input.asOf ? new Date(input.asOf) : new Date();
+  if (Number.isNaN(asOf.getTime())) throw new Error('asOf must be a date');
+  const asOfDate = toMarketDate(asOf);
+
+  if (!Array.isArray(input.options) || input.options.length === 0) throw new Error('options must be a non-empty array');
+
+  const options = [];
+  const rejected = [];
+  input.options.forEach((row, i) => {
+    try {
+      const option = normalizeOption(row, asOfDate);
+      if (option.dte >= 0 && option.dte <= MAX_EXPIRY_DAYS) options.push(option);
+    } catch (error) {
+      rejected.push({ row: i, error: error.message });
+    }
+  });
+  if (options.length === 0) throw new Error('options has no valid rows within 60 days');
+
+  return {
+    symbol,
+    underlyingSymbol: String(input.underlyingSymbol || symbol).toUpperCase(),
+    underlyingPrice,
+    anchorPrice,
+    anchorSource,
+    futuresPrice: toNumber(input.futuresPrice),
+    multiplier: toNumber(input.multiplier) || OPTIONS_SYMBOLS[symbol].multiplier,
+    asOf: asOf.toISOString(),
+    source,
+    options,
+    rejected: rejected.slice(0, 20),
+    rejectedCount: rejected.length
+  };
+}
+
+/**
+ * Parse chain rows from CSV (header names are case/underscore insensitive)
+ */
+function parseOptionsCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const headers = (lines.shift() || '').split(',').map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const field = (fields, ...names) => {
+    const index = headers.findIndex(h => names.includes(h));
+    return index >= 0 ? fields[index] : undefined;
+  };
+
+  return lines.map(line => {
+    const fields = line.split(',').map(f => f.trim());
+    return {
+      expiration: field(fields, 'expiration', 'expiry', 'expirationdate'),
+      strike: field(fields, 'strike'),
+      type: field(fields, 'type', 'putcall', 'cp'),
+      bid: field(fields, 'bid'),
+      ask: field(fields, 'ask'),
+      last: field(fields, 'last', 'lastprice'),
+      iv: field(fields, 'iv', 'impliedvolatility'),
+      openInterest: field(fields, 'openinterest', 'oi'),
+      volume: field(fields, 'volume'),
+      gamma: field(fields, 'gamma')
+    };
+  });
+}
+
+/**
+ * Store an uploaded chain (JSON body or { csv } with the snapshot fields)
+ */
+function setOptionsChain(input, source = 'upload') {
+  const options = typeof input?.csv === 'string' ? parseOptionsCSV(input.csv) : input?.options;
+  const chain = normalizeChain({ ...input, options }, source);
+  uploads.set(chain.symbol, chain);
+  console.log(`[Options] ${chain.symbol} chain stored: ${chain.options.length} options from ${source}`);
+  return chain;
+}
+
+function getOptionsDir() {
+  return process.env.OPTIONS_DATA_DIR || path.join(process.env.DATA_DIR || './data', 'options');
+}
+
+function getMaxAgeMs() {
+  return (parseFloat(process.env.OPTIONS_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Newest chain file for a symbol (ES.csv, ES_2026-10-19.json...), re-read when it changes.
+ * CSV files take the snapshot fields from a leading comment:
+ * # underlyingSymbol=SPX,underlyingPrice=5812.4,previousClose=5798.1,asOf=2026-10-19T15:45:00-04:00
+ */
+function readChainFile(symbol) {
+  const dir = getOptionsDir();
+  let newest = null;
+
+  try {
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.toUpperCase().startsWith(symbol) || !/\.(csv|json)$/i.test(name)) continue;
+      const file = path.join(dir, name);
+      const { mtimeMs } = fs.statSync(file);
+      if (!newest || mtimeMs > newest.mtimeMs) newest = { file, name, mtimeMs };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('[Options] Failed to read options dir:', error.message);
+    return null;
+  }
+  if (!newest) return null;
+
+  const cached = fileCache.get(newest.file);
+  if (cached?.mtimeMs === newest.mtimeMs) return cached.chain;
+
+  let chain = null;
+  try {
+    const text = fs.readFileSync(newest.file, 'utf8');
+    if (/\.json$/i.test(newest.name)) {
+      chain = normalizeChain({ symbol, ...JSON.parse(text) }, newest.name);
+    } else {
+      const meta = Object.fromEntries((text.match(/^#\s*(.+)$/m)?.[1] || '')
+        .split(',')
+        .map(pair => pair.split('=').map(s => s.trim()))
+        .filter(([key, value]) => key && value));
+      chain = normalizeChain({ symbol, ...meta, options: parseOptionsCSV(text) }, newest.name);
+    }
+  } catch (error) {
+    console.error(`[Options] ${newest.name}: ${error.message}`);
+  }
+
+  fileCache.set(newest.file, { mtimeMs: newest.mtimeMs, chain });
+  return chain;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Add a chain provider
+ * @param {string} name - Selected with OPTIONS_PROVIDER
+ * @param {Function} fetchChain - async (symbol) => raw snapshot ({ underlyingPrice, options, ... })
+ */
+function registerOptionsProvider(name, fetchChain) {
+  providers.set(name, fetchChain);
+}
+
+/**
+ * CBOE delayed quotes (15 min) for the index options behind ES / NQ
+ */
+async function fetchCBOEChain(symbol) {
+  const { index, cboe } = OPTIONS_SYMBOLS[symbol];
+  const response = await fetch(`${CBOE_QUOTES_BASE}/${cboe}.json`);
+  if (!response.ok) throw new Error(`CBOE ${index} options: HTTP ${response.status}`);
+
+  const { data, timestamp } = await response.json();
+  const options = [];
+
+  for (const quote of data?.options || []) {
+    // OCC symbol: root, YYMMDD, C/P, strike x 1000
+    const match = /^[A-Z]+(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/.exec(quote.option || '');
+    if (!match) continue;
+
+    options.push({
+      expiration: `20${match[1]}-${match[2]}-${match[3]}`,
+      type: match[4],
+      strike: Number(match[5]) / 1000,
+      bid: quote.bid,
+      ask: quote.ask,
+      last: quote.last_trade_price,
+      iv: quote.iv,
+      openInterest: quote.open_interest,
+      volume: quote.volume,
+      gamma: quote.gamma
+    });
+  }
+
+  return {
+    underlyingSymbol: index,
+    underlyingPrice: data?.current_price ?? data?.close,
+    previousClose: data?.prev_day_close,
+    open: data?.open,
+    asOf: timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString() : new Date().toISOString(),
+    options
+  };
+}
+
+registerOptionsProvider('cboe', fetchCBOEChain);
+
+async function fetchProviderChain(symbol, refresh = false) {
+  const name = process.env.OPTIONS_PROVIDER || 'cboe';
+  if (name === 'none') return null;
+
+  const cached = providerCache.get(symbol);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < PROVIDER_TTL) return cached.chain;
+
+  const fetchChain = providers.get(name);
+  if (!fetchChain) {
+    console.error(`[Options] Unknown provider ${name}`);
+    return null;
+  }
+
+  try {
+    const chain = normalizeChain({ symbol, ...(await fetchChain(symbol)) }, name);
+    providerCache.set(symbol, { chain, fetchedAt: Date.now() });
+    return chain;
+  } catch (error) {
+    console.error(`[Options] ${name} ${symbol} chain failed:`, error.message);
+    providerCache.set(symbol, { chain: cached?.chain || null, fetchedAt: Date.now() });
+    return cached?.chain || null;
+  }
+}
+
+/**
+ * Latest chain for a symbol: a fresh file or upload first, then the provider
+ */
+async function getOptionsChain(symbol, { refresh = false } = {}) {
+  const key = String(symbol || '').toUpperCase();
+  if (!OPTIONS_SYMBOLS[key]) return null;
+
+  const local = [readChainFile(key), uploads.get(key)]
+    .filter(chain => chain && Date.now() - Date.parse(chain.asOf) <= getMaxAgeMs())
+    .sort((a, b) => b.asOf.localeCompare(a.asOf))[0];
+
+  return local || fetchProviderChain(key, refresh);
+}
+
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Black-Scholes gamma (no rates / dividends - fine for a gamma profile)
+ */
+function blackScholesGamma(spot, strike, years, iv) {
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + 0.5 * iv * iv * years) / (iv * sqrtT);
+  return normalPdf(d1) / (spot * iv * sqrtT);
+}
+
+function yearsToExpiry(option) {
+  return Math.max(option.dte, MIN_TIME_DAYS) / 365;
+}
+
+/**
+ * Dealer gamma exposure in $ per 1% move (calls +, puts -)
+ */
+function gammaExposure(option, spot, multiplier) {
+  const gamma = option.iv ? blackScholesGamma(spot, option.strike, yearsToExpiry(option), option.iv) : 0;
+  const exposure = gamma * option.openInterest * multiplier * spot * spot * 0.01;
+  return option.type === 'C' ? exposure : -exposure;
+}
+
+function optionMid(option) {
+  if (option.bid > 0 && option.ask > 0) return (option.bid + option.ask) / 2;
+  return option.last > 0 ? option.last : null;
+}
+
+/**
+ * ATM straddle for one expiration
+ */
+function getStraddle(options, expiration, spot) {
+  const byStrike = new Map();
+  for (const option of options) {
+    if (option.expiration !== expiration) continue;
+    if (!byStrike.has(option.strike)) byStrike.set(option.strike, {});
+    byStrike.get(option.strike)[option.type] = option;
+  }
+
+  let atm = null;
+  for (const [strike, pair] of byStrike) {
+    if (!pair.C || !pair.P) continue;
+    if (!atm || Math.abs(strike - spot) < Math.abs(atm.strike - spot)) atm = { strike, ...pair };
+  }
+  if (!atm) return null;
+
+  const callMid = optionMid(atm.C);
+  const putMid = optionMid(atm.P);
+  const iv = atm.C.iv && atm.P.iv ? (atm.C.iv + atm.P.iv) / 2 : atm.C.iv || atm.P.iv;
+
+  // No usable quotes: one standard deviation from IV instead
+  const straddle = callMid !== null && putMid !== null
+    ? callMid + putMid
+    : iv ? spot * iv * Math.sqrt(yearsToExpiry(atm.C)) : null;
+  if (straddle === null) return null;
+
+  return {
+    expiration,
+    dte: atm.C.dte,
+    atmStrike: atm.strike,
+    straddle: parseFloat(straddle.toFixed(2)),
+    iv: iv ? parseFloat((iv * 100).toFixed(1)) : null,
+    method: callMid !== null && putMid !== null ? 'straddle' : 'iv'
+  };
+}
+
+/**
+ * Daily (next) and weekly (this Friday, next Friday from Friday on) expirations
+ */
+function pickExpirations(expirations, now) {
+  const today = toMarketDate(now);
+  const hour = Number(now.toLocaleString('en-US', { timeZone: 'America/New_York', hour: '2-digit', hour12: false }));
+  const upcoming = expirations.filter(date => date > today || (date === today && hour < 16));
+
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  const friday = new Date(`${today}T00:00:00Z`);
+  friday.setUTCDate(friday.getUTCDate() + ((5 - weekday + 7) % 7 || 7));
+  const weeklyTarget = friday.toISOString().split('T')[0];
+
+  return {
+    daily: upcoming[0] || null,
+    weekly: upcoming.find(date => date >= weeklyTarget) || null
+  };
+}
+
+/**
+ * Dealer gamma across a range of hypothetical prices; the crossing nearest
+ * spot is the zero-gamma (flip) level
+ */
+function findZeroGamma(options, spot, multiplier) {
+  const priced = options.filter(option => option.iv && option.openInterest > 0);
+  if (priced.length === 0) return null;
+
+  const low = spot * (1 - PROFILE_RANGE);
+  const step = (spot * PROFILE_RANGE * 2) / PROFILE_STEPS;
+  const profile = [];
+
+  for (let i = 0; i <= PROFILE_STEPS; i++) {
+    const price = low + step * i;
+    profile.push({ price, gamma: priced.reduce((sum, option) => sum + gammaExposure(option, price, multiplier), 0) });
+  }
+
+  let best = null;
+  for (let i = 1; i < profile.length; i++) {
+    const a = profile[i - 1];
+    const b = profile[i];
+    if (Math.sign(a.gamma) === Math.sign(b.gamma)) continue;
+
+    const crossing = a.price + (b.price - a.price) * (a.gamma / (a.gamma - b.gamma));
+    if (best === null || Math.abs(crossing - spot) < Math.abs(best - spot)) best = crossing;
+  }
+
+  return best;
+}
+
+/**
+ * Expected move, walls, zero gamma and net dealer gamma from a chain
+ * @param {Object} chain - Normalized snapshot (getOptionsChain)
+ * @param {Object} options - { price: current futures price (for the basis), now }
+ */
+function analyzeOptionsChain(chain, { price = null, now = new Date() } = {}) {
+  const spot = chain.underlyingPrice;
+  const anchor = chain.anchorPrice ?? spot;
+  const futuresPrice = chain.futuresPrice ?? price;
+  const basis = chain.underlyingSymbol !== chain.symbol && futuresPrice ? futuresPrice - spot : 0;
+  const toFutures = (level) => (level === null || level === undefined ? null : parseFloat((level + basis).toFixed(2)));
+
+  const near = chain.options.filter(option => option.dte <= WALL_HORIZON_DAYS);
+
+  // Expected move
+  const expirations = [...new Set(chain.options.map(option => option.expiration))].sort();
+  const picked = pickExpirations(expirations, now);
+  const expectedMove = {};
+  for (const horizon of ['daily', 'weekly']) {
+    const straddle = picked[horizon] ? getStraddle(chain.options, picked[horizon], spot) : null;
+    expectedMove[horizon] = straddle ? {
+      ...straddle,
+      movePercent: parseFloat((straddle.straddle / anchor * 100).toFixed(2)),
+      upper: toFutures(anchor + straddle.straddle),
+      lower: toFutures(anchor - straddle.straddle)
+    } : null;
+  }
+
+  // Open interest by strike -> walls (gamma would put both on the 0DTE ATM strike)
+  const byStrike = new Map();
+  for (const option of near) {
+    const entry = byStrike.get(option.strike) || { C: 0, P: 0 };
+    entry[option.type] += option.openInterest;
+    byStrike.set(option.strike, entry);
+  }
+
+  let callWall = null;
+  let putWall = null;
+  for (const [strike, entry] of byStrike) {
+    if (entry.C > 0 && (!callWall || entry.C > callWall.openInterest)) callWall = { strike, openInterest: entry.C };
+    if (entry.P > 0 && (!putWall || entry.P > putWall.openInterest)) putWall = { strike, openInterest: entry.P };
+  }
+
+  // Pin: largest open interest strike within the daily expected move
+  let pin = null;
+  const daily = expectedMove.daily;
+  if (daily) {
+    const openInterest = new Map();
+    for (const option of chain.options) {
+      if (option.expiration !== daily.expiration || Math.abs(option.strike - anchor) > daily.straddle) continue;
+      openInterest.set(option.strike, (openInterest.get(option.strike) || 0) + option.openInterest);
+    }
+    for (const [strike, total] of openInterest) {
+      if (total > 0 && (!pin || total > pin.openInterest)) pin = { strike, openInterest: total };
+    }
+    if (pin) {
+      pin = { level: toFutures(pin.strike), ...pin, expiration: daily.expiration, distance: parseFloat((Math.abs(spot - pin.strike) / daily.straddle).toFixed(2)) };
+    }
+  }
+
+  const netGammaValue = near.reduce((sum, option) => sum + gammaExposure(option, spot, chain.multiplier), 0);
+  const zeroGamma = findZeroGamma(near, spot, chain.multiplier);
+  const sign = netGammaValue >= 0 ? 'POSITIVE' : 'NEGATIVE';
+
+  return {
+    symbol: chain.symbol,
+    underlyingSymbol: chain.underlyingSymbol,
+    underlyingPrice: spot,
+    anchor: { price: anchor, level: toFutures(anchor), source: chain.anchorSource || 'snapshot' },
+    basis: parseFloat(basis.toFixed(2)),
+    asOf: chain.asOf,
+    source: chain.source,
+    optionCount: chain.options.length,
+    expectedMove,
+    callWall: callWall ? { level: toFutures(callWall.strike), strike: callWall.strike, openInterest: callWall.openInterest } : null,
+    putWall: putWall ? { level: toFutures(putWall.strike), strike: putWall.strike, openInterest: putWall.openInterest } : null,
+    pin,
+    zeroGamma: zeroGamma !== null ? { level: toFutures(zeroGamma), strike: parseFloat(zeroGamma.toFixed(2)) } : null,
+    netGamma: {
+      sign,
+      value: Math.round(netGammaValue),
+      valueBillions: parseFloat((netGammaValue / 1e9).toFixed(2)),
+      aboveZeroGamma: zeroGamma !== null ? spot >= zeroGamma : null,
+      regime: sign === 'POSITIVE'
+        ? 'Dealers long gamma — moves dampened, mean reversion favored'
+        : 'Dealers short gamma — moves amplified, trends extend'
+    },
+    zeroDteActive: expirations.includes(toMarketDate(now))
+  };
+}
+
+/**
+ * Options analysis for a symbol, or null when no chain is available
+ * @param {string} symbol - ES or NQ
+ * @param {Object} options - { price: current futures price, refresh, now }
+ */
+async function getOptionsLevels(symbol, { price = null, refresh = false, now = new Date() } = {}) {
+  const chain = await getOptionsChain(symbol, { refresh });
+  return chain ? analyzeOptionsChain(chain, { price, now }) : null;
+}
+
+/**
+ * Named levels for getLevelsWithDistance
+ */
+function getOptionsLevelMap(analysis) {
+  if (!analysis) return {};
+
+  return {
+    'Call Wall': analysis.callWall?.level,
+    'Put Wall': analysis.putWall?.level,
+    'Zero Gamma': analysis.zeroGamma?.level,
+    'EM Daily High': analysis.expectedMove.daily?.upper,
+    'EM Daily Low': analysis.expectedMove.daily?.lower,
+    'EM Weekly High': analysis.expectedMove.weekly?.upper,
+    'EM Weekly Low': analysis.expectedMove.weekly?.lower
+  };
+}
+
+export {
+  getOptionsChain,
+  setOptionsChain,
+  parseOptionsCSV,
+  registerOptionsProvider,
+  analyzeOptionsChain,
+  getOptionsLevels,
+  getOptionsLevelMap,
+  OPTIONS_SYMBOLS
+};
@@ -0,0 +1,232 @@
+/**
+ * Persistence Layer - Keeps intraday state across restarts
+ *
+ * State is grouped into named collections (scanner maps, sweeps, session
+ * levels, dashboard cache...). A collection behaves like a Map and is
+ * written back to the active backend shortly after each change.
+ *
+ * Backends (PERSISTENCE_BACKEND):
+ * - file:   JSON file per collection in DATA_DIR (default ./data) - default
+ * - memory: Process memory only (tests, scratch runs)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const FLUSH_DELAY = 1000; // ms - batch rapid webhook writes into one save
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+/**
+ * In-memory backend - nothing survives the process
+ */
+function createMemoryBackend() {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+    load(name) {
+      const raw = store.get(name);
+      return raw ? JSON.parse(raw) : null;
+    },
+    save(name, data) {
+      store.set(name, JSON.stringify(data));
+    },
+    list() {
+      return Array.from(store.keys());
+    }
+  };
+}
+
+/**
+ * Embedded file backend - one JSON document per collection
+ * Writes go to a temp file first, then rename, so a crash never leaves half a file.
+ */
+function createFileBackend(dir = process.env.DATA_DIR || './data') {
+  const baseDir = path.resolve(dir);
+  fs.mkdirSync(baseDir, { recursive: true });
+
+  const fileFor = (name) => path.join(baseDir, `${name}.json`);
+
+  return {
+    name: 'file',
+    dir: baseDir,
+    load(name) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(name), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`[Persistence] Failed to load ${name}:`, error.message);
+        }
+        return null;
+      }
+    },
+    save(name, data) {
+      const file = fileFor(name);
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    },
+    list() {
+      return fs.readdirSync(baseDir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.slice(0, -5));
+    }
+  };
+}
+
+function createBackendFromEnv() {
+  const type = (process.env.PERSISTENCE_BACKEND || 'file').toLowerCase();
+
+  if (type === 'memory') {
+    return createMemoryBackend();
+  }
+
+  try {
+    return createFileBackend();
+  } catch (error) {
+    console.error('[Persistence] File backend unavailable, using memory:', error.message);
+    return createMemoryBackend();
+  }
+}
+
+let backend = createBackendFromEnv();
+let backendGeneration = 0;
+const collections = new Map();
+
+// ============================================================================
+// COLLECTIONS
+// ============================================================================
+
+/**
+ * Get a persisted collection by name (Map-like: get/set/delete/has/clear, iterable)
+ * @param {string} name - Collection name, used as the file/table name
+ */
+function getCollection(name) {
+  if (collections.has(name)) {
+    return collections.get(name);
+  }
+
+  let data = null;
+  let generation = -1;
+  let dirty = false;
+  let timer = null;
+
+  // Reload if the backend was swapped since the last access
+  const ensureLoaded = () => {
+    if (generation !== backendGeneration) {
+      const stored = backend.load(name);
+      data = new Map(stored ? Object.entries(stored) : []);
+      generation = backendGeneration;
+      dirty = false;
+    }
+    return data;
+  };
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!dirty) return;
+
+    try {
+      backend.save(name, Object.fromEntries(data));
+      dirty = false;
+    } catch (error) {
+      console.error(`[Persistence] Failed to save ${name}:`, error.message);
+    }
+  };
+
+  const markDirty = () => {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(flush, FLUSH_DELAY);
+      timer.unref?.();
+    }
+  };
+
+  const collection = {
+    name,
+    get(key) {
+      return ensureLoaded().get(key);
+    },
+    has(key) {
+      return ensureLoaded().has(key);
+    },
+    set(key, value) {
+      ensureLoaded().set(key, value);
+      markDirty();
+      return collection;
+    },
+    delete(key) {
+      const removed = ensureLoaded().delete(key);
+      if (removed) markDirty();
+      return removed;
+    },
+    clear() {
+      ensureLoaded().clear();
+      markDirty();
+    },
+    keys() {
+      return ensureLoaded().keys();
+    },
+    values() {
+      return ensureLoaded().values();
+    },
+    entries() {
+      return ensureLoaded().entries();
+    },
+    get size() {
+      return ensureLoaded().size;
+    },
+    [Symbol.iterator]() {
+      return ensureLoaded().entries();
+    },
+    flush
+  };
+
+  collections.set(name, collection);
+  return collection;
+}
+
+/**
+ * Write every pending change to the backend now (call on shutdown)
+ */
+function flushAll() {
+  for (const collection of collections.values()) {
+    collection.flush();
+  }
+}
+
+/**
+ * Swap the active backend (e.g. memory backend in tests).
+ * Pending writes go to the old backend first; collections reload lazily from the new one.
+ */
+function setBackend(newBackend) {
+  flushAll();
+  backend = newBackend;
+  backendGeneration++;
+}
+
+/**
+ * Get persistence status for health/status endpoints
+ */
+function getPersistenceStatus() {
+  return {
+    backend: backend.name,
+    dir: backend.dir || null,
+    collections: Array.from(collections.values()).map(c => ({ name: c.name, size: c.size }))
+  };
+}
+
+export {
+  getCollection,
+  flushAll,
+  setBackend,
+  createMemoryBackend,
+  createFileBackend,
+  getPersistenceStatus
+};
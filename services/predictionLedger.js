@@ -0,0 +1,423 @@
+/**
+ * Prediction Ledger - Records every published bias call and grades it
+ *
+ * Calls come from /api/final-analysis (finalAnalysis), /api/es/live
+ * (esCommandCenter) and /api/analysis/full (aiAnalysis). Each call stores
+ * symbol, direction, confidence, factors and the price at publish time.
+ *
+ * Endpoints are polled, so a repeat of the same call (same engine, symbol,
+ * session and direction) bumps the existing entry's publication count
+ * instead of adding a new one. A direction flip is a new call.
+ *
+ * The grader resolves open calls at the close of their session
+ * (SESSION_CONFIG end time; pre-market calls resolve at the US RTH close,
+ * settlement/weekend calls at the Asia close) using stored 5m bars.
+ */
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+import { loadBars, YAHOO_SYMBOLS } from './barStore.js';
+import { getCurrentSession, getTradingDate } from './sessionEngine.js';
+
+const ENGINES = ['finalAnalysis', 'esCommandCenter', 'aiAnalysis'];
+const RESOLVE_SESSION = {
+  ASIA: 'ASIA',
+  LONDON: 'LONDON',
+  US_PRE: 'US_RTH',
+  US_RTH: 'US_RTH',
+  SETTLEMENT: 'ASIA',
+  WEEKEND: 'ASIA',
+  CLOSED: 'ASIA'
+};
+
+const PRICE_INTERVAL = '5m';
+const RETENTION_DAYS = 120;
+const GRADER_INTERVAL = 5 * 60 * 1000;
+const STEP_MS = 5 * 60 * 1000;
+const TRACK_RECORD_WINDOWS = { '7d': 7, '30d': 30, '90d': 90 };
+
+const ledger = getCollection('prediction_ledger');
+let graderTimer = null;
+
+// ============================================================================
+// SESSION RESOLUTION
+// ============================================================================
+
+/**
+ * When the call should be graded: the close of the session it resolves
+ * against, found by walking forward in 5 minute steps (DST-safe via getCurrentSession)
+ */
+function findSessionClose(publishedAt, targetKey) {
+  let time = publishedAt.getTime();
+  let entered = false;
+
+  for (let step = 0; step < 4 * 24 * 12; step++) {
+    const key = getCurrentSession(new Date(time)).key;
+    if (key === targetKey) {
+      entered = true;
+    } else if (entered) {
+      // Snap to the exact boundary (session edges fall on whole minutes)
+      let close = time;
+      while (getCurrentSession(new Date(close - 60 * 1000)).key !== targetKey) close -= 60 * 1000;
+      return new Date(close);
+    }
+    time += STEP_MS;
+  }
+
+  return null;
+}
+
+/**
+ * When something published at a time resolves (the close of its RESOLVE_SESSION)
+ */
+function getResolveTime(time) {
+  return findSessionClose(time, RESOLVE_SESSION[getCurrentSession(time).key] || 'US_RTH');
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+function directionFromLabel(label = '') {
+  const upper = String(label).toUpperCase();
+  if (upper.includes('BULLISH')) return 1;
+  if (upper.includes('BEARISH')) return -1;
+  return 0;
+}
+
+/**
+ * Latest 5m close at or before a time (null when the store has none)
+ */
+async function getPriceAt(symbol, time) {
+  const to = Math.floor(time.getTime() / 1000);
+  const bars = await loadBars(symbol, PRICE_INTERVAL, { from: to - 60 * 60, to });
+  const bar = bars[bars.length - 1];
+  return bar ? bar.close : null;
+}
+
+function findOpenCall(engine, symbol, session, tradingDate) {
+  let latest = null;
+  for (const entry of ledger.values()) {
+    if (entry.engine === engine && entry.symbol === symbol && entry.session === session &&
+        entry.tradingDate === tradingDate && entry.status === 'open' &&
+        (!latest || entry.publishedAt > latest.publishedAt)) {
+      latest = entry;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Record calls published by an engine
+ * @param {string} engine - finalAnalysis, esCommandCenter or aiAnalysis
+ * @param {Object[]} calls - [{ symbol, bias, confidence (0-100), factors: { name: score }, price? }]
+ * @param {Date} publishedAt - Publish time (defaults to now)
+ * @returns {Object[]} - Ledger entries created or updated
+ */
+async function recordPredictions(engine, calls, publishedAt = new Date()) {
+  const session = getCurrentSession(publishedAt).key;
+  const tradingDate = getTradingDate(publishedAt);
+  const recorded = [];
+
+  for (const call of calls) {
+    const symbol = String(call.symbol || '').toUpperCase();
+    if (!YAHOO_SYMBOLS[symbol]) continue;
+
+    const direction = directionFromLabel(call.bias);
+    const existing = findOpenCall(engine, symbol, session, tradingDate);
+
+    if (existing && existing.direction === direction) {
+      existing.publications++;
+      existing.lastPublishedAt = publishedAt.toISOString();
+      existing.confidence = call.confidence;
+      ledger.set(existing.id, existing);
+      recorded.push(existing);
+      continue;
+    }
+
+    const resolveSession = RESOLVE_SESSION[session] || 'US_RTH';
+    const resolvesAt = findSessionClose(publishedAt, resolveSession);
+
+    const entry = {
+      id: crypto.randomUUID(),
+      engine,
+      symbol,
+      bias: call.bias,
+      direction,
+      confidence: call.confidence ?? null,
+      factors: call.factors || {},
+      price: call.price || null,
+      publishedAt: publishedAt.toISOString(),
+      lastPublishedAt: publishedAt.toISOString(),
+      publications: 1,
+      session,
+      tradingDate,
+      resolveSession,
+      resolvesAt: resolvesAt ? resolvesAt.toISOString() : null,
+      status: 'open',
+      closePrice: null,
+      movePercent: null,
+      hit: null,
+      gradedAt: null
+    };
+
+    // A direction flip supersedes the earlier call for this session
+    if (existing) {
+      existing.status = 'superseded';
+      existing.supersededBy = entry.id;
+      ledger.set(existing.id, existing);
+    }
+
+    ledger.set(entry.id, entry);
+    recorded.push(entry);
+  }
+
+  // Price lookups happen after every entry is in the ledger, so a poll
+  // arriving meanwhile finds the open call instead of adding a duplicate
+  for (const entry of recorded) {
+    if (entry.price || entry.publications > 1) continue;
+    entry.price = await getPriceAt(entry.symbol, publishedAt).catch(() => null);
+    ledger.set(entry.id, entry);
+  }
+
+  return recorded;
+}
+
+/**
+ * Record a /api/final-analysis response
+ */
+function recordFinalAnalysis(analysis) {
+  const calls = Object.entries(analysis?.instruments || {}).map(([symbol, result]) => ({
+    symbol,
+    bias: result.bias,
+    confidence: result.confidence,
+    factors: Object.fromEntries(Object.entries(result.factors || {}).map(([name, f]) => [name, f.score]))
+  }));
+
+  return recordPredictions('finalAnalysis', calls).catch(error => {
+    console.error('[Ledger] Failed to record final analysis:', error.message);
+    return [];
+  });
+}
+
+/**
+ * Record a /api/es/live response (net bias from drivers)
+ */
+function recordESCommandCenter(data) {
+  if (!data?.bias) return Promise.resolve([]);
+
+  // Factor = signed driver impact, summed per driver type
+  const factors = {};
+  for (const driver of data.drivers || []) {
+    const sign = directionFromLabel(driver.direction);
+    factors[driver.type] = parseFloat(((factors[driver.type] || 0) + sign * driver.impact).toFixed(2));
+  }
+
+  const call = {
+    symbol: 'ES',
+    bias: data.bias.direction,
+    confidence: data.bias.confidence,
+    factors,
+    price: data.es?.price || null
+  };
+
+  return recordPredictions('esCommandCenter', [call]).catch(error => {
+    console.error('[Ledger] Failed to record ES bias:', error.message);
+    return [];
+  });
+}
+
+/**
+ * Record a /api/analysis/full response (orchestrator focus symbols)
+ */
+function recordAIAnalysis(result) {
+  const calls = (result?.analysis?.focusSymbols || []).map(focus => ({
+    symbol: focus.symbol,
+    bias: focus.bias,
+    // The orchestrator sometimes answers on a 1-10 scale
+    confidence: focus.confidence > 0 && focus.confidence <= 10 ? focus.confidence * 10 : focus.confidence,
+    factors: {}
+  }));
+
+  return recordPredictions('aiAnalysis', calls).catch(error => {
+    console.error('[Ledger] Failed to record AI analysis:', error.message);
+    return [];
+  });
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Grade every open call whose session has closed
+ * @returns {Object} - { graded, unresolved, pending }
+ */
+async function gradePredictions(now = new Date()) {
+  let graded = 0;
+  let unresolved = 0;
+  let pending = 0;
+
+  for (const entry of Array.from(ledger.values())) {
+    if (entry.status !== 'open') continue;
+    if (!entry.resolvesAt || Date.parse(entry.resolvesAt) > now.getTime()) {
+      pending++;
+      continue;
+    }
+
+    const resolvesAt = new Date(entry.resolvesAt);
+    const [entryPrice, closePrice] = await Promise.all([
+      entry.price ? entry.price : getPriceAt(entry.symbol, new Date(entry.publishedAt)).catch(() => null),
+      getPriceAt(entry.symbol, new Date(resolvesAt.getTime() - 1000)).catch(() => null)
+    ]);
+
+    if (!entryPrice || !closePrice) {
+      // Give up once the 5m window Yahoo serves has passed
+      if (now.getTime() - resolvesAt.getTime() > 50 * 24 * 60 * 60 * 1000) {
+        entry.status = 'unresolved';
+        ledger.set(entry.id, entry);
+        unresolved++;
+      } else {
+        pending++;
+      }
+      continue;
+    }
+
+    const movePercent = ((closePrice - entryPrice) / entryPrice) * 100;
+    Object.assign(entry, {
+      price: entryPrice,
+      closePrice,
+      movePercent: parseFloat(movePercent.toFixed(4)),
+      hit: entry.direction === 0 || movePercent === 0 ? null : Math.sign(movePercent) === entry.direction,
+      status: 'graded',
+      gradedAt: now.toISOString()
+    });
+    ledger.set(entry.id, entry);
+    graded++;
+  }
+
+  pruneLedger(now);
+  return { graded, unresolved, pending };
+}
+
+function pruneLedger(now) {
+  const cutoff = now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, entry] of ledger) {
+    if (Date.parse(entry.publishedAt) < cutoff) ledger.delete(id);
+  }
+}
+
+function startPredictionGrader(intervalMs = GRADER_INTERVAL) {
+  if (graderTimer) return;
+
+  const run = () => gradePredictions()
+    .then(result => {
+      if (result.graded > 0) console.log(`[Ledger] Graded ${result.graded} call(s)`);
+    })
+    .catch(error => console.error('[Ledger] Grading failed:', error.message));
+
+  graderTimer = setInterval(run, intervalMs);
+  graderTimer.unref?.();
+}
+
+function stopPredictionGrader() {
+  if (graderTimer) {
+    clearInterval(graderTimer);
+    graderTimer = null;
+  }
+}
+
+// ============================================================================
+// TRACK RECORD
+// ============================================================================
+
+function scoreCalls(entries) {
+  const calls = entries.filter(e => e.hit !== null);
+  const hits = calls.filter(e => e.hit).length;
+  const directionalMoves = calls.map(e => e.direction * e.movePercent);
+
+  return {
+    graded: entries.length,
+    calls: calls.length,
+    hits,
+    hitRate: calls.length > 0 ? parseFloat(((hits / calls.length) * 100).toFixed(1)) : null,
+    avgDirectionalMove: calls.length > 0
+      ? parseFloat((directionalMoves.reduce((a, b) => a + b, 0) / calls.length).toFixed(3))
+      : null
+  };
+}
+
+/**
+ * Accuracy over the 7/30/90 day windows
+ */
+function scoreWindows(entries, now) {
+  return Object.fromEntries(Object.entries(TRACK_RECORD_WINDOWS).map(([label, days]) => {
+    const since = now.getTime() - days * 24 * 60 * 60 * 1000;
+    return [label, scoreCalls(entries.filter(e => Date.parse(e.publishedAt) >= since))];
+  }));
+}
+
+function groupTrackRecord(entries, field, now) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry[field])) groups.set(entry[field], []);
+    groups.get(entry[field]).push(entry);
+  }
+
+  return Array.from(groups.entries())
+    .map(([key, group]) => ({ [field]: key, ...scoreWindows(group, now) }))
+    .sort((a, b) => String(a[field]).localeCompare(String(b[field])));
+}
+
+/**
+ * Rolling accuracy per engine, symbol and session
+ * @param {Object} filters - { engine, symbol, session }
+ */
+function getTrackRecord({ engine = null, symbol = null, session = null } = {}, now = new Date()) {
+  const entries = Array.from(ledger.values());
+  const graded = entries.filter(e =>
+    e.status === 'graded' &&
+    (!engine || e.engine === engine) &&
+    (!symbol || e.symbol === symbol.toUpperCase()) &&
+    (!session || e.resolveSession === session.toUpperCase())
+  );
+
+  return {
+    windows: Object.keys(TRACK_RECORD_WINDOWS),
+    overall: scoreWindows(graded, now),
+    byEngine: groupTrackRecord(graded, 'engine', now),
+    bySymbol: groupTrackRecord(graded, 'symbol', now),
+    bySession: groupTrackRecord(graded, 'resolveSession', now),
+    open: entries.filter(e => e.status === 'open').length,
+    totalCalls: entries.length,
+    timestamp: now.toISOString()
+  };
+}
+
+/**
+ * List ledger entries, newest first
+ */
+function getPredictions({ engine = null, symbol = null, status = null, limit = 100 } = {}) {
+  return Array.from(ledger.values())
+    .filter(e =>
+      (!engine || e.engine === engine) &&
+      (!symbol || e.symbol === symbol.toUpperCase()) &&
+      (!status || e.status === status)
+    )
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+    .slice(0, limit);
+}
+
+export {
+  recordPredictions,
+  recordFinalAnalysis,
+  recordESCommandCenter,
+  recordAIAnalysis,
+  gradePredictions,
+  startPredictionGrader,
+  stopPredictionGrader,
+  getTrackRecord,
+  getPredictions,
+  getResolveTime,
+  ENGINES as LEDGER_ENGINES
+};
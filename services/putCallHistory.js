@@ -0,0 +1,346 @@
+/**
+ * Put/Call History - Daily CBOE put/call ratios as a dated series
+ *
+ * Keeps one row per trading day for each ratio type so sentiment can be read
+ * against its own recent history (rolling means, z-scores, percentiles)
+ * instead of fixed cutoffs.
+ *
+ * Sources:
+ * - CBOE CSV files (totalpc.csv, equitypc.csv, indexpc.csv, vixpc.csv):
+ *   imported from PUTCALL_DATA_DIR (default DATA_DIR/putcall) or downloaded
+ * - CBOE daily market statistics: fetched for each new trading day
+ * - Manual rows pushed through recordPutCallDay (scrapers, spreadsheets)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCollection } from './persistence.js';
+import { isTradingDay } from './marketCalendar.js';
+
+const PUT_CALL_TYPES = {
+  total: { file: 'totalpc', statName: /^TOTAL PUT\/CALL/i },
+  equity: { file: 'equitypc', statName: /^EQUITY PUT\/CALL/i },
+  index: { file: 'indexpc', statName: /^INDEX PUT\/CALL/i },
+  vix: { file: 'vixpc', statName: /\bVIX\)? PUT\/CALL/i }
+};
+
+const CBOE_CSV_BASE = 'https://cdn.cboe.com/resources/options/volume_and_call_put_ratios';
+const CBOE_DAILY_BASE = 'https://cdn.cboe.com/data/us/options/market_statistics/daily';
+
+const REFRESH_INTERVAL = 6 * 60 * 60 * 1000; // Pick up the previous session's stats
+const MAX_CATCHUP_DAYS = 10;                 // Daily stats fetched when the series falls behind
+
+const series = getCollection('putcall_history');
+
+let refreshTimer = null;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * CBOE files use M/D/YYYY; manual rows usually ISO
+ */
+function parseTradeDate(value) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (!us) return null;
+
+  const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+  return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+}
+
+function toNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a CBOE put/call CSV. The files open with a few disclaimer lines, then
+ * a header such as "DATE,CALL,PUT,TOTAL,P/C Ratio" (column names vary by file).
+ * @returns {Array<{date, ratio, puts, calls}>}
+ */
+function parsePutCallCSV(text) {
+  const lines = text.split(/\r?\n/);
+  const headerAt = lines.findIndex(line => /date/i.test(line) && /p\/c|ratio/i.test(line));
+  if (headerAt < 0) return [];
+
+  const headers = lines[headerAt].split(',').map(h => h.trim().toLowerCase());
+  const column = (pattern) => headers.findIndex(h => pattern.test(h));
+  const dateCol = column(/date/);
+  const ratioCol = column(/p\/c|ratio/);
+  const callCol = column(/^calls?$/);
+  const putCol = column(/^puts?$/);
+
+  const rows = [];
+  for (const line of lines.slice(headerAt + 1)) {
+    const fields = line.split(',').map(f => f.trim().replace(/^"|"$/g, ''));
+    const date = parseTradeDate(fields[dateCol]);
+    const puts = putCol >= 0 ? toNumber(fields[putCol]) : null;
+    const calls = callCol >= 0 ? toNumber(fields[callCol]) : null;
+    const ratio = toNumber(fields[ratioCol]) ?? (puts !== null && calls ? puts / calls : null);
+
+    if (date && ratio !== null && ratio > 0) {
+      rows.push({ date, ratio, puts, calls });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Which ratio a file holds, from its name (equitypc.csv, totalpc_2024.csv...)
+ */
+function detectType(fileName) {
+  const name = fileName.toLowerCase();
+  return Object.keys(PUT_CALL_TYPES).find(type => name.includes(PUT_CALL_TYPES[type].file)) || null;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Merge rows into a ratio series (one row per date, later rows win)
+ */
+function storeRows(type, rows) {
+  const byDate = new Map((series.get(type) || []).map(row => [row.date, row]));
+  let added = 0;
+  let updated = 0;
+
+  for (const row of rows) {
+    if (byDate.has(row.date)) updated++;
+    else added++;
+    byDate.set(row.date, {
+      date: row.date,
+      ratio: parseFloat(row.ratio.toFixed(4)),
+      puts: row.puts ?? null,
+      calls: row.calls ?? null
+    });
+  }
+
+  series.set(type, Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)));
+  return { type, rows: rows.length, added, updated };
+}
+
+/**
+ * Import CSV text for one ratio type
+ */
+function importPutCallCSV(text, type) {
+  if (!PUT_CALL_TYPES[type]) throw new Error(`Unknown put/call type: ${type}`);
+  return storeRows(type, parsePutCallCSV(text));
+}
+
+/**
+ * Import a CSV from disk (type taken from the file name unless given)
+ */
+function importPutCallFile(filePath, type = detectType(path.basename(filePath))) {
+  const source = path.basename(filePath);
+  if (!type) return { source, error: 'Cannot tell the ratio type from the file name' };
+
+  try {
+    return { source, ...importPutCallCSV(fs.readFileSync(filePath, 'utf8'), type) };
+  } catch (error) {
+    console.error(`[Put/Call] Failed to import ${source}:`, error.message);
+    return { source, error: error.message };
+  }
+}
+
+/**
+ * Import every CBOE CSV in a directory
+ */
+function importPutCallDirectory(dir = getPutCallDataDir()) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => /\.csv$/i.test(name))
+    .sort()
+    .map(name => importPutCallFile(path.join(dir, name)));
+}
+
+function getPutCallDataDir() {
+  return process.env.PUTCALL_DATA_DIR || path.join(process.env.DATA_DIR || './data', 'putcall');
+}
+
+/**
+ * Record one trading day: { date, total: { ratio, puts, calls }, equity: {...}, ... }
+ * A bare number is accepted as the ratio.
+ */
+function recordPutCallDay(day) {
+  const date = parseTradeDate(day.date);
+  if (!date) throw new Error('A valid date is required');
+
+  const results = [];
+  for (const type of Object.keys(PUT_CALL_TYPES)) {
+    const value = day[type];
+    if (value === undefined || value === null) continue;
+
+    const row = typeof value === 'number' ? { ratio: value } : value;
+    const ratio = toNumber(row.ratio) ??
+      (toNumber(row.puts) !== null && toNumber(row.calls) ? toNumber(row.puts) / toNumber(row.calls) : null);
+    if (ratio === null || ratio <= 0) continue;
+
+    results.push(storeRows(type, [{ date, ratio, puts: toNumber(row.puts), calls: toNumber(row.calls) }]));
+  }
+
+  return results;
+}
+
+/**
+ * Stored rows for a ratio type, oldest first
+ */
+function getPutCallSeries(type) {
+  return series.get(type) || [];
+}
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+/**
+ * Download a CBOE put/call CSV (the archive files, or PUTCALL_CSV_BASE_URL)
+ */
+async function downloadPutCallCSV(type) {
+  if (!PUT_CALL_TYPES[type]) throw new Error(`Unknown put/call type: ${type}`);
+
+  const base = process.env.PUTCALL_CSV_BASE_URL || CBOE_CSV_BASE;
+  const url = `${base}/${PUT_CALL_TYPES[type].file}.csv`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`CBOE ${type} CSV: HTTP ${response.status}`);
+  }
+
+  return { source: url, ...importPutCallCSV(await response.text(), type) };
+}
+
+/**
+ * Fetch one day's ratios from CBOE's daily market statistics
+ * @param {string} date - YYYY-MM-DD trading date
+ */
+async function fetchCBOEDailyRatios(date) {
+  const response = await fetch(`${CBOE_DAILY_BASE}/${date}_daily_options`);
+  if (!response.ok) {
+    throw new Error(`CBOE daily stats ${date}: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const ratios = Array.isArray(data?.ratios) ? data.ratios : [];
+  const day = { date };
+
+  for (const [type, { statName }] of Object.entries(PUT_CALL_TYPES)) {
+    const match = ratios.find(r => statName.test(String(r.name || '').trim()));
+    if (match) day[type] = toNumber(match.value);
+  }
+
+  if (Object.keys(day).length === 1) {
+    throw new Error(`CBOE daily stats ${date}: no put/call ratios in response`);
+  }
+
+  return day;
+}
+
+/**
+ * NYSE trading days after the last stored equity row, up to yesterday (ET)
+ */
+function getMissingTradingDays(now = new Date()) {
+  const et = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const yesterday = new Date(Date.UTC(et.getFullYear(), et.getMonth(), et.getDate() - 1));
+  const rows = getPutCallSeries('equity');
+  const last = rows[rows.length - 1]?.date;
+
+  const days = [];
+  for (let i = 0; i < MAX_CATCHUP_DAYS; i++) {
+    const day = new Date(yesterday);
+    day.setUTCDate(yesterday.getUTCDate() - i);
+    const date = day.toISOString().split('T')[0];
+    if (last && date <= last) break;
+    if (isTradingDay(date, 'NYSE')) days.unshift(date);
+  }
+
+  return days;
+}
+
+/**
+ * Pull any trading days missing from the series
+ */
+async function refreshPutCallData(now = new Date()) {
+  const results = [];
+
+  for (const date of getMissingTradingDays(now)) {
+    try {
+      results.push(...recordPutCallDay(await fetchCBOEDailyRatios(date)));
+    } catch (error) {
+      // Holidays have no stats - not worth more than a log line
+      console.warn('[Put/Call]', error.message);
+    }
+  }
+
+  return results;
+}
+
+function getPutCallImportStatus() {
+  const types = {};
+  for (const type of Object.keys(PUT_CALL_TYPES)) {
+    const rows = getPutCallSeries(type);
+    types[type] = rows.length
+      ? { days: rows.length, from: rows[0].date, to: rows[rows.length - 1].date }
+      : { days: 0 };
+  }
+
+  return {
+    dataDir: getPutCallDataDir(),
+    types,
+    schedulerRunning: !!refreshTimer
+  };
+}
+
+/**
+ * Import local CSVs, then keep the series current from CBOE daily stats
+ * (set PUTCALL_AUTO_DOWNLOAD=false to work from local files only)
+ */
+function startPutCallImporter(intervalMs = REFRESH_INTERVAL) {
+  if (refreshTimer) return;
+
+  const local = importPutCallDirectory();
+  if (local.length > 0) {
+    const added = local.reduce((sum, r) => sum + (r.added || 0), 0);
+    console.log(`[Put/Call] Imported ${local.length} local CSV file(s), ${added} new days`);
+  }
+
+  if (process.env.PUTCALL_AUTO_DOWNLOAD === 'false') return;
+
+  const run = () => refreshPutCallData()
+    .then(results => {
+      if (results.length > 0) console.log(`[Put/Call] Added ${results.length} daily ratio(s)`);
+    })
+    .catch(error => console.error('[Put/Call] Refresh failed:', error.message));
+
+  run();
+  refreshTimer = setInterval(run, intervalMs);
+  refreshTimer.unref?.();
+}
+
+function stopPutCallImporter() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+export {
+  parsePutCallCSV,
+  importPutCallCSV,
+  importPutCallFile,
+  importPutCallDirectory,
+  recordPutCallDay,
+  getPutCallSeries,
+  downloadPutCallCSV,
+  fetchCBOEDailyRatios,
+  refreshPutCallData,
+  getPutCallImportStatus,
+  startPutCallImporter,
+  stopPutCallImporter,
+  PUT_CALL_TYPES
+};
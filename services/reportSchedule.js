@@ -3,9 +3,14 @@
  * From INSTRUMENT_DRIVERS_REFERENCE.md
  *
  * Provides the AI agents with awareness of upcoming reports
- * so they can factor in event risk and volatility expectations
+ * so they can factor in event risk and volatility expectations.
+ * Dates come from the calendar engine (economicCalendar.js) via each
+ * entry's event key; entries without one are reference only.
  */
 
+import { getEconomicCalendar, toCalendarDate, CALENDAR_EVENTS } from './economicCalendar.js';
+import { getMarketDay } from './marketCalendar.js';
+
 // ============================================================================
 // WEEKLY RECURRING REPORTS
 // ============================================================================
@@ -15,6 +20,7 @@ const WEEKLY_REPORTS = {
     {
       time: '16:00 ET',
       report: 'USDA Crop Progress',
+      event: 'CROP_PROGRESS',
       affects: ['ZC', 'ZS', 'ZW'],
       season: 'Apr-Nov',
       impact: 'HIGH',
@@ -25,6 +31,7 @@ const WEEKLY_REPORTS = {
     {
       time: '16:30 ET',
       report: 'API Crude Inventory',
+      event: 'API_INVENTORY',
       affects: ['CL', 'RB'],
       impact: 'MEDIUM',
       description: 'Preview of Wednesday EIA data - sets overnight tone'
@@ -34,6 +41,7 @@ const WEEKLY_REPORTS = {
     {
       time: '10:30 ET',
       report: 'EIA Petroleum Status',
+      event: 'EIA_PETROLEUM',
       affects: ['CL', 'NG', 'RB'],
       impact: 'VERY_HIGH',
       description: 'Official crude/gas inventory - Draw = bullish, Build = bearish'
@@ -43,6 +51,7 @@ const WEEKLY_REPORTS = {
     {
       time: '08:30 ET',
       report: 'USDA Export Sales',
+      event: 'EXPORT_SALES',
       affects: ['ZC', 'ZS', 'ZW'],
       impact: 'MEDIUM',
       description: 'Weekly export data - large sales flash = bullish'
@@ -50,6 +59,7 @@ const WEEKLY_REPORTS = {
     {
       time: '10:30 ET',
       report: 'EIA Natural Gas Storage',
+      event: 'EIA_NATGAS',
       affects: ['NG'],
       impact: 'VERY_HIGH',
       description: 'Weekly storage injection/draw vs expectations'
@@ -59,14 +69,15 @@ const WEEKLY_REPORTS = {
     {
       time: '08:30 ET',
       report: 'US Employment / NFP',
+      event: 'NFP',
       affects: ['ES', 'NQ', 'YM', 'RTY', 'DX', 'GC', '6E', '6J'],
       impact: 'VERY_HIGH',
-      description: 'Non-Farm Payrolls - 1st Friday only',
-      condition: 'first_friday'
+      description: 'Non-Farm Payrolls - 1st Friday only'
     },
     {
       time: '13:00 ET',
       report: 'Baker Hughes Rig Count',
+      event: 'BAKER_HUGHES',
       affects: ['CL', 'NG'],
       impact: 'MEDIUM',
       description: 'US oil/gas rig count - production capacity indicator'
@@ -74,6 +85,7 @@ const WEEKLY_REPORTS = {
     {
       time: '15:30 ET',
       report: 'CFTC COT Report',
+      event: 'CFTC_COT',
       affects: ['ALL'],
       impact: 'LOW',
       description: 'Commitments of Traders positioning data'
@@ -88,6 +100,7 @@ const WEEKLY_REPORTS = {
 const MONTHLY_REPORTS = [
   {
     report: 'USDA WASDE',
+    event: 'WASDE',
     affects: ['ZC', 'ZS', 'ZW', 'ZM', 'ZL'],
     day: '~12th',
     impact: 'VERY_HIGH',
@@ -95,6 +108,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'US CPI',
+    event: 'CPI',
     affects: ['ES', 'NQ', 'GC', 'DX', 'ZN', '6E', '6J'],
     day: '~13th',
     time: '08:30 ET',
@@ -103,6 +117,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'US PPI',
+    event: 'PPI',
     affects: ['ES', 'CL', 'DX'],
     day: '~14th',
     time: '08:30 ET',
@@ -111,6 +126,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'US Retail Sales',
+    event: 'RETAIL_SALES',
     affects: ['ES', 'YM', 'RTY'],
     day: '~15th',
     time: '08:30 ET',
@@ -119,6 +135,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'OPEC Monthly Report',
+    event: 'OPEC_MOMR',
     affects: ['CL', 'NG', 'RB'],
     day: 'varies',
     impact: 'HIGH',
@@ -126,6 +143,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'USDA Cattle on Feed',
+    event: 'CATTLE_ON_FEED',
     affects: ['LE'],
     day: '3rd_friday',
     impact: 'VERY_HIGH',
@@ -133,13 +151,15 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'China PMI',
+    event: 'CHINA_PMI',
     affects: ['HG', '6A', 'ZS', 'GC'],
-    day: '1st',
+    day: 'last',
     impact: 'HIGH',
     description: 'Manufacturing PMI - copper/commodity demand proxy'
   },
   {
     report: 'German IFO',
+    event: 'GERMAN_IFO',
     affects: ['DAX', '6E', 'STOXX'],
     day: '~25th',
     impact: 'MEDIUM',
@@ -147,6 +167,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'US PCE',
+    event: 'PCE',
     affects: ['ES', 'NQ', 'GC', 'DX'],
     day: 'last_friday',
     time: '08:30 ET',
@@ -155,6 +176,7 @@ const MONTHLY_REPORTS = [
   },
   {
     report: 'EIA Short-Term Energy Outlook',
+    event: 'EIA_STEO',
     affects: ['CL', 'NG'],
     day: 'varies',
     impact: 'MEDIUM',
@@ -169,18 +191,22 @@ const MONTHLY_REPORTS = [
 const QUARTERLY_REPORTS = [
   {
     report: 'US GDP',
+    event: 'GDP',
+    phase: 'Advance', // Second / third estimates move far less
     affects: ['ES', 'NQ', 'YM', 'RTY', 'DX'],
     impact: 'VERY_HIGH',
     description: 'Advance estimate moves most'
   },
   {
     report: 'USDA Quarterly Stocks',
+    event: 'GRAIN_STOCKS',
     affects: ['ZC', 'ZS', 'ZW'],
     impact: 'HIGH',
     description: 'Grain stocks on hand'
   },
   {
     report: 'USDA Hogs & Pigs',
+    event: 'HOGS_AND_PIGS',
     affects: ['HE'],
     impact: 'VERY_HIGH',
     description: 'Breeding herd size, pig crop'
@@ -200,6 +226,7 @@ const QUARTERLY_REPORTS = [
 const ANNUAL_REPORTS = [
   {
     report: 'USDA Planting Intentions',
+    event: 'PROSPECTIVE_PLANTINGS',
     affects: ['ZC', 'ZS', 'ZW'],
     date: 'March 31',
     impact: 'VERY_HIGH',
@@ -213,6 +240,8 @@ const ANNUAL_REPORTS = [
 
 const CENTRAL_BANK_SCHEDULE = {
   FOMC: {
+    report: 'FOMC Rate Decision',
+    event: 'FOMC',
     meetings: 8,
     affects: ['ES', 'NQ', 'YM', 'RTY', 'GC', 'DX', 'ZN', '6E', '6J'],
     impact: 'VERY_HIGH',
@@ -261,41 +290,19 @@ const CENTRAL_BANK_SCHEDULE = {
 // ============================================================================
 
 /**
- * Get the day of week name
+ * Get the day of week name (New York calendar day)
  */
 function getDayOfWeek(date = new Date()) {
   const days = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
-  return days[date.getDay()];
-}
-
-/**
- * Check if today is the first Friday of the month
- */
-function isFirstFriday(date = new Date()) {
-  return date.getDay() === 5 && date.getDate() <= 7;
-}
-
-/**
- * Check if today is the third Friday of the month
- */
-function isThirdFriday(date = new Date()) {
-  return date.getDay() === 5 && date.getDate() >= 15 && date.getDate() <= 21;
+  return days[new Date(`${toCalendarDate(date)}T12:00:00Z`).getUTCDay()];
 }
 
 /**
- * Check if today is the last Friday of the month
- */
-function isLastFriday(date = new Date()) {
-  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
-  return date.getDay() === 5 && date.getDate() > lastDay - 7;
-}
-
-/**
- * Check if we're in crop reporting season (Apr-Nov)
+ * Check if we're in crop reporting season (Crop Progress months, Apr-Nov)
  */
 function isCropSeason(date = new Date()) {
-  const month = date.getMonth(); // 0-indexed
-  return month >= 3 && month <= 10; // April (3) through November (10)
+  const month = Number(toCalendarDate(date).slice(5, 7));
+  return CALENDAR_EVENTS.CROP_PROGRESS.months.includes(month);
 }
 
 /**
@@ -304,47 +311,34 @@ function isCropSeason(date = new Date()) {
  * @returns {Array} - Array of reports scheduled for today
  */
 function getTodaysReports(date = new Date()) {
-  const dayOfWeek = getDayOfWeek(date);
-  const dayOfMonth = date.getDate();
-  const reports = [];
+  const day = toCalendarDate(date);
+  const scheduled = getEconomicCalendar({ from: day, to: day, now: date });
+
+  const entries = [
+    ...Object.values(WEEKLY_REPORTS).flat().map(report => ({ report, type: 'WEEKLY' })),
+    ...MONTHLY_REPORTS.map(report => ({ report, type: 'MONTHLY' })),
+    ...QUARTERLY_REPORTS.map(report => ({ report, type: 'QUARTERLY' })),
+    ...ANNUAL_REPORTS.map(report => ({ report, type: 'ANNUAL' })),
+    ...Object.values(CENTRAL_BANK_SCHEDULE).map(report => ({ report, type: 'CENTRAL_BANK' }))
+  ];
 
-  // Add weekly reports for today's day of week
-  const dailyReports = WEEKLY_REPORTS[dayOfWeek] || [];
-  dailyReports.forEach(report => {
-    // Check conditions
-    if (report.condition === 'first_friday' && !isFirstFriday(date)) return;
-    if (report.season === 'Apr-Nov' && !isCropSeason(date)) return;
+  const reports = [];
+  for (const { report, type } of entries) {
+    const occurrence = report.event && scheduled.find(o =>
+      o.event === report.event && (!report.phase || o.phase === report.phase)
+    );
+    if (!occurrence) continue;
 
     reports.push({
       ...report,
-      type: 'WEEKLY',
-      isToday: true
+      time: occurrence.time ? `${occurrence.time} ET` : report.time,
+      type,
+      isToday: true,
+      scheduleSource: occurrence.source
     });
-  });
-
-  // Check monthly reports (approximate matching)
-  MONTHLY_REPORTS.forEach(report => {
-    let isLikelyToday = false;
-
-    if (report.day === '~12th' && dayOfMonth >= 10 && dayOfMonth <= 14) isLikelyToday = true;
-    if (report.day === '~13th' && dayOfMonth >= 11 && dayOfMonth <= 15) isLikelyToday = true;
-    if (report.day === '~14th' && dayOfMonth >= 12 && dayOfMonth <= 16) isLikelyToday = true;
-    if (report.day === '~15th' && dayOfMonth >= 13 && dayOfMonth <= 17) isLikelyToday = true;
-    if (report.day === '~25th' && dayOfMonth >= 23 && dayOfMonth <= 27) isLikelyToday = true;
-    if (report.day === '1st' && dayOfMonth === 1) isLikelyToday = true;
-    if (report.day === '3rd_friday' && isThirdFriday(date)) isLikelyToday = true;
-    if (report.day === 'last_friday' && isLastFriday(date)) isLikelyToday = true;
-
-    if (isLikelyToday) {
-      reports.push({
-        ...report,
-        type: 'MONTHLY',
-        isLikelyToday: true
-      });
-    }
-  });
+  }
 
-  return reports;
+  return reports.sort((a, b) => (a.time || '99:99').localeCompare(b.time || '99:99'));
 }
 
 /**
@@ -416,13 +410,17 @@ function getEventRiskSummary(date = new Date()) {
     });
   });
 
-  // Special day flags
-  const isNFPDay = isFirstFriday(date);
-  const isEIADay = dayOfWeek === 'WEDNESDAY';
-  const isNGStorageDay = dayOfWeek === 'THURSDAY';
+  // Special day flags (holiday weeks move EIA off Wednesday / Thursday)
+  const isNFPDay = reports.some(r => r.event === 'NFP');
+  const isEIADay = reports.some(r => r.event === 'EIA_PETROLEUM');
+  const isNGStorageDay = reports.some(r => r.event === 'EIA_NATGAS');
+
+  // Exchange holidays and 13:00 ET early closes
+  const globex = getMarketDay(date);
+  const nyse = getMarketDay(date, 'NYSE');
 
   return {
-    date: date.toISOString().split('T')[0],
+    date: toCalendarDate(date),
     dayOfWeek,
     riskLevel,
     reportCount: reports.length,
@@ -434,18 +432,29 @@ function getEventRiskSummary(date = new Date()) {
       isNFPDay,
       isEIADay,
       isNGStorageDay,
-      isCropSeason: isCropSeason(date)
+      isCropSeason: isCropSeason(date),
+      marketStatus: globex.status,
+      equityMarketStatus: nyse.status,
+      holiday: nyse.holiday || globex.holiday
     },
-    warnings: generateWarnings(reports, riskLevel)
+    warnings: generateWarnings(reports, riskLevel, { globex, nyse })
   };
 }
 
 /**
- * Generate warnings based on scheduled reports
+ * Generate warnings based on scheduled reports and the exchange calendar
  */
-function generateWarnings(reports, riskLevel) {
+function generateWarnings(reports, riskLevel, market = null) {
   const warnings = [];
 
+  if (market?.globex.status === 'CLOSED' && market.globex.holiday) {
+    warnings.push(`MARKET_HOLIDAY — ${market.globex.holiday}, CME Globex and NYSE closed`);
+  } else if (market?.nyse.status === 'CLOSED' && market.nyse.holiday) {
+    warnings.push(`MARKET_CLOSED — ${market.nyse.holiday}, NYSE closed, Globex halts at ${market.globex.closeTime} ET`);
+  } else if (market?.nyse.status === 'EARLY_CLOSE') {
+    warnings.push(`EARLY_CLOSE — ${market.nyse.holiday}, markets close at ${market.nyse.closeTime} ET, thin liquidity`);
+  }
+
   if (riskLevel === 'EXTREME' || riskLevel === 'HIGH') {
     warnings.push('HIGH_EVENT_RISK — Multiple market-moving reports today');
   }
@@ -466,6 +475,9 @@ function generateWarnings(reports, riskLevel) {
     if (r.report === 'USDA WASDE') {
       warnings.push('WASDE_DAY — Major grain report, expect ag volatility');
     }
+    if (r.report === 'FOMC Rate Decision') {
+      warnings.push('FOMC_DAY — Rate decision at 2:00 PM ET, press conference 2:30 PM ET');
+    }
   });
 
   return warnings;
@@ -478,7 +490,8 @@ function formatReportsForPrompt(date = new Date()) {
   const summary = getEventRiskSummary(date);
 
   if (summary.reports.length === 0) {
-    return `EVENT RISK: ${summary.riskLevel} — No major reports scheduled today (${summary.dayOfWeek})`;
+    const holiday = summary.warnings.length > 0 ? `\n⚠️ ${summary.warnings.join('\n⚠️ ')}` : '';
+    return `EVENT RISK: ${summary.riskLevel} — No major reports scheduled today (${summary.dayOfWeek})${holiday}`;
   }
 
   let prompt = `EVENT RISK: ${summary.riskLevel} (${summary.dayOfWeek})\n`;
@@ -510,9 +523,6 @@ export {
   getReportsForSymbol,
   getEventRiskSummary,
   formatReportsForPrompt,
-  isFirstFriday,
-  isThirdFriday,
-  isLastFriday,
   isCropSeason,
   getDayOfWeek
 };
@@ -4,25 +4,57 @@
 // Supports: ICT Model Scanner + Order Flow Scanner
 // ============================================================================
 
-// In-memory store for scanner data (resets on server restart)
-// For production, consider using Redis or a database
-const ictScannerData = new Map();    // ICT Model Scanner data
-const orderFlowData = new Map();      // Order Flow Scanner data
-const lastUpdates = new Map();
+import { getCollection } from './persistence.js';
+import { getTradingDate, MAX_HISTORY_DAYS } from './sessionEngine.js';
+import { validateWebhookPayload } from './webhookSchemas.js';
+import { authenticateWebhook, registerReplayKey } from './webhookAuth.js';
+import { publishEvent } from './eventStream.js';
+
+// Persisted store for scanner data (survives server restarts)
+const ictScannerData = getCollection('scanner_ict');       // ICT Model Scanner data
+const orderFlowData = getCollection('scanner_orderflow');  // Order Flow Scanner data
+const lastUpdates = getCollection('scanner_updates');
+const scannerHistory = getCollection('scanner_history');   // Last entry per symbol per trading day (same retention as session history)
 
 /**
  * Process incoming webhook from TradingView
- * Detects scanner type and routes appropriately
+ * Authenticates, validates against the scanner's schema, then routes
  * @param {Object} payload - JSON payload from TradingView alert
- * @returns {Object} - Processed scanner data
+ * @param {Object} headers - Request headers (for X-Webhook-* auth values)
+ * @returns {Object} - Processed scanner data, or { error, statusCode, code, ... }
  */
-export function processWebhook(payload) {
+export function processWebhook(payload, headers = {}) {
   try {
     // Detect scanner type
     const scannerType = detectScannerType(payload);
 
     console.log(`[Webhook] Received ${scannerType} scanner data`);
 
+    // The secret belongs to the store being written, whatever type the payload claims
+    const auth = authenticateWebhook(getDestinationStore(scannerType), payload, headers);
+    if (!auth.ok) {
+      console.warn(`[Webhook] Rejected ${scannerType}: ${auth.code}`);
+      const { ok, ...error } = auth;
+      return { ...error, scannerType };
+    }
+
+    const schemaName = getSchemaName(scannerType, payload);
+    const errors = validateWebhookPayload(schemaName, payload);
+    if (errors.length > 0) {
+      console.warn(`[Webhook] Invalid ${schemaName} payload: ${errors.map(e => e.field).join(', ')}`);
+      return {
+        error: 'Invalid payload',
+        statusCode: 422,
+        code: 'SCHEMA_VALIDATION',
+        scannerType,
+        schema: schemaName,
+        message: `${errors[0].field} ${errors[0].message}`,
+        details: errors
+      };
+    }
+
+    registerReplayKey(auth.replayKey);
+
     if (scannerType === 'ict') {
       return processICTWebhook(payload);
     } else if (scannerType === 'orderflow') {
@@ -42,14 +74,13 @@ export function processWebhook(payload) {
 
 /**
  * Detect which scanner type sent the webhook
+ * An explicit scanner_type is preferred; field sniffing remains for older alerts
  */
 function detectScannerType(payload) {
   // Check for explicit scanner type
-  if (payload.scanner_type === 'ict' || payload.scannerType === 'ict') {
-    return 'ict';
-  }
-  if (payload.scanner_type === 'orderflow' || payload.scannerType === 'orderflow') {
-    return 'orderflow';
+  const declared = payload.scanner_type || payload.scannerType;
+  if (['ict', 'orderflow', 'batch', 'legacy'].includes(declared)) {
+    return declared;
   }
 
   // Check for batch data array
@@ -64,13 +95,31 @@ function detectScannerType(payload) {
   if (payload.dayPos || payload.weekPos || payload.sweepStatus || payload.obZone || payload.structure) {
     return 'ict';
   }
-  if (payload.vaZone || payload.vwapZone || payload.pocPos || payload.delta || payload.absorp || payload.pressure) {
+  if (payload.vaZone || payload.vwapZone || payload.pocPos || payload.delta !== undefined || payload.absorp || payload.pressure) {
     return 'orderflow';
   }
 
   return 'legacy';
 }
 
+/**
+ * Store a scanner type writes to (batch and legacy payloads are kept with ICT)
+ */
+function getDestinationStore(scannerType) {
+  return scannerType === 'orderflow' ? 'orderflow' : 'ict';
+}
+
+/**
+ * Map a scanner type to its schema (ICT/Order Flow also come in batch form)
+ */
+function getSchemaName(scannerType, payload) {
+  const isBatch = Array.isArray(payload.data) || Array.isArray(payload.d);
+  if ((scannerType === 'ict' || scannerType === 'orderflow') && isBatch) {
+    return `${scannerType}_batch`;
+  }
+  return scannerType;
+}
+
 // ============================================================================
 // ICT MODEL SCANNER
 // ============================================================================
@@ -94,28 +143,27 @@ function processICTWebhook(payload) {
         scannerType: 'ict',
 
         // Price
-        price: parseFloat(item.p || item.price) || 0,
+        price: parseFloat(item.p ?? item.price),
         changePercent: parseFloat(item.c || item.change) || 0,
 
         // ICT Levels
-        dayPosition: item.day || item.dayPos || 'IN RANGE',
-        weekPosition: item.week || item.weekPos || 'IN RANGE',
+        dayPosition: item.day || item.dayPos,
+        weekPosition: item.week || item.weekPos,
 
         // Sweep
-        sweepStatus: item.sweep || item.sweepStatus || 'NONE',
+        sweepStatus: item.sweep || item.sweepStatus,
 
         // Order Block
-        obZone: item.ob || item.obZone || 'NONE',
+        obZone: item.ob || item.obZone,
 
         // Structure
-        structure: item.struct || item.structure || 'RANGING',
+        structure: item.struct || item.structure,
 
         // Bias
-        bias: item.bias || item.b || 'NEUT'
+        bias: item.bias || item.b
       };
 
-      ictScannerData.set(symbol, entry);
-      lastUpdates.set(`ict_${symbol}`, receivedAt);
+      saveEntry('ict', symbol, entry);
       results.push(entry);
 
       console.log(`[ICT] ${symbol}: ${entry.bias} | Day: ${entry.dayPosition} | Sweep: ${entry.sweepStatus}`);
@@ -135,18 +183,17 @@ function processICTWebhook(payload) {
     timestamp,
     receivedAt,
     scannerType: 'ict',
-    price: parseFloat(payload.price || payload.p) || 0,
+    price: parseFloat(payload.price ?? payload.p),
     changePercent: parseFloat(payload.change || payload.c) || 0,
-    dayPosition: payload.dayPos || payload.day || 'IN RANGE',
-    weekPosition: payload.weekPos || payload.week || 'IN RANGE',
-    sweepStatus: payload.sweepStatus || payload.sweep || 'NONE',
-    obZone: payload.obZone || payload.ob || 'NONE',
-    structure: payload.structure || payload.struct || 'RANGING',
-    bias: payload.bias || payload.b || 'NEUT'
+    dayPosition: payload.dayPos || payload.day,
+    weekPosition: payload.weekPos || payload.week,
+    sweepStatus: payload.sweepStatus || payload.sweep,
+    obZone: payload.obZone || payload.ob,
+    structure: payload.structure || payload.struct,
+    bias: payload.bias || payload.b
   };
 
-  ictScannerData.set(symbol, entry);
-  lastUpdates.set(`ict_${symbol}`, receivedAt);
+  saveEntry('ict', symbol, entry);
 
   console.log(`[ICT] ${symbol}: ${entry.bias} | Day: ${entry.dayPosition} | Sweep: ${entry.sweepStatus}`);
 
@@ -176,33 +223,32 @@ function processOrderFlowWebhook(payload) {
         scannerType: 'orderflow',
 
         // Price
-        price: parseFloat(item.p || item.price) || 0,
+        price: parseFloat(item.p ?? item.price),
         changePercent: parseFloat(item.c || item.change) || 0,
 
         // Value Area
-        vaZone: item.va || item.vaZone || 'IN VA',
+        vaZone: item.va || item.vaZone,
 
         // VWAP
-        vwapZone: item.vwap || item.vwapZone || 'ABOVE',
+        vwapZone: item.vwap || item.vwapZone,
 
         // POC
-        pocPosition: item.poc || item.pocPos || 'ABOVE POC',
+        pocPosition: item.poc || item.pocPos,
 
         // Delta
-        delta: item.delta || item.d || 'NEUT',
+        delta: parseFloat(item.delta ?? item.d),
 
         // Volume
-        volumeStatus: item.vol || item.volStatus || 'NORM',
+        volumeStatus: item.vol || item.volStatus,
 
         // Absorption
-        absorption: item.abs || item.absorp || 'NONE',
+        absorption: item.abs || item.absorp,
 
         // Pressure
-        pressure: item.press || item.pressure || 'NEUT'
+        pressure: item.press || item.pressure
       };
 
-      orderFlowData.set(symbol, entry);
-      lastUpdates.set(`of_${symbol}`, receivedAt);
+      saveEntry('orderflow', symbol, entry);
       results.push(entry);
 
       console.log(`[OF] ${symbol}: ${entry.pressure} | VA: ${entry.vaZone} | Delta: ${entry.delta}`);
@@ -222,19 +268,18 @@ function processOrderFlowWebhook(payload) {
     timestamp,
     receivedAt,
     scannerType: 'orderflow',
-    price: parseFloat(payload.price || payload.p) || 0,
+    price: parseFloat(payload.price ?? payload.p),
     changePercent: parseFloat(payload.change || payload.c) || 0,
-    vaZone: payload.vaZone || payload.va || 'IN VA',
-    vwapZone: payload.vwapZone || payload.vwap || 'ABOVE',
-    pocPosition: payload.pocPos || payload.poc || 'ABOVE POC',
-    delta: payload.delta || payload.d || 'NEUT',
-    volumeStatus: payload.volStatus || payload.vol || 'NORM',
-    absorption: payload.absorp || payload.abs || 'NONE',
-    pressure: payload.pressure || payload.press || 'NEUT'
+    vaZone: payload.vaZone || payload.va,
+    vwapZone: payload.vwapZone || payload.vwap,
+    pocPosition: payload.pocPos || payload.poc,
+    delta: parseFloat(payload.delta ?? payload.d),
+    volumeStatus: payload.volStatus || payload.vol,
+    absorption: payload.absorp || payload.abs,
+    pressure: payload.pressure || payload.press
   };
 
-  orderFlowData.set(symbol, entry);
-  lastUpdates.set(`of_${symbol}`, receivedAt);
+  saveEntry('orderflow', symbol, entry);
 
   console.log(`[OF] ${symbol}: ${entry.pressure} | VA: ${entry.vaZone} | Delta: ${entry.delta}`);
 
@@ -264,26 +309,27 @@ function processBatchWebhook(payload) {
       scannerPart: scannerNum,
 
       // Price
-      price: parseFloat(item.p || item.price) || 0,
+      price: parseFloat(item.p ?? item.price),
       changePercent: parseFloat(item.c || item.change) || 0,
 
       // Bias
-      bias: item.b || item.bias || 'NEUT',
-
-      // Additional fields if present
-      maPosition: item.ma || 'MIXED',
-      vwapPosition: item.vw || 'ABOVE',
-      adxStatus: item.adx || 'RANGE',
-      volumeStatus: item.vol || 'NORM',
-      trend: item.tr || 'FLAT'
+      bias: item.b || item.bias,
+
+      // Additional fields - null (and listed in missingFields) when not sent
+      maPosition: item.ma ?? null,
+      vwapPosition: item.vw ?? null,
+      adxStatus: item.adx ?? null,
+      volumeStatus: item.vol ?? null,
+      trend: item.tr ?? null,
+      missingFields: listMissingFields(item, BATCH_OPTIONAL_FIELDS)
     };
 
     // Store in ICT data (main scanner)
-    ictScannerData.set(symbol, entry);
-    lastUpdates.set(`ict_${symbol}`, receivedAt);
+    saveEntry('ict', symbol, entry);
     results.push(entry);
 
     console.log(`[MULTI-${scannerNum}] ${symbol}: ${entry.bias} | Trend: ${entry.trend}`);
+    warnMissingFields(`MULTI-${scannerNum}`, entry);
   }
 
   return { type: 'multi', scanner: scannerNum, count: results.length, data: results };
@@ -306,54 +352,57 @@ function processLegacyWebhook(payload) {
     receivedAt: Date.now(),
     scannerType: 'legacy',
 
-    price: parseFloat(payload.price) || 0,
-    change: parseFloat(payload.change) || 0,
-    changePercent: parseFloat(payload.change_pct) || 0,
+    // Optional fields are null (and listed in missingFields) when not sent
+    price: parseFloat(payload.price),
+    change: optionalNumber(payload.change),
+    changePercent: optionalNumber(payload.change_pct),
 
     adx: {
-      value: parseFloat(payload.adx_value) || 0,
-      status: payload.adx_status || 'UNKNOWN'
+      value: optionalNumber(payload.adx_value),
+      status: payload.adx_status ?? null
     },
 
     ema: {
-      ema21: parseFloat(payload.ema21) || 0,
-      ema55: parseFloat(payload.ema55) || 0,
-      status: payload.ema_status || 'UNKNOWN'
+      ema21: optionalNumber(payload.ema21),
+      ema55: optionalNumber(payload.ema55),
+      status: payload.ema_status ?? null
     },
 
     vwap: {
-      value: parseFloat(payload.vwap) || 0,
-      zone: payload.vwap_zone || 'UNKNOWN'
+      value: optionalNumber(payload.vwap),
+      zone: payload.vwap_zone ?? null
     },
 
     volume: {
-      ratio: parseFloat(payload.vol_ratio) || 1,
-      status: payload.vol_status || 'NORMAL'
+      ratio: optionalNumber(payload.vol_ratio),
+      status: payload.vol_status ?? null
     },
 
     levels: {
-      pdh: parseFloat(payload.pdh) || 0,
-      pdl: parseFloat(payload.pdl) || 0,
-      onh: parseFloat(payload.onh) || 0,
-      onl: parseFloat(payload.onl) || 0
+      pdh: optionalNumber(payload.pdh),
+      pdl: optionalNumber(payload.pdl),
+      onh: optionalNumber(payload.onh),
+      onl: optionalNumber(payload.onl)
     },
 
     sweep: {
-      detected: payload.sweep_detected === true || payload.sweep_detected === 'true',
-      type: payload.sweep_type || 'NONE'
+      detected: payload.sweep_detected == null ? null : payload.sweep_detected === true || payload.sweep_detected === 'true',
+      type: payload.sweep_type ?? null
     },
 
-    bias: payload.bias || 'NEUTRAL',
+    bias: payload.bias,
     score: {
-      total: parseInt(payload.total_score) || 0,
-      grade: payload.grade || 'F'
-    }
+      total: payload.total_score == null ? null : parseInt(payload.total_score),
+      grade: payload.grade ?? null
+    },
+
+    missingFields: listMissingFields(payload, LEGACY_OPTIONAL_FIELDS)
   };
 
-  ictScannerData.set(symbol, entry);
-  lastUpdates.set(`ict_${symbol}`, Date.now());
+  saveEntry('ict', symbol, entry);
 
   console.log(`[Legacy] ${symbol}: Score ${entry.score.total} (${entry.score.grade}) | Bias: ${entry.bias}`);
+  warnMissingFields('Legacy', entry);
 
   return { type: 'legacy', data: entry };
 }
@@ -362,6 +411,53 @@ function processLegacyWebhook(payload) {
 // HELPER FUNCTIONS
 // ============================================================================
 
+// Fields the batch and legacy formats may omit (stored as null, never defaulted)
+const BATCH_OPTIONAL_FIELDS = ['ma', 'vw', 'adx', 'vol', 'tr'];
+const LEGACY_OPTIONAL_FIELDS = [
+  'change', 'change_pct', 'adx_value', 'adx_status', 'ema21', 'ema55', 'ema_status',
+  'vwap', 'vwap_zone', 'vol_ratio', 'vol_status', 'pdh', 'pdl', 'onh', 'onl',
+  'sweep_detected', 'sweep_type', 'total_score', 'grade'
+];
+
+function optionalNumber(value) {
+  return value === undefined || value === null || value === '' ? null : parseFloat(value);
+}
+
+function listMissingFields(source, fields) {
+  return fields.filter(field => source[field] === undefined || source[field] === null || source[field] === '');
+}
+
+function warnMissingFields(tag, entry) {
+  if (entry.missingFields.length > 0) {
+    console.warn(`[${tag}] ${entry.symbol} missing ${entry.missingFields.join(', ')}`);
+  }
+}
+
+/**
+ * Store the latest entry for a symbol and record it in the trading day's history
+ * @param {string} type - 'ict' or 'orderflow'
+ */
+function saveEntry(type, symbol, entry) {
+  const store = type === 'orderflow' ? orderFlowData : ictScannerData;
+  const prefix = type === 'orderflow' ? 'of' : 'ict';
+
+  store.set(symbol, entry);
+  lastUpdates.set(`${prefix}_${symbol}`, entry.receivedAt);
+
+  const date = getTradingDate(new Date(entry.receivedAt));
+  const day = scannerHistory.get(date) || { ict: {}, orderflow: {} };
+  day[type][symbol] = entry;
+  scannerHistory.set(date, day);
+
+  // Trim oldest days
+  const dates = Array.from(scannerHistory.keys()).sort();
+  while (dates.length > MAX_HISTORY_DAYS) {
+    scannerHistory.delete(dates.shift());
+  }
+
+  publishEvent('scanner', symbol, entry);
+}
+
 /**
  * Normalize symbol names from TradingView format
  */
@@ -592,7 +688,33 @@ export function getScannerSummary() {
 }
 
 /**
- * Clear all scanner data
+ * Get scanner entries recorded on past trading days
+ * @param {string} date - Trading date (YYYY-MM-DD); omit for the list of available dates
+ * @param {string} symbol - Optional symbol filter
+ */
+export function getScannerHistory(date = null, symbol = null) {
+  if (!date) {
+    return { dates: Array.from(scannerHistory.keys()).sort().reverse() };
+  }
+
+  const day = scannerHistory.get(date);
+  if (!day) return null;
+
+  if (symbol) {
+    const normalized = normalizeSymbol(symbol);
+    return {
+      date,
+      symbol: normalized,
+      ict: day.ict[normalized] || null,
+      orderflow: day.orderflow[normalized] || null
+    };
+  }
+
+  return { date, ...day };
+}
+
+/**
+ * Clear all scanner data (history of past days is kept)
  */
 export function clearScannerData() {
   ictScannerData.clear();
@@ -608,5 +730,6 @@ export default {
   getOrderFlowScannerData,
   getScannerData,
   getScannerSummary,
+  getScannerHistory,
   clearScannerData
 };
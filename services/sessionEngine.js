@@ -7,14 +7,26 @@
  * - US_PRE:     08:00 - 09:30
  * - US_RTH:     09:30 - 16:00
  * - SETTLEMENT: 16:00 - 17:00
- * - CLOSED:     Fri 17:00 - Sun 18:00
+ * - WEEKEND:    Fri 17:00 - Sun 18:00
+ * - CLOSED:     exchange holiday (Globex halted - see marketCalendar.js)
+ *
+ * Holiday early closes (13:00 ET) keep the normal sessions with
+ * status SHORTENED until the halt, then CLOSED until the 18:00 reopen.
  *
  * IB Windows (60 minutes each):
  * - ASIA IB:   18:00 - 19:00 ET
  * - LONDON IB: 02:00 - 03:00 ET
  * - US IB:     09:30 - 10:30 ET
+ *
+ * The session clock (startSessionScheduler) completes IBs when their window
+ * closes, archives each finished session per trading day, and resets a
+ * session's levels when it opens again.
  */
 
+import { getCollection } from './persistence.js';
+import { publishEvent } from './eventStream.js';
+import { getMarketDay, EARLY_CLOSE_TIME } from './marketCalendar.js';
+
 const SESSION_CONFIG = {
   ASIA: {
     name: 'Asia',
@@ -75,27 +87,114 @@ const SESSION_CONFIG = {
     ibDuration: 0,
     focus: [],
     description: 'Markets closed'
+  },
+  CLOSED: {
+    name: 'Holiday Closed',
+    emoji: '⛔',
+    start: null,
+    end: null,
+    crossesMidnight: false,
+    ibDuration: 0,
+    focus: [],
+    description: 'Exchange holiday - Globex halted until 18:00 ET'
   }
 };
 
-// Store session levels (updated throughout session)
-let sessionLevels = {
-  ASIA: { high: null, low: null, open: null, close: null, delta: 0, volume: 0, sweeps: [] },
-  LONDON: { high: null, low: null, open: null, close: null, delta: 0, volume: 0, sweeps: [] },
-  US_RTH: { high: null, low: null, open: null, close: null, delta: 0, volume: 0, sweeps: [] }
-};
+// Store session levels per symbol (updated throughout session)
+// Shape: { ES: { ASIA: {...}, LONDON: {...}, US_RTH: {...} }, NQ: {...} }
+const sessionLevels = {};
 
-// Store IB (Initial Balance) levels
-let ibLevels = {
-  ASIA: { high: null, low: null, complete: false },
-  LONDON: { high: null, low: null, complete: false },
-  US_RTH: { high: null, low: null, complete: false }
-};
+// Store IB (Initial Balance) levels per symbol
+// Shape: { ES: { ASIA: {...}, LONDON: {...}, US_RTH: {...} }, NQ: {...} }
+const ibLevels = {};
+
+// Persisted copy of both, keyed by symbol - restored on startup
+const sessionStore = getCollection('session_levels');
+for (const [symbol, state] of sessionStore) {
+  sessionLevels[symbol] = state.sessions;
+  ibLevels[symbol] = state.initialBalances;
+}
+
+// Sessions that track their own range/IB
+const TRACKED_SESSIONS = ['ASIA', 'LONDON', 'US_RTH'];
+
+function createEmptySessionLevels() {
+  return { high: null, low: null, open: null, close: null, delta: 0, volume: 0, sweeps: [] };
+}
+
+function createEmptyIBLevels() {
+  return { high: null, low: null, complete: false };
+}
+
+/**
+ * Normalize symbol key (ES, NQ, CL...)
+ */
+function normalizeSymbol(symbol) {
+  if (!symbol || typeof symbol !== 'string') return null;
+  return symbol.trim().toUpperCase() || null;
+}
+
+/**
+ * Write a symbol's session/IB levels back to the store
+ */
+function persistSymbol(key) {
+  sessionStore.set(key, { sessions: sessionLevels[key], initialBalances: ibLevels[key] });
+}
+
+/**
+ * Get (and lazily create) the session/IB buckets for a symbol
+ */
+function getSymbolState(symbol) {
+  const key = normalizeSymbol(symbol);
+  if (!key) return null;
+
+  if (!sessionLevels[key]) {
+    sessionLevels[key] = {};
+    ibLevels[key] = {};
+    for (const sessionKey of TRACKED_SESSIONS) {
+      sessionLevels[key][sessionKey] = createEmptySessionLevels();
+      ibLevels[key][sessionKey] = createEmptyIBLevels();
+    }
+    persistSymbol(key);
+  }
+
+  return { sessions: sessionLevels[key], initialBalances: ibLevels[key] };
+}
+
+/**
+ * Get list of symbols that have session data
+ */
+function getTrackedSymbols() {
+  return Object.keys(sessionLevels);
+}
+
+/**
+ * Find the session whose SESSION_CONFIG window contains a time of day
+ * @param {number} timeValue - Minutes since midnight ET
+ */
+function getSessionKeyForTime(timeValue) {
+  for (const [key, config] of Object.entries(SESSION_CONFIG)) {
+    if (!config.start || !config.end) continue;
+
+    const start = config.start.hour * 60 + config.start.minute;
+    const end = config.end.hour * 60 + config.end.minute;
+    const inWindow = config.crossesMidnight
+      ? timeValue >= start || timeValue < end
+      : timeValue >= start && timeValue < end;
+
+    if (inWindow) return key;
+  }
+
+  // 17:00 - 18:00 daily maintenance break
+  return 'SETTLEMENT';
+}
 
 /**
  * Get current session based on time
+ * @param {Date} date - Time to evaluate (defaults to now)
+ * @param {string} symbol - Optional symbol to attach session/IB levels for
  */
-function getCurrentSession(date = new Date()) {
+function getCurrentSession(date = new Date(), symbol = null) {
   // Convert to ET timezone
   const et = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
   const day = et.getDay(); // 0 = Sunday
@@ -108,25 +207,36 @@ function getCurrentSession(date = new Date()) {
     return {
       ...SESSION_CONFIG.WEEKEND,
       key: 'WEEKEND',
+      status: 'CLOSED',
+      holiday: null,
+      closesAt: null,
       isIB: false,
       ibMinutesRemaining: 0
     };
   }
 
-  // Determine session
-  let sessionKey;
-  if (timeValue >= 18 * 60 || timeValue < 2 * 60) {
-    sessionKey = 'ASIA';
-  } else if (timeValue >= 2 * 60 && timeValue < 8 * 60) {
-    sessionKey = 'LONDON';
-  } else if (timeValue >= 8 * 60 && timeValue < 9 * 60 + 30) {
-    sessionKey = 'US_PRE';
-  } else if (timeValue >= 9 * 60 + 30 && timeValue < 16 * 60) {
-    sessionKey = 'US_RTH';
-  } else {
-    sessionKey = 'SETTLEMENT';
+  // Exchange holidays: closed all day, or halted after the 13:00 early close
+  // (the evening session already belongs to the next trading date)
+  const marketDay = getMarketDay(getTradingDate(date));
+  const [closeHour, closeMinute] = EARLY_CLOSE_TIME.split(':').map(Number);
+  const haltedEarly = marketDay.status === 'EARLY_CLOSE' && timeValue >= closeHour * 60 + closeMinute &&
+    timeValue < SESSION_CONFIG.ASIA.start.hour * 60;
+
+  if (marketDay.status === 'CLOSED' || haltedEarly) {
+    return {
+      ...SESSION_CONFIG.CLOSED,
+      key: 'CLOSED',
+      status: 'CLOSED',
+      holiday: marketDay.holiday,
+      closesAt: null,
+      isIB: false,
+      ibMinutesRemaining: 0
+    };
   }
 
+  // Determine session
+  const sessionKey = getSessionKeyForTime(timeValue);
+
   const session = SESSION_CONFIG[sessionKey];
 
   // Calculate IB status
@@ -150,68 +260,66 @@ function getCurrentSession(date = new Date()) {
     }
   }
 
+  const symbolKey = normalizeSymbol(symbol);
+
   return {
     ...session,
     key: sessionKey,
+    status: marketDay.status === 'EARLY_CLOSE' ? 'SHORTENED' : 'OPEN',
+    holiday: marketDay.holiday,
+    closesAt: marketDay.closeTime,
     isIB,
     ibMinutesRemaining,
     currentTime: et.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }),
-    levels: sessionLevels[sessionKey] || null,
-    ibLevels: ibLevels[sessionKey] || null
+    symbol: symbolKey,
+    levels: sessionLevels[symbolKey]?.[sessionKey] || null,
+    ibLevels: ibLevels[symbolKey]?.[sessionKey] || null
   };
 }
 
 /**
  * Get time until next session
+ * Walks forward on the half-hour grid every session edge sits on, so
+ * weekends, holiday closures and early closes give a real countdown.
  */
 function getNextSession(date = new Date()) {
   const current = getCurrentSession(date);
-  const et = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const timeValue = et.getHours() * 60 + et.getMinutes();
-
-  const sessionOrder = ['ASIA', 'LONDON', 'US_PRE', 'US_RTH', 'SETTLEMENT'];
-  const currentIndex = sessionOrder.indexOf(current.key);
-
-  let nextKey;
-  if (current.key === 'WEEKEND') {
-    nextKey = 'ASIA';
-  } else if (current.key === 'SETTLEMENT' || currentIndex === -1) {
-    nextKey = 'ASIA';
-  } else {
-    nextKey = sessionOrder[(currentIndex + 1) % sessionOrder.length];
-  }
+  const step = 30 * 60 * 1000;
+  const firstBoundary = Math.floor(date.getTime() / step) * step + step;
 
-  const nextSession = SESSION_CONFIG[nextKey];
+  // A holiday weekend (Good Friday, Christmas Monday...) is under 4 days
+  for (let time = firstBoundary; time < date.getTime() + 5 * 24 * 60 * 60 * 1000; time += step) {
+    const next = getCurrentSession(new Date(time));
+    if (next.key === current.key) continue;
 
-  // Calculate minutes until next session
-  let nextStartMinutes = nextSession.start.hour * 60 + nextSession.start.minute;
-  let minutesUntil;
+    const minutesUntil = Math.ceil((time - date.getTime()) / 60000);
+    const hoursUntil = Math.floor(minutesUntil / 60);
+    const minsUntil = minutesUntil % 60;
 
-  if (nextStartMinutes <= timeValue) {
-    // Next session is tomorrow
-    minutesUntil = (24 * 60 - timeValue) + nextStartMinutes;
-  } else {
-    minutesUntil = nextStartMinutes - timeValue;
+    return {
+      ...SESSION_CONFIG[next.key],
+      key: next.key,
+      status: next.status,
+      holiday: next.holiday,
+      minutesUntil,
+      countdown: `${hoursUntil}h ${minsUntil}m`
+    };
   }
 
-  const hoursUntil = Math.floor(minutesUntil / 60);
-  const minsUntil = minutesUntil % 60;
-
-  return {
-    ...nextSession,
-    key: nextKey,
-    minutesUntil,
-    countdown: `${hoursUntil}h ${minsUntil}m`
-  };
+  return null;
 }
 
 /**
- * Update session levels (called from webhook or price update)
+ * Update session levels for a symbol (called from webhook or price update)
+ * @param {string} symbol - Instrument symbol (ES, NQ, CL...)
+ * @param {string} sessionKey - ASIA, LONDON or US_RTH
+ * @param {object} priceData - { high, low, open, close, delta, volume, sweep }
  */
-function updateSessionLevels(sessionKey, priceData) {
-  if (!sessionLevels[sessionKey]) return;
+function updateSessionLevels(symbol, sessionKey, priceData = {}) {
+  const state = getSymbolState(symbol);
+  if (!state || !state.sessions[sessionKey]) return null;
 
-  const levels = sessionLevels[sessionKey];
+  const levels = state.sessions[sessionKey];
 
   // Update high/low
   if (priceData.high && (!levels.high || priceData.high > levels.high)) {
@@ -226,6 +334,11 @@ function updateSessionLevels(sessionKey, priceData) {
     levels.open = priceData.open;
   }
 
+  // Track latest close
+  if (priceData.close) {
+    levels.close = priceData.close;
+  }
+
   // Update delta and volume
   if (priceData.delta !== undefined) {
     levels.delta = priceData.delta;
@@ -243,59 +356,311 @@ function updateSessionLevels(sessionKey, priceData) {
       reclaimed: priceData.sweep.reclaimed || false
     });
   }
+
+  persistSymbol(normalizeSymbol(symbol));
+  return levels;
 }
 
 /**
- * Update IB levels (called during IB window)
+ * Update IB levels for a symbol (called during IB window)
  */
-function updateIBLevels(sessionKey, high, low) {
-  if (!ibLevels[sessionKey]) return;
+function updateIBLevels(symbol, sessionKey, high, low) {
+  const state = getSymbolState(symbol);
+  if (!state || !state.initialBalances[sessionKey]) return null;
+
+  const ib = state.initialBalances[sessionKey];
 
-  if (high && (!ibLevels[sessionKey].high || high > ibLevels[sessionKey].high)) {
-    ibLevels[sessionKey].high = high;
+  if (high && (!ib.high || high > ib.high)) {
+    ib.high = high;
   }
-  if (low && (!ibLevels[sessionKey].low || low < ibLevels[sessionKey].low)) {
-    ibLevels[sessionKey].low = low;
+  if (low && (!ib.low || low < ib.low)) {
+    ib.low = low;
   }
+
+  persistSymbol(normalizeSymbol(symbol));
+  return ib;
 }
 
 /**
- * Mark IB as complete
+ * Mark IB as complete for a symbol
  */
-function completeIB(sessionKey) {
-  if (ibLevels[sessionKey]) {
-    ibLevels[sessionKey].complete = true;
+function completeIB(symbol, sessionKey) {
+  const state = getSymbolState(symbol);
+  if (state?.initialBalances[sessionKey]) {
+    state.initialBalances[sessionKey].complete = true;
+    persistSymbol(normalizeSymbol(symbol));
   }
 }
 
 /**
- * Reset session data (called at session start)
+ * Reset session data for a symbol (called at session start)
  */
-function resetSession(sessionKey) {
-  sessionLevels[sessionKey] = {
-    high: null, low: null, open: null, close: null,
-    delta: 0, volume: 0, sweeps: []
-  };
-  ibLevels[sessionKey] = { high: null, low: null, complete: false };
+function resetSession(symbol, sessionKey) {
+  const state = getSymbolState(symbol);
+  if (!state || !TRACKED_SESSIONS.includes(sessionKey)) return;
+
+  state.sessions[sessionKey] = createEmptySessionLevels();
+  state.initialBalances[sessionKey] = createEmptyIBLevels();
+  persistSymbol(normalizeSymbol(symbol));
 }
 
 /**
- * Get all session data for handoff
+ * Get session data for handoff
+ * @param {string} symbol - Optional symbol; without it, returns every tracked symbol
  */
-function getSessionHandoff() {
+function getSessionHandoff(symbol = null) {
+  if (symbol) {
+    const key = normalizeSymbol(symbol);
+
+    return {
+      symbol: key,
+      sessions: sessionLevels[key] || {},
+      initialBalances: ibLevels[key] || {},
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const symbols = {};
+  for (const key of getTrackedSymbols()) {
+    symbols[key] = {
+      sessions: sessionLevels[key],
+      initialBalances: ibLevels[key]
+    };
+  }
+
   return {
-    sessions: sessionLevels,
-    initialBalances: ibLevels,
+    symbols,
     timestamp: new Date().toISOString()
   };
 }
 
+// ============================================================================
+// SESSION CLOCK - Automatic IB completion, rollover and archiving
+// ============================================================================
+
+// Archived sessions keyed by trading date (YYYY-MM-DD)
+// Shape: { '2026-10-19': { ES: { ASIA: { levels, ib, archivedAt } } } }
+const sessionHistory = getCollection('session_history');
+
+// Last clock tick is persisted so transitions missed while down run on startup
+const clockStore = getCollection('session_clock');
+const MAX_HISTORY_DAYS = 30;
+const SCHEDULER_INTERVAL = 30 * 1000; // 30 seconds
+
+let schedulerTimer = null;
+let lastClockState = clockStore.get('last') || null;
+
+/**
+ * Get the trading date (YYYY-MM-DD, ET) a time belongs to.
+ * Globex trades from 18:00 ET, so the evening Asia session counts toward the next day.
+ */
+function getTradingDate(date = new Date()) {
+  const et = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+
+  if (et.getHours() >= SESSION_CONFIG.ASIA.start.hour) {
+    et.setDate(et.getDate() + 1);
+  }
+
+  const year = et.getFullYear();
+  const month = String(et.getMonth() + 1).padStart(2, '0');
+  const day = String(et.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Copy a symbol's finished session into the per-day history
+ * (null when the session never got a price, e.g. replayed while the server was down)
+ */
+function archiveSession(symbol, sessionKey, tradingDate = getTradingDate()) {
+  const key = normalizeSymbol(symbol);
+  const levels = sessionLevels[key]?.[sessionKey];
+  if (!levels || (levels.high === null && levels.low === null && levels.close === null)) return null;
+
+  const ib = ibLevels[key][sessionKey];
+
+  const day = sessionHistory.get(tradingDate) || {};
+  if (!day[key]) {
+    day[key] = {};
+  }
+
+  const entry = {
+    levels: { ...levels, sweeps: [...levels.sweeps] },
+    ib: { ...ib },
+    summary: getSessionSummary(key, sessionKey),
+    archivedAt: new Date().toISOString()
+  };
+  day[key][sessionKey] = entry;
+  sessionHistory.set(tradingDate, day);
+
+  // Trim oldest days
+  const dates = Array.from(sessionHistory.keys()).sort();
+  while (dates.length > MAX_HISTORY_DAYS) {
+    sessionHistory.delete(dates.shift());
+  }
+
+  return entry;
+}
+
+/**
+ * Clock state at a time (what the last tick persists)
+ */
+function getClockState(date) {
+  const session = getCurrentSession(date);
+  return { key: session.key, isIB: session.isIB, tradingDate: getTradingDate(date), at: date.toISOString() };
+}
+
+/**
+ * Events for one step of the clock (previous tick -> state)
+ */
+function getClockTransitionEvents(previous, state, symbols) {
+  const events = [];
+  const sessionChanged = previous.key !== state.key;
+
+  // IB window closed
+  if (previous.isIB && (!state.isIB || sessionChanged)) {
+    symbols.forEach(symbol => completeIB(symbol, previous.key));
+    events.push({ type: 'IB_COMPLETE', session: previous.key, symbols });
+  }
+
+  if (sessionChanged) {
+    events.push({ type: 'SESSION_CHANGE', session: state.key, from: previous.key, symbols });
+
+    // Finished session -> history
+    if (TRACKED_SESSIONS.includes(previous.key)) {
+      const archived = symbols.filter(symbol => archiveSession(symbol, previous.key, previous.tradingDate));
+      if (archived.length > 0) {
+        events.push({ type: 'SESSION_ARCHIVED', session: previous.key, date: previous.tradingDate, symbols: archived });
+      }
+    }
+
+    // New session -> fresh levels
+    if (TRACKED_SESSIONS.includes(state.key)) {
+      symbols.forEach(symbol => resetSession(symbol, state.key));
+      events.push({ type: 'SESSION_RESET', session: state.key, symbols });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Advance the session clock. Compares the session at `date` with the last tick and:
+ * - marks IBs complete when their window closes
+ * - archives a tracked session when it ends
+ * - resets a tracked session when it opens again
+ * After downtime every boundary missed since the last tick is replayed in order
+ * (on the half-hour grid session and IB edges sit on, at most MAX_HISTORY_DAYS back),
+ * so ASIA -> LONDON -> US_RTH each get archived and reset.
+ * @returns {Array} Events applied on this tick
+ */
+function runSessionClock(date = new Date()) {
+  const state = getClockState(date);
+  const previous = lastClockState;
+  const events = [];
+
+  lastClockState = state;
+  clockStore.set('last', state);
+  if (!previous) return events;
+
+  const symbols = getTrackedSymbols();
+  let last = previous;
+
+  if (previous.at) {
+    const step = 30 * 60 * 1000;
+    const since = Math.max(Date.parse(previous.at), date.getTime() - MAX_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    for (let time = Math.floor(since / step) * step + step; time < date.getTime(); time += step) {
+      const missed = getClockState(new Date(time));
+      if (missed.key === last.key && missed.isIB === last.isIB) continue;
+
+      events.push(...getClockTransitionEvents(last, missed, symbols));
+      last = missed;
+    }
+  }
+
+  events.push(...getClockTransitionEvents(last, state, symbols));
+
+  events.forEach(event => {
+    console.log(`[Session Clock] ${event.type} ${event.session} (${event.symbols.length} symbols)`);
+    publishEvent('session', null, event);
+  });
+
+  return events;
+}
+
+/**
+ * Start the built-in session scheduler
+ */
+function startSessionScheduler(intervalMs = SCHEDULER_INTERVAL) {
+  if (schedulerTimer) return;
+
+  runSessionClock();
+  schedulerTimer = setInterval(() => runSessionClock(), intervalMs);
+  console.log(`[Session Clock] Scheduler started (every ${intervalMs / 1000}s)`);
+}
+
+/**
+ * Stop the session scheduler
+ */
+function stopSessionScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Query archived sessions
+ * @param {object} options - { symbol, date } (both optional)
+ */
+function getSessionHistory({ symbol = null, date = null } = {}) {
+  const key = normalizeSymbol(symbol);
+  const dates = date ? [date] : Array.from(sessionHistory.keys()).sort().reverse();
+  const history = [];
+
+  for (const tradingDate of dates) {
+    const day = sessionHistory.get(tradingDate);
+    if (!day) continue;
+
+    for (const [daySymbol, sessions] of Object.entries(day)) {
+      if (key && daySymbol !== key) continue;
+      history.push({ date: tradingDate, symbol: daySymbol, sessions });
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Get a symbol's session and IB levels as named levels
+ * (the shape getLevelsWithDistance expects)
+ */
+function getSessionLevelMap(symbol) {
+  const key = normalizeSymbol(symbol);
+  const sessions = sessionLevels[key] || {};
+  const ib = ibLevels[key] || {};
+
+  return {
+    'Asia High': sessions.ASIA?.high,
+    'Asia Low': sessions.ASIA?.low,
+    'Asia IB High': ib.ASIA?.high,
+    'Asia IB Low': ib.ASIA?.low,
+    'London High': sessions.LONDON?.high,
+    'London Low': sessions.LONDON?.low,
+    'London IB High': ib.LONDON?.high,
+    'London IB Low': ib.LONDON?.low,
+    'US IB High': ib.US_RTH?.high,
+    'US IB Low': ib.US_RTH?.low
+  };
+}
+
 /**
  * Get session summary (for AI analysis)
  */
-function getSessionSummary(sessionKey) {
-  const levels = sessionLevels[sessionKey];
-  const ib = ibLevels[sessionKey];
+function getSessionSummary(symbol, sessionKey) {
+  const key = normalizeSymbol(symbol);
+  const levels = sessionLevels[key]?.[sessionKey];
+  const ib = ibLevels[key]?.[sessionKey];
 
   if (!levels) return null;
 
@@ -304,6 +669,7 @@ function getSessionSummary(sessionKey) {
   const control = levels.delta > 0 ? 'BUYERS' : levels.delta < 0 ? 'SELLERS' : 'NEUTRAL';
 
   return {
+    symbol: key,
     session: sessionKey,
     high: levels.high,
     low: levels.low,
@@ -329,5 +695,16 @@ export {
   resetSession,
   getSessionHandoff,
   getSessionSummary,
-  SESSION_CONFIG
+  getSessionLevelMap,
+  getTrackedSymbols,
+  getTradingDate,
+  getSessionKeyForTime,
+  archiveSession,
+  runSessionClock,
+  startSessionScheduler,
+  stopSessionScheduler,
+  getSessionHistory,
+  SESSION_CONFIG,
+  TRACKED_SESSIONS,
+  MAX_HISTORY_DAYS
 };
@@ -0,0 +1,190 @@
+/**
+ * SMTP Client - Minimal mail sender for the notifier (no external dependency)
+ *
+ * Supports plain SMTP (port 25/587 relays, local stand-in servers) and
+ * implicit TLS (port 465, secure: true), with optional AUTH PLAIN. A plain
+ * connection is upgraded with STARTTLS whenever the server offers it, and
+ * credentials are never sent unencrypted unless allowInsecureAuth is set.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+const DEFAULT_TIMEOUT = 15 * 1000;
+
+/**
+ * Error carrying the SMTP reply code (4xx = temporary, 5xx = permanent)
+ */
+function smtpError(code, message) {
+  const error = new Error(`SMTP ${code || 'error'}: ${message}`);
+  error.smtpCode = code;
+  error.retryable = !code || code < 500;
+  return error;
+}
+
+/**
+ * Open a connection and return helpers to send commands and await replies
+ * (upgrade() switches a plain connection to TLS after STARTTLS)
+ */
+function openConnection({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let lines = [];
+    const waiting = [];
+    let failure = null;
+    let socket = null;
+
+    const onData = chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+
+        // "250-..." continues a multi-line reply, "250 ..." ends it
+        if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+          const reply = { code: parseInt(line.slice(0, 3)), text: lines.join('\n') };
+          lines = [];
+          waiting.shift()?.resolve(reply);
+        }
+      }
+    };
+
+    const onError = error => {
+      failure = error.smtpCode !== undefined ? error : smtpError(null, error.message);
+      waiting.splice(0).forEach(w => w.reject(failure));
+      reject(failure);
+    };
+
+    const onClose = () => {
+      const closed = failure || smtpError(null, 'connection closed');
+      waiting.splice(0).forEach(w => w.reject(closed));
+    };
+
+    const attach = (next) => {
+      socket = next;
+      socket.setEncoding('utf8');
+      socket.setTimeout(timeoutMs, () => {
+        socket.destroy(smtpError(null, `timed out after ${timeoutMs}ms`));
+      });
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    };
+
+    const readReply = () => new Promise((res, rej) => {
+      if (failure) return rej(failure);
+      waiting.push({ resolve: res, reject: rej });
+    });
+
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await readReply();
+      if (!expected.includes(reply.code)) {
+        throw smtpError(reply.code, reply.text);
+      }
+      return reply;
+    };
+
+    const upgrade = () => new Promise((res, rej) => {
+      const plain = socket;
+      plain.removeListener('data', onData);
+      plain.removeListener('error', onError);
+      plain.removeListener('close', onClose);
+      plain.setTimeout(0);
+
+      const secured = tls.connect({ socket: plain, servername: host });
+      secured.once('secureConnect', res);
+      secured.once('error', rej);
+      attach(secured);
+    });
+
+    attach(secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port }));
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      resolve({ command, upgrade, close: () => socket.end() });
+    });
+  });
+}
+
+/**
+ * Escape lines starting with "." (RFC 5321 dot-stuffing) and normalize newlines
+ */
+function encodeBody(text) {
+  return text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} options - { host, port, secure, user, pass, from, to, subject, text, timeoutMs, allowInsecureAuth }
+ */
+async function sendMail({ host, port, secure = false, user, pass, from, to, subject, text, timeoutMs = DEFAULT_TIMEOUT, allowInsecureAuth = false }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const connection = await openConnection({
+    host,
+    port: port || (secure ? 465 : 25),
+    secure,
+    timeoutMs
+  });
+
+  try {
+    await connection.command(null, [220]);
+    const hello = `EHLO ${os.hostname() || 'localhost'}`;
+    const greeting = await connection.command(hello, [250]);
+
+    let encrypted = secure;
+    if (!secure && /^250[ -]STARTTLS\b/im.test(greeting.text)) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade();
+      await connection.command(hello, [250]);
+      encrypted = true;
+    }
+
+    if (user && !encrypted && !allowInsecureAuth) {
+      const error = smtpError(null, `${host} does not offer STARTTLS - refusing to send credentials in plaintext (set secure or allowInsecureAuth)`);
+      error.retryable = false;
+      throw error;
+    }
+
+    if (user) {
+      const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await connection.command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+
+    await connection.command('DATA', [354]);
+
+    const headers = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit'
+    ];
+
+    const reply = await connection.command(`${headers.join('\r\n')}\r\n\r\n${encodeBody(text)}\r\n.`, [250]);
+    await connection.command('QUIT', [221]).catch(() => null);
+
+    return { accepted: recipients, response: reply.text };
+  } finally {
+    connection.close();
+  }
+}
+
+export {
+  sendMail
+};
@@ -6,10 +6,47 @@
  * This often indicates institutional liquidity grabs
  */
 
-// Store recent sweeps
-let sweepHistory = [];
+import { getCollection } from './persistence.js';
+import { getTradingDate, MAX_HISTORY_DAYS } from './sessionEngine.js';
+import { publishEvent } from './eventStream.js';
+
+// Store recent sweeps (persisted so a restart keeps intraday context)
+const sweepStore = getCollection('sweeps');
+const sweepDays = getCollection('sweep_history'); // All sweeps per trading day (same retention as session history)
+let sweepHistory = sweepStore.get('recent') || [];
 const MAX_SWEEP_HISTORY = 100;
 
+/**
+ * Add sweeps to recent history and the trading day's archive
+ */
+function recordSweeps(sweeps) {
+  if (sweeps.length === 0) return;
+
+  sweeps.forEach(sweep => {
+    sweepHistory.unshift(sweep);
+
+    const date = getTradingDate(new Date(sweep.timestamp));
+    const day = sweepDays.get(date) || [];
+    day.push(sweep);
+    sweepDays.set(date, day);
+
+    publishEvent('sweeps', sweep.symbol, sweep);
+  });
+
+  // Trim oldest days
+  const dates = Array.from(sweepDays.keys()).sort();
+  while (dates.length > MAX_HISTORY_DAYS) {
+    sweepDays.delete(dates.shift());
+  }
+
+  // Trim history
+  if (sweepHistory.length > MAX_SWEEP_HISTORY) {
+    sweepHistory = sweepHistory.slice(0, MAX_SWEEP_HISTORY);
+  }
+
+  sweepStore.set('recent', sweepHistory);
+}
+
 /**
  * Sweep detection from price data
  * @param {object} data - Price data with OHLC and level info
@@ -93,14 +130,7 @@ function detectSweep(data) {
   }
 
   // Add to history
-  sweeps.forEach(sweep => {
-    sweepHistory.unshift(sweep);
-  });
-
-  // Trim history
-  if (sweepHistory.length > MAX_SWEEP_HISTORY) {
-    sweepHistory = sweepHistory.slice(0, MAX_SWEEP_HISTORY);
-  }
+  recordSweeps(sweeps);
 
   return sweeps;
 }
@@ -192,10 +222,26 @@ function getReclaimedLevels(symbol = null) {
 }
 
 /**
- * Clear sweep history (for new day)
+ * Clear sweep history (for new day) - past days stay in the archive
  */
 function clearSweepHistory() {
   sweepHistory = [];
+  sweepStore.set('recent', sweepHistory);
+}
+
+/**
+ * Get all sweeps recorded on a past trading day
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @param {string} symbol - Optional symbol filter
+ */
+function getSweepsByDate(date, symbol = null) {
+  const sweeps = sweepDays.get(date) || [];
+
+  if (symbol) {
+    return sweeps.filter(s => s.symbol === symbol.toUpperCase());
+  }
+
+  return sweeps;
 }
 
 /**
@@ -215,11 +261,7 @@ function addSweep(sweepData) {
     action: sweepData.action || 'Monitor for follow-through'
   };
 
-  sweepHistory.unshift(sweep);
-
-  if (sweepHistory.length > MAX_SWEEP_HISTORY) {
-    sweepHistory = sweepHistory.slice(0, MAX_SWEEP_HISTORY);
-  }
+  recordSweeps([sweep]);
 
   return sweep;
 }
@@ -231,5 +273,6 @@ export {
   wasLevelSwept,
   getReclaimedLevels,
   clearSweepHistory,
+  getSweepsByDate,
   addSweep
 };
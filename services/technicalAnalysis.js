@@ -1,5 +1,10 @@
 // Technical Analysis Service
 // Calculates EMAs, ADX, and trend signals for all instruments
+// Price history comes from the local bar store (barStore.js), back-adjusted
+// across contract rolls so EMAs and ATR do not see the front-month jump
+
+import { loadBars, fromYahooSymbol, YAHOO_SYMBOLS } from './barStore.js';
+import { getContinuousBars } from './contractCalendar.js';
 
 /**
  * Calculate Exponential Moving Average
@@ -100,53 +105,29 @@ function wilderSmooth(values, period) {
 }
 
 /**
- * Fetch historical data from Yahoo Finance
+ * Get daily history from the bar store (synced from Yahoo when stale)
  * @param {string} symbol - Yahoo Finance symbol (e.g., 'ES=F')
- * @param {number} days - Number of days of history
- * @returns {Object} - { closes, candles }
+ * @param {number} days - Calendar days of history
+ * @param {Object} options - { continuous: back-adjust contract rolls (default true) }
+ * @returns {Object} - { closes, candles, rolls } with candles as {time, open, high, low, close, volume}
  */
-async function fetchHistoricalData(symbol, days = 60) {
+async function fetchHistoricalData(symbol, days = 90, { continuous = true } = {}) {
   try {
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=3mo`;
-
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`Historical data fetch failed for ${symbol}: ${response.status}`);
+    const storeSymbol = fromYahooSymbol(symbol);
+    if (!storeSymbol) {
+      console.error(`Historical data: ${symbol} is not in the bar store`);
       return null;
     }
 
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
+    const from = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+    const bars = await loadBars(storeSymbol, '1d', { from });
 
-    if (!result || !result.indicators?.quote?.[0]) {
+    if (bars.length === 0) {
       return null;
     }
 
-    const quote = result.indicators.quote[0];
-    const closes = quote.close?.filter(p => p !== null) || [];
-    const highs = quote.high?.filter(p => p !== null) || [];
-    const lows = quote.low?.filter(p => p !== null) || [];
-
-    // Build candles array
-    const candles = [];
-    const minLength = Math.min(closes.length, highs.length, lows.length);
-
-    for (let i = 0; i < minLength; i++) {
-      if (closes[i] && highs[i] && lows[i]) {
-        candles.push({
-          close: closes[i],
-          high: highs[i],
-          low: lows[i]
-        });
-      }
-    }
-
-    return { closes, candles };
+    const { bars: candles, rolls } = continuous ? getContinuousBars(storeSymbol, bars) : { bars, rolls: [] };
+    return { closes: candles.map(c => c.close), candles, rolls };
   } catch (error) {
     console.error(`Historical data error for ${symbol}:`, error.message);
     return null;
@@ -341,6 +322,7 @@ async function analyzeTechnicals(symbol) {
       direction: trendDirection
     } : null,
     atr: atrData,
+    rolls: historical.rolls,
     summary: generateTechnicalSummary(emaTrend, trendStrength, trendDirection, adxData),
     atrSummary: atrData ? generateATRSummary(atrData) : null
   };
@@ -548,48 +530,6 @@ function convertPointsToTicksAndUSD(symbol, points) {
   };
 }
 
-// Yahoo Finance symbol mapping
-const YAHOO_SYMBOLS = {
-  // Equity Indices
-  'ES': 'ES=F',
-  'NQ': 'NQ=F',
-  'YM': 'YM=F',
-  'RTY': 'RTY=F',
-  // Bonds
-  'ZT': 'ZT=F',
-  'ZF': 'ZF=F',
-  'ZN': 'ZN=F',
-  'TN': 'TN=F',
-  'ZB': 'ZB=F',
-  // Metals
-  'GC': 'GC=F',
-  'SI': 'SI=F',
-  'HG': 'HG=F',
-  // Energy
-  'CL': 'CL=F',
-  'NG': 'NG=F',
-  'RB': 'RB=F',
-  // Agriculture
-  'ZS': 'ZS=F',
-  'ZC': 'ZC=F',
-  'ZW': 'ZW=F',
-  'ZM': 'ZM=F',
-  'ZL': 'ZL=F',
-  'LE': 'LE=F',
-  'HE': 'HE=F',
-  // Crypto
-  'BTC': 'BTC-USD',
-  'ETH': 'ETH-USD',
-  // Volatility
-  'VIX': '^VIX',
-  // Currencies
-  'DX': 'DX-Y.NYB',
-  '6E': '6E=F',
-  '6J': '6J=F',
-  '6B': '6B=F',
-  '6A': '6A=F'
-};
-
 /**
  * Get technical analysis for all main futures instruments
  */
@@ -610,21 +550,24 @@ async function analyzeAllInstruments() {
   return results;
 }
 
-// Interval to range mapping for Yahoo Finance API
+// Chart interval to lookback window (bar store interval + days shown)
 const INTERVAL_CONFIG = {
-  '5m': { interval: '5m', range: '5d', label: '5 Min' },
-  '15m': { interval: '15m', range: '10d', label: '15 Min' },
-  '1h': { interval: '1h', range: '1mo', label: '1 Hour' },
-  '1d': { interval: '1d', range: '3mo', label: 'Daily' }
+  '1m': { interval: '1m', days: 1, label: '1 Min' },
+  '5m': { interval: '5m', days: 5, label: '5 Min' },
+  '15m': { interval: '15m', days: 10, label: '15 Min' },
+  '1h': { interval: '1h', days: 30, label: '1 Hour' },
+  '1d': { interval: '1d', days: 90, label: 'Daily' }
 };
 
 /**
  * Get chart data (OHLC + EMAs) for an instrument
  * @param {string} symbol - Instrument symbol
- * @param {string} interval - Time interval (5m, 15m, 1h, 1d)
+ * @param {string} interval - Time interval (1m, 5m, 15m, 1h, 1d)
+ * @param {number} days - Optional lookback override (bar store may reach past Yahoo's range limits)
+ * @param {Object} options - { continuous: back-adjust contract rolls (default true) }
  * @returns {Object} - Chart data with candles and EMAs
  */
-async function getChartData(symbol, interval = '1d') {
+async function getChartData(symbol, interval = '1d', days = null, { continuous = true } = {}) {
   const yahooSymbol = YAHOO_SYMBOLS[symbol];
   if (!yahooSymbol) {
     return { error: 'Symbol not found' };
@@ -634,41 +577,24 @@ async function getChartData(symbol, interval = '1d') {
   const config = INTERVAL_CONFIG[interval] || INTERVAL_CONFIG['1d'];
 
   try {
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(yahooSymbol)}?interval=${config.interval}&range=${config.range}`;
+    const from = Math.floor(Date.now() / 1000) - (days || config.days) * 24 * 60 * 60;
+    const stored = await loadBars(symbol, config.interval, { from });
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-
-    if (!response.ok) {
-      return { error: 'Failed to fetch data' };
-    }
-
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
-
-    if (!result) {
+    if (stored.length === 0) {
       return { error: 'No data available' };
     }
 
-    const timestamps = result.timestamp || [];
-    const quote = result.indicators?.quote?.[0] || {};
+    const { bars, rolls, adjusted } = continuous ? getContinuousBars(symbol, stored) : { bars: stored, rolls: [], adjusted: false };
 
     // Build candle data for chart
-    const candles = [];
-    for (let i = 0; i < timestamps.length; i++) {
-      if (quote.open?.[i] && quote.high?.[i] && quote.low?.[i] && quote.close?.[i]) {
-        candles.push({
-          time: timestamps[i], // Unix timestamp
-          open: parseFloat(quote.open[i].toFixed(2)),
-          high: parseFloat(quote.high[i].toFixed(2)),
-          low: parseFloat(quote.low[i].toFixed(2)),
-          close: parseFloat(quote.close[i].toFixed(2))
-        });
-      }
-    }
+    const candles = bars.map(bar => ({
+      time: bar.time, // Unix timestamp
+      open: parseFloat(bar.open.toFixed(2)),
+      high: parseFloat(bar.high.toFixed(2)),
+      low: parseFloat(bar.low.toFixed(2)),
+      close: parseFloat(bar.close.toFixed(2)),
+      volume: bar.volume
+    }));
 
     // Calculate EMAs for overlay (13 and 21 for day trading)
     const closes = candles.map(c => c.close);
@@ -709,6 +635,7 @@ async function getChartData(symbol, interval = '1d') {
       ema13: ema13Data,
       ema21: ema21Data,
       atr: atrData,
+      continuous: { adjusted, rolls },
       lastUpdate: new Date().toISOString()
     };
   } catch (error) {
@@ -0,0 +1,28 @@
+/**
+ * Templates - {{path.to.value}} placeholder rendering shared by alerts and notifications
+ */
+
+/**
+ * Resolve a dotted path ("levels.byName.Asia Low.ticks") against an object
+ */
+function resolvePath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Fill {{path}} placeholders. Arrays are comma-joined, missing values render as the fallback.
+ */
+function renderTemplate(template, data, fallback = '—') {
+  return String(template).replace(/\{\{\s*([\w. ]+?)\s*\}\}/g, (match, path) => {
+    const value = resolvePath(data, path);
+    if (value === undefined || value === null) return fallback;
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  });
+}
+
+export {
+  resolvePath,
+  renderTemplate
+};
@@ -1,60 +1,35 @@
 /**
  * Unified News Service
- * Combines all news sources (Google Sheets, NewsAPI, Finnhub) into one analyzed feed
+ * Combines every registered news source (Google Sheets, NewsAPI, Finnhub and
+ * the configured RSS/JSON feeds - see newsSources.js) into one analyzed feed,
+ * one item per story (see newsStories.js)
  */
 
 import { fetchGoogleSheetsNews } from './googleSheets.js';
 import { fetchNewsApiHeadlines } from './newsApi.js';
 import { fetchFinnhubNews } from './finnhubNews.js';
+import { registerNewsSource, fetchNewsSources, getRelativeTime } from './newsSources.js';
+import { archiveNews, getNewsTimeline } from './newsArchive.js';
+import { updateStories } from './newsStories.js';
+import { classifyHeadline } from './newsClassifier.js';
+
+// Google Sheets is the curated feed, so it supplies a story's canonical headline
+registerNewsSource({ name: 'Google Sheets', type: 'sheets', priority: 1, fetch: fetchGoogleSheetsNews });
+registerNewsSource({ name: 'NewsAPI', type: 'api', priority: 2, fetch: fetchNewsApiHeadlines });
+registerNewsSource({ name: 'Finnhub', type: 'api', priority: 3, fetch: fetchFinnhubNews });
 
 // Cache for unified news
 let unifiedNewsCache = null;
 let unifiedNewsCacheTime = null;
 const UNIFIED_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-/**
- * Normalize headline for deduplication
- */
-function normalizeHeadline(headline) {
-  return (headline || '')
-    .toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 60);
-}
-
-/**
- * Calculate similarity between two headlines (Jaccard similarity)
- */
-function calculateSimilarity(headline1, headline2) {
-  const words1 = new Set(normalizeHeadline(headline1).split(' '));
-  const words2 = new Set(normalizeHeadline(headline2).split(' '));
-
-  const intersection = new Set([...words1].filter(x => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
-
-  return intersection.size / union.size;
-}
-
-/**
- * Check if a headline is a duplicate of any existing headline
- */
-function isDuplicate(headline, existingHeadlines, threshold = 0.6) {
-  for (const existing of existingHeadlines) {
-    if (calculateSimilarity(headline, existing) > threshold) {
-      return true;
-    }
-  }
-  return false;
-}
-
 /**
  * Transform news item to unified format
  */
 function transformToUnified(item, source) {
   const headline = item.headline || item.title || '';
   const timestamp = item.timestamp || item.publishedAt || new Date().toISOString();
+  const rules = classifyHeadline({ headline, summary: item.summary || item.description });
 
   return {
     id: item.id || `${source.toLowerCase()}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
@@ -65,41 +40,24 @@ function transformToUnified(item, source) {
     url: item.url || item.link || '#',
     timestamp: new Date(timestamp).toISOString(),
     relativeTime: item.relativeTime || getRelativeTime(new Date(timestamp)),
-    // Pre-existing heuristic analysis (will be enhanced by Claude)
-    category: item.category || 'General',
-    impact: item.impact || 'LOW',
-    affectedInstruments: item.affectedInstruments || item.symbols || [],
-    // These will be filled by Claude AI analysis
-    bias: item.bias || 'neutral',
-    relevance: item.relevance || 5,
-    timeframe: item.timeframe || 'intraday',
+    // Source or rule-based analysis (will be enhanced by Claude)
+    category: item.category || rules.category,
+    impact: item.impact || rules.impact,
+    affectedInstruments: item.affectedInstruments || item.symbols || rules.symbols,
+    bias: item.bias || rules.bias,
+    relevance: item.relevance || rules.relevance,
+    timeframe: item.timeframe || rules.timeframe,
     isAnalyzed: false
   };
 }
 
-/**
- * Calculate relative time string
- */
-function getRelativeTime(date) {
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / (1000 * 60));
-  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  if (diffDays === 1) return 'Yesterday';
-  return `${diffDays}d ago`;
-}
-
 /**
  * Fetch and merge news from all sources
  * @param {Object} options - Options for fetching
  * @param {boolean} options.forceRefresh - Force refresh cache
  * @param {number} options.lastHours - Filter news from last N hours
- * @returns {Promise<Array>} Merged and deduplicated news array
+ * @returns {Promise<Array>} One item per story (canonical headline plus storyId,
+ *   sourceCount, sources, firstSeen, updatedAt, developing)
  */
 export async function fetchUnifiedNews(options = {}) {
   const { forceRefresh = false, lastHours = null } = options;
@@ -122,48 +80,23 @@ export async function fetchUnifiedNews(options = {}) {
 
   console.log('Fetching unified news from all sources...');
 
-  // Fetch from all sources in parallel
-  const [googleSheetsResult, newsApiResult, finnhubResult] = await Promise.allSettled([
-    fetchGoogleSheetsNews(),
-    fetchNewsApiHeadlines(),
-    fetchFinnhubNews()
-  ]);
-
-  // Extract results
-  const googleSheetsNews = googleSheetsResult.status === 'fulfilled' ? googleSheetsResult.value : [];
-  const newsApiNews = newsApiResult.status === 'fulfilled' ? newsApiResult.value : [];
-  const finnhubNews = finnhubResult.status === 'fulfilled' ? finnhubResult.value : [];
+  // Fetch from all sources in parallel (returned in priority order)
+  const results = await fetchNewsSources();
 
-  console.log(`News sources: Google Sheets=${googleSheetsNews.length}, NewsAPI=${newsApiNews.length}, Finnhub=${finnhubNews.length}`);
+  console.log(`News sources: ${results.map(r => `${r.name}=${r.items.length}`).join(', ')}`);
 
   // Transform to unified format
-  const allNews = [];
-  const seenHeadlines = [];
-
-  // Add Google Sheets news first (priority source)
-  for (const item of googleSheetsNews) {
-    if (item.headline && !isDuplicate(item.headline, seenHeadlines)) {
-      allNews.push(transformToUnified(item, 'Google Sheets'));
-      seenHeadlines.push(item.headline);
-    }
-  }
+  const unified = results.flatMap(({ name, items }) => items
+    .filter(item => item.headline || item.title)
+    .map(item => transformToUnified(item, name)));
 
-  // Add NewsAPI news
-  for (const item of newsApiNews) {
-    const headline = item.headline || item.title;
-    if (headline && !isDuplicate(headline, seenHeadlines)) {
-      allNews.push(transformToUnified(item, 'NewsAPI'));
-      seenHeadlines.push(headline);
-    }
-  }
+  // Archive every outlet's item before stories collapse them (and before the feed is cut to 50)
+  const archived = archiveNews(unified);
+  console.log(`News archive: ${archived.added} new, ${archived.updated} updated`);
 
-  // Add Finnhub news
-  for (const item of finnhubNews) {
-    if (item.headline && !isDuplicate(item.headline, seenHeadlines)) {
-      allNews.push(transformToUnified(item, 'Finnhub'));
-      seenHeadlines.push(item.headline);
-    }
-  }
+  // Group into stories - higher priority sources supply the canonical headline
+  const sourcePriority = Object.fromEntries(results.map(({ name, priority }) => [name, priority]));
+  const allNews = updateStories(unified, { sourcePriority });
 
   // Sort by timestamp (newest first)
   allNews.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -171,7 +104,7 @@ export async function fetchUnifiedNews(options = {}) {
   // Limit to 50 items
   const mergedNews = allNews.slice(0, 50);
 
-  console.log(`Unified news: ${mergedNews.length} items after deduplication`);
+  console.log(`Unified news: ${unified.length} headlines in ${allNews.length} stories, ${mergedNews.length} kept`);
 
   // Cache results
   unifiedNewsCache = mergedNews;
@@ -202,16 +135,18 @@ export async function fetchNewsBySource(source, options = {}) {
 }
 
 /**
- * Get news filtered by affected instrument
+ * Get news for an instrument from the archive, newest first
+ * @param {Object} options - fetchUnifiedNews options plus { limit, before } -
+ *   pass the previous page's nextCursor as `before` for older items
+ * @returns {Promise<Object>} { symbol, items, nextCursor }
  */
 export async function fetchNewsForInstrument(symbol, options = {}) {
-  const allNews = await fetchUnifiedNews(options);
-  const upperSymbol = symbol.toUpperCase();
+  const { limit = 20, before = null, ...fetchOptions } = options;
+
+  // Pull the latest headlines into the archive first
+  if (!before) await fetchUnifiedNews(fetchOptions);
 
-  return allNews.filter(item =>
-    item.affectedInstruments?.includes(upperSymbol) ||
-    item.symbols?.includes(upperSymbol)
-  );
+  return getNewsTimeline(symbol, { limit, before });
 }
 
 /**
@@ -232,11 +167,10 @@ export function getUnifiedNewsCacheStatus() {
     itemCount: unifiedNewsCache?.length || 0,
     cacheAge: unifiedNewsCacheTime ? Date.now() - unifiedNewsCacheTime : null,
     maxAge: UNIFIED_CACHE_DURATION,
-    sources: {
-      googleSheets: unifiedNewsCache?.filter(n => n.source === 'Google Sheets').length || 0,
-      newsApi: unifiedNewsCache?.filter(n => n.source === 'NewsAPI').length || 0,
-      finnhub: unifiedNewsCache?.filter(n => n.source === 'Finnhub').length || 0
-    }
+    sources: (unifiedNewsCache || []).reduce((counts, n) => {
+      counts[n.source] = (counts[n.source] || 0) + 1;
+      return counts;
+    }, {})
   };
 }
 
@@ -0,0 +1,350 @@
+/**
+ * Volume Profile - Volume-at-price and TPO (market profile) per session
+ *
+ * Built from stored intraday bars (barStore.js, 5m by default, 1m for the
+ * last ~30 days) split into the Asia, London and RTH sessions of each
+ * trading date (SESSION_CONFIG windows, Globex evening counts toward the
+ * next day). Each bar's volume is spread evenly over the price rows it
+ * spans; each 30-minute period (A, B, C...) marks the rows it traded for
+ * the TPO count. Symbols without volume (index quotes) fall back to TPO.
+ *
+ * Per session:
+ * - poc / vah / val: point of control and the 70% value area around it
+ * - singlePrints: interior runs of rows traded in a single period
+ * - buyingTail / sellingTail: single-print runs at the extremes
+ * - poorHigh / poorLow: extremes traded in 2+ periods (unfinished auction)
+ *
+ * Naked POCs are prior RTH POCs that price has not traded back through.
+ */
+
+import { loadBars } from './barStore.js';
+import { getCurrentSession, getTradingDate, getSessionKeyForTime, SESSION_CONFIG, TRACKED_SESSIONS } from './sessionEngine.js';
+import { TICK_SIZES } from './levelCalculator.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const TPO_MINUTES = 30;
+const VALUE_AREA_PERCENT = 0.7;
+const DEFAULT_DAYS = 10;
+const MAX_NAKED_POCS = 5;
+const PROFILE_INTERVALS = ['1m', '5m'];
+
+// Price row height; other symbols use ~2bp of price rounded to the tick
+const ROW_SIZES = {
+  ES: 1,
+  NQ: 5,
+  YM: 10,
+  RTY: 0.5,
+  CL: 0.05,
+  GC: 1,
+  SI: 0.025,
+  ZN: 0.03125,
+  ZB: 0.0625
+};
+
+const TPO_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const profileCache = new Map();
+
+const etFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Minutes since midnight ET for a unix time
+ */
+function getETMinutes(unixSeconds) {
+  const parts = etFormatter.formatToParts(new Date(unixSeconds * 1000));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+function getRowSize(symbol, price) {
+  if (ROW_SIZES[symbol]) return ROW_SIZES[symbol];
+
+  const tick = TICK_SIZES[symbol] || 0.01;
+  return Math.max(tick, Math.round((price * 0.0002) / tick) * tick);
+}
+
+function roundPrice(price, rowSize) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(rowSize)) + 2);
+  return parseFloat(price.toFixed(decimals));
+}
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+/**
+ * Runs of consecutive rows matching a test
+ */
+function findRuns(rows, test) {
+  const runs = [];
+  let start = null;
+
+  rows.forEach((row, i) => {
+    if (test(row) && start === null) start = i;
+    if ((!test(row) || i === rows.length - 1) && start !== null) {
+      const end = test(row) ? i : i - 1;
+      runs.push({ start, end });
+      start = null;
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Volume and TPO profile for one session's bars
+ * @param {Object[]} bars - [{ time, open, high, low, close, volume }] oldest to newest
+ * @param {Object} options - { rowSize, sessionKey (sets the TPO period start) }
+ */
+function buildProfile(bars, { rowSize, sessionKey = null } = {}) {
+  if (!bars.length) return null;
+
+  const sessionStart = sessionKey && SESSION_CONFIG[sessionKey]?.start
+    ? SESSION_CONFIG[sessionKey].start.hour * 60 + SESSION_CONFIG[sessionKey].start.minute
+    : getETMinutes(bars[0].time);
+
+  const rowMap = new Map();
+  const getRow = (index) => {
+    if (!rowMap.has(index)) rowMap.set(index, { index, volume: 0, tpo: 0, letters: '' });
+    return rowMap.get(index);
+  };
+
+  const periods = new Set();
+  for (const bar of bars) {
+    const low = Math.floor(bar.low / rowSize + 1e-9);
+    const high = Math.floor(bar.high / rowSize + 1e-9);
+    const share = (bar.volume || 0) / (high - low + 1);
+    const period = Math.floor(((getETMinutes(bar.time) - sessionStart + 1440) % 1440) / TPO_MINUTES);
+    const letter = TPO_LETTERS[period] || '?';
+    periods.add(period);
+
+    for (let index = low; index <= high; index++) {
+      const row = getRow(index);
+      row.volume += share;
+      if (!row.letters.includes(letter)) {
+        row.letters += letter;
+        row.tpo++;
+      }
+    }
+  }
+
+  const rows = [...rowMap.values()]
+    .sort((a, b) => a.index - b.index)
+    .map(row => ({ price: roundPrice(row.index * rowSize, rowSize), volume: Math.round(row.volume), tpo: row.tpo, letters: row.letters }));
+
+  const totalVolume = rows.reduce((sum, row) => sum + row.volume, 0);
+  const basis = totalVolume > 0 ? 'volume' : 'tpo';
+  const weight = (row) => (basis === 'volume' ? row.volume : row.tpo);
+
+  // POC: heaviest row, ties broken toward the middle of the range
+  const middle = (rows.length - 1) / 2;
+  const pickPoc = (value) => rows.reduce((best, row, i) => {
+    const current = value(rows[best]);
+    if (value(row) > current || (value(row) === current && Math.abs(i - middle) < Math.abs(best - middle))) return i;
+    return best;
+  }, 0);
+  const pocIndex = pickPoc(weight);
+
+  // Value area: grow from the POC toward the heavier neighbour until 70% is covered
+  const total = rows.reduce((sum, row) => sum + weight(row), 0);
+  let covered = weight(rows[pocIndex]);
+  let lo = pocIndex;
+  let hi = pocIndex;
+  while (covered < total * VALUE_AREA_PERCENT && (lo > 0 || hi < rows.length - 1)) {
+    const above = hi < rows.length - 1 ? weight(rows[hi + 1]) : -1;
+    const below = lo > 0 ? weight(rows[lo - 1]) : -1;
+    if (above >= below) covered += weight(rows[++hi]);
+    else covered += weight(rows[--lo]);
+  }
+
+  // Single prints (a run at either extreme is a tail)
+  const singleRuns = periods.size > 1 ? findRuns(rows, row => row.tpo === 1) : [];
+  const toZone = ({ start, end }) => ({ low: rows[start].price, high: rows[end].price, rows: end - start + 1 });
+  const buyingTail = singleRuns.find(run => run.start === 0 && run.end >= 1);
+  const sellingTail = singleRuns.find(run => run.end === rows.length - 1 && run.start <= rows.length - 2);
+
+  const high = Math.max(...bars.map(bar => bar.high));
+  const low = Math.min(...bars.map(bar => bar.low));
+
+  return {
+    session: sessionKey,
+    start: new Date(bars[0].time * 1000).toISOString(),
+    end: new Date(bars[bars.length - 1].time * 1000).toISOString(),
+    open: bars[0].open,
+    close: bars[bars.length - 1].close,
+    high,
+    low,
+    volume: totalVolume,
+    basis,
+    rowSize,
+    periods: periods.size,
+    poc: rows[pocIndex].price,
+    vah: rows[hi].price,
+    val: rows[lo].price,
+    tpoPoc: rows[pickPoc(row => row.tpo)].price,
+    singlePrints: singleRuns.filter(run => run.start > 0 && run.end < rows.length - 1).map(toZone),
+    buyingTail: buyingTail ? toZone(buyingTail) : null,
+    sellingTail: sellingTail ? toZone(sellingTail) : null,
+    poorHigh: periods.size > 1 && rows[rows.length - 1].tpo >= 2,
+    poorLow: periods.size > 1 && rows[0].tpo >= 2,
+    rows
+  };
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Group bars by trading date and session (Asia, London, RTH)
+ * @returns {Map} tradingDate -> { ASIA: bars, LONDON: bars, US_RTH: bars }
+ */
+function splitSessions(bars) {
+  const days = new Map();
+
+  for (const bar of bars) {
+    const sessionKey = getSessionKeyForTime(getETMinutes(bar.time));
+    if (!TRACKED_SESSIONS.includes(sessionKey)) continue;
+
+    const tradingDate = getTradingDate(new Date(bar.time * 1000));
+    if (!days.has(tradingDate)) days.set(tradingDate, {});
+    const day = days.get(tradingDate);
+    (day[sessionKey] ||= []).push(bar);
+  }
+
+  return days;
+}
+
+/**
+ * Prior RTH POCs that later bars have not traded through
+ */
+function findNakedPocs(history, bars) {
+  const naked = [];
+
+  for (const { tradingDate, profile } of history) {
+    const endTime = Date.parse(profile.end) / 1000;
+    const revisited = bars.some(bar => bar.time > endTime && bar.low <= profile.poc && bar.high >= profile.poc);
+    if (!revisited) naked.push({ date: tradingDate, session: 'US_RTH', price: profile.poc });
+  }
+
+  return naked.reverse().slice(0, MAX_NAKED_POCS);
+}
+
+/**
+ * Session profiles for the current trading date, the prior RTH session and naked POCs
+ * @param {string} symbol - Bar store symbol (ES, NQ, CL...)
+ * @param {Object} options - { interval: 5m|1m, days: trading days scanned for naked POCs, refresh }
+ */
+async function getVolumeProfiles(symbol, { interval = '5m', days = DEFAULT_DAYS, refresh = true } = {}) {
+  const key = symbol.toUpperCase();
+  const now = Math.floor(Date.now() / 1000);
+
+  // Calendar days back, with room for weekends and holidays
+  const bars = await loadBars(key, interval, { from: now - Math.ceil(days * 1.5 + 4) * DAY_SECONDS, refresh });
+  if (!bars.length) return null;
+
+  const cacheKey = `${key}_${interval}_${days}`;
+  const lastTime = bars[bars.length - 1].time;
+  const currentDate = getTradingDate();
+  const cached = profileCache.get(cacheKey);
+  if (cached?.lastTime === lastTime && cached.currentDate === currentDate && cached.count === bars.length) {
+    return cached.result;
+  }
+
+  const rowSize = getRowSize(key, bars[bars.length - 1].close);
+  const sessionDays = [...splitSessions(bars)].sort(([a], [b]) => a.localeCompare(b)).slice(-days - 1);
+  const current = getCurrentSession();
+
+  // Latest trading date with bars (today, or the last session before a weekend)
+  const [tradingDate, latest] = sessionDays[sessionDays.length - 1];
+  const sessions = {};
+  for (const sessionKey of TRACKED_SESSIONS) {
+    if (!latest[sessionKey]) continue;
+    sessions[sessionKey] = {
+      ...buildProfile(latest[sessionKey], { rowSize, sessionKey }),
+      complete: !(tradingDate === currentDate && current.key === sessionKey)
+    };
+  }
+
+  // Completed RTH sessions before the current one
+  const history = sessionDays
+    .filter(([date, day]) => day.US_RTH && (date !== tradingDate || sessions.US_RTH?.complete))
+    .map(([date, day]) => ({ tradingDate: date, profile: buildProfile(day.US_RTH, { rowSize, sessionKey: 'US_RTH' }) }));
+
+  const prior = history.filter(entry => entry.tradingDate !== tradingDate).pop() || null;
+
+  const result = {
+    symbol: key,
+    interval,
+    rowSize,
+    tradingDate,
+    sessions,
+    prior: prior ? { tradingDate: prior.tradingDate, ...prior.profile, complete: true } : null,
+    nakedPocs: findNakedPocs(history.filter(entry => entry.tradingDate !== tradingDate), bars),
+    barCount: bars.length,
+    asOf: new Date(lastTime * 1000).toISOString()
+  };
+
+  profileCache.set(cacheKey, { lastTime, currentDate, count: bars.length, result });
+  return result;
+}
+
+/**
+ * Named levels for getLevelsWithDistance
+ */
+function getProfileLevelMap(profiles) {
+  if (!profiles) return {};
+
+  const { sessions, prior } = profiles;
+  const levels = {
+    'POC': sessions.US_RTH?.poc,
+    'VAH': sessions.US_RTH?.vah,
+    'VAL': sessions.US_RTH?.val,
+    'Asia POC': sessions.ASIA?.poc,
+    'London POC': sessions.LONDON?.poc,
+    'Prior POC': prior?.poc,
+    'Prior VAH': prior?.vah,
+    'Prior VAL': prior?.val,
+    'Poor High': prior?.poorHigh ? prior.high : null,
+    'Poor Low': prior?.poorLow ? prior.low : null
+  };
+
+  for (const naked of profiles.nakedPocs) {
+    // The prior session's POC is already listed
+    if (naked.date !== prior?.tradingDate) levels[`Naked POC (${naked.date})`] = naked.price;
+  }
+
+  return levels;
+}
+
+/**
+ * Profiles without the row detail (API lists, AI agents)
+ */
+function summarizeProfiles(profiles) {
+  if (!profiles) return null;
+
+  const strip = (profile) => {
+    if (!profile) return null;
+    const { rows, ...summary } = profile;
+    return summary;
+  };
+
+  return {
+    ...profiles,
+    sessions: Object.fromEntries(Object.entries(profiles.sessions).map(([key, profile]) => [key, strip(profile)])),
+    prior: strip(profiles.prior)
+  };
+}
+
+export {
+  getVolumeProfiles,
+  buildProfile,
+  getProfileLevelMap,
+  summarizeProfiles,
+  PROFILE_INTERVALS
+};
@@ -0,0 +1,158 @@
+// ============================================================================
+// SCANNER WEBHOOK AUTHENTICATION
+// Shared-secret check plus timestamp/nonce replay protection.
+//
+// The secret is picked by the store a payload is written to, never by the
+// scanner type it claims: ICT, batch and legacy payloads all land in the ICT
+// store and need SCANNER_SECRET_ICT; Order Flow needs SCANNER_SECRET_ORDERFLOW.
+// Both fall back to SCANNER_WEBHOOK_SECRET. Once any secret is set, a store
+// without one rejects every delivery. With none set, webhooks are rejected
+// unless SCANNER_WEBHOOK_AUTH=off (explicit opt-out for development).
+//
+// TradingView alerts cannot set headers, so every value can travel in the
+// JSON body (secret, timestamp, nonce) or in X-Webhook-* headers.
+// ============================================================================
+
+import crypto from 'crypto';
+import { getCollection } from './persistence.js';
+
+const DEFAULT_MAX_AGE = 5 * 60; // seconds a signed payload stays valid
+
+// Replay keys seen within the max-age window (persisted so a restart doesn't reopen it)
+const seenReplayKeys = getCollection('webhook_replay_keys');
+
+const STORES = ['ict', 'orderflow'];
+
+/**
+ * Get the secret configured for a destination store (null = none set)
+ */
+function getStoreSecret(store) {
+  return process.env[`SCANNER_SECRET_${store.toUpperCase()}`] || process.env.SCANNER_WEBHOOK_SECRET || null;
+}
+
+function isAuthDisabled() {
+  return String(process.env.SCANNER_WEBHOOK_AUTH || '').toLowerCase() === 'off';
+}
+
+function getMaxAgeSeconds() {
+  return parseInt(process.env.SCANNER_WEBHOOK_MAX_AGE) || DEFAULT_MAX_AGE;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function secretsMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Parse unix seconds, unix milliseconds or an ISO string into milliseconds
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(String(value))) {
+    const num = parseFloat(value);
+    return num < 1e12 ? num * 1000 : num;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Key that identifies one delivery: the nonce if sent, otherwise a hash of the payload
+ */
+function buildReplayKey(store, nonce, payload) {
+  if (nonce) return `${store}:nonce:${nonce}`;
+
+  const { secret, ...rest } = payload;
+  const hash = crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+  return `${store}:body:${hash}`;
+}
+
+function pruneReplayKeys(now) {
+  for (const [key, expiresAt] of seenReplayKeys) {
+    if (expiresAt <= now) seenReplayKeys.delete(key);
+  }
+}
+
+function authError(statusCode, code, field, message) {
+  return { ok: false, statusCode, error: statusCode === 401 ? 'Unauthorized' : 'Rejected', code, field, message };
+}
+
+/**
+ * Authenticate a webhook delivery
+ * @param {string} store - Destination store: ict or orderflow
+ * @param {Object} payload - Parsed JSON body
+ * @param {Object} headers - Request headers (lower-cased keys, as Express provides)
+ * @returns {Object} - { ok: true, replayKey } or { ok: false, statusCode, code, field, message }
+ */
+function authenticateWebhook(store, payload, headers = {}) {
+  if (isAuthDisabled()) {
+    return { ok: true, authenticated: false, replayKey: null };
+  }
+
+  const expected = getStoreSecret(store);
+  if (!expected) {
+    return authError(503, 'AUTH_NOT_CONFIGURED', 'secret',
+      `No secret is configured for the ${store} store (set SCANNER_SECRET_${store.toUpperCase()} or SCANNER_WEBHOOK_SECRET, or SCANNER_WEBHOOK_AUTH=off)`);
+  }
+
+  const provided = payload.secret ?? headers['x-webhook-secret'];
+  if (!provided) {
+    return authError(401, 'MISSING_SECRET', 'secret', 'Webhook secret is required (body "secret" or X-Webhook-Secret header)');
+  }
+  if (!secretsMatch(provided, expected)) {
+    return authError(401, 'INVALID_SECRET', 'secret', `Secret does not match the ${store} store`);
+  }
+
+  const rawTimestamp = payload.timestamp ?? payload.ts ?? headers['x-webhook-timestamp'];
+  const sentAt = parseTimestamp(rawTimestamp);
+  if (sentAt === null) {
+    return authError(400, 'INVALID_TIMESTAMP', 'timestamp', 'timestamp is required (unix seconds, unix ms or ISO 8601)');
+  }
+
+  const now = Date.now();
+  const maxAgeMs = getMaxAgeSeconds() * 1000;
+  if (Math.abs(now - sentAt) > maxAgeMs) {
+    return authError(401, 'STALE_TIMESTAMP', 'timestamp', `timestamp is outside the ${getMaxAgeSeconds()}s window`);
+  }
+
+  pruneReplayKeys(now);
+
+  const nonce = payload.nonce ?? headers['x-webhook-nonce'];
+  const replayKey = buildReplayKey(store, nonce, payload);
+  if (seenReplayKeys.has(replayKey)) {
+    return authError(409, 'REPLAYED', nonce ? 'nonce' : 'timestamp', 'This webhook was already delivered');
+  }
+
+  return { ok: true, authenticated: true, replayKey };
+}
+
+/**
+ * Remember a delivery so the same payload/nonce is rejected until it expires
+ * (called once the payload has passed validation)
+ */
+function registerReplayKey(replayKey) {
+  if (!replayKey) return;
+  seenReplayKeys.set(replayKey, Date.now() + getMaxAgeSeconds() * 1000);
+}
+
+/**
+ * Auth mode and which stores have a secret (a store without one rejects deliveries unless auth is off)
+ */
+function getWebhookAuthStatus() {
+  return {
+    disabled: isAuthDisabled(),
+    ...Object.fromEntries(STORES.map(store => [store, !!getStoreSecret(store)]))
+  };
+}
+
+export {
+  authenticateWebhook,
+  registerReplayKey,
+  getWebhookAuthStatus
+};
@@ -0,0 +1,244 @@
+// ============================================================================
+// SCANNER WEBHOOK SCHEMAS
+// JSON Schemas for every TradingView payload format the scanner accepts.
+// Pine Script often sends numbers as quoted strings, so numeric fields accept
+// numeric strings. Short aliases (s, p, b...) are expressed with anyOf.
+// ============================================================================
+
+const NUMERIC = { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$' };
+const LABEL = { type: 'string', minLength: 1 };
+
+/**
+ * Build a property pair for a field that may arrive under a long or short name
+ */
+function aliased(name, alias, schema) {
+  return { [name]: schema, [alias]: schema };
+}
+
+function requireOneOf(...names) {
+  return { anyOf: names.map(name => ({ required: [name] })), errorField: names.join('|') };
+}
+
+const ICT_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...aliased('symbol', 's', LABEL),
+    ...aliased('price', 'p', NUMERIC),
+    ...aliased('change', 'c', NUMERIC),
+    ...aliased('bias', 'b', { type: 'string', enum: ['LONG', 'SHORT', 'NEUT'] }),
+    ...aliased('dayPos', 'day', LABEL),
+    ...aliased('weekPos', 'week', LABEL),
+    ...aliased('sweepStatus', 'sweep', LABEL),
+    ...aliased('obZone', 'ob', LABEL),
+    ...aliased('structure', 'struct', LABEL)
+  },
+  allOf: [
+    requireOneOf('symbol', 's'),
+    requireOneOf('price', 'p'),
+    requireOneOf('bias', 'b'),
+    requireOneOf('dayPos', 'day'),
+    requireOneOf('weekPos', 'week'),
+    requireOneOf('sweepStatus', 'sweep'),
+    requireOneOf('obZone', 'ob'),
+    requireOneOf('structure', 'struct')
+  ]
+};
+
+const ORDERFLOW_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...aliased('symbol', 's', LABEL),
+    ...aliased('price', 'p', NUMERIC),
+    ...aliased('change', 'c', NUMERIC),
+    ...aliased('vaZone', 'va', LABEL),
+    ...aliased('vwapZone', 'vwap', LABEL),
+    ...aliased('pocPos', 'poc', LABEL),
+    ...aliased('volStatus', 'vol', LABEL),
+    ...aliased('absorp', 'abs', LABEL),
+    ...aliased('pressure', 'press', { type: 'string', enum: ['BULL', 'BEAR', 'NEUT'] }),
+    ...aliased('delta', 'd', NUMERIC)
+  },
+  allOf: [
+    requireOneOf('symbol', 's'),
+    requireOneOf('price', 'p'),
+    requireOneOf('vaZone', 'va'),
+    requireOneOf('vwapZone', 'vwap'),
+    requireOneOf('pocPos', 'poc'),
+    requireOneOf('volStatus', 'vol'),
+    requireOneOf('absorp', 'abs'),
+    requireOneOf('pressure', 'press'),
+    requireOneOf('delta', 'd')
+  ]
+};
+
+const MULTI_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...aliased('symbol', 's', LABEL),
+    ...aliased('price', 'p', NUMERIC),
+    ...aliased('change', 'c', NUMERIC),
+    ...aliased('bias', 'b', { type: 'string', enum: ['LONG', 'SHORT', 'NEUT'] }),
+    ma: LABEL,
+    vw: LABEL,
+    adx: LABEL,
+    vol: LABEL,
+    tr: LABEL
+  },
+  allOf: [
+    requireOneOf('symbol', 's'),
+    requireOneOf('price', 'p'),
+    requireOneOf('bias', 'b')
+  ]
+};
+
+/**
+ * Wrap an item schema in the { data: [...] } / { d: [...] } batch envelope
+ */
+function batchOf(itemSchema) {
+  const items = { type: 'array', minItems: 1, items: itemSchema };
+  return {
+    type: 'object',
+    properties: {
+      ...aliased('data', 'd', items),
+      ...aliased('scanner', 't', NUMERIC)
+    },
+    allOf: [requireOneOf('data', 'd')]
+  };
+}
+
+const LEGACY_SCHEMA = {
+  type: 'object',
+  properties: {
+    symbol: LABEL,
+    price: NUMERIC,
+    change: NUMERIC,
+    change_pct: NUMERIC,
+    adx_value: NUMERIC,
+    ema21: NUMERIC,
+    ema55: NUMERIC,
+    vwap: NUMERIC,
+    vol_ratio: NUMERIC,
+    pdh: NUMERIC,
+    pdl: NUMERIC,
+    onh: NUMERIC,
+    onl: NUMERIC,
+    total_score: NUMERIC,
+    sweep_detected: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] },
+    adx_status: LABEL,
+    ema_status: LABEL,
+    vwap_zone: LABEL,
+    vol_status: LABEL,
+    sweep_type: LABEL,
+    bias: LABEL,
+    grade: LABEL
+  },
+  required: ['symbol', 'price', 'bias']
+};
+
+const WEBHOOK_SCHEMAS = {
+  ict: ICT_ITEM_SCHEMA,
+  ict_batch: batchOf(ICT_ITEM_SCHEMA),
+  orderflow: ORDERFLOW_ITEM_SCHEMA,
+  orderflow_batch: batchOf(ORDERFLOW_ITEM_SCHEMA),
+  batch: batchOf(MULTI_ITEM_SCHEMA),
+  legacy: LEGACY_SCHEMA
+};
+
+// ============================================================================
+// VALIDATOR (subset of JSON Schema: type, enum, pattern, minLength,
+// properties, required, items, minItems, allOf, anyOf)
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function validateNode(schema, value, field, errors) {
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.includes(typeOf(value))) {
+      errors.push({ field, message: `must be of type ${allowed.join(' or ')}`, received: value });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}`, received: value });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ field, message: 'must not be empty', received: value });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: 'must be numeric', received: value });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, joinPath(field, i), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push({ field: joinPath(field, name), message: 'is required' });
+      }
+    }
+
+    for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined && value[name] !== null) {
+        validateNode(propSchema, value[name], joinPath(field, name), errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    validateNode(sub, value, field, errors);
+  }
+
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(sub => {
+      const subErrors = [];
+      validateNode(sub, value, field, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!passes) {
+      errors.push({ field: joinPath(field, schema.errorField || ''), message: 'is required' });
+    }
+  }
+}
+
+/**
+ * Validate a webhook payload against a named schema
+ * @param {string} schemaName - Key of WEBHOOK_SCHEMAS
+ * @param {Object} payload - Parsed JSON body
+ * @returns {Array} - List of { field, message } errors (empty when valid)
+ */
+function validateWebhookPayload(schemaName, payload) {
+  const schema = WEBHOOK_SCHEMAS[schemaName];
+  if (!schema) {
+    return [{ field: 'scanner_type', message: `unknown scanner type ${schemaName}` }];
+  }
+
+  const errors = [];
+  validateNode(schema, payload, '', errors);
+  return errors;
+}
+
+export {
+  WEBHOOK_SCHEMAS,
+  validateWebhookPayload
+};